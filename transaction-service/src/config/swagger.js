@@ -44,7 +44,7 @@ const swaggerDefinition = {
           },
           txn_type: {
             type: 'string',
-            enum: ['DEPOSIT', 'WITHDRAWAL', 'TRANSFER_IN', 'TRANSFER_OUT'],
+            enum: ['DEPOSIT', 'WITHDRAWAL', 'TRANSFER_IN', 'TRANSFER_OUT', 'REVERSAL_CREDIT', 'REVERSAL_DEBIT', 'FEE', 'FEE_TAX', 'INTEREST', 'OVERDRAFT_INTEREST'],
             description: 'Transaction type'
           },
           counterparty: {
@@ -63,6 +63,61 @@ const swaggerDefinition = {
             type: 'number',
             description: 'Account balance after transaction'
           },
+          status: {
+            type: 'string',
+            enum: ['PENDING', 'COMPLETED', 'FAILED', 'REVERSED'],
+            description: 'Lifecycle status; only COMPLETED and REVERSED transactions have moved money'
+          },
+          failure_reason: {
+            type: 'string',
+            nullable: true,
+            description: 'Why the attempt failed (FAILED transactions only)'
+          },
+          reversal_of: {
+            type: 'integer',
+            nullable: true,
+            description: 'Original transaction ID (set on reversal entries)'
+          },
+          reversed_amount: {
+            type: 'number',
+            description: 'Amount of this transaction reversed so far'
+          },
+          reversed_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'Timestamp of the latest reversal'
+          },
+          related_txn_id: {
+            type: 'integer',
+            nullable: true,
+            description: 'Withdrawal or transfer debit leg a FEE or FEE_TAX entry was charged for'
+          },
+          original_amount: {
+            type: 'number',
+            nullable: true,
+            description: 'Transfer amount as instructed, in the source currency (cross-currency transfers only)'
+          },
+          original_currency: {
+            type: 'string',
+            nullable: true,
+            description: 'Source account currency (cross-currency transfers only)'
+          },
+          converted_amount: {
+            type: 'number',
+            nullable: true,
+            description: 'Amount credited after conversion, in the destination currency (cross-currency transfers only)'
+          },
+          converted_currency: {
+            type: 'string',
+            nullable: true,
+            description: 'Destination account currency (cross-currency transfers only)'
+          },
+          fx_rate: {
+            type: 'number',
+            nullable: true,
+            description: 'Conversion rate applied, net of spread (cross-currency transfers only)'
+          },
           created_at: {
             type: 'string',
             format: 'date-time',
@@ -112,6 +167,10 @@ const swaggerDefinition = {
             type: 'string',
             description: 'Error message'
           },
+          code: {
+            type: 'string',
+            description: 'Machine-readable error code, where one applies (e.g. IDEMPOTENCY_KEY_REUSED)'
+          },
           errors: {
             type: 'array',
             items: {
@@ -143,7 +202,6 @@ const swaggerDefinition = {
           amount: {
             type: 'number',
             minimum: 0.01,
-            maximum: 1000000,
             description: 'Transfer amount'
           },
           description: {
@@ -154,7 +212,7 @@ const swaggerDefinition = {
           idempotency_key: {
             type: 'string',
             maxLength: 255,
-            description: 'Idempotency key to prevent duplicate transfers'
+            description: 'Idempotency key (prefer the X-Idempotency-Key header)'
           }
         }
       },
@@ -169,7 +227,6 @@ const swaggerDefinition = {
           amount: {
             type: 'number',
             minimum: 0.01,
-            maximum: 10000000,
             description: 'Deposit amount'
           },
           counterparty: {
@@ -184,80 +241,1344 @@ const swaggerDefinition = {
           }
         }
       },
-      WithdrawalRequest: {
+      ReversalRequest: {
+        type: 'object',
+        properties: {
+          amount: {
+            type: 'number',
+            minimum: 0.01,
+            description: 'Amount to reverse; omit for a full reversal of the remaining amount'
+          },
+          reason: {
+            type: 'string',
+            maxLength: 255,
+            description: 'Reason for the reversal'
+          }
+        }
+      },
+      Hold: {
+        type: 'object',
+        properties: {
+          hold_id: {
+            type: 'integer',
+            description: 'Unique hold identifier'
+          },
+          account_id: {
+            type: 'integer',
+            description: 'Account the funds are reserved on'
+          },
+          amount: {
+            type: 'number',
+            description: 'Amount reserved'
+          },
+          captured_amount: {
+            type: 'number',
+            description: 'Amount captured (0 unless CAPTURED)'
+          },
+          status: {
+            type: 'string',
+            enum: ['ACTIVE', 'CAPTURED', 'VOIDED', 'EXPIRED'],
+            description: 'Hold status; only ACTIVE holds reduce available balance'
+          },
+          counterparty: {
+            type: 'string',
+            description: 'Merchant or payee'
+          },
+          description: {
+            type: 'string',
+            description: 'Hold description'
+          },
+          expires_at: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the hold is released automatically'
+          },
+          capture_reference: {
+            type: 'string',
+            nullable: true,
+            description: 'Reference of the transaction posted on capture'
+          },
+          capture_txn_id: {
+            type: 'integer',
+            nullable: true,
+            description: 'Transaction posted on capture (debit leg for transfers)'
+          },
+          release_reason: {
+            type: 'string',
+            nullable: true,
+            description: 'Why the hold was voided or expired'
+          },
+          released_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'When the hold stopped reserving funds'
+          }
+        }
+      },
+      HoldRequest: {
         type: 'object',
         required: ['account_id', 'amount'],
         properties: {
           account_id: {
             type: 'integer',
-            description: 'Account ID to withdraw from'
+            description: 'Account to reserve funds on'
           },
           amount: {
             type: 'number',
             minimum: 0.01,
-            maximum: 10000000,
-            description: 'Withdrawal amount'
+            description: 'Amount to reserve'
           },
           counterparty: {
             type: 'string',
             maxLength: 255,
-            description: 'Destination of the withdrawal'
+            description: 'Merchant or payee'
           },
           description: {
             type: 'string',
             maxLength: 255,
-            description: 'Withdrawal description'
+            description: 'Hold description'
+          },
+          expires_at: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Expiry time (defaults to HOLD_DEFAULT_EXPIRY_MS from now)'
           }
         }
-      }
-    },
-    responses: {
-      BadRequest: {
-        description: 'Bad request',
-        content: {
-          'application/json': {
-            schema: {
-              $ref: '#/components/schemas/ErrorResponse'
-            }
+      },
+      HoldCaptureRequest: {
+        type: 'object',
+        properties: {
+          amount: {
+            type: 'number',
+            minimum: 0.01,
+            description: 'Amount to capture; omit to capture the full hold'
+          },
+          to_account_id: {
+            type: 'integer',
+            description: 'Capture as a transfer to this account instead of a withdrawal'
+          },
+          description: {
+            type: 'string',
+            maxLength: 255,
+            description: 'Description for the posted transaction (defaults to the hold description)'
           }
         }
       },
-      NotFound: {
-        description: 'Resource not found',
-        content: {
-          'application/json': {
-            schema: {
-              $ref: '#/components/schemas/ErrorResponse'
-            }
+      FxRate: {
+        type: 'object',
+        properties: {
+          rate_id: {
+            type: 'integer',
+            description: 'Unique FX rate identifier'
+          },
+          base_currency: {
+            type: 'string',
+            description: 'Currency converted from'
+          },
+          quote_currency: {
+            type: 'string',
+            description: 'Currency converted to'
+          },
+          rate: {
+            type: 'number',
+            description: 'Units of quote currency per unit of base currency'
+          },
+          spread_percent: {
+            type: 'number',
+            description: 'Spread deducted from the rate, in percent'
+          },
+          applied_rate: {
+            type: 'number',
+            description: 'Rate applied to transfers after the spread'
+          },
+          effective_from: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Start of the validity window'
+          },
+          effective_to: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'End of the validity window (open-ended when null)'
+          },
+          created_at: {
+            type: 'string',
+            format: 'date-time',
+            description: 'FX rate creation timestamp'
           }
         }
       },
-      Conflict: {
-        description: 'Conflict',
-        content: {
-          'application/json': {
-            schema: {
-              $ref: '#/components/schemas/ErrorResponse'
-            }
+      FeeSchedule: {
+        type: 'object',
+        properties: {
+          fee_schedule_id: {
+            type: 'integer',
+            description: 'Unique fee schedule identifier'
+          },
+          account_type: {
+            type: 'string',
+            enum: ['SAVINGS', 'CURRENT', 'SALARY'],
+            nullable: true,
+            description: 'Account type charged (all account types when null)'
+          },
+          txn_type: {
+            type: 'string',
+            enum: ['WITHDRAWAL', 'TRANSFER_OUT'],
+            description: 'Transaction type charged'
+          },
+          flat_fee: {
+            type: 'number',
+            description: 'Fixed fee per transaction'
+          },
+          percent_fee: {
+            type: 'number',
+            description: 'Fee as a percentage of the transaction amount'
+          },
+          min_fee: {
+            type: 'number',
+            nullable: true,
+            description: 'Lower bound on the fee before GST'
+          },
+          max_fee: {
+            type: 'number',
+            nullable: true,
+            description: 'Upper bound on the fee before GST'
+          },
+          free_per_month: {
+            type: 'integer',
+            description: 'Transactions of this type per calendar month that are not charged'
+          },
+          gst_percent: {
+            type: 'number',
+            description: 'GST charged on the fee, in percent'
+          },
+          effective_from: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Start of the validity window'
+          },
+          effective_to: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'End of the validity window (open-ended when null)'
+          },
+          created_at: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Fee schedule creation timestamp'
           }
         }
       },
-      InternalServerError: {
-        description: 'Internal server error',
-        content: {
-          'application/json': {
-            schema: {
-              $ref: '#/components/schemas/ErrorResponse'
-            }
+      FeeScheduleRequest: {
+        type: 'object',
+        required: ['txn_type'],
+        properties: {
+          account_type: {
+            type: 'string',
+            enum: ['SAVINGS', 'CURRENT', 'SALARY'],
+            description: 'Account type charged (omit to apply to all account types)'
+          },
+          txn_type: {
+            type: 'string',
+            enum: ['WITHDRAWAL', 'TRANSFER_OUT'],
+            description: 'Transaction type charged'
+          },
+          flat_fee: {
+            type: 'number',
+            minimum: 0,
+            default: 0,
+            description: 'Fixed fee per transaction'
+          },
+          percent_fee: {
+            type: 'number',
+            minimum: 0,
+            default: 0,
+            description: 'Fee as a percentage of the transaction amount'
+          },
+          min_fee: {
+            type: 'number',
+            minimum: 0,
+            description: 'Lower bound on the fee before GST'
+          },
+          max_fee: {
+            type: 'number',
+            minimum: 0,
+            description: 'Upper bound on the fee before GST'
+          },
+          free_per_month: {
+            type: 'integer',
+            minimum: 0,
+            default: 0,
+            description: 'Transactions of this type per calendar month that are not charged'
+          },
+          gst_percent: {
+            type: 'number',
+            minimum: 0,
+            default: 0,
+            description: 'GST charged on the fee, in percent'
+          },
+          effective_from: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Start of the validity window (defaults to now)'
+          },
+          effective_to: {
+            type: 'string',
+            format: 'date-time',
+            description: 'End of the validity window (open-ended when omitted)'
           }
         }
-      }
-    }
-  },
-  tags: [
-    {
-      name: 'Transactions',
-      description: 'Transaction operations'
+      },
+      TransactionLimit: {
+        type: 'object',
+        properties: {
+          limit_id: {
+            type: 'integer',
+            description: 'Unique limit identifier'
+          },
+          account_type: {
+            type: 'string',
+            enum: ['SAVINGS', 'CURRENT', 'SALARY'],
+            nullable: true,
+            description: 'Account type limited (null for all account types)'
+          },
+          kyc_tier: {
+            type: 'string',
+            enum: ['BASIC', 'STANDARD', 'FULL'],
+            nullable: true,
+            description: 'Customer KYC tier limited (null for all tiers)'
+          },
+          txn_type: {
+            type: 'string',
+            enum: ['DEPOSIT', 'WITHDRAWAL', 'TRANSFER_OUT'],
+            description: 'Transaction type limited'
+          },
+          period: {
+            type: 'string',
+            enum: ['PER_TRANSACTION', 'DAILY', 'MONTHLY'],
+            description: 'Single transaction, or the current calendar day or month'
+          },
+          max_amount: {
+            type: 'number',
+            nullable: true,
+            description: 'Largest amount allowed in the period (no amount cap when null)'
+          },
+          max_count: {
+            type: 'integer',
+            nullable: true,
+            description: 'Most transactions allowed in the period (no count cap when null)'
+          },
+          effective_from: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Start of the validity window'
+          },
+          effective_to: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'End of the validity window (open-ended when null)'
+          },
+          created_at: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Limit creation timestamp'
+          }
+        }
+      },
+      TransactionLimitRequest: {
+        type: 'object',
+        required: ['txn_type', 'period'],
+        properties: {
+          account_type: {
+            type: 'string',
+            enum: ['SAVINGS', 'CURRENT', 'SALARY'],
+            description: 'Account type limited (omit to apply to all account types)'
+          },
+          kyc_tier: {
+            type: 'string',
+            enum: ['BASIC', 'STANDARD', 'FULL'],
+            description: 'Customer KYC tier limited (omit to apply to all tiers)'
+          },
+          txn_type: {
+            type: 'string',
+            enum: ['DEPOSIT', 'WITHDRAWAL', 'TRANSFER_OUT'],
+            description: 'Transaction type limited'
+          },
+          period: {
+            type: 'string',
+            enum: ['PER_TRANSACTION', 'DAILY', 'MONTHLY'],
+            description: 'Single transaction, or the current calendar day or month'
+          },
+          max_amount: {
+            type: 'number',
+            minimum: 0.01,
+            description: 'Largest amount allowed in the period (max_amount or max_count is required)'
+          },
+          max_count: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Most transactions allowed in the period (DAILY and MONTHLY only)'
+          },
+          effective_from: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Start of the validity window (defaults to now)'
+          },
+          effective_to: {
+            type: 'string',
+            format: 'date-time',
+            description: 'End of the validity window (open-ended when omitted)'
+          }
+        }
+      },
+      LimitUsage: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'integer',
+            description: 'Account ID'
+          },
+          account_type: {
+            type: 'string',
+            description: 'Account type'
+          },
+          kyc_tier: {
+            type: 'string',
+            enum: ['BASIC', 'STANDARD', 'FULL'],
+            description: 'KYC tier of the account holder'
+          },
+          currency: {
+            type: 'string',
+            description: 'Currency the amounts are in'
+          },
+          limits: {
+            type: 'array',
+            items: {
+              allOf: [
+                { $ref: '#/components/schemas/TransactionLimit' },
+                {
+                  type: 'object',
+                  properties: {
+                    used: {
+                      type: 'object',
+                      nullable: true,
+                      description: 'Gross amount and count used so far this period (null for per-transaction limits)',
+                      properties: {
+                        amount: { type: 'number' },
+                        count: { type: 'integer' }
+                      }
+                    },
+                    headroom: {
+                      type: 'object',
+                      description: 'What is left under each cap (null where the limit has no such cap)',
+                      properties: {
+                        amount: { type: 'number', nullable: true },
+                        count: { type: 'integer', nullable: true }
+                      }
+                    }
+                  }
+                }
+              ]
+            }
+          }
+        }
+      },
+      InterestRateSlab: {
+        type: 'object',
+        properties: {
+          slab_id: {
+            type: 'integer',
+            description: 'Unique slab identifier'
+          },
+          account_type: {
+            type: 'string',
+            enum: ['SAVINGS', 'CURRENT', 'SALARY'],
+            description: 'Account type earning this rate'
+          },
+          min_balance: {
+            type: 'number',
+            description: 'Lower edge of the balance band'
+          },
+          max_balance: {
+            type: 'number',
+            nullable: true,
+            description: 'Upper edge of the balance band (open-ended when null)'
+          },
+          annual_rate_percent: {
+            type: 'number',
+            description: 'Annual rate earned by the part of the balance within the band'
+          },
+          effective_from: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Start of the validity window'
+          },
+          effective_to: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'End of the validity window (open-ended when null)'
+          },
+          created_at: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Slab creation timestamp'
+          }
+        }
+      },
+      InterestRateSlabRequest: {
+        type: 'object',
+        required: ['account_type', 'annual_rate_percent'],
+        properties: {
+          account_type: {
+            type: 'string',
+            enum: ['SAVINGS', 'CURRENT', 'SALARY'],
+            description: 'Account type earning this rate'
+          },
+          min_balance: {
+            type: 'number',
+            minimum: 0,
+            default: 0,
+            description: 'Lower edge of the balance band'
+          },
+          max_balance: {
+            type: 'number',
+            description: 'Upper edge of the balance band (open-ended when omitted)'
+          },
+          annual_rate_percent: {
+            type: 'number',
+            minimum: 0,
+            description: 'Annual rate earned by the part of the balance within the band'
+          },
+          effective_from: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Start of the validity window (defaults to now)'
+          },
+          effective_to: {
+            type: 'string',
+            format: 'date-time',
+            description: 'End of the validity window (open-ended when omitted)'
+          }
+        }
+      },
+      InterestAccrual: {
+        type: 'object',
+        properties: {
+          accrual_id: {
+            type: 'integer',
+            description: 'Unique accrual identifier'
+          },
+          account_id: {
+            type: 'integer',
+            description: 'Account ID'
+          },
+          accrual_date: {
+            type: 'string',
+            format: 'date',
+            description: 'Day the interest was earned'
+          },
+          balance: {
+            type: 'number',
+            description: 'End-of-day balance the interest was calculated on'
+          },
+          accrued_amount: {
+            type: 'number',
+            description: 'Interest earned that day (unrounded, 6 decimal places)'
+          },
+          credited: {
+            type: 'boolean',
+            description: 'Whether the accrual has been paid out'
+          },
+          credited_txn_id: {
+            type: 'integer',
+            nullable: true,
+            description: 'INTEREST transaction that paid out the accrual'
+          },
+          credited_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'When the accrual was paid out'
+          },
+          overdraft_interest: {
+            type: 'number',
+            description: 'Interest owed that day on an overdrawn balance (unrounded, 6 decimal places)'
+          },
+          charged: {
+            type: 'boolean',
+            description: 'Whether the overdraft interest has been charged'
+          },
+          charged_txn_id: {
+            type: 'integer',
+            nullable: true,
+            description: 'OVERDRAFT_INTEREST transaction that charged the overdraft interest'
+          },
+          charged_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'When the overdraft interest was charged'
+          }
+        }
+      },
+      InterestAccrualReport: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'integer'
+          },
+          account_type: {
+            type: 'string'
+          },
+          currency: {
+            type: 'string'
+          },
+          credit_frequency: {
+            type: 'string',
+            enum: ['MONTHLY', 'QUARTERLY'],
+            description: 'How often accrued interest is credited'
+          },
+          period: {
+            type: 'object',
+            properties: {
+              from: { type: 'string', format: 'date' },
+              to: { type: 'string', format: 'date' }
+            }
+          },
+          days_accrued: {
+            type: 'integer'
+          },
+          total_accrued: {
+            type: 'number'
+          },
+          total_credited: {
+            type: 'number'
+          },
+          total_uncredited: {
+            type: 'number'
+          },
+          credit_transaction_ids: {
+            type: 'array',
+            items: { type: 'integer' }
+          },
+          overdraft_interest_rate: {
+            type: 'number'
+          },
+          total_overdraft_interest: {
+            type: 'number'
+          },
+          total_overdraft_charged: {
+            type: 'number'
+          },
+          total_overdraft_uncharged: {
+            type: 'number'
+          },
+          charge_transaction_ids: {
+            type: 'array',
+            items: { type: 'integer' }
+          },
+          accruals: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/InterestAccrual' }
+          }
+        }
+      },
+      Overdraft: {
+        type: 'object',
+        properties: {
+          account_id: {
+            type: 'integer',
+            description: 'Account ID'
+          },
+          current_balance: {
+            type: 'number',
+            description: 'Current balance (negative while overdrawn)'
+          },
+          available_with_overdraft: {
+            type: 'number',
+            description: 'Most that can be debited now: balance less holds plus the limit'
+          },
+          limit: {
+            type: 'number',
+            description: 'Sanctioned overdraft limit'
+          },
+          interest_rate: {
+            type: 'number',
+            description: 'Annual rate charged on the overdrawn amount, in percent'
+          },
+          used: {
+            type: 'number',
+            description: 'Amount by which the balance is below zero'
+          },
+          available: {
+            type: 'number',
+            description: 'Part of the limit still available'
+          },
+          utilisation_percent: {
+            type: 'number',
+            description: 'Used amount as a percentage of the limit'
+          }
+        }
+      },
+      OverdraftRequest: {
+        type: 'object',
+        properties: {
+          overdraft_limit: {
+            type: 'number',
+            minimum: 0,
+            description: 'Sanctioned overdraft limit (0 removes the overdraft)'
+          },
+          overdraft_interest_rate: {
+            type: 'number',
+            minimum: 0,
+            description: 'Annual rate charged on the overdrawn amount, in percent'
+          }
+        }
+      },
+      LedgerAccount: {
+        type: 'object',
+        properties: {
+          ledger_account_id: {
+            type: 'integer',
+            description: 'Unique ledger account identifier'
+          },
+          code: {
+            type: 'string',
+            description: 'Ledger account code'
+          },
+          name: {
+            type: 'string'
+          },
+          account_type: {
+            type: 'string',
+            enum: ['ASSET', 'LIABILITY', 'EQUITY', 'INCOME', 'EXPENSE']
+          },
+          normal_balance: {
+            type: 'string',
+            enum: ['DEBIT', 'CREDIT'],
+            description: 'Side on which the account grows'
+          },
+          description: {
+            type: 'string',
+            nullable: true
+          },
+          is_system: {
+            type: 'boolean',
+            description: 'Whether the account comes with the schema and is used for transaction journals'
+          },
+          created_at: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      LedgerAccountRequest: {
+        type: 'object',
+        required: ['code', 'name', 'account_type'],
+        properties: {
+          code: {
+            type: 'string',
+            maxLength: 30,
+            description: 'Upper-case letters, digits and underscores, starting with a letter'
+          },
+          name: {
+            type: 'string',
+            maxLength: 100
+          },
+          account_type: {
+            type: 'string',
+            enum: ['ASSET', 'LIABILITY', 'EQUITY', 'INCOME', 'EXPENSE']
+          },
+          description: {
+            type: 'string',
+            maxLength: 255
+          }
+        }
+      },
+      JournalEntry: {
+        type: 'object',
+        properties: {
+          journal_id: {
+            type: 'integer',
+            description: 'Unique journal identifier'
+          },
+          txn_id: {
+            type: 'integer',
+            nullable: true,
+            description: 'Transaction the journal was posted for (null for manual journals)'
+          },
+          description: {
+            type: 'string'
+          },
+          posted_at: {
+            type: 'string',
+            format: 'date-time'
+          },
+          postings: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                posting_id: { type: 'integer' },
+                ledger_account_code: { type: 'string' },
+                account_id: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'Customer account, on CUSTOMER_DEPOSITS postings'
+                },
+                currency: { type: 'string' },
+                debit: { type: 'number' },
+                credit: { type: 'number' }
+              }
+            }
+          }
+        }
+      },
+      ManualJournalRequest: {
+        type: 'object',
+        required: ['description', 'postings'],
+        properties: {
+          description: {
+            type: 'string',
+            maxLength: 255
+          },
+          posted_at: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Posting time (defaults to now; cannot be in the future)'
+          },
+          postings: {
+            type: 'array',
+            minItems: 2,
+            description: 'Debits must equal credits in every currency',
+            items: {
+              type: 'object',
+              required: ['ledger_account_code', 'currency'],
+              properties: {
+                ledger_account_code: { type: 'string' },
+                currency: { type: 'string' },
+                debit: {
+                  type: 'number',
+                  description: 'Debit amount (give either debit or credit)'
+                },
+                credit: {
+                  type: 'number',
+                  description: 'Credit amount (give either debit or credit)'
+                }
+              }
+            }
+          }
+        }
+      },
+      TrialBalance: {
+        type: 'object',
+        properties: {
+          as_of: {
+            type: 'string',
+            format: 'date'
+          },
+          balanced: {
+            type: 'boolean',
+            description: 'Whether debit and credit balances agree in every currency'
+          },
+          accounts: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                code: { type: 'string' },
+                name: { type: 'string' },
+                account_type: { type: 'string' },
+                currency: { type: 'string' },
+                total_debits: { type: 'number' },
+                total_credits: { type: 'number' },
+                debit_balance: { type: 'number' },
+                credit_balance: { type: 'number' }
+              }
+            }
+          },
+          totals: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                currency: { type: 'string' },
+                total_debits: { type: 'number' },
+                total_credits: { type: 'number' },
+                debit_balances: { type: 'number' },
+                credit_balances: { type: 'number' },
+                balanced: { type: 'boolean' }
+              }
+            }
+          }
+        }
+      },
+      LedgerStatement: {
+        type: 'object',
+        properties: {
+          ledger_account: {
+            $ref: '#/components/schemas/LedgerAccount'
+          },
+          period: {
+            type: 'object',
+            properties: {
+              from: { type: 'string', format: 'date' },
+              to: { type: 'string', format: 'date' }
+            }
+          },
+          account_id: {
+            type: 'integer',
+            nullable: true
+          },
+          balances: {
+            type: 'array',
+            description: 'Per currency, on the account\'s normal side',
+            items: {
+              type: 'object',
+              properties: {
+                currency: { type: 'string' },
+                opening_balance: { type: 'number' },
+                total_debits: { type: 'number' },
+                total_credits: { type: 'number' },
+                closing_balance: { type: 'number' }
+              }
+            }
+          },
+          postings: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                posting_id: { type: 'integer' },
+                journal_id: { type: 'integer' },
+                txn_id: { type: 'integer', nullable: true },
+                reference: { type: 'string', nullable: true },
+                account_id: { type: 'integer', nullable: true },
+                posted_at: { type: 'string', format: 'date-time' },
+                description: { type: 'string' },
+                currency: { type: 'string' },
+                debit: { type: 'number' },
+                credit: { type: 'number' },
+                balance: {
+                  type: 'number',
+                  description: 'Running balance in the posting currency'
+                }
+              }
+            }
+          }
+        }
+      },
+      ReconciliationRunRequest: {
+        type: 'object',
+        properties: {
+          auto_repair: {
+            type: 'boolean',
+            default: false,
+            description: 'Repair each break as it is found'
+          },
+          account_id: {
+            type: 'integer',
+            description: 'Check only this account'
+          }
+        }
+      },
+      ReconciliationRun: {
+        type: 'object',
+        properties: {
+          run_id: {
+            type: 'integer',
+            description: 'Unique run identifier'
+          },
+          triggered_by: {
+            type: 'string',
+            enum: ['SCHEDULE', 'ADMIN']
+          },
+          account_id: {
+            type: 'integer',
+            nullable: true,
+            description: 'Account checked (null when the run checked every account)'
+          },
+          auto_repair: {
+            type: 'boolean'
+          },
+          status: {
+            type: 'string',
+            enum: ['RUNNING', 'COMPLETED', 'FAILED']
+          },
+          accounts_checked: {
+            type: 'integer'
+          },
+          breaks_found: {
+            type: 'integer'
+          },
+          breaks_repaired: {
+            type: 'integer'
+          },
+          breaks_resolved: {
+            type: 'integer',
+            description: 'Earlier breaks closed because the account reconciles again'
+          },
+          error: {
+            type: 'string',
+            nullable: true
+          },
+          started_at: {
+            type: 'string',
+            format: 'date-time'
+          },
+          completed_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          }
+        }
+      },
+      ReconciliationBreak: {
+        type: 'object',
+        properties: {
+          break_id: {
+            type: 'integer',
+            description: 'Unique break identifier'
+          },
+          account_id: {
+            type: 'integer'
+          },
+          currency: {
+            type: 'string'
+          },
+          opening_balance: {
+            type: 'number'
+          },
+          transaction_total: {
+            type: 'number',
+            description: 'Net of every posted transaction (credits less debits)'
+          },
+          expected_balance: {
+            type: 'number',
+            description: 'Opening balance plus transaction total'
+          },
+          projected_balance: {
+            type: 'number',
+            description: 'Balance held on the account projection when last checked'
+          },
+          difference: {
+            type: 'number',
+            description: 'Projected less expected balance'
+          },
+          status: {
+            type: 'string',
+            enum: ['OPEN', 'REPAIRED', 'RESOLVED']
+          },
+          detected_run_id: {
+            type: 'integer'
+          },
+          last_run_id: {
+            type: 'integer'
+          },
+          detected_at: {
+            type: 'string',
+            format: 'date-time'
+          },
+          last_detected_at: {
+            type: 'string',
+            format: 'date-time'
+          },
+          repaired_by: {
+            type: 'string',
+            enum: ['AUTO_REPAIR', 'ADMIN'],
+            nullable: true
+          },
+          balance_before: {
+            type: 'number',
+            nullable: true,
+            description: 'Projected balance the repair replaced'
+          },
+          balance_after: {
+            type: 'number',
+            nullable: true,
+            description: 'Projected balance the repair set'
+          },
+          closed_at: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true
+          }
+        }
+      },
+      FxRateRequest: {
+        type: 'object',
+        required: ['base_currency', 'quote_currency', 'rate'],
+        properties: {
+          base_currency: {
+            type: 'string',
+            description: 'ISO 4217 code of the currency converted from'
+          },
+          quote_currency: {
+            type: 'string',
+            description: 'ISO 4217 code of the currency converted to'
+          },
+          rate: {
+            type: 'number',
+            description: 'Units of quote currency per unit of base currency'
+          },
+          spread_percent: {
+            type: 'number',
+            minimum: 0,
+            default: 0,
+            description: 'Spread deducted from the rate, in percent'
+          },
+          effective_from: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Start of the validity window (defaults to now)'
+          },
+          effective_to: {
+            type: 'string',
+            format: 'date-time',
+            description: 'End of the validity window (open-ended when omitted)'
+          }
+        }
+      },
+      WithdrawalRequest: {
+        type: 'object',
+        required: ['account_id', 'amount'],
+        properties: {
+          account_id: {
+            type: 'integer',
+            description: 'Account ID to withdraw from'
+          },
+          amount: {
+            type: 'number',
+            minimum: 0.01,
+            description: 'Withdrawal amount'
+          },
+          counterparty: {
+            type: 'string',
+            maxLength: 255,
+            description: 'Destination of the withdrawal'
+          },
+          description: {
+            type: 'string',
+            maxLength: 255,
+            description: 'Withdrawal description'
+          }
+        }
+      }
+    },
+    parameters: {
+      IdempotencyKey: {
+        in: 'header',
+        name: 'X-Idempotency-Key',
+        required: false,
+        schema: {
+          type: 'string',
+          minLength: 1,
+          maxLength: 255
+        },
+        description: 'Makes the request safe to retry: a repeat with the same key gets the original status code and body back (marked Idempotent-Replayed: true) instead of being processed again. An idempotency_key body field is accepted as a fallback. A different request (method, URL or body) under a used key is rejected with 409. Keys expire after 24 hours; error responses release the key.'
+      },
+      SearchReference: {
+        in: 'query',
+        name: 'reference',
+        schema: {
+          type: 'string',
+          maxLength: 50
+        },
+        description: 'Reference prefix, e.g. REF20260302'
+      },
+      SearchCounterparty: {
+        in: 'query',
+        name: 'counterparty',
+        schema: {
+          type: 'string',
+          minLength: 3,
+          maxLength: 255
+        },
+        description: 'Text anywhere in the counterparty, case-insensitive'
+      },
+      SearchDescription: {
+        in: 'query',
+        name: 'description',
+        schema: {
+          type: 'string',
+          maxLength: 200
+        },
+        description: 'Keywords that must all appear in the description (English stemming, any order)'
+      },
+      SearchMinAmount: {
+        in: 'query',
+        name: 'min_amount',
+        schema: {
+          type: 'number',
+          minimum: 0
+        },
+        description: 'Smallest amount, inclusive'
+      },
+      SearchMaxAmount: {
+        in: 'query',
+        name: 'max_amount',
+        schema: {
+          type: 'number',
+          minimum: 0
+        },
+        description: 'Largest amount, inclusive'
+      },
+      SearchSort: {
+        in: 'query',
+        name: 'sort',
+        schema: {
+          type: 'string',
+          enum: ['created_at', 'amount', 'reference'],
+          default: 'created_at'
+        },
+        description: 'Field to sort by; ties are broken by transaction ID'
+      },
+      SearchOrder: {
+        in: 'query',
+        name: 'order',
+        schema: {
+          type: 'string',
+          enum: ['asc', 'desc'],
+          default: 'desc'
+        },
+        description: 'Sort order'
+      }
+    },
+    securitySchemes: {
+      AdminToken: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'ADMIN_API_TOKEN, required by every /admin route'
+      }
+    },
+    responses: {
+      Unauthorized: {
+        description: 'Missing or invalid admin token',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/ErrorResponse'
+            }
+          }
+        }
+      },
+      IdempotencyConflict: {
+        description: 'Idempotency key already used for a different request (code IDEMPOTENCY_KEY_REUSED), its first request is still in progress (code IDEMPOTENCY_REQUEST_IN_PROGRESS), or its first request posted a transaction but crashed before storing the response (code IDEMPOTENCY_RESPONSE_LOST)',
+        headers: {
+          'Retry-After': {
+            description: 'Seconds to wait before retrying, sent with IDEMPOTENCY_REQUEST_IN_PROGRESS',
+            schema: {
+              type: 'integer'
+            }
+          }
+        },
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/ErrorResponse'
+            }
+          }
+        }
+      },
+      BadRequest: {
+        description: 'Bad request',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/ErrorResponse'
+            }
+          }
+        }
+      },
+      NotFound: {
+        description: 'Resource not found',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/ErrorResponse'
+            }
+          }
+        }
+      },
+      Conflict: {
+        description: 'Conflict',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/ErrorResponse'
+            }
+          }
+        }
+      },
+      InternalServerError: {
+        description: 'Internal server error',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/ErrorResponse'
+            }
+          }
+        }
+      }
+    }
+  },
+  tags: [
+    {
+      name: 'Transactions',
+      description: 'Transaction operations'
+    },
+    {
+      name: 'Scheduled Transfers',
+      description: 'Future-dated transfer operations'
+    },
+    {
+      name: 'Standing Instructions',
+      description: 'Recurring transfer operations'
+    },
+    {
+      name: 'Batches',
+      description: 'Bulk payment file operations'
+    },
+    {
+      name: 'Holds',
+      description: 'Authorization hold (pre-authorize, capture, void) operations'
+    },
+    {
+      name: 'FX Rates',
+      description: 'Currency conversion rate administration'
+    },
+    {
+      name: 'Fee Schedules',
+      description: 'Withdrawal and transfer fee administration'
+    },
+    {
+      name: 'Transaction Limits',
+      description: 'Per-transaction, daily and monthly limit administration and usage'
+    },
+    {
+      name: 'Overdrafts',
+      description: 'Account overdraft limit administration'
+    },
+    {
+      name: 'Interest',
+      description: 'Interest rate slabs and accrual reports'
+    },
+    {
+      name: 'General Ledger',
+      description: 'Chart of accounts, journals, trial balance and ledger account statements'
+    },
+    {
+      name: 'Reconciliation',
+      description: 'Balance reconciliation runs, breaks and repairs'
+    },
+    {
+      name: 'Transaction Search',
+      description: 'Bank-wide transaction search for support staff'
     },
     {
       name: 'Health',
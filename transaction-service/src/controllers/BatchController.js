@@ -0,0 +1,80 @@
+const batchService = require('../services/BatchService');
+const batchProcessor = require('../jobs/BatchProcessor');
+const ApiResponse = require('../utils/ApiResponse');
+const { logTransaction } = require('../utils/logger');
+
+/**
+ * Batch Controller
+ * Handles HTTP requests for bulk payment file uploads
+ */
+class BatchController {
+  /**
+   * Upload a bulk payment CSV and queue it for processing
+   */
+  async upload(req, res, next) {
+    try {
+      const csvText = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+
+      if (!csvText) {
+        const response = ApiResponse.validationError([{ line: 0, message: 'CSV file body is required' }]);
+        return res.status(response.statusCode).json(response);
+      }
+
+      const validation = await batchService.validateBatchFile(csvText);
+      if (!validation.isValid) {
+        const response = ApiResponse.validationError(validation.errors);
+        return res.status(response.statusCode).json(response);
+      }
+
+      const batch = await batchService.createBatch(validation.lines, {
+        mode: req.query.mode,
+        file_name: req.query.file_name
+      });
+
+      logTransaction('BATCH_QUEUED', batch, { ip: req.ip });
+
+      // Start processing right away instead of waiting for the next poll
+      setImmediate(() => batchProcessor.runOnce());
+
+      const response = ApiResponse.success(batch, 'Batch accepted for processing', 202);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get batch status with per-line results
+   */
+  async getStatus(req, res, next) {
+    try {
+      const batchId = parseInt(req.params.batchId);
+
+      const batch = await batchService.getBatch(batchId);
+
+      const response = ApiResponse.success(batch, 'Batch status retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download batch result file
+   */
+  async downloadResult(req, res, next) {
+    try {
+      const batchId = parseInt(req.params.batchId);
+
+      const csv = await batchService.getBatchResultCsv(batchId);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="batch-${batchId}-result.csv"`);
+      res.status(200).send(csv);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new BatchController();
@@ -0,0 +1,83 @@
+const feeService = require('../services/FeeService');
+const ApiResponse = require('../utils/ApiResponse');
+const { logTransaction } = require('../utils/logger');
+
+/**
+ * Fee Schedule Controller
+ * Handles HTTP requests for fee schedule administration
+ */
+class FeeScheduleController {
+  /**
+   * Create a fee schedule
+   */
+  async create(req, res, next) {
+    try {
+      const feeSchedule = await feeService.createSchedule(req.body);
+
+      logTransaction('FEE_SCHEDULE_CREATED', feeSchedule, { ip: req.ip });
+
+      const response = ApiResponse.success(feeSchedule, 'Fee schedule created successfully', 201);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List fee schedules
+   */
+  async list(req, res, next) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50,
+        account_type: req.query.account_type,
+        txn_type: req.query.txn_type,
+        active: req.query.active === 'true'
+      };
+
+      const result = await feeService.listSchedules(options);
+
+      const response = ApiResponse.success(result, 'Fee schedules retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get fee schedule by ID
+   */
+  async getById(req, res, next) {
+    try {
+      const feeScheduleId = parseInt(req.params.feeScheduleId);
+
+      const feeSchedule = await feeService.getSchedule(feeScheduleId);
+
+      const response = ApiResponse.success(feeSchedule, 'Fee schedule retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Expire a fee schedule
+   */
+  async expire(req, res, next) {
+    try {
+      const feeScheduleId = parseInt(req.params.feeScheduleId);
+
+      const feeSchedule = await feeService.expireSchedule(feeScheduleId);
+
+      logTransaction('FEE_SCHEDULE_EXPIRED', feeSchedule, { ip: req.ip });
+
+      const response = ApiResponse.success(feeSchedule, 'Fee schedule expired successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new FeeScheduleController();
@@ -0,0 +1,83 @@
+const fxRateService = require('../services/FxRateService');
+const ApiResponse = require('../utils/ApiResponse');
+const { logTransaction } = require('../utils/logger');
+
+/**
+ * FX Rate Controller
+ * Handles HTTP requests for currency conversion rate administration
+ */
+class FxRateController {
+  /**
+   * Create an FX rate
+   */
+  async create(req, res, next) {
+    try {
+      const fxRate = await fxRateService.createRate(req.body);
+
+      logTransaction('FX_RATE_CREATED', fxRate, { ip: req.ip });
+
+      const response = ApiResponse.success(fxRate, 'FX rate created successfully', 201);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List FX rates
+   */
+  async list(req, res, next) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50,
+        base_currency: req.query.base_currency,
+        quote_currency: req.query.quote_currency,
+        active: req.query.active === 'true'
+      };
+
+      const result = await fxRateService.listRates(options);
+
+      const response = ApiResponse.success(result, 'FX rates retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get FX rate by ID
+   */
+  async getById(req, res, next) {
+    try {
+      const rateId = parseInt(req.params.rateId);
+
+      const fxRate = await fxRateService.getRate(rateId);
+
+      const response = ApiResponse.success(fxRate, 'FX rate retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Expire an FX rate
+   */
+  async expire(req, res, next) {
+    try {
+      const rateId = parseInt(req.params.rateId);
+
+      const fxRate = await fxRateService.expireRate(rateId);
+
+      logTransaction('FX_RATE_EXPIRED', fxRate, { ip: req.ip });
+
+      const response = ApiResponse.success(fxRate, 'FX rate expired successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new FxRateController();
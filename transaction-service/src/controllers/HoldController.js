@@ -0,0 +1,104 @@
+const holdService = require('../services/HoldService');
+const ApiResponse = require('../utils/ApiResponse');
+const { logTransaction } = require('../utils/logger');
+
+/**
+ * Hold Controller
+ * Handles HTTP requests for authorization holds
+ */
+class HoldController {
+  /**
+   * Place a hold (pre-authorize)
+   */
+  async create(req, res, next) {
+    try {
+      logTransaction('HOLD_INITIATED', req.body, { ip: req.ip });
+
+      const result = await holdService.createHold(req.body);
+
+      logTransaction('HOLD_CREATED', result.hold, { ip: req.ip });
+
+      const response = ApiResponse.success(result, 'Hold placed successfully', 201);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List holds
+   */
+  async list(req, res, next) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50,
+        account_id: req.query.account_id ? parseInt(req.query.account_id) : undefined,
+        status: req.query.status
+      };
+
+      const result = await holdService.listHolds(options);
+
+      const response = ApiResponse.success(result, 'Holds retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get hold by ID
+   */
+  async getById(req, res, next) {
+    try {
+      const holdId = parseInt(req.params.holdId);
+
+      const hold = await holdService.getHold(holdId);
+
+      const response = ApiResponse.success(hold, 'Hold retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Capture a hold in full or in part
+   */
+  async capture(req, res, next) {
+    try {
+      const holdId = parseInt(req.params.holdId);
+
+      logTransaction('HOLD_CAPTURE_INITIATED', { holdId, ...req.body }, { ip: req.ip });
+
+      const result = await holdService.captureHold(holdId, req.body);
+
+      logTransaction('HOLD_CAPTURED', result, { ip: req.ip });
+
+      const response = ApiResponse.success(result, 'Hold captured successfully', 201);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Void a hold
+   */
+  async void(req, res, next) {
+    try {
+      const holdId = parseInt(req.params.holdId);
+
+      const hold = await holdService.voidHold(holdId, req.body.reason);
+
+      logTransaction('HOLD_VOIDED', hold, { ip: req.ip });
+
+      const response = ApiResponse.success(hold, 'Hold voided successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new HoldController();
@@ -0,0 +1,102 @@
+const interestService = require('../services/InterestService');
+const ApiResponse = require('../utils/ApiResponse');
+const { logTransaction } = require('../utils/logger');
+
+/**
+ * Interest Controller
+ * Handles HTTP requests for interest rate slab administration and accrual reports
+ */
+class InterestController {
+  /**
+   * Create an interest rate slab
+   */
+  async createSlab(req, res, next) {
+    try {
+      const slab = await interestService.createSlab(req.body);
+
+      logTransaction('INTEREST_SLAB_CREATED', slab, { ip: req.ip });
+
+      const response = ApiResponse.success(slab, 'Interest rate slab created successfully', 201);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List interest rate slabs
+   */
+  async listSlabs(req, res, next) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50,
+        account_type: req.query.account_type,
+        active: req.query.active === 'true'
+      };
+
+      const result = await interestService.listSlabs(options);
+
+      const response = ApiResponse.success(result, 'Interest rate slabs retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get interest rate slab by ID
+   */
+  async getSlab(req, res, next) {
+    try {
+      const slabId = parseInt(req.params.slabId);
+
+      const slab = await interestService.getSlab(slabId);
+
+      const response = ApiResponse.success(slab, 'Interest rate slab retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Expire an interest rate slab
+   */
+  async expireSlab(req, res, next) {
+    try {
+      const slabId = parseInt(req.params.slabId);
+
+      const slab = await interestService.expireSlab(slabId);
+
+      logTransaction('INTEREST_SLAB_EXPIRED', slab, { ip: req.ip });
+
+      const response = ApiResponse.success(slab, 'Interest rate slab expired successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the interest accrual report for an account
+   */
+  async getAccrualReport(req, res, next) {
+    try {
+      const accountId = parseInt(req.params.accountId);
+
+      const report = await interestService.getAccrualReport(
+        accountId,
+        req.query.from_date ? req.query.from_date.slice(0, 10) : null,
+        req.query.to_date ? req.query.to_date.slice(0, 10) : null
+      );
+
+      const response = ApiResponse.success(report, 'Interest accrual report retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new InterestController();
@@ -0,0 +1,140 @@
+const ledgerService = require('../services/LedgerService');
+const ApiResponse = require('../utils/ApiResponse');
+const { logTransaction } = require('../utils/logger');
+
+/**
+ * Ledger Controller
+ * Handles HTTP requests for the general ledger
+ */
+class LedgerController {
+  /**
+   * List the chart of accounts
+   */
+  async listAccounts(req, res, next) {
+    try {
+      const accounts = await ledgerService.listAccounts({ account_type: req.query.account_type });
+
+      const response = ApiResponse.success(accounts, 'Ledger accounts retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a ledger account
+   */
+  async createAccount(req, res, next) {
+    try {
+      const account = await ledgerService.createAccount(req.body);
+
+      logTransaction('LEDGER_ACCOUNT_CREATED', account, { ip: req.ip });
+
+      const response = ApiResponse.success(account, 'Ledger account created successfully', 201);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a ledger account statement
+   */
+  async getAccountStatement(req, res, next) {
+    try {
+      const statement = await ledgerService.getAccountStatement(req.params.code, {
+        from_date: req.query.from_date,
+        to_date: req.query.to_date,
+        account_id: req.query.account_id ? parseInt(req.query.account_id) : null,
+        currency: req.query.currency
+      });
+
+      const response = ApiResponse.success(statement, 'Ledger account statement retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the trial balance
+   */
+  async getTrialBalance(req, res, next) {
+    try {
+      const trialBalance = await ledgerService.getTrialBalance(req.query.as_of);
+
+      const response = ApiResponse.success(trialBalance, 'Trial balance retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Post a manual journal
+   */
+  async postJournal(req, res, next) {
+    try {
+      const journal = await ledgerService.postManualJournal(req.body);
+
+      logTransaction('MANUAL_JOURNAL_POSTED', journal, { ip: req.ip });
+
+      const response = ApiResponse.success(journal, 'Journal posted successfully', 201);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List journals
+   */
+  async listJournals(req, res, next) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50,
+        from_date: req.query.from_date,
+        to_date: req.query.to_date,
+        manual: req.query.manual === 'true'
+      };
+
+      const result = await ledgerService.listJournals(options);
+
+      const response = ApiResponse.success(result, 'Journals retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get journal by ID
+   */
+  async getJournal(req, res, next) {
+    try {
+      const journal = await ledgerService.getJournal(parseInt(req.params.journalId));
+
+      const response = ApiResponse.success(journal, 'Journal retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the journal posted for a transaction
+   */
+  async getTransactionJournal(req, res, next) {
+    try {
+      const journal = await ledgerService.getTransactionJournal(parseInt(req.params.txnId));
+
+      const response = ApiResponse.success(journal, 'Journal retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new LedgerController();
@@ -0,0 +1,101 @@
+const limitService = require('../services/LimitService');
+const ApiResponse = require('../utils/ApiResponse');
+const { logTransaction } = require('../utils/logger');
+
+/**
+ * Limit Controller
+ * Handles HTTP requests for transaction limit administration and account usage
+ */
+class LimitController {
+  /**
+   * Create a transaction limit
+   */
+  async create(req, res, next) {
+    try {
+      const limit = await limitService.createLimit(req.body);
+
+      logTransaction('TRANSACTION_LIMIT_CREATED', limit, { ip: req.ip });
+
+      const response = ApiResponse.success(limit, 'Transaction limit created successfully', 201);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List transaction limits
+   */
+  async list(req, res, next) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50,
+        account_type: req.query.account_type,
+        kyc_tier: req.query.kyc_tier,
+        txn_type: req.query.txn_type,
+        period: req.query.period,
+        active: req.query.active === 'true'
+      };
+
+      const result = await limitService.listLimits(options);
+
+      const response = ApiResponse.success(result, 'Transaction limits retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get transaction limit by ID
+   */
+  async getById(req, res, next) {
+    try {
+      const limitId = parseInt(req.params.limitId);
+
+      const limit = await limitService.getLimit(limitId);
+
+      const response = ApiResponse.success(limit, 'Transaction limit retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Expire a transaction limit
+   */
+  async expire(req, res, next) {
+    try {
+      const limitId = parseInt(req.params.limitId);
+
+      const limit = await limitService.expireLimit(limitId);
+
+      logTransaction('TRANSACTION_LIMIT_EXPIRED', limit, { ip: req.ip });
+
+      const response = ApiResponse.success(limit, 'Transaction limit expired successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get limit usage and headroom for an account
+   */
+  async getAccountUsage(req, res, next) {
+    try {
+      const accountId = parseInt(req.params.accountId);
+
+      const usage = await limitService.getAccountUsage(accountId);
+
+      const response = ApiResponse.success(usage, 'Limit usage retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new LimitController();
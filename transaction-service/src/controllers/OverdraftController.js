@@ -0,0 +1,45 @@
+const overdraftService = require('../services/OverdraftService');
+const ApiResponse = require('../utils/ApiResponse');
+const { logTransaction } = require('../utils/logger');
+
+/**
+ * Overdraft Controller
+ * Handles HTTP requests for account overdraft administration
+ */
+class OverdraftController {
+  /**
+   * Get an account's overdraft
+   */
+  async get(req, res, next) {
+    try {
+      const accountId = parseInt(req.params.accountId);
+
+      const overdraft = await overdraftService.getOverdraft(accountId);
+
+      const response = ApiResponse.success(overdraft, 'Overdraft retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set an account's overdraft limit and rate
+   */
+  async update(req, res, next) {
+    try {
+      const accountId = parseInt(req.params.accountId);
+
+      const overdraft = await overdraftService.setOverdraft(accountId, req.body);
+
+      logTransaction('OVERDRAFT_UPDATED', overdraft, { ip: req.ip });
+
+      const response = ApiResponse.success(overdraft, 'Overdraft updated successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new OverdraftController();
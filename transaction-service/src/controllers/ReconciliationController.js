@@ -0,0 +1,112 @@
+const reconciliationService = require('../services/ReconciliationService');
+const ApiResponse = require('../utils/ApiResponse');
+const { logTransaction } = require('../utils/logger');
+
+/**
+ * Reconciliation Controller
+ * Handles HTTP requests for balance reconciliation
+ */
+class ReconciliationController {
+  /**
+   * Run a reconciliation now
+   */
+  async run(req, res, next) {
+    try {
+      const run = await reconciliationService.run({
+        triggered_by: 'ADMIN',
+        auto_repair: req.body.auto_repair === true,
+        account_id: req.body.account_id ? parseInt(req.body.account_id) : null
+      });
+
+      const { breaks, ...summary } = run;
+      logTransaction('RECONCILIATION_RUN', summary, { ip: req.ip, breakIds: breaks.map(({ break_id }) => break_id) });
+
+      const response = ApiResponse.success(run, 'Reconciliation completed successfully', 201);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List reconciliation runs
+   */
+  async listRuns(req, res, next) {
+    try {
+      const result = await reconciliationService.listRuns({
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50
+      });
+
+      const response = ApiResponse.success(result, 'Reconciliation runs retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get reconciliation run by ID
+   */
+  async getRun(req, res, next) {
+    try {
+      const run = await reconciliationService.getRun(parseInt(req.params.runId));
+
+      const response = ApiResponse.success(run, 'Reconciliation run retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List reconciliation breaks
+   */
+  async listBreaks(req, res, next) {
+    try {
+      const result = await reconciliationService.listBreaks({
+        status: req.query.status,
+        account_id: req.query.account_id ? parseInt(req.query.account_id) : null,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50
+      });
+
+      const response = ApiResponse.success(result, 'Reconciliation breaks retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get reconciliation break by ID
+   */
+  async getBreak(req, res, next) {
+    try {
+      const reconciliationBreak = await reconciliationService.getBreak(parseInt(req.params.breakId));
+
+      const response = ApiResponse.success(reconciliationBreak, 'Reconciliation break retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Repair a reconciliation break
+   */
+  async repairBreak(req, res, next) {
+    try {
+      const reconciliationBreak = await reconciliationService.repairBreak(parseInt(req.params.breakId));
+
+      logTransaction('RECONCILIATION_BREAK_CLOSED', reconciliationBreak, { ip: req.ip });
+
+      const response = ApiResponse.success(reconciliationBreak, 'Reconciliation break closed successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ReconciliationController();
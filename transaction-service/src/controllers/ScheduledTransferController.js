@@ -0,0 +1,86 @@
+const scheduledTransferService = require('../services/ScheduledTransferService');
+const ApiResponse = require('../utils/ApiResponse');
+const { logTransaction } = require('../utils/logger');
+
+/**
+ * Scheduled Transfer Controller
+ * Handles HTTP requests for future-dated transfers
+ */
+class ScheduledTransferController {
+  /**
+   * List scheduled transfers
+   */
+  async list(req, res, next) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50,
+        account_id: req.query.account_id ? parseInt(req.query.account_id) : undefined,
+        status: req.query.status
+      };
+
+      const result = await scheduledTransferService.listSchedules(options);
+
+      const response = ApiResponse.success(result, 'Scheduled transfers retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get scheduled transfer by ID
+   */
+  async getById(req, res, next) {
+    try {
+      const scheduleId = parseInt(req.params.scheduleId);
+
+      const schedule = await scheduledTransferService.getSchedule(scheduleId);
+
+      const response = ApiResponse.success(schedule, 'Scheduled transfer retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Amend a pending scheduled transfer
+   */
+  async amend(req, res, next) {
+    try {
+      const scheduleId = parseInt(req.params.scheduleId);
+
+      logTransaction('SCHEDULED_TRANSFER_AMEND_INITIATED', { scheduleId, ...req.body }, { ip: req.ip });
+
+      const schedule = await scheduledTransferService.amendSchedule(scheduleId, req.body);
+
+      logTransaction('SCHEDULED_TRANSFER_AMENDED', schedule, { ip: req.ip });
+
+      const response = ApiResponse.success(schedule, 'Scheduled transfer amended successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a pending scheduled transfer
+   */
+  async cancel(req, res, next) {
+    try {
+      const scheduleId = parseInt(req.params.scheduleId);
+
+      const schedule = await scheduledTransferService.cancelSchedule(scheduleId);
+
+      logTransaction('SCHEDULED_TRANSFER_CANCELLED', schedule, { ip: req.ip });
+
+      const response = ApiResponse.success(schedule, 'Scheduled transfer cancelled successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ScheduledTransferController();
@@ -0,0 +1,124 @@
+const standingInstructionService = require('../services/StandingInstructionService');
+const ApiResponse = require('../utils/ApiResponse');
+const { logTransaction } = require('../utils/logger');
+
+/**
+ * Standing Instruction Controller
+ * Handles HTTP requests for recurring transfers
+ */
+class StandingInstructionController {
+  /**
+   * Create a standing instruction
+   */
+  async create(req, res, next) {
+    try {
+      logTransaction('STANDING_INSTRUCTION_CREATE_INITIATED', req.body, { ip: req.ip });
+
+      const instruction = await standingInstructionService.createInstruction(req.body);
+
+      logTransaction('STANDING_INSTRUCTION_CREATED', instruction, { ip: req.ip });
+
+      const response = ApiResponse.success(instruction, 'Standing instruction created successfully', 201);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List standing instructions
+   */
+  async list(req, res, next) {
+    try {
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50,
+        account_id: req.query.account_id ? parseInt(req.query.account_id) : undefined,
+        status: req.query.status
+      };
+
+      const result = await standingInstructionService.listInstructions(options);
+
+      const response = ApiResponse.success(result, 'Standing instructions retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get standing instruction by ID
+   */
+  async getById(req, res, next) {
+    try {
+      const instructionId = parseInt(req.params.instructionId);
+
+      const instruction = await standingInstructionService.getInstruction(instructionId);
+
+      const response = ApiResponse.success(instruction, 'Standing instruction retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update (amend, pause or resume) a standing instruction
+   */
+  async update(req, res, next) {
+    try {
+      const instructionId = parseInt(req.params.instructionId);
+
+      logTransaction('STANDING_INSTRUCTION_UPDATE_INITIATED', { instructionId, ...req.body }, { ip: req.ip });
+
+      const instruction = await standingInstructionService.updateInstruction(instructionId, req.body);
+
+      logTransaction('STANDING_INSTRUCTION_UPDATED', instruction, { ip: req.ip });
+
+      const response = ApiResponse.success(instruction, 'Standing instruction updated successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a standing instruction
+   */
+  async cancel(req, res, next) {
+    try {
+      const instructionId = parseInt(req.params.instructionId);
+
+      const instruction = await standingInstructionService.cancelInstruction(instructionId);
+
+      logTransaction('STANDING_INSTRUCTION_CANCELLED', instruction, { ip: req.ip });
+
+      const response = ApiResponse.success(instruction, 'Standing instruction cancelled successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get run history for a standing instruction
+   */
+  async getRuns(req, res, next) {
+    try {
+      const instructionId = parseInt(req.params.instructionId);
+      const options = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50
+      };
+
+      const result = await standingInstructionService.getRunHistory(instructionId, options);
+
+      const response = ApiResponse.success(result, 'Standing instruction runs retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new StandingInstructionController();
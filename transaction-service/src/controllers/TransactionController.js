@@ -1,6 +1,117 @@
 const transactionService = require('../services/TransactionService');
+const scheduledTransferService = require('../services/ScheduledTransferService');
+const statementService = require('../services/StatementService');
 const ApiResponse = require('../utils/ApiResponse');
-const { logTransaction } = require('../utils/logger');
+const { renderStatementPdf } = require('../utils/statementPdf');
+const { writeCamt053 } = require('../utils/camt053');
+const { writeMt940 } = require('../utils/mt940');
+const { writeOfx, writeQfx } = require('../utils/ofx');
+const { writeCsv, writeNdjson, parseColumns } = require('../utils/transactionExport');
+const { logger, logTransaction } = require('../utils/logger');
+
+const STATEMENT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf', write: renderStatementPdf },
+  camt053: { contentType: 'application/xml; charset=utf-8', extension: 'xml', write: writeCamt053 },
+  mt940: { contentType: 'text/plain; charset=utf-8', extension: 'sta', write: writeMt940 },
+  ofx: { contentType: 'application/x-ofx', extension: 'ofx', write: writeOfx },
+  qfx: { contentType: 'application/vnd.intu.qfx', extension: 'qfx', write: writeQfx }
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', write: writeCsv },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson', write: writeNdjson }
+};
+
+/**
+ * Search options from a search request's query
+ * @param {Object} query - Request query
+ * @returns {Object} Options for TransactionService.searchTransactions
+ */
+function searchOptions(query) {
+  return {
+    reference: query.reference,
+    counterparty: query.counterparty,
+    description: query.description,
+    min_amount: query.min_amount !== undefined ? parseFloat(query.min_amount) : undefined,
+    max_amount: query.max_amount !== undefined ? parseFloat(query.max_amount) : undefined,
+    txn_type: query.txn_type,
+    status: query.status,
+    from_date: query.from_date,
+    to_date: query.to_date,
+    sort: query.sort,
+    order: query.order,
+    page: parseInt(query.page) || 1,
+    limit: parseInt(query.limit) || 50
+  };
+}
+
+/**
+ * Link to another keyset page of the current request
+ * @param {Object} req - Request; its filters are kept and any offset paging dropped
+ * @param {string|null} cursor - Cursor of the page
+ * @returns {string|null} Path and query of the page, or null when there is no such page
+ */
+function pageLink(req, cursor) {
+  if (!cursor) {
+    return null;
+  }
+
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.delete('page');
+  url.searchParams.delete('paging');
+  url.searchParams.set('cursor', cursor);
+  return `${url.pathname}${url.search}`;
+}
+
+/**
+ * Report an error from a streamed download
+ * @param {Error} error - Error
+ * @param {Object} res - Response the download is written to
+ * @param {Function} next - Error handler, used until the download starts streaming
+ * @param {string} message - Log message
+ * @param {Object} context - Log context
+ */
+function failDownload(error, res, next, message, context) {
+  // Once the download has started streaming, the status can no longer change
+  if (res.headersSent) {
+    logger.error(message, { ...context, error: error.message });
+    res.destroy(error);
+    return;
+  }
+
+  next(error);
+}
+
+/**
+ * Stream an account statement in one of the statement formats
+ * @param {Object} req - Request (accountId param, from_date and to_date query)
+ * @param {Object} res - Response the document is written to
+ * @param {Function} next - Error handler, used until the document starts streaming
+ * @param {Object} format - Entry of STATEMENT_FORMATS
+ */
+async function streamStatement(req, res, next, format) {
+  try {
+    const accountId = parseInt(req.params.accountId);
+    const options = {
+      from_date: req.query.from_date,
+      to_date: req.query.to_date
+    };
+
+    await statementService.withStatement(accountId, options, async (statement, lines) => {
+      const { account, period } = statement;
+
+      res.setHeader('Content-Type', format.contentType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="statement-${account.account_number}-${period.from}-${period.to}.${format.extension}"`
+      );
+
+      await format.write(statement, lines, res);
+    });
+  } catch (error) {
+    failDownload(error, res, next, 'Account statement failed while streaming', { accountId: req.params.accountId });
+  }
+}
 
 /**
  * Transaction Controller
@@ -16,7 +127,8 @@ class TransactionController {
       
       logTransaction('DEPOSIT_INITIATED', depositData, { ip: req.ip });
       
-      const result = await transactionService.processDeposit(depositData);
+      // The deposit is recorded on the request's idempotency key, if any, as it posts
+      const result = await transactionService.processDeposit(depositData, null, req.idempotencyClaim);
       
       logTransaction('DEPOSIT_COMPLETED', result, { ip: req.ip });
       
@@ -36,7 +148,7 @@ class TransactionController {
       
       logTransaction('WITHDRAWAL_INITIATED', withdrawalData, { ip: req.ip });
       
-      const result = await transactionService.processWithdrawal(withdrawalData);
+      const result = await transactionService.processWithdrawal(withdrawalData, null, req.idempotencyClaim);
       
       logTransaction('WITHDRAWAL_COMPLETED', result, { ip: req.ip });
       
@@ -53,7 +165,6 @@ class TransactionController {
   async transfer(req, res, next) {
     try {
       const transferData = req.body;
-      const idempotencyKey = req.body.idempotency_key;
       
       // Validate transfer data
       const validation = transactionService.validateTransferData(transferData);
@@ -62,9 +173,23 @@ class TransactionController {
         return res.status(response.statusCode).json(response);
       }
       
-      logTransaction('TRANSFER_INITIATED', { ...transferData, idempotencyKey }, { ip: req.ip });
+      // Future-dated transfers are queued for the background executor
+      if (transferData.execute_at && new Date(transferData.execute_at) > new Date()) {
+        logTransaction('TRANSFER_SCHEDULE_INITIATED', transferData, { ip: req.ip });
+
+        const schedule = await scheduledTransferService.scheduleTransfer(transferData);
+
+        logTransaction('TRANSFER_SCHEDULED', schedule, { ip: req.ip });
+
+        const response = ApiResponse.success(schedule, 'Transfer scheduled successfully', 202);
+        return res.status(response.statusCode).json(response);
+      }
+
+      logTransaction('TRANSFER_INITIATED', { ...transferData, idempotencyKey: req.idempotencyKey }, { ip: req.ip });
       
-      const result = await transactionService.processTransfer(transferData, idempotencyKey);
+      // Retries with the same key are answered by the idempotency middleware; the transfer is
+      // recorded on the key as it posts
+      const result = await transactionService.processTransfer(transferData, null, null, req.idempotencyClaim);
       
       logTransaction('TRANSFER_COMPLETED', result, { ip: req.ip });
       
@@ -75,6 +200,27 @@ class TransactionController {
     }
   }
 
+  /**
+   * Reverse (or partially refund) a transaction
+   */
+  async reverse(req, res, next) {
+    try {
+      const txnId = parseInt(req.params.txnId);
+      const reversalData = req.body;
+
+      logTransaction('REVERSAL_INITIATED', { txnId, ...reversalData }, { ip: req.ip });
+
+      const result = await transactionService.reverseTransaction(txnId, reversalData);
+
+      logTransaction('REVERSAL_COMPLETED', result, { ip: req.ip });
+
+      const response = ApiResponse.success(result, 'Reversal processed successfully', 201);
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get transaction history for an account
    */
@@ -85,10 +231,23 @@ class TransactionController {
         page: parseInt(req.query.page) || 1,
         limit: parseInt(req.query.limit) || 50,
         from_date: req.query.from_date,
-        to_date: req.query.to_date
+        to_date: req.query.to_date,
+        status: req.query.status,
+        txn_type: req.query.txn_type,
+        include_holds: req.query.include_holds === 'true',
+        mode: req.query.mode,
+        paging: req.query.paging,
+        cursor: req.query.cursor
       };
 
       const result = await transactionService.getTransactionHistory(accountId, options);
+
+      if (result.pagination.mode === 'cursor') {
+        result.pagination.links = {
+          next: pageLink(req, result.pagination.next_cursor),
+          prev: pageLink(req, result.pagination.prev_cursor)
+        };
+      }
       
       const response = ApiResponse.success(result, 'Transaction history retrieved successfully');
       res.status(response.statusCode).json(response);
@@ -97,6 +256,73 @@ class TransactionController {
     }
   }
 
+  /**
+   * Stream the transaction history of an account as a CSV or NDJSON download
+   */
+  async exportTransactionHistory(req, res, next) {
+    try {
+      const accountId = parseInt(req.params.accountId);
+      const format = EXPORT_FORMATS[req.query.format];
+      const columns = parseColumns(req.query.columns);
+      const options = {
+        from_date: req.query.from_date,
+        to_date: req.query.to_date,
+        status: req.query.status,
+        txn_type: req.query.txn_type
+      };
+
+      await transactionService.exportTransactionHistory(accountId, options, async (account, transactions) => {
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader(
+          'Content-Disposition',
+          `attachment; filename="transactions-${account.account_number}.${format.extension}"`
+        );
+
+        await format.write(transactions, columns, res);
+      });
+    } catch (error) {
+      failDownload(error, res, next, 'Transaction export failed while streaming', { accountId: req.params.accountId });
+    }
+  }
+
+  /**
+   * Search the transactions of an account
+   */
+  async searchAccountTransactions(req, res, next) {
+    try {
+      const options = {
+        ...searchOptions(req.query),
+        account_id: parseInt(req.params.accountId)
+      };
+
+      const result = await transactionService.searchTransactions(options);
+
+      const response = ApiResponse.success(result, 'Transactions retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Search transactions across all accounts (admin)
+   */
+  async searchTransactions(req, res, next) {
+    try {
+      const options = {
+        ...searchOptions(req.query),
+        account_id: req.query.account_id ? parseInt(req.query.account_id) : undefined
+      };
+
+      const result = await transactionService.searchTransactions(options);
+
+      const response = ApiResponse.success(result, 'Transactions retrieved successfully');
+      res.status(response.statusCode).json(response);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get transaction details by ID
    */
@@ -122,7 +348,7 @@ class TransactionController {
       const fromDate = new Date(req.query.from_date || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
       const toDate = new Date(req.query.to_date || new Date());
 
-      const summary = await transactionService.getAccountSummary(accountId, fromDate, toDate);
+      const summary = await transactionService.getAccountSummary(accountId, fromDate, toDate, req.query.status);
       
       const response = ApiResponse.success(summary, 'Account summary retrieved successfully');
       res.status(response.statusCode).json(response);
@@ -131,6 +357,41 @@ class TransactionController {
     }
   }
 
+  /**
+   * Stream a PDF account statement
+   */
+  async getStatementPdf(req, res, next) {
+    await streamStatement(req, res, next, STATEMENT_FORMATS.pdf);
+  }
+
+  /**
+   * Stream an ISO 20022 camt.053 account statement
+   */
+  async getStatementCamt053(req, res, next) {
+    await streamStatement(req, res, next, STATEMENT_FORMATS.camt053);
+  }
+
+  /**
+   * Stream a SWIFT MT940 account statement
+   */
+  async getStatementMt940(req, res, next) {
+    await streamStatement(req, res, next, STATEMENT_FORMATS.mt940);
+  }
+
+  /**
+   * Stream an OFX account statement
+   */
+  async getStatementOfx(req, res, next) {
+    await streamStatement(req, res, next, STATEMENT_FORMATS.ofx);
+  }
+
+  /**
+   * Stream a QFX (Quicken) account statement
+   */
+  async getStatementQfx(req, res, next) {
+    await streamStatement(req, res, next, STATEMENT_FORMATS.qfx);
+  }
+
   /**
    * Health check for transaction service
    */
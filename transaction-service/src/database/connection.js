@@ -3,15 +3,32 @@ const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
 
-const pool = new Pool({
+const connectionConfig = {
   host: process.env.DB_HOST || 'localhost',
   port: process.env.DB_PORT || 5432,
   database: process.env.DB_NAME || 'transaction_db',
   user: process.env.DB_USER || 'postgres',
   password: process.env.DB_PASSWORD || 'password',
-  max: 20,
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 2000,
+};
+
+const pool = new Pool({
+  ...connectionConfig,
+  max: 20,
+});
+
+// Streamed downloads hold their connection until the client has read the whole file,
+// so they get a small pool of their own and cannot use up the connections the rest of
+// the service needs. A download whose client stops reading is cut off by the server
+// once it has been idle in its transaction for STREAM_IDLE_TIMEOUT_MS
+const STREAM_POOL_MAX = parseInt(process.env.DB_STREAM_POOL_MAX) || 5;
+const STREAM_IDLE_TIMEOUT_MS = parseInt(process.env.DB_STREAM_IDLE_TIMEOUT_MS) || 30000;
+const STREAM_STATEMENT_TIMEOUT_MS = parseInt(process.env.DB_STREAM_STATEMENT_TIMEOUT_MS) || 30000;
+
+const streamPool = new Pool({
+  ...connectionConfig,
+  max: STREAM_POOL_MAX,
 });
 
 // Test connection
@@ -23,6 +40,10 @@ pool.on('error', (err) => {
   console.error('PostgreSQL pool error:', err);
 });
 
+streamPool.on('error', (err) => {
+  console.error('PostgreSQL streaming pool error:', err);
+});
+
 /**
  * Execute a SQL query
  * @param {string} text - SQL query
@@ -50,22 +71,91 @@ const getClient = async () => {
 };
 
 /**
- * Execute a transaction
- * @param {Function} callback - Function to execute within transaction
+ * Execute a callback as a unit of work
+ * On its own, the callback runs in a new transaction on a pooled client. Given the client
+ * of an enclosing unit of work, it runs on that same connection inside a savepoint instead,
+ * so multi-step repository operations can be composed: a failing inner unit rolls back only
+ * its own work and rethrows, and the outer unit commits or rolls back everything.
+ * Units sharing a client must run one after another, never concurrently
+ * @param {Function} callback - Function to execute within transaction, given the client
+ * @param {Object} client - Client of an enclosing unit of work to nest in
  * @returns {Promise} Transaction result
  */
-const transaction = async (callback) => {
-  const client = await getClient();
+const transaction = async (callback, client = null) => {
+  if (client) {
+    return await savepoint(callback, client);
+  }
+
+  const unitClient = await getClient();
   try {
-    await client.query('BEGIN');
-    const result = await callback(client);
-    await client.query('COMMIT');
+    await unitClient.query('BEGIN');
+    const result = await callback(unitClient);
+    await unitClient.query('COMMIT');
     return result;
   } catch (error) {
-    await client.query('ROLLBACK');
+    await unitClient.query('ROLLBACK');
     throw error;
   } finally {
-    client.release();
+    unitClient.release();
+  }
+};
+
+/**
+ * Run a callback inside a savepoint on an open transaction
+ * @param {Function} callback - Function to execute within the savepoint, given the client
+ * @param {Object} client - Client with an open transaction
+ * @returns {Promise} Callback result
+ */
+const savepoint = async (callback, client) => {
+  client.savepointDepth = (client.savepointDepth || 0) + 1;
+  const name = `unit_of_work_${client.savepointDepth}`;
+
+  try {
+    await client.query(`SAVEPOINT ${name}`);
+    try {
+      const result = await callback(client);
+      await client.query(`RELEASE SAVEPOINT ${name}`);
+      return result;
+    } catch (error) {
+      await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+      throw error;
+    }
+  } finally {
+    client.savepointDepth -= 1;
+  }
+};
+
+/**
+ * Execute a callback in a transaction on the streaming pool, for downloads read from a cursor
+ * Each statement is capped at STREAM_STATEMENT_TIMEOUT_MS and the server ends the session
+ * if the transaction sits idle for STREAM_IDLE_TIMEOUT_MS, which is what happens when the
+ * client downloading stops reading. A session ended that way is discarded, not pooled again
+ * @param {Function} callback - Function to execute within the transaction, given the client
+ * @returns {Promise} Transaction result
+ * @throws {Error} "Download unavailable: ..." when every streaming connection is in use
+ */
+const streamingTransaction = async (callback) => {
+  if (streamPool.totalCount >= STREAM_POOL_MAX && streamPool.idleCount === 0) {
+    throw new Error('Download unavailable: too many downloads in progress, try again shortly');
+  }
+
+  const streamClient = await streamPool.connect();
+  try {
+    await streamClient.query('BEGIN');
+    await streamClient.query(`SET LOCAL statement_timeout = ${STREAM_STATEMENT_TIMEOUT_MS}`);
+    await streamClient.query(`SET LOCAL idle_in_transaction_session_timeout = ${STREAM_IDLE_TIMEOUT_MS}`);
+    const result = await callback(streamClient);
+    await streamClient.query('COMMIT');
+    streamClient.release();
+    return result;
+  } catch (error) {
+    try {
+      await streamClient.query('ROLLBACK');
+      streamClient.release();
+    } catch (rollbackError) {
+      streamClient.release(rollbackError);
+    }
+    throw error;
   }
 };
 
@@ -118,6 +208,7 @@ const healthCheck = async () => {
  */
 const close = async () => {
   await pool.end();
+  await streamPool.end();
   console.log('Database connections closed');
 };
 
@@ -125,6 +216,7 @@ module.exports = {
   query,
   getClient,
   transaction,
+  streamingTransaction,
   migrate,
   healthCheck,
   close,
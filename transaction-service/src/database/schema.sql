@@ -1,14 +1,33 @@
 -- Transaction Service Database Schema
--- This service owns: transactions, idempotency_keys, account_projections
+-- This service owns: transactions, idempotency_keys, account_projections, the general ledger
 
 -- Create database
 -- CREATE DATABASE transaction_db;
 
+-- Extensions
+-- Trigram indexes for substring search on counterparties
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Enums
-CREATE TYPE transaction_type AS ENUM ('DEPOSIT', 'WITHDRAWAL', 'TRANSFER_IN', 'TRANSFER_OUT');
+CREATE TYPE transaction_type AS ENUM ('DEPOSIT', 'WITHDRAWAL', 'TRANSFER_IN', 'TRANSFER_OUT', 'REVERSAL_CREDIT', 'REVERSAL_DEBIT', 'FEE', 'FEE_TAX', 'INTEREST', 'OVERDRAFT_INTEREST');
+CREATE TYPE transaction_status AS ENUM ('PENDING', 'COMPLETED', 'FAILED', 'REVERSED');
 CREATE TYPE account_type AS ENUM ('SAVINGS', 'CURRENT', 'SALARY');
 CREATE TYPE account_status AS ENUM ('ACTIVE', 'FROZEN', 'CLOSED');
 CREATE TYPE customer_status AS ENUM ('ACTIVE', 'INACTIVE', 'SUSPENDED', 'CLOSED');
+CREATE TYPE scheduled_transfer_status AS ENUM ('PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED');
+CREATE TYPE recurrence_frequency AS ENUM ('DAILY', 'WEEKLY', 'MONTHLY');
+CREATE TYPE standing_instruction_status AS ENUM ('ACTIVE', 'SUSPENDED', 'COMPLETED', 'CANCELLED');
+CREATE TYPE standing_instruction_run_status AS ENUM ('SUCCEEDED', 'FAILED');
+CREATE TYPE batch_mode AS ENUM ('ALL_OR_NOTHING', 'BEST_EFFORT');
+CREATE TYPE batch_status AS ENUM ('QUEUED', 'PROCESSING', 'COMPLETED', 'COMPLETED_WITH_ERRORS', 'ROLLED_BACK', 'FAILED', 'NEEDS_REPAIR');
+CREATE TYPE batch_line_status AS ENUM ('PENDING', 'SUCCEEDED', 'FAILED', 'SKIPPED', 'ROLLED_BACK');
+CREATE TYPE hold_status AS ENUM ('ACTIVE', 'CAPTURED', 'VOIDED', 'EXPIRED');
+CREATE TYPE idempotency_status AS ENUM ('IN_PROGRESS', 'COMPLETED');
+CREATE TYPE ledger_account_type AS ENUM ('ASSET', 'LIABILITY', 'EQUITY', 'INCOME', 'EXPENSE');
+CREATE TYPE kyc_tier AS ENUM ('BASIC', 'STANDARD', 'FULL');
+CREATE TYPE limit_period AS ENUM ('PER_TRANSACTION', 'DAILY', 'MONTHLY');
+CREATE TYPE reconciliation_run_status AS ENUM ('RUNNING', 'COMPLETED', 'FAILED');
+CREATE TYPE reconciliation_break_status AS ENUM ('OPEN', 'REPAIRED', 'RESOLVED');
 
 -- Customer projections table (denormalized data from Customer Service)
 -- This contains minimal customer info that might be needed for transaction processing
@@ -20,6 +39,8 @@ CREATE TABLE customer_projections (
     email VARCHAR(255),
     phone VARCHAR(20),
     status customer_status NOT NULL DEFAULT 'ACTIVE',
+    -- KYC tier reported by Customer Service; selects the transaction limits that apply
+    kyc_tier kyc_tier NOT NULL DEFAULT 'BASIC',
     last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -31,9 +52,21 @@ CREATE TABLE account_projections (
     account_number VARCHAR(20) NOT NULL UNIQUE,
     account_type account_type NOT NULL,
     current_balance DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    -- Balance the projection was created with, before any transaction posted here;
+    -- reconciliation expects current_balance = opening_balance + posted transactions
+    opening_balance DECIMAL(15,2) NOT NULL DEFAULT 0.00,
     currency VARCHAR(3) NOT NULL DEFAULT 'INR',
     status account_status NOT NULL DEFAULT 'ACTIVE',
-    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    -- Sum of ACTIVE holds; owned by this service and never overwritten by account events
+    held_amount DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    -- Sanctioned overdraft: how far below zero the balance may go, and the annual
+    -- rate charged on the overdrawn amount. Zero means no overdraft
+    overdraft_limit DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    overdraft_interest_rate DECIMAL(7,4) NOT NULL DEFAULT 0,
+    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT non_negative_held_amount CHECK (held_amount >= 0),
+    CONSTRAINT valid_overdraft CHECK (overdraft_limit >= 0 AND overdraft_interest_rate >= 0 AND overdraft_interest_rate < 100)
 );
 
 -- Transactions table (service owned)
@@ -46,14 +79,36 @@ CREATE TABLE transactions (
     reference VARCHAR(50) NOT NULL UNIQUE,
     description TEXT,
     balance_after DECIMAL(15,2),
+    -- Lifecycle: PENDING -> COMPLETED | FAILED, COMPLETED -> REVERSED (fully reversed).
+    -- Only COMPLETED rows move balances; FAILED rows keep the attempt and why it failed
+    status transaction_status NOT NULL DEFAULT 'COMPLETED',
+    failure_reason TEXT,
+    -- Reversal tracking: compensating entries point at the original row,
+    -- originals accumulate the amount reversed so far (partial refunds)
+    reversal_of BIGINT,
+    reversed_amount DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    reversed_at TIMESTAMP,
+    -- Fee entries (FEE, FEE_TAX) point at the withdrawal or transfer leg they were charged for
+    related_txn_id BIGINT,
+    -- Cross-currency transfers: both legs record the amount as instructed,
+    -- the amount after conversion and the rate (net of spread) applied
+    original_amount DECIMAL(15,2),
+    original_currency VARCHAR(3),
+    converted_amount DECIMAL(15,2),
+    converted_currency VARCHAR(3),
+    fx_rate DECIMAL(20,10),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
     -- Foreign key to account_projections
     FOREIGN KEY (account_id) REFERENCES account_projections(account_id),
+    FOREIGN KEY (reversal_of) REFERENCES transactions(txn_id),
+    FOREIGN KEY (related_txn_id) REFERENCES transactions(txn_id),
     
     -- Business constraints
     CONSTRAINT positive_amount CHECK (amount > 0),
+    CONSTRAINT reversed_amount_within_amount CHECK (reversed_amount >= 0 AND reversed_amount <= amount),
+    CONSTRAINT failure_reason_only_when_failed CHECK ((status = 'FAILED') = (failure_reason IS NOT NULL)),
     CONSTRAINT valid_reference CHECK (reference ~ '^REF[0-9]{8}-[A-Z0-9]{6}$')
 );
 
@@ -62,42 +117,474 @@ ALTER TABLE account_projections
 ADD CONSTRAINT fk_account_customer 
 FOREIGN KEY (customer_id) REFERENCES customer_projections(customer_id);
 
--- Idempotency keys table for transfer operations
+-- Idempotency keys for mutating requests (X-Idempotency-Key header or idempotency_key field)
+-- and for transfers run by the background executors. A key is processed once its response is
+-- stored; retries get that status code and body back. The fingerprint (SHA-256 of the
+-- canonical request) lets a reused key with a different request be told apart from a retry.
+-- A key is claimed IN_PROGRESS in a single insert-or-lock statement, so concurrent requests
+-- never both run; a claim whose locked_at is older than the lock timeout is taken to belong
+-- to a crashed request and can be claimed again, unless txn_id shows something was posted
+-- under it (deposits, withdrawals and transfers set it on their own database transaction).
+-- claim_token changes with every claim, so a request that lost its claim cannot settle the key
 CREATE TABLE idempotency_keys (
     id BIGSERIAL PRIMARY KEY,
     key VARCHAR(255) NOT NULL UNIQUE,
     txn_id BIGINT,
     request_body JSONB,
+    request_fingerprint VARCHAR(64),
+    status idempotency_status NOT NULL DEFAULT 'IN_PROGRESS',
+    claim_token UUID,
+    locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    response_status INTEGER,
     response_body JSONB,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     expires_at TIMESTAMP NOT NULL,
     
+    FOREIGN KEY (txn_id) REFERENCES transactions(txn_id),
+    
+    CONSTRAINT idempotency_completed_has_response CHECK (status = 'IN_PROGRESS' OR response_body IS NOT NULL)
+);
+
+-- Authorization holds: funds reserved against available balance until captured, voided or expired
+CREATE TABLE holds (
+    hold_id BIGSERIAL PRIMARY KEY,
+    account_id BIGINT NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    captured_amount DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    status hold_status NOT NULL DEFAULT 'ACTIVE',
+    counterparty VARCHAR(255),
+    description TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    capture_reference VARCHAR(50),
+    capture_txn_id BIGINT,
+    release_reason TEXT,
+    released_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (account_id) REFERENCES account_projections(account_id),
+    FOREIGN KEY (capture_txn_id) REFERENCES transactions(txn_id),
+    
+    CONSTRAINT hold_positive_amount CHECK (amount > 0),
+    CONSTRAINT hold_captured_within_amount CHECK (captured_amount >= 0 AND captured_amount <= amount)
+);
+
+-- Fee schedules managed through the admin API. A NULL account_type applies to every
+-- account type; a schedule for the specific type takes precedence over it
+CREATE TABLE fee_schedules (
+    fee_schedule_id BIGSERIAL PRIMARY KEY,
+    account_type account_type,
+    txn_type transaction_type NOT NULL,
+    flat_fee DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    percent_fee DECIMAL(7,4) NOT NULL DEFAULT 0,
+    min_fee DECIMAL(15,2),
+    max_fee DECIMAL(15,2),
+    free_per_month INTEGER NOT NULL DEFAULT 0,
+    gst_percent DECIMAL(7,4) NOT NULL DEFAULT 0,
+    effective_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    effective_to TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT fee_chargeable_type CHECK (txn_type IN ('WITHDRAWAL', 'TRANSFER_OUT')),
+    CONSTRAINT fee_non_negative CHECK (flat_fee >= 0 AND percent_fee >= 0 AND gst_percent >= 0 AND free_per_month >= 0),
+    CONSTRAINT fee_valid_bounds CHECK (min_fee IS NULL OR max_fee IS NULL OR min_fee <= max_fee),
+    CONSTRAINT fee_valid_window CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+-- Transaction limits managed through the admin API. A NULL account_type or kyc_tier
+-- applies to all of them; per period, the most specific limit in effect is the one enforced.
+-- Daily and monthly limits cap the gross amount and number of transactions of the type
+CREATE TABLE transaction_limits (
+    limit_id BIGSERIAL PRIMARY KEY,
+    account_type account_type,
+    kyc_tier kyc_tier,
+    txn_type transaction_type NOT NULL,
+    period limit_period NOT NULL,
+    max_amount DECIMAL(15,2),
+    max_count INTEGER,
+    effective_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    effective_to TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT limit_limited_type CHECK (txn_type IN ('DEPOSIT', 'WITHDRAWAL', 'TRANSFER_OUT')),
+    CONSTRAINT limit_has_cap CHECK (max_amount IS NOT NULL OR max_count IS NOT NULL),
+    CONSTRAINT limit_positive_caps CHECK ((max_amount IS NULL OR max_amount > 0) AND (max_count IS NULL OR max_count > 0)),
+    CONSTRAINT limit_count_needs_period CHECK (period <> 'PER_TRANSACTION' OR max_count IS NULL),
+    CONSTRAINT limit_valid_window CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+-- Default limits: the per-transaction caps that used to be hard-coded in request validation
+INSERT INTO transaction_limits (txn_type, period, max_amount) VALUES
+    ('DEPOSIT', 'PER_TRANSACTION', 10000000.00),
+    ('WITHDRAWAL', 'PER_TRANSACTION', 10000000.00),
+    ('TRANSFER_OUT', 'PER_TRANSACTION', 1000000.00);
+
+-- Interest rate slabs managed through the admin API. Each slab's annual rate applies to
+-- the part of the end-of-day balance between min_balance and max_balance (open-ended when NULL)
+CREATE TABLE interest_rate_slabs (
+    slab_id BIGSERIAL PRIMARY KEY,
+    account_type account_type NOT NULL,
+    min_balance DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+    max_balance DECIMAL(15,2),
+    annual_rate_percent DECIMAL(7,4) NOT NULL,
+    effective_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    effective_to TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT slab_valid_range CHECK (min_balance >= 0 AND (max_balance IS NULL OR max_balance > min_balance)),
+    CONSTRAINT slab_valid_rate CHECK (annual_rate_percent >= 0 AND annual_rate_percent < 100),
+    CONSTRAINT slab_valid_window CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+-- Daily interest accruals; unique per account and day so a re-run never accrues twice.
+-- Accruals are kept unrounded: interest earned on a positive balance is marked with the
+-- INTEREST transaction that credited it, overdraft interest on a negative balance with
+-- the OVERDRAFT_INTEREST transaction that charged it
+CREATE TABLE interest_accruals (
+    accrual_id BIGSERIAL PRIMARY KEY,
+    account_id BIGINT NOT NULL,
+    accrual_date DATE NOT NULL,
+    balance DECIMAL(15,2) NOT NULL,
+    accrued_amount DECIMAL(18,6) NOT NULL DEFAULT 0,
+    credited_txn_id BIGINT,
+    credited_at TIMESTAMP,
+    overdraft_interest DECIMAL(18,6) NOT NULL DEFAULT 0,
+    charged_txn_id BIGINT,
+    charged_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (account_id) REFERENCES account_projections(account_id),
+    FOREIGN KEY (credited_txn_id) REFERENCES transactions(txn_id),
+    FOREIGN KEY (charged_txn_id) REFERENCES transactions(txn_id),
+    
+    CONSTRAINT accrual_non_negative CHECK (accrued_amount >= 0 AND overdraft_interest >= 0),
+    UNIQUE (account_id, accrual_date)
+);
+
+-- FX rates managed through the admin API: 1 base_currency = rate quote_currency.
+-- Rates are expired rather than deleted so past conversions stay traceable
+CREATE TABLE fx_rates (
+    rate_id BIGSERIAL PRIMARY KEY,
+    base_currency VARCHAR(3) NOT NULL,
+    quote_currency VARCHAR(3) NOT NULL,
+    rate DECIMAL(20,10) NOT NULL,
+    spread_percent DECIMAL(7,4) NOT NULL DEFAULT 0,
+    effective_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    effective_to TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    CONSTRAINT fx_positive_rate CHECK (rate > 0),
+    CONSTRAINT fx_valid_spread CHECK (spread_percent >= 0 AND spread_percent < 100),
+    CONSTRAINT fx_different_currencies CHECK (base_currency <> quote_currency),
+    CONSTRAINT fx_valid_window CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+-- Scheduled (future-dated) transfers executed by the background executor
+CREATE TABLE scheduled_transfers (
+    schedule_id BIGSERIAL PRIMARY KEY,
+    from_account_id BIGINT NOT NULL,
+    to_account_id BIGINT NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    description TEXT,
+    execute_at TIMESTAMP NOT NULL,
+    status scheduled_transfer_status NOT NULL DEFAULT 'PENDING',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    next_attempt_at TIMESTAMP NOT NULL,
+    last_error TEXT,
+    transfer_reference VARCHAR(50),
+    debit_txn_id BIGINT,
+    credit_txn_id BIGINT,
+    executed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (from_account_id) REFERENCES account_projections(account_id),
+    FOREIGN KEY (to_account_id) REFERENCES account_projections(account_id),
+    FOREIGN KEY (debit_txn_id) REFERENCES transactions(txn_id),
+    FOREIGN KEY (credit_txn_id) REFERENCES transactions(txn_id),
+    
+    CONSTRAINT scheduled_positive_amount CHECK (amount > 0),
+    CONSTRAINT scheduled_different_accounts CHECK (from_account_id <> to_account_id)
+);
+
+-- Standing instructions (recurring transfers)
+CREATE TABLE standing_instructions (
+    instruction_id BIGSERIAL PRIMARY KEY,
+    from_account_id BIGINT NOT NULL,
+    to_account_id BIGINT NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    description TEXT,
+    frequency recurrence_frequency NOT NULL,
+    interval_count INTEGER NOT NULL DEFAULT 1,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    max_occurrences INTEGER,
+    next_occurrence_index INTEGER NOT NULL DEFAULT 0,
+    next_run_date DATE NOT NULL,
+    successful_runs INTEGER NOT NULL DEFAULT 0,
+    failed_runs INTEGER NOT NULL DEFAULT 0,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    max_consecutive_failures INTEGER NOT NULL DEFAULT 3,
+    status standing_instruction_status NOT NULL DEFAULT 'ACTIVE',
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (from_account_id) REFERENCES account_projections(account_id),
+    FOREIGN KEY (to_account_id) REFERENCES account_projections(account_id),
+    
+    CONSTRAINT standing_positive_amount CHECK (amount > 0),
+    CONSTRAINT standing_different_accounts CHECK (from_account_id <> to_account_id),
+    CONSTRAINT standing_valid_interval CHECK (interval_count >= 1),
+    CONSTRAINT standing_valid_end_date CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+-- One row per executed occurrence; unique per run date so an occurrence is never recorded twice
+CREATE TABLE standing_instruction_runs (
+    run_id BIGSERIAL PRIMARY KEY,
+    instruction_id BIGINT NOT NULL,
+    run_date DATE NOT NULL,
+    occurrence_index INTEGER NOT NULL,
+    status standing_instruction_run_status NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    transfer_reference VARCHAR(50),
+    debit_txn_id BIGINT,
+    credit_txn_id BIGINT,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (instruction_id) REFERENCES standing_instructions(instruction_id),
+    FOREIGN KEY (debit_txn_id) REFERENCES transactions(txn_id),
+    FOREIGN KEY (credit_txn_id) REFERENCES transactions(txn_id),
+    
+    UNIQUE (instruction_id, run_date)
+);
+
+-- Bulk payment files processed asynchronously
+CREATE TABLE transaction_batches (
+    batch_id BIGSERIAL PRIMARY KEY,
+    mode batch_mode NOT NULL DEFAULT 'BEST_EFFORT',
+    status batch_status NOT NULL DEFAULT 'QUEUED',
+    file_name VARCHAR(255),
+    total_lines INTEGER NOT NULL DEFAULT 0,
+    succeeded_lines INTEGER NOT NULL DEFAULT 0,
+    failed_lines INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE transaction_batch_lines (
+    line_id BIGSERIAL PRIMARY KEY,
+    batch_id BIGINT NOT NULL,
+    line_number INTEGER NOT NULL,
+    txn_type VARCHAR(20) NOT NULL,
+    payload JSONB NOT NULL,
+    status batch_line_status NOT NULL DEFAULT 'PENDING',
+    result JSONB,
+    error TEXT,
+    processed_at TIMESTAMP,
+    
+    FOREIGN KEY (batch_id) REFERENCES transaction_batches(batch_id) ON DELETE CASCADE,
+    UNIQUE (batch_id, line_number)
+);
+
+-- General ledger chart of accounts. Customer accounts form a sub-ledger of CUSTOMER_DEPOSITS:
+-- their postings go to that control account and carry the customer account_id
+CREATE TABLE ledger_accounts (
+    ledger_account_id SERIAL PRIMARY KEY,
+    code VARCHAR(30) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    account_type ledger_account_type NOT NULL,
+    description TEXT,
+    -- System accounts are referenced by posting rules and journaling
+    is_system BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_ledger_account_code CHECK (code ~ '^[A-Z][A-Z0-9_]*$')
+);
+
+INSERT INTO ledger_accounts (code, name, account_type, description, is_system) VALUES
+('CASH', 'Cash and settlement', 'ASSET', 'Money received by deposits and paid out by withdrawals', TRUE),
+('TRANSFER_CLEARING', 'Internal transfer clearing', 'ASSET', 'Nets to zero per currency; cross-currency transfers leave the FX position here', TRUE),
+('SUSPENSE', 'Suspense', 'ASSET', 'Postings with no posting rule, to be cleared by manual journal', TRUE),
+('CUSTOMER_DEPOSITS', 'Customer deposits', 'LIABILITY', 'Control account for all customer account balances', TRUE),
+('TAX_PAYABLE', 'Tax payable', 'LIABILITY', 'GST collected on fees', TRUE),
+('RETAINED_EARNINGS', 'Retained earnings', 'EQUITY', 'Income and expense closed at period end', TRUE),
+('FEE_INCOME', 'Fee income', 'INCOME', 'Transaction fees charged to customers', TRUE),
+('INTEREST_INCOME', 'Interest income', 'INCOME', 'Interest charged on overdrawn balances', TRUE),
+('INTEREST_EXPENSE', 'Interest expense', 'EXPENSE', 'Interest credited to customer accounts', TRUE);
+
+-- Contra ledger account for each transaction type: the customer account takes one side of
+-- the journal and this account the other. Reversals use the rule of the entry they reverse
+CREATE TABLE ledger_posting_rules (
+    txn_type transaction_type PRIMARY KEY,
+    contra_account_code VARCHAR(30) NOT NULL,
+
+    FOREIGN KEY (contra_account_code) REFERENCES ledger_accounts(code)
+);
+
+INSERT INTO ledger_posting_rules (txn_type, contra_account_code) VALUES
+('DEPOSIT', 'CASH'),
+('WITHDRAWAL', 'CASH'),
+('TRANSFER_IN', 'TRANSFER_CLEARING'),
+('TRANSFER_OUT', 'TRANSFER_CLEARING'),
+('FEE', 'FEE_INCOME'),
+('FEE_TAX', 'TAX_PAYABLE'),
+('INTEREST', 'INTEREST_EXPENSE'),
+('OVERDRAFT_INTEREST', 'INTEREST_INCOME');
+
+-- Journals: one per transaction as it is posted, plus manual journals (txn_id NULL).
+-- Journals and postings are never changed; mistakes are corrected by further journals
+CREATE TABLE journal_entries (
+    journal_id BIGSERIAL PRIMARY KEY,
+    txn_id BIGINT UNIQUE,
+    description TEXT NOT NULL,
+    posted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
     FOREIGN KEY (txn_id) REFERENCES transactions(txn_id)
 );
 
+-- Postings are signed: debits positive, credits negative. The postings of a journal must
+-- sum to zero in each currency, which check_journal_balanced enforces at commit
+CREATE TABLE journal_postings (
+    posting_id BIGSERIAL PRIMARY KEY,
+    journal_id BIGINT NOT NULL,
+    ledger_account_id INTEGER NOT NULL,
+    account_id BIGINT,
+    currency VARCHAR(3) NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+
+    FOREIGN KEY (journal_id) REFERENCES journal_entries(journal_id),
+    FOREIGN KEY (ledger_account_id) REFERENCES ledger_accounts(ledger_account_id),
+    FOREIGN KEY (account_id) REFERENCES account_projections(account_id),
+
+    CONSTRAINT nonzero_posting CHECK (amount <> 0)
+);
+
+-- Balance reconciliation runs, on schedule or on demand (optionally for one account)
+CREATE TABLE reconciliation_runs (
+    run_id BIGSERIAL PRIMARY KEY,
+    triggered_by VARCHAR(20) NOT NULL,
+    account_id BIGINT,
+    auto_repair BOOLEAN NOT NULL DEFAULT FALSE,
+    status reconciliation_run_status NOT NULL DEFAULT 'RUNNING',
+    accounts_checked INTEGER NOT NULL DEFAULT 0,
+    breaks_found INTEGER NOT NULL DEFAULT 0,
+    breaks_repaired INTEGER NOT NULL DEFAULT 0,
+    breaks_resolved INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+
+    CONSTRAINT valid_reconciliation_trigger CHECK (triggered_by IN ('SCHEDULE', 'ADMIN'))
+);
+
+-- Accounts whose projected balance differs from opening balance plus posted transactions.
+-- An account has at most one OPEN break, refreshed by every run that still finds it. A
+-- repair records the balance it overwrote; a break that disappears without one is RESOLVED
+CREATE TABLE reconciliation_breaks (
+    break_id BIGSERIAL PRIMARY KEY,
+    account_id BIGINT NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    opening_balance DECIMAL(15,2) NOT NULL,
+    transaction_total DECIMAL(15,2) NOT NULL,
+    expected_balance DECIMAL(15,2) NOT NULL,
+    projected_balance DECIMAL(15,2) NOT NULL,
+    difference DECIMAL(15,2) NOT NULL,
+    status reconciliation_break_status NOT NULL DEFAULT 'OPEN',
+    detected_run_id BIGINT NOT NULL,
+    last_run_id BIGINT NOT NULL,
+    detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Repair audit: who repaired it, and the projected balance before and after
+    repaired_by VARCHAR(20),
+    balance_before DECIMAL(15,2),
+    balance_after DECIMAL(15,2),
+    closed_at TIMESTAMP,
+
+    FOREIGN KEY (account_id) REFERENCES account_projections(account_id),
+    FOREIGN KEY (detected_run_id) REFERENCES reconciliation_runs(run_id),
+    FOREIGN KEY (last_run_id) REFERENCES reconciliation_runs(run_id),
+
+    CONSTRAINT valid_break_repair CHECK (
+        (status = 'REPAIRED') = (repaired_by IS NOT NULL AND balance_before IS NOT NULL AND balance_after IS NOT NULL)
+    ),
+    CONSTRAINT valid_break_closure CHECK ((status = 'OPEN') = (closed_at IS NULL))
+);
+
 -- Indexes for performance
 CREATE INDEX idx_transactions_account_id ON transactions(account_id);
 CREATE INDEX idx_transactions_created_at ON transactions(created_at);
 CREATE INDEX idx_transactions_type ON transactions(txn_type);
 CREATE INDEX idx_transactions_reference ON transactions(reference);
+CREATE INDEX idx_transactions_reversal_of ON transactions(reversal_of);
+CREATE INDEX idx_transactions_related_txn_id ON transactions(related_txn_id);
+CREATE INDEX idx_transactions_account_status ON transactions(account_id, status);
 CREATE INDEX idx_account_projections_customer_id ON account_projections(customer_id);
 CREATE INDEX idx_account_projections_account_number ON account_projections(account_number);
 CREATE INDEX idx_customer_projections_customer_number ON customer_projections(customer_number);
 CREATE INDEX idx_customer_projections_email ON customer_projections(email);
 CREATE INDEX idx_idempotency_keys_key ON idempotency_keys(key);
 CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+CREATE INDEX idx_holds_account_status ON holds(account_id, status);
+CREATE INDEX idx_holds_expiry ON holds(status, expires_at);
+CREATE INDEX idx_fee_schedules_lookup ON fee_schedules(txn_type, account_type, effective_from);
+CREATE INDEX idx_transaction_limits_lookup ON transaction_limits(txn_type, period, effective_from);
+CREATE INDEX idx_transactions_account_type_created ON transactions(account_id, txn_type, created_at);
+-- Account history in (created_at, txn_id) order: keyset pages, exports and statements
+CREATE INDEX idx_transactions_account_created ON transactions(account_id, created_at, txn_id);
+-- Transaction search: reference prefixes, counterparty substrings, description keywords and amount ranges
+CREATE INDEX idx_transactions_reference_prefix ON transactions(reference text_pattern_ops);
+CREATE INDEX idx_transactions_counterparty_trgm ON transactions USING GIN (counterparty gin_trgm_ops);
+CREATE INDEX idx_transactions_description_fts ON transactions USING GIN (to_tsvector('english', COALESCE(description, '')));
+CREATE INDEX idx_transactions_amount ON transactions(amount);
+CREATE INDEX idx_interest_rate_slabs_lookup ON interest_rate_slabs(account_type, effective_from);
+CREATE INDEX idx_interest_accruals_uncredited ON interest_accruals(account_id, accrual_date) WHERE credited_txn_id IS NULL;
+CREATE INDEX idx_interest_accruals_uncharged ON interest_accruals(account_id, accrual_date) WHERE charged_txn_id IS NULL;
+CREATE INDEX idx_fx_rates_pair ON fx_rates(base_currency, quote_currency, effective_from);
+CREATE INDEX idx_scheduled_transfers_due ON scheduled_transfers(status, next_attempt_at);
+CREATE INDEX idx_scheduled_transfers_from_account ON scheduled_transfers(from_account_id);
+CREATE INDEX idx_standing_instructions_due ON standing_instructions(status, next_run_date);
+CREATE INDEX idx_standing_instructions_from_account ON standing_instructions(from_account_id);
+CREATE INDEX idx_standing_instruction_runs_instruction ON standing_instruction_runs(instruction_id, run_date);
+CREATE INDEX idx_transaction_batches_status ON transaction_batches(status, created_at);
+CREATE INDEX idx_reconciliation_runs_started_at ON reconciliation_runs(started_at);
+CREATE UNIQUE INDEX idx_reconciliation_breaks_open ON reconciliation_breaks(account_id) WHERE status = 'OPEN';
+CREATE INDEX idx_reconciliation_breaks_status ON reconciliation_breaks(status, last_detected_at);
+CREATE INDEX idx_journal_entries_posted_at ON journal_entries(posted_at);
+CREATE INDEX idx_journal_postings_journal ON journal_postings(journal_id);
+CREATE INDEX idx_journal_postings_ledger_account ON journal_postings(ledger_account_id, journal_id);
+CREATE INDEX idx_journal_postings_account ON journal_postings(account_id) WHERE account_id IS NOT NULL;
+
+-- Transaction types that increase the account balance; every other type decreases it.
+-- The posting triggers and every balance query use this one list, which
+-- Transaction.CREDIT_TYPES mirrors in the application
+CREATE OR REPLACE FUNCTION is_credit_type(txn transaction_type)
+RETURNS BOOLEAN AS $$
+    SELECT txn IN ('DEPOSIT', 'TRANSFER_IN', 'REVERSAL_CREDIT', 'INTEREST');
+$$ LANGUAGE sql IMMUTABLE;
 
 -- Function to update balance after transaction
 CREATE OR REPLACE FUNCTION update_account_balance()
 RETURNS TRIGGER AS $$
 BEGIN
+    -- Only rows entering COMPLETED (inserted as such, or settled from PENDING) move money
+    IF NOT (NEW.status = 'COMPLETED' AND (TG_OP = 'INSERT' OR OLD.status = 'PENDING')) THEN
+        RETURN NEW;
+    END IF;
+
     -- Update account projection balance based on transaction type
-    IF NEW.txn_type IN ('DEPOSIT', 'TRANSFER_IN') THEN
+    IF is_credit_type(NEW.txn_type) THEN
         UPDATE account_projections 
         SET current_balance = current_balance + NEW.amount,
             last_updated = CURRENT_TIMESTAMP
         WHERE account_id = NEW.account_id;
-    ELSIF NEW.txn_type IN ('WITHDRAWAL', 'TRANSFER_OUT') THEN
+    ELSE
         UPDATE account_projections 
         SET current_balance = current_balance - NEW.amount,
             last_updated = CURRENT_TIMESTAMP
@@ -115,9 +602,111 @@ $$ LANGUAGE plpgsql;
 
 -- Trigger to update balance
 CREATE TRIGGER trigger_update_balance
-    BEFORE INSERT ON transactions
+    BEFORE INSERT OR UPDATE OF status ON transactions
     FOR EACH ROW EXECUTE FUNCTION update_account_balance();
 
+-- Function to journal a transaction as it is posted
+CREATE OR REPLACE FUNCTION journal_transaction()
+RETURNS TRIGGER AS $$
+DECLARE
+    rule_txn_type transaction_type;
+    contra_account INTEGER;
+    control_account INTEGER;
+    account_currency VARCHAR(3);
+    customer_amount DECIMAL(15,2);
+    new_journal_id BIGINT;
+BEGIN
+    -- Journal exactly the rows that move money, as update_account_balance does
+    IF NOT (NEW.status = 'COMPLETED' AND (TG_OP = 'INSERT' OR OLD.status = 'PENDING')) THEN
+        RETURN NULL;
+    END IF;
+
+    rule_txn_type := NEW.txn_type;
+    IF NEW.txn_type IN ('REVERSAL_CREDIT', 'REVERSAL_DEBIT') THEN
+        SELECT txn_type INTO rule_txn_type FROM transactions WHERE txn_id = NEW.reversal_of;
+    END IF;
+
+    SELECT la.ledger_account_id INTO contra_account
+    FROM ledger_posting_rules r
+    JOIN ledger_accounts la ON la.code = r.contra_account_code
+    WHERE r.txn_type = rule_txn_type;
+
+    IF contra_account IS NULL THEN
+        SELECT ledger_account_id INTO contra_account FROM ledger_accounts WHERE code = 'SUSPENSE';
+    END IF;
+
+    SELECT ledger_account_id INTO control_account FROM ledger_accounts WHERE code = 'CUSTOMER_DEPOSITS';
+    SELECT currency INTO account_currency FROM account_projections WHERE account_id = NEW.account_id;
+
+    -- Money into a customer account credits the deposits liability, money out debits it
+    IF is_credit_type(NEW.txn_type) THEN
+        customer_amount := -NEW.amount;
+    ELSE
+        customer_amount := NEW.amount;
+    END IF;
+
+    INSERT INTO journal_entries (txn_id, description)
+    VALUES (NEW.txn_id, NEW.txn_type || ' ' || NEW.reference)
+    RETURNING journal_id INTO new_journal_id;
+
+    INSERT INTO journal_postings (journal_id, ledger_account_id, account_id, currency, amount) VALUES
+    (new_journal_id, control_account, NEW.account_id, account_currency, customer_amount),
+    (new_journal_id, contra_account, NULL, account_currency, -customer_amount);
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger to journal posted transactions
+CREATE TRIGGER trigger_journal_transaction
+    AFTER INSERT OR UPDATE OF status ON transactions
+    FOR EACH ROW EXECUTE FUNCTION journal_transaction();
+
+-- Function to reject a journal whose postings do not sum to zero in every currency
+CREATE OR REPLACE FUNCTION check_journal_balanced()
+RETURNS TRIGGER AS $$
+DECLARE
+    unbalanced_currency VARCHAR(3);
+BEGIN
+    SELECT currency INTO unbalanced_currency
+    FROM journal_postings
+    WHERE journal_id = NEW.journal_id
+    GROUP BY currency
+    HAVING SUM(amount) <> 0
+    LIMIT 1;
+
+    IF unbalanced_currency IS NOT NULL THEN
+        RAISE EXCEPTION 'Journal % does not balance in %', NEW.journal_id, unbalanced_currency
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Checked at commit, once every posting of the journal has been inserted
+CREATE CONSTRAINT TRIGGER trigger_check_journal_balanced
+    AFTER INSERT ON journal_postings
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION check_journal_balanced();
+
+-- Function to keep the ledger append-only
+CREATE OR REPLACE FUNCTION prevent_ledger_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Ledger entries cannot be changed; post a correcting journal instead'
+        USING ERRCODE = 'check_violation';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_journal_entries_append_only
+    BEFORE UPDATE OR DELETE ON journal_entries
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_changes();
+
+CREATE TRIGGER trigger_journal_postings_append_only
+    BEFORE UPDATE OR DELETE ON journal_postings
+    FOR EACH ROW EXECUTE FUNCTION prevent_ledger_changes();
+
 -- Function to clean up expired idempotency keys
 CREATE OR REPLACE FUNCTION cleanup_expired_idempotency_keys()
 RETURNS INTEGER AS $$
@@ -143,4 +732,20 @@ $$ LANGUAGE plpgsql;
 
 CREATE TRIGGER trigger_update_transactions_updated_at
     BEFORE UPDATE ON transactions
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_update_scheduled_transfers_updated_at
+    BEFORE UPDATE ON scheduled_transfers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_update_standing_instructions_updated_at
+    BEFORE UPDATE ON standing_instructions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_update_transaction_batches_updated_at
+    BEFORE UPDATE ON transaction_batches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER trigger_update_holds_updated_at
+    BEFORE UPDATE ON holds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -252,6 +252,10 @@ async function clearData() {
   
   // Clear in reverse order due to foreign key constraints
   await db.query('DELETE FROM idempotency_keys');
+  // The ledger is append-only, so it is truncated rather than deleted from
+  await db.query('TRUNCATE journal_postings, journal_entries RESTART IDENTITY');
+  await db.query('DELETE FROM reconciliation_breaks');
+  await db.query('DELETE FROM reconciliation_runs');
   await db.query('DELETE FROM transactions');
   await db.query('DELETE FROM account_projections');
   await db.query('DELETE FROM customer_projections');
@@ -338,7 +342,20 @@ async function seedTransactions() {
         txn.created_at
       ]);
     }
-    
+
+    // The seeded balances already include this history, so each account opened with
+    // its balance less the transactions
+    await db.query(`
+      UPDATE account_projections ap
+      SET opening_balance = ap.current_balance - COALESCE((
+        SELECT SUM(CASE WHEN is_credit_type(t.txn_type)
+                        THEN t.amount ELSE -t.amount END)
+        FROM transactions t
+        WHERE t.account_id = ap.account_id
+          AND t.status IN ('COMPLETED', 'REVERSED')
+      ), 0)
+    `);
+
     console.log(`Seeded ${seedData.transactions.length} transactions`);
   } finally {
     // Re-enable the trigger
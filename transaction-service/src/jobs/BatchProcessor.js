@@ -0,0 +1,40 @@
+const PollingJob = require('./PollingJob');
+const batchService = require('../services/BatchService');
+
+/**
+ * Batch Processor
+ * Background worker that processes queued bulk payment batches
+ */
+class BatchProcessor extends PollingJob {
+  constructor() {
+    super(
+      'BatchProcessor',
+      parseInt(process.env.BATCH_POLL_INTERVAL_MS) || 30 * 1000
+    );
+    this.maxBatchesPerPass = parseInt(process.env.BATCH_MAX_PER_PASS) || 5;
+  }
+
+  /**
+   * Process queued batches one after another
+   */
+  async execute() {
+    const summary = { processed: 0, batches: [] };
+
+    for (let i = 0; i < this.maxBatchesPerPass; i++) {
+      const batch = await batchService.processNext();
+      if (!batch) {
+        break;
+      }
+
+      summary.processed++;
+      summary.batches.push({ batch_id: batch.batch_id, status: batch.status });
+    }
+
+    return summary;
+  }
+}
+
+// Singleton instance
+const batchProcessor = new BatchProcessor();
+
+module.exports = batchProcessor;
@@ -0,0 +1,28 @@
+const PollingJob = require('./PollingJob');
+const holdService = require('../services/HoldService');
+
+/**
+ * Hold Expiry Job
+ * Background worker that releases authorization holds past their expiry time
+ */
+class HoldExpiryJob extends PollingJob {
+  constructor() {
+    super(
+      'HoldExpiryJob',
+      parseInt(process.env.HOLD_EXPIRY_POLL_INTERVAL_MS) || 60 * 1000
+    );
+    this.batchSize = parseInt(process.env.HOLD_EXPIRY_BATCH_SIZE) || 50;
+  }
+
+  /**
+   * Release expired holds
+   */
+  async execute() {
+    return await holdService.expireDue(this.batchSize);
+  }
+}
+
+// Singleton instance
+const holdExpiryJob = new HoldExpiryJob();
+
+module.exports = holdExpiryJob;
@@ -0,0 +1,36 @@
+const PollingJob = require('./PollingJob');
+const interestService = require('../services/InterestService');
+
+/**
+ * Interest Accrual Job
+ * Background worker that accrues daily interest up to yesterday and settles it at period end
+ */
+class InterestAccrualJob extends PollingJob {
+  constructor() {
+    super(
+      'InterestAccrualJob',
+      parseInt(process.env.INTEREST_ACCRUAL_POLL_INTERVAL_MS) || 60 * 60 * 1000
+    );
+    this.maxDaysPerRun = parseInt(process.env.INTEREST_ACCRUAL_MAX_DAYS_PER_RUN) || 31;
+  }
+
+  /**
+   * Accrue interest for days that have closed
+   */
+  async execute() {
+    return await interestService.accrueDue(this.maxDaysPerRun);
+  }
+
+  /**
+   * Every pass visits all interest-bearing accounts; only log passes that changed something
+   * @param {Object} summary - Pass summary
+   */
+  hasActivity(summary) {
+    return Boolean(summary && (summary.accrued_days > 0 || summary.credited > 0 || summary.charged > 0 || summary.failed > 0));
+  }
+}
+
+// Singleton instance
+const interestAccrualJob = new InterestAccrualJob();
+
+module.exports = interestAccrualJob;
@@ -0,0 +1,107 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * Polling Job
+ * Base class for background workers that run a task on a fixed interval
+ */
+class PollingJob {
+  /**
+   * @param {string} name - Job name used in logs and status
+   * @param {number} intervalMs - Delay between passes
+   */
+  constructor(name, intervalMs) {
+    this.name = name;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRunAt = null;
+    this.lastSummary = null;
+  }
+
+  /**
+   * Work performed on each pass; subclasses must override
+   * @returns {Promise<Object>} Pass summary
+   */
+  async execute() {
+    throw new Error(`${this.name} must implement execute()`);
+  }
+
+  /**
+   * Whether a pass summary is worth logging at info level
+   * @param {Object} summary - Pass summary
+   */
+  hasActivity(summary) {
+    return Boolean(summary && summary.processed > 0);
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) {
+      logger.warn(`${this.name} already started`);
+      return;
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    // Don't keep the process alive just for the job
+    this.timer.unref();
+
+    logger.info(`${this.name} started`, { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info(`${this.name} stopped`);
+    }
+  }
+
+  /**
+   * Execute one pass
+   * Overlapping passes are skipped so a slow run never doubles up
+   */
+  async runOnce() {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    try {
+      const summary = await this.execute();
+      this.lastRunAt = new Date().toISOString();
+      this.lastSummary = summary;
+
+      if (this.hasActivity(summary)) {
+        logger.info(`${this.name} pass completed`, summary);
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error(`${this.name} pass failed:`, error);
+      return null;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      isStarted: this.timer !== null,
+      isRunning: this.isRunning,
+      intervalMs: this.intervalMs,
+      lastRunAt: this.lastRunAt,
+      lastSummary: this.lastSummary
+    };
+  }
+}
+
+module.exports = PollingJob;
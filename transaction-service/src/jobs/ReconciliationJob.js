@@ -0,0 +1,41 @@
+const PollingJob = require('./PollingJob');
+const reconciliationService = require('../services/ReconciliationService');
+
+/**
+ * Reconciliation Job
+ * Background worker that reconciles projected balances with the transaction history
+ */
+class ReconciliationJob extends PollingJob {
+  constructor() {
+    super(
+      'ReconciliationJob',
+      parseInt(process.env.RECONCILIATION_POLL_INTERVAL_MS) || 24 * 60 * 60 * 1000
+    );
+    this.autoRepair = process.env.RECONCILIATION_AUTO_REPAIR === 'true';
+  }
+
+  /**
+   * Reconcile every account
+   */
+  async execute() {
+    const { breaks, ...summary } = await reconciliationService.run({
+      triggered_by: 'SCHEDULE',
+      auto_repair: this.autoRepair
+    });
+
+    return summary;
+  }
+
+  /**
+   * Only log runs that found or closed breaks
+   * @param {Object} summary - Run summary
+   */
+  hasActivity(summary) {
+    return Boolean(summary && (summary.breaks_found > 0 || summary.breaks_resolved > 0));
+  }
+}
+
+// Singleton instance
+const reconciliationJob = new ReconciliationJob();
+
+module.exports = reconciliationJob;
@@ -0,0 +1,28 @@
+const PollingJob = require('./PollingJob');
+const scheduledTransferService = require('../services/ScheduledTransferService');
+
+/**
+ * Scheduled Transfer Executor
+ * Background worker that periodically runs scheduled transfers that have fallen due
+ */
+class ScheduledTransferExecutor extends PollingJob {
+  constructor() {
+    super(
+      'ScheduledTransferExecutor',
+      parseInt(process.env.SCHEDULED_TRANSFER_POLL_INTERVAL_MS) || 60 * 1000
+    );
+    this.batchSize = parseInt(process.env.SCHEDULED_TRANSFER_BATCH_SIZE) || 10;
+  }
+
+  /**
+   * Run due scheduled transfers
+   */
+  async execute() {
+    return await scheduledTransferService.executeDue(this.batchSize);
+  }
+}
+
+// Singleton instance
+const scheduledTransferExecutor = new ScheduledTransferExecutor();
+
+module.exports = scheduledTransferExecutor;
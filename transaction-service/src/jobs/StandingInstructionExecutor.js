@@ -0,0 +1,28 @@
+const PollingJob = require('./PollingJob');
+const standingInstructionService = require('../services/StandingInstructionService');
+
+/**
+ * Standing Instruction Executor
+ * Background worker that runs due occurrences of recurring transfers
+ */
+class StandingInstructionExecutor extends PollingJob {
+  constructor() {
+    super(
+      'StandingInstructionExecutor',
+      parseInt(process.env.STANDING_INSTRUCTION_POLL_INTERVAL_MS) || 5 * 60 * 1000
+    );
+    this.batchSize = parseInt(process.env.STANDING_INSTRUCTION_BATCH_SIZE) || 50;
+  }
+
+  /**
+   * Run due standing instruction occurrences
+   */
+  async execute() {
+    return await standingInstructionService.executeDue(this.batchSize);
+  }
+}
+
+// Singleton instance
+const standingInstructionExecutor = new StandingInstructionExecutor();
+
+module.exports = standingInstructionExecutor;
@@ -10,7 +10,8 @@ class AccountConsumer {
       'account.created',
       'account.updated',
       'account.status.changed',
-      'account.balance.updated'
+      'account.balance.updated',
+      'account.overdraft.updated'
     ];
     this.isConsuming = false;
     this.accountRepository = accountProjectionRepository;
@@ -107,6 +108,9 @@ class AccountConsumer {
         case 'account.balance.updated':
           await this.handleAccountBalanceUpdated(content);
           break;
+        case 'account.overdraft.updated':
+          await this.handleAccountOverdraftUpdated(content);
+          break;
         default:
           logger.warn('Unknown routing key for account message:', routingKey);
       }
@@ -165,10 +169,13 @@ class AccountConsumer {
       account_type: data.accountType,
       current_balance: data.initialBalance || 0,
       currency: data.currency || 'INR',
-      status: data.status || 'ACTIVE'
+      status: data.status || 'ACTIVE',
+      overdraft_limit: data.overdraftLimit || 0,
+      overdraft_interest_rate: data.overdraftInterestRate || 0
     };
 
-    await this.accountRepository.create(accountProjection);
+    // Upserted so a redelivered event does not fail; an existing overdraft only changes through overdraft events
+    await this.accountRepository.upsert(accountProjection);
     
     logger.info('Account projection created', { accountId: data.accountId });
   }
@@ -179,20 +186,10 @@ class AccountConsumer {
   async handleAccountUpdated(messageContent) {
     const { data } = messageContent;
     
-    const updates = {
+    await this.accountRepository.updateDetails(data.accountId, {
       account_type: data.accountType,
-      currency: data.currency,
-      last_updated: new Date()
-    };
-
-    // Remove undefined fields
-    Object.keys(updates).forEach(key => {
-      if (updates[key] === undefined) {
-        delete updates[key];
-      }
+      currency: data.currency
     });
-
-    await this.accountRepository.update(data.accountId, updates);
     
     logger.info('Account projection updated', { accountId: data.accountId });
   }
@@ -203,10 +200,7 @@ class AccountConsumer {
   async handleAccountStatusChanged(messageContent) {
     const { data } = messageContent;
     
-    await this.accountRepository.update(data.accountId, {
-      status: data.newStatus,
-      last_updated: new Date()
-    });
+    await this.accountRepository.updateStatus(data.accountId, data.newStatus);
     
     logger.info('Account status updated', { 
       accountId: data.accountId, 
@@ -220,10 +214,7 @@ class AccountConsumer {
   async handleAccountBalanceUpdated(messageContent) {
     const { data } = messageContent;
     
-    await this.accountRepository.update(data.accountId, {
-      current_balance: data.newBalance,
-      last_updated: new Date()
-    });
+    await this.accountRepository.updateBalance(data.accountId, data.newBalance);
     
     logger.info('Account balance updated', { 
       accountId: data.accountId, 
@@ -231,6 +222,24 @@ class AccountConsumer {
     });
   }
 
+  /**
+   * Handle account overdraft updated event
+   */
+  async handleAccountOverdraftUpdated(messageContent) {
+    const { data } = messageContent;
+
+    await this.accountRepository.updateOverdraft(data.accountId, {
+      overdraft_limit: data.overdraftLimit,
+      overdraft_interest_rate: data.overdraftInterestRate
+    });
+
+    logger.info('Account overdraft updated', {
+      accountId: data.accountId,
+      overdraftLimit: data.overdraftLimit,
+      overdraftInterestRate: data.overdraftInterestRate
+    });
+  }
+
   /**
    * Republish message with retry information
    */
@@ -10,6 +10,7 @@ class CustomerConsumer {
       'customer.created',
       'customer.updated',
       'customer.status.changed',
+      'customer.kyc.updated',
       'customer.deleted'
     ];
     this.isConsuming = false;
@@ -104,6 +105,9 @@ class CustomerConsumer {
         case 'customer.status.changed':
           await this.handleCustomerStatusChanged(content);
           break;
+        case 'customer.kyc.updated':
+          await this.handleCustomerKycUpdated(content);
+          break;
         case 'customer.deleted':
           await this.handleCustomerDeleted(content);
           break;
@@ -165,7 +169,8 @@ class CustomerConsumer {
       last_name: data.lastName,
       email: data.email,
       phone: data.phone,
-      status: data.status || 'ACTIVE'
+      status: data.status || 'ACTIVE',
+      kyc_tier: data.kycTier || 'BASIC'
     };
 
     await this.customerRepository.create(customerProjection);
@@ -184,6 +189,7 @@ class CustomerConsumer {
       last_name: data.lastName,
       email: data.email,
       phone: data.phone,
+      kyc_tier: data.kycTier,
       last_updated: new Date()
     };
 
@@ -213,6 +219,20 @@ class CustomerConsumer {
     });
   }
 
+  /**
+   * Handle customer KYC updated event
+   */
+  async handleCustomerKycUpdated(messageContent) {
+    const { data } = messageContent;
+
+    await this.customerRepository.update(data.customerId, { kyc_tier: data.kycTier });
+
+    logger.info('Customer KYC tier updated', {
+      customerId: data.customerId,
+      kycTier: data.kycTier
+    });
+  }
+
   /**
    * Handle customer deleted event
    */
@@ -10,7 +10,18 @@ class TransactionPublisher {
       WITHDRAWAL: 'transaction.withdrawal.completed',
       TRANSFER_IN: 'transaction.transfer.in.completed',
       TRANSFER_OUT: 'transaction.transfer.out.completed',
+      REVERSAL_CREDIT: 'transaction.reversal.credit.completed',
+      REVERSAL_DEBIT: 'transaction.reversal.debit.completed',
+      FEE: 'transaction.fee.completed',
+      FEE_TAX: 'transaction.fee.tax.completed',
+      INTEREST: 'transaction.interest.completed',
+      OVERDRAFT_INTEREST: 'transaction.overdraft.interest.completed',
       TRANSFER_CREATED: 'transaction.transfer.created',
+      REVERSAL_CREATED: 'transaction.reversal.created',
+      SCHEDULED_TRANSFER_FAILED: 'transaction.scheduled.failed',
+      HOLD_CREATED: 'transaction.hold.created',
+      HOLD_CAPTURED: 'transaction.hold.captured',
+      HOLD_RELEASED: 'transaction.hold.released',
       BALANCE_UPDATED: 'account.balance.updated'
     };
     this.isInitialized = false;
@@ -169,6 +180,152 @@ class TransactionPublisher {
     }
   }
 
+  /**
+   * Publish reversal created event (compensating entries for an original transaction)
+   */
+  async publishReversalCreated(reversalData) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const eventData = {
+        messageId: uuidv4(),
+        timestamp: new Date().toISOString(),
+        eventType: this.routingKeys.REVERSAL_CREATED,
+        source: 'transaction-service',
+        version: '1.0.0',
+        data: {
+          reversalReference: reversalData.reversalReference,
+          originalTransactionId: reversalData.originalTransactionId,
+          originalType: reversalData.originalType,
+          amount: parseFloat(reversalData.amount),
+          isPartial: reversalData.isPartial,
+          reason: reversalData.reason,
+          entries: reversalData.entries.map(entry => ({
+            transactionId: entry.txn_id,
+            accountId: entry.account_id,
+            transactionType: entry.txn_type,
+            amount: parseFloat(entry.amount),
+            reference: entry.reference,
+            reversalOf: entry.reversal_of,
+            balanceAfter: entry.balance_after !== null ? parseFloat(entry.balance_after) : null
+          })),
+          createdAt: new Date().toISOString()
+        }
+      };
+
+      await this.publishEvent(this.routingKeys.REVERSAL_CREATED, eventData);
+
+      logger.info('Reversal created event published', {
+        reversalReference: reversalData.reversalReference,
+        originalTransactionId: reversalData.originalTransactionId,
+        amount: reversalData.amount,
+        messageId: eventData.messageId
+      });
+
+    } catch (error) {
+      logger.error('Failed to publish reversal created event:', error);
+      // Don't throw error to avoid breaking transaction processing
+    }
+  }
+
+  /**
+   * Publish scheduled transfer failed event (so customers can be notified)
+   */
+  async publishScheduledTransferFailed(scheduleData) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      const eventData = {
+        messageId: uuidv4(),
+        timestamp: new Date().toISOString(),
+        eventType: this.routingKeys.SCHEDULED_TRANSFER_FAILED,
+        source: 'transaction-service',
+        version: '1.0.0',
+        data: {
+          scheduleId: scheduleData.schedule_id,
+          fromAccountId: scheduleData.from_account_id,
+          toAccountId: scheduleData.to_account_id,
+          amount: parseFloat(scheduleData.amount),
+          executeAt: scheduleData.execute_at,
+          attempts: scheduleData.attempts,
+          maxAttempts: scheduleData.max_attempts,
+          status: scheduleData.status,
+          reason: scheduleData.last_error,
+          willRetry: scheduleData.status === 'PENDING',
+          nextAttemptAt: scheduleData.status === 'PENDING' ? scheduleData.next_attempt_at : null,
+          failedAt: new Date().toISOString()
+        }
+      };
+
+      await this.publishEvent(this.routingKeys.SCHEDULED_TRANSFER_FAILED, eventData);
+
+      logger.info('Scheduled transfer failed event published', {
+        scheduleId: scheduleData.schedule_id,
+        status: scheduleData.status,
+        messageId: eventData.messageId
+      });
+
+    } catch (error) {
+      logger.error('Failed to publish scheduled transfer failed event:', error);
+      // Don't throw error to avoid breaking schedule processing
+    }
+  }
+
+  /**
+   * Publish hold lifecycle event (created, captured, or released by void/expiry)
+   */
+  async publishHoldUpdated(holdData) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      let routingKey = this.routingKeys.HOLD_RELEASED;
+      if (holdData.status === 'ACTIVE') {
+        routingKey = this.routingKeys.HOLD_CREATED;
+      } else if (holdData.status === 'CAPTURED') {
+        routingKey = this.routingKeys.HOLD_CAPTURED;
+      }
+
+      const eventData = {
+        messageId: uuidv4(),
+        timestamp: new Date().toISOString(),
+        eventType: routingKey,
+        source: 'transaction-service',
+        version: '1.0.0',
+        data: {
+          holdId: holdData.hold_id,
+          accountId: holdData.account_id,
+          amount: parseFloat(holdData.amount),
+          capturedAmount: parseFloat(holdData.captured_amount),
+          status: holdData.status,
+          counterparty: holdData.counterparty,
+          expiresAt: holdData.expires_at,
+          captureReference: holdData.capture_reference,
+          captureTransactionId: holdData.capture_txn_id,
+          releaseReason: holdData.release_reason,
+          updatedAt: new Date().toISOString()
+        }
+      };
+
+      await this.publishEvent(routingKey, eventData);
+
+      logger.info('Hold event published', {
+        holdId: holdData.hold_id,
+        status: holdData.status,
+        messageId: eventData.messageId
+      });
+
+    } catch (error) {
+      logger.error('Failed to publish hold event:', error);
+      // Don't throw error to avoid breaking hold processing
+    }
+  }
+
   /**
    * Publish balance updated event
    */
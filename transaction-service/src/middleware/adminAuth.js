@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const ApiResponse = require('../utils/ApiResponse');
+const { logger } = require('../utils/logger');
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Admin authorization middleware for the /admin routers
+ * Requests must carry the ADMIN_API_TOKEN as a bearer token. Without a configured
+ * token every admin request is refused, so the admin API is never open by default
+ */
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+
+  if (!adminToken) {
+    logger.warn('Admin request refused: ADMIN_API_TOKEN is not configured', {
+      method: req.method,
+      url: req.originalUrl
+    });
+    const response = ApiResponse.forbidden('Admin API is not enabled');
+    return res.status(response.statusCode).json(response);
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  // Compare digests so the comparison takes the same time whatever the token's length
+  if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(digest(token), digest(adminToken))) {
+    const response = ApiResponse.unauthorized('Unauthorized: a valid admin token is required');
+    return res.status(response.statusCode).json(response);
+  }
+
+  next();
+};
+
+module.exports = requireAdmin;
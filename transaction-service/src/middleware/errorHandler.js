@@ -23,16 +23,29 @@ const errorHandler = (err, req, res, next) => {
     response = ApiResponse.notFound(err.message);
   } else if (err.message.includes('Validation failed')) {
     response = ApiResponse.validationError([err.message]);
+  } else if (err.message.includes('Idempotency key reused')) {
+    response = ApiResponse.conflict(err.message, 'IDEMPOTENCY_KEY_REUSED');
+  } else if (err.message.includes('Idempotency request in progress')) {
+    response = ApiResponse.conflict(err.message, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
   } else if (err.message.includes('already exists')) {
     response = ApiResponse.conflict(err.message);
   } else if (err.message.includes('Insufficient balance') || 
              err.message.includes('not active') ||
-             err.message.includes('Transfer failed')) {
+             err.message.includes('Transfer failed') ||
+             err.message.includes('Reversal failed') ||
+             err.message.includes('Hold failed') ||
+             err.message.includes('Repair failed') ||
+             err.message.includes('Limit exceeded') ||
+             err.message.includes('Transaction status update failed') ||
+             err.message.includes('Schedule update failed') ||
+             err.message.includes('Standing instruction update failed')) {
     response = ApiResponse.error(err.message, 400);
   } else if (err.message.includes('Unauthorized')) {
     response = ApiResponse.unauthorized(err.message);
   } else if (err.message.includes('Forbidden')) {
     response = ApiResponse.forbidden(err.message);
+  } else if (err.message.includes('Download unavailable')) {
+    response = ApiResponse.error(err.message, 503);
   }
 
   // Database errors
@@ -0,0 +1,195 @@
+const idempotencyKeyRepository = require('../repositories/IdempotencyKeyRepository');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const ApiResponse = require('../utils/ApiResponse');
+const { fingerprint } = require('../utils/requestFingerprint');
+const { logger } = require('../utils/logger');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const KEY_REUSED = 'IDEMPOTENCY_KEY_REUSED';
+const REQUEST_IN_PROGRESS = 'IDEMPOTENCY_REQUEST_IN_PROGRESS';
+const RESPONSE_LOST = 'IDEMPOTENCY_RESPONSE_LOST';
+
+/**
+ * Read the idempotency key from the X-Idempotency-Key header, falling back to
+ * an idempotency_key field in a JSON body
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Idempotency key
+ */
+const getIdempotencyKey = (req) => {
+  const headerKey = req.get('X-Idempotency-Key');
+  if (headerKey !== undefined) {
+    return headerKey;
+  }
+
+  if (req.body && typeof req.body === 'object') {
+    return req.body.idempotency_key;
+  }
+
+  return undefined;
+};
+
+// How long a request holding a key may run before another request with the same key
+// may take it over, and how long a concurrent duplicate waits for the holder to finish
+const LOCK_TIMEOUT_MS = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS) || 60000;
+const WAIT_MS = parseInt(process.env.IDEMPOTENCY_WAIT_MS) || 2000;
+const POLL_INTERVAL_MS = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Claim a key for this request, waiting briefly while another request holds it
+ * @param {string} key - Idempotency key
+ * @param {Object} requestBody - Request body to store with the key
+ * @param {string} requestFingerprint - Request fingerprint
+ * @returns {Promise<Object>} { claimed, idempotencyKey } - idempotencyKey is the holder's when not claimed
+ */
+const claimKey = async (key, requestBody, requestFingerprint) => {
+  const deadline = Date.now() + WAIT_MS;
+
+  for (;;) {
+    const result = await idempotencyKeyRepository.claim({
+      key,
+      request_body: requestBody,
+      request_fingerprint: requestFingerprint
+    }, LOCK_TIMEOUT_MS);
+
+    if (result.claimed) {
+      return result;
+    }
+
+    // No holder means it released the key between our insert and select: claim again
+    const holder = result.idempotencyKey;
+    if (holder) {
+      if (!holder.isInProgress() || !holder.matchesRequest(requestFingerprint) ||
+          holder.isAbandoned(LOCK_TIMEOUT_MS) || Date.now() >= deadline) {
+        return result;
+      }
+
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+};
+
+/**
+ * Idempotency middleware for mutating requests
+ * The first request with a key claims it atomically and is processed normally, and its
+ * response is stored; a retry with the same key gets the stored status code and body back
+ * without being processed again. A duplicate arriving while the first is still running waits
+ * briefly for its response, then gets 409 with Retry-After. Reusing a key for a different
+ * request (method, URL or body) is rejected with 409. Error responses release the key so
+ * the client can correct and retry, and a claim abandoned by a crash is taken over once it
+ * is older than the lock timeout. Deposits, withdrawals and transfers record their
+ * transaction on the claim as they post (req.idempotencyClaim), so an abandoned claim that
+ * did post is never run again: retries get 409 naming the transaction instead
+ */
+const idempotency = async (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const key = getIdempotencyKey(req);
+  if (key === undefined || key === null) {
+    return next();
+  }
+
+  if (typeof key !== 'string' || key.length < 1 || key.length > 255) {
+    const response = ApiResponse.validationError([{
+      field: 'X-Idempotency-Key',
+      message: 'Idempotency key must be between 1 and 255 characters',
+      value: key
+    }]);
+    return res.status(response.statusCode).json(response);
+  }
+
+  if (IdempotencyKey.isInternal(key)) {
+    const response = ApiResponse.validationError([{
+      field: 'X-Idempotency-Key',
+      message: `Idempotency keys starting with ${IdempotencyKey.INTERNAL_PREFIX} are reserved`,
+      value: key
+    }]);
+    return res.status(response.statusCode).json(response);
+  }
+
+  // Only bodies parsed by now are part of the fingerprint; the server parses CSV uploads
+  // ahead of this middleware for that reason
+  const requestFingerprint = fingerprint({
+    method: req.method,
+    url: req.originalUrl,
+    body: req.body
+  });
+
+  let claimed;
+  let idempotencyKey;
+  try {
+    ({ claimed, idempotencyKey } = await claimKey(
+      key,
+      req.body && typeof req.body === 'object' ? req.body : null,
+      requestFingerprint
+    ));
+
+    if (!claimed) {
+      if (!idempotencyKey.matchesRequest(requestFingerprint)) {
+        const response = ApiResponse.conflict(
+          'Idempotency key has already been used for a different request',
+          KEY_REUSED
+        );
+        return res.status(response.statusCode).json(response);
+      }
+
+      if (idempotencyKey.isProcessed()) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(idempotencyKey.response_status || 200).json(idempotencyKey.response_body);
+      }
+
+      // Posted, but the holder died before storing its response: running it again would post twice
+      if (idempotencyKey.txn_id && idempotencyKey.isAbandoned(LOCK_TIMEOUT_MS)) {
+        const response = ApiResponse.conflict(
+          `The request with this idempotency key posted transaction ${idempotencyKey.txn_id} but its response was not stored; look the transaction up instead of retrying`,
+          RESPONSE_LOST
+        );
+        return res.status(response.statusCode).json(response);
+      }
+
+      const response = ApiResponse.conflict('A request with this idempotency key is already in progress', REQUEST_IN_PROGRESS);
+      res.set('Retry-After', String(Math.max(1, Math.ceil(WAIT_MS / 1000))));
+      return res.status(response.statusCode).json(response);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.idempotencyKey = key;
+  req.idempotencyClaim = idempotencyKey;
+
+  // Store successful responses before they are sent, so a client that has seen the
+  // response can never retry past it; anything else releases the key
+  const originalJson = res.json.bind(res);
+  let settled = false;
+
+  res.json = (body) => {
+    settled = true;
+    const persist = res.statusCode >= 200 && res.statusCode < 300
+      ? idempotencyKeyRepository.saveResponse(key, idempotencyKey.claim_token, res.statusCode, body)
+      : idempotencyKeyRepository.release(key, idempotencyKey.claim_token);
+
+    persist
+      .catch(error => logger.error('Failed to settle idempotency key', { key, error: error.message }))
+      .then(() => originalJson(body));
+
+    return res;
+  };
+
+  res.on('finish', () => {
+    // Responses not sent through res.json (e.g. file downloads) cannot be replayed
+    if (!settled) {
+      idempotencyKeyRepository.release(key, idempotencyKey.claim_token)
+        .catch(error => logger.error('Failed to release idempotency key', { key, error: error.message }));
+    }
+  });
+
+  next();
+};
+
+module.exports = idempotency;
+module.exports.getIdempotencyKey = getIdempotencyKey;
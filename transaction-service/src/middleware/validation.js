@@ -1,5 +1,13 @@
 const { body, param, query, validationResult } = require('express-validator');
 const ApiResponse = require('../utils/ApiResponse');
+const Transaction = require('../models/Transaction');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { parseColumns, EXPORT_COLUMNS } = require('../utils/transactionExport');
+
+// Largest amount the DECIMAL(15,2) amount columns can hold. Business caps are
+// transaction limits, enforced by TransactionService and checked up front for batch files
+const MAX_AMOUNT = 9999999999999.99;
+const MAX_AMOUNT_TEXT = '9,999,999,999,999.99';
 
 /**
  * Validation middleware factory
@@ -25,6 +33,24 @@ const validate = (validations) => {
   };
 };
 
+/**
+ * Run validation chains against a plain data object (e.g. a parsed file line)
+ * so non-HTTP input is held to the same rules as the API
+ * @param {Array} validations - Validation chains built with body()
+ * @param {Object} data - Data to validate
+ * @returns {Promise<Array<Object>>} Validation errors (empty if valid)
+ */
+const validateData = async (validations, data) => {
+  const req = { body: data };
+  await Promise.all(validations.map(validation => validation.run(req)));
+
+  return validationResult(req).array().map(error => ({
+    field: error.path,
+    message: error.msg,
+    value: error.value
+  }));
+};
+
 /**
  * Common validation rules
  */
@@ -41,8 +67,8 @@ const validationRules = {
 
   // Amount validation
   amount: body('amount')
-    .isFloat({ min: 0.01, max: 10000000 })
-    .withMessage('Amount must be between 0.01 and 10,000,000'),
+    .isFloat({ min: 0.01, max: MAX_AMOUNT })
+    .withMessage(`Amount must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
 
   // Deposit validation
   depositValidation: [
@@ -50,8 +76,8 @@ const validationRules = {
       .isInt({ min: 1 })
       .withMessage('Account ID must be a positive integer'),
     body('amount')
-      .isFloat({ min: 0.01, max: 10000000 })
-      .withMessage('Amount must be between 0.01 and 10,000,000'),
+      .isFloat({ min: 0.01, max: MAX_AMOUNT })
+      .withMessage(`Amount must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
     body('counterparty')
       .optional()
       .isLength({ max: 255 })
@@ -68,8 +94,8 @@ const validationRules = {
       .isInt({ min: 1 })
       .withMessage('Account ID must be a positive integer'),
     body('amount')
-      .isFloat({ min: 0.01, max: 10000000 })
-      .withMessage('Amount must be between 0.01 and 10,000,000'),
+      .isFloat({ min: 0.01, max: MAX_AMOUNT })
+      .withMessage(`Amount must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
     body('counterparty')
       .optional()
       .isLength({ max: 255 })
@@ -89,12 +115,120 @@ const validationRules = {
       .isInt({ min: 1 })
       .withMessage('Destination account ID must be a positive integer'),
     body('amount')
-      .isFloat({ min: 0.01, max: 1000000 })
-      .withMessage('Transfer amount must be between 0.01 and 1,000,000'),
+      .isFloat({ min: 0.01, max: MAX_AMOUNT })
+      .withMessage(`Transfer amount must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
+    body('description')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters'),
+    body('execute_at')
+      .optional()
+      .isISO8601()
+      .withMessage('Execute at must be a valid ISO 8601 date'),
+    body('from_account_id')
+      .custom((value, { req }) => {
+        if (value === req.body.to_account_id) {
+          throw new Error('Source and destination accounts cannot be the same');
+        }
+        return true;
+      })
+  ],
+
+  // Reversal validation (amount omitted means full reversal)
+  reversalValidation: [
+    body('amount')
+      .optional()
+      .isFloat({ min: 0.01, max: MAX_AMOUNT })
+      .withMessage(`Reversal amount must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
+    body('reason')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('Reason must be less than 255 characters')
+  ],
+
+  // Scheduled transfer ID validation
+  scheduleId: param('scheduleId')
+    .isInt({ min: 1 })
+    .withMessage('Schedule ID must be a positive integer'),
+
+  // Scheduled transfer amend validation
+  scheduledTransferAmendValidation: [
+    body('amount')
+      .optional()
+      .isFloat({ min: 0.01, max: MAX_AMOUNT })
+      .withMessage(`Transfer amount must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
+    body('execute_at')
+      .optional()
+      .isISO8601()
+      .withMessage('Execute at must be a valid ISO 8601 date'),
+    body('description')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters')
+  ],
+
+  // Scheduled transfer list validation
+  scheduledTransferListValidation: [
+    query('account_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Account ID must be a positive integer'),
+    query('status')
+      .optional()
+      .isIn(['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED'])
+      .withMessage('Status must be one of PENDING, PROCESSING, COMPLETED, FAILED, CANCELLED'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  // Standing instruction ID validation
+  instructionId: param('instructionId')
+    .isInt({ min: 1 })
+    .withMessage('Instruction ID must be a positive integer'),
+
+  // Standing instruction create validation
+  standingInstructionValidation: [
+    body('from_account_id')
+      .isInt({ min: 1 })
+      .withMessage('Source account ID must be a positive integer'),
+    body('to_account_id')
+      .isInt({ min: 1 })
+      .withMessage('Destination account ID must be a positive integer'),
+    body('amount')
+      .isFloat({ min: 0.01, max: MAX_AMOUNT })
+      .withMessage(`Transfer amount must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
     body('description')
       .optional()
       .isLength({ max: 255 })
       .withMessage('Description must be less than 255 characters'),
+    body('frequency')
+      .isIn(['DAILY', 'WEEKLY', 'MONTHLY'])
+      .withMessage('Frequency must be one of DAILY, WEEKLY, MONTHLY'),
+    body('interval_count')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Interval count must be between 1 and 365'),
+    body('start_date')
+      .isISO8601()
+      .withMessage('Start date must be a valid ISO 8601 date'),
+    body('end_date')
+      .optional()
+      .isISO8601()
+      .withMessage('End date must be a valid ISO 8601 date'),
+    body('max_occurrences')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Max occurrences must be a positive integer'),
+    body('max_consecutive_failures')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Max consecutive failures must be between 1 and 100'),
     body('from_account_id')
       .custom((value, { req }) => {
         if (value === req.body.to_account_id) {
@@ -104,11 +238,736 @@ const validationRules = {
       })
   ],
 
+  // Standing instruction update validation
+  standingInstructionUpdateValidation: [
+    body('amount')
+      .optional()
+      .isFloat({ min: 0.01, max: MAX_AMOUNT })
+      .withMessage(`Transfer amount must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
+    body('description')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters'),
+    body('end_date')
+      .optional()
+      .isISO8601()
+      .withMessage('End date must be a valid ISO 8601 date'),
+    body('max_occurrences')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Max occurrences must be a positive integer'),
+    body('max_consecutive_failures')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Max consecutive failures must be between 1 and 100'),
+    body('status')
+      .optional()
+      .isIn(['ACTIVE', 'SUSPENDED'])
+      .withMessage('Status must be ACTIVE or SUSPENDED')
+  ],
+
+  // Standing instruction list validation
+  standingInstructionListValidation: [
+    query('account_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Account ID must be a positive integer'),
+    query('status')
+      .optional()
+      .isIn(['ACTIVE', 'SUSPENDED', 'COMPLETED', 'CANCELLED'])
+      .withMessage('Status must be one of ACTIVE, SUSPENDED, COMPLETED, CANCELLED'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  // Batch ID validation
+  batchId: param('batchId')
+    .isInt({ min: 1 })
+    .withMessage('Batch ID must be a positive integer'),
+
+  // Batch upload validation
+  batchUploadValidation: [
+    query('mode')
+      .optional()
+      .isIn(['ALL_OR_NOTHING', 'BEST_EFFORT'])
+      .withMessage('Mode must be ALL_OR_NOTHING or BEST_EFFORT'),
+    query('file_name')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('File name must be less than 255 characters')
+  ],
+
+  // Hold ID parameter validation
+  holdId: param('holdId')
+    .isInt({ min: 1 })
+    .withMessage('Hold ID must be a positive integer'),
+
+  // Hold (pre-authorization) validation
+  holdValidation: [
+    body('account_id')
+      .isInt({ min: 1 })
+      .withMessage('Account ID must be a positive integer'),
+    body('amount')
+      .isFloat({ min: 0.01, max: MAX_AMOUNT })
+      .withMessage(`Amount must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
+    body('counterparty')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('Counterparty must be less than 255 characters'),
+    body('description')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters'),
+    body('expires_at')
+      .optional()
+      .isISO8601()
+      .withMessage('Expires at must be a valid ISO 8601 date')
+  ],
+
+  // Hold capture validation (amount omitted means full capture)
+  holdCaptureValidation: [
+    body('amount')
+      .optional()
+      .isFloat({ min: 0.01, max: MAX_AMOUNT })
+      .withMessage(`Capture amount must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
+    body('to_account_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Destination account ID must be a positive integer'),
+    body('description')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters')
+  ],
+
+  // Hold void validation
+  holdVoidValidation: [
+    body('reason')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('Reason must be less than 255 characters')
+  ],
+
+  // Hold list validation
+  holdListValidation: [
+    query('account_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Account ID must be a positive integer'),
+    query('status')
+      .optional()
+      .isIn(['ACTIVE', 'CAPTURED', 'VOIDED', 'EXPIRED'])
+      .withMessage('Status must be one of ACTIVE, CAPTURED, VOIDED, EXPIRED'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  // Transaction status filter
+  transactionStatus: query('status')
+    .optional()
+    .isIn(['PENDING', 'COMPLETED', 'FAILED', 'REVERSED'])
+    .withMessage('Status must be one of PENDING, COMPLETED, FAILED, REVERSED'),
+
+  // Transaction type query filter
+  transactionType: query('txn_type')
+    .optional()
+    .isIn(Transaction.TYPES)
+    .withMessage(`Transaction type must be one of ${Transaction.TYPES.join(', ')}`),
+
+  // Account history keyset paging; a cursor implies cursor paging
+  historyPaging: [
+    query('paging')
+      .optional()
+      .isIn(['offset', 'cursor'])
+      .withMessage('Paging must be one of offset, cursor'),
+    query('cursor')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Cursor must be a page cursor from a previous response')
+  ],
+
+  // Account history mode: a plain page of transactions or a statement with balances
+  historyMode: query('mode')
+    .optional()
+    .isIn(['transactions', 'statement'])
+    .withMessage('Mode must be one of transactions, statement'),
+
+  // Include open holds in account history
+  includeHolds: query('include_holds')
+    .optional()
+    .isBoolean()
+    .withMessage('Include holds must be true or false'),
+
+  // Transaction history export validation (format, columns and history filters)
+  exportValidation: [
+    query('format')
+      .isIn(['csv', 'ndjson'])
+      .withMessage('Format must be one of csv, ndjson'),
+    query('columns')
+      .optional()
+      .isString()
+      .custom((value) => {
+        const columns = parseColumns(value);
+        const unknown = columns.filter(column => !EXPORT_COLUMNS.includes(column));
+        if (columns.length === 0 || unknown.length > 0) {
+          throw new Error(`Columns must be a comma-separated list of ${EXPORT_COLUMNS.join(', ')}`);
+        }
+        return true;
+      }),
+    query('from_date')
+      .optional()
+      .isISO8601()
+      .withMessage('From date must be a valid ISO 8601 date'),
+    query('to_date')
+      .optional()
+      .isISO8601()
+      .withMessage('To date must be a valid ISO 8601 date')
+  ],
+
+  // Transaction search criteria and sorting (paging and history filters are separate rules)
+  searchValidation: [
+    query('reference')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Reference must be 1 to 50 characters'),
+    query('counterparty')
+      .optional()
+      .isString()
+      .isLength({ min: 3, max: 255 })
+      .withMessage('Counterparty must be 3 to 255 characters'),
+    query('description')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Description keywords must be 1 to 200 characters'),
+    query('min_amount')
+      .optional()
+      .isFloat({ min: 0, max: MAX_AMOUNT })
+      .withMessage(`Minimum amount must be between 0 and ${MAX_AMOUNT_TEXT}`),
+    query('max_amount')
+      .optional()
+      .isFloat({ min: 0, max: MAX_AMOUNT })
+      .withMessage(`Maximum amount must be between 0 and ${MAX_AMOUNT_TEXT}`),
+    query('sort')
+      .optional()
+      .isIn(Transaction.SORT_FIELDS)
+      .withMessage(`Sort must be one of ${Transaction.SORT_FIELDS.join(', ')}`),
+    query('order')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('Order must be asc or desc')
+  ],
+
+  // Account filter for bank-wide searches
+  searchAccountId: query('account_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Account ID must be a positive integer'),
+
+  // Account statement period validation
+  statementValidation: [
+    query('from_date')
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('From date must be a valid ISO 8601 date'),
+    query('to_date')
+      .optional()
+      .isISO8601({ strict: true })
+      .withMessage('To date must be a valid ISO 8601 date')
+  ],
+
+  // FX rate ID parameter validation
+  fxRateId: param('rateId')
+    .isInt({ min: 1 })
+    .withMessage('FX rate ID must be a positive integer'),
+
+  // FX rate creation validation
+  fxRateValidation: [
+    body('base_currency')
+      .isString()
+      .isLength({ min: 3, max: 3 })
+      .isUppercase()
+      .withMessage('Base currency must be a 3-letter ISO 4217 code'),
+    body('quote_currency')
+      .isString()
+      .isLength({ min: 3, max: 3 })
+      .isUppercase()
+      .withMessage('Quote currency must be a 3-letter ISO 4217 code'),
+    body('rate')
+      .isFloat({ gt: 0 })
+      .withMessage('Rate must be a positive number'),
+    body('spread_percent')
+      .optional()
+      .isFloat({ min: 0, max: 99.9999 })
+      .withMessage('Spread must be between 0 and 100 percent'),
+    body('effective_from')
+      .optional()
+      .isISO8601()
+      .withMessage('Effective from must be a valid ISO 8601 date'),
+    body('effective_to')
+      .optional()
+      .isISO8601()
+      .withMessage('Effective to must be a valid ISO 8601 date')
+  ],
+
+  // Fee schedule ID parameter validation
+  feeScheduleId: param('feeScheduleId')
+    .isInt({ min: 1 })
+    .withMessage('Fee schedule ID must be a positive integer'),
+
+  // Fee schedule creation validation
+  feeScheduleValidation: [
+    body('account_type')
+      .optional({ nullable: true })
+      .isIn(['SAVINGS', 'CURRENT', 'SALARY'])
+      .withMessage('Account type must be SAVINGS, CURRENT or SALARY'),
+    body('txn_type')
+      .isIn(['WITHDRAWAL', 'TRANSFER_OUT'])
+      .withMessage('Transaction type must be WITHDRAWAL or TRANSFER_OUT'),
+    body('flat_fee')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Flat fee must not be negative'),
+    body('percent_fee')
+      .optional()
+      .isFloat({ min: 0, max: 99.9999 })
+      .withMessage('Percentage fee must be between 0 and 100 percent'),
+    body('min_fee')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Minimum fee must not be negative'),
+    body('max_fee')
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Maximum fee must not be negative'),
+    body('free_per_month')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Free transactions per month must be a non-negative integer'),
+    body('gst_percent')
+      .optional()
+      .isFloat({ min: 0, max: 99.99 })
+      .withMessage('GST must be between 0 and 100 percent'),
+    body('effective_from')
+      .optional()
+      .isISO8601()
+      .withMessage('Effective from must be a valid ISO 8601 date'),
+    body('effective_to')
+      .optional()
+      .isISO8601()
+      .withMessage('Effective to must be a valid ISO 8601 date')
+  ],
+
+  // Fee schedule list validation
+  feeScheduleListValidation: [
+    query('account_type')
+      .optional()
+      .isIn(['SAVINGS', 'CURRENT', 'SALARY'])
+      .withMessage('Account type must be SAVINGS, CURRENT or SALARY'),
+    query('txn_type')
+      .optional()
+      .isIn(['WITHDRAWAL', 'TRANSFER_OUT'])
+      .withMessage('Transaction type must be WITHDRAWAL or TRANSFER_OUT'),
+    query('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be true or false'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  // Overdraft update validation
+  overdraftValidation: [
+    body('overdraft_limit')
+      .optional()
+      .isFloat({ min: 0, max: 100000000 })
+      .withMessage('Overdraft limit must be between 0 and 100,000,000'),
+    body('overdraft_interest_rate')
+      .optional()
+      .isFloat({ min: 0, max: 99.9999 })
+      .withMessage('Overdraft interest rate must be between 0 and 100 percent'),
+    body()
+      .custom((value) => {
+        if (value.overdraft_limit === undefined && value.overdraft_interest_rate === undefined) {
+          throw new Error('overdraft_limit or overdraft_interest_rate is required');
+        }
+        return true;
+      })
+  ],
+
+  // Interest rate slab ID parameter validation
+  interestSlabId: param('slabId')
+    .isInt({ min: 1 })
+    .withMessage('Slab ID must be a positive integer'),
+
+  // Interest rate slab creation validation
+  interestSlabValidation: [
+    body('account_type')
+      .isIn(['SAVINGS', 'CURRENT', 'SALARY'])
+      .withMessage('Account type must be SAVINGS, CURRENT or SALARY'),
+    body('min_balance')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum balance must not be negative'),
+    body('max_balance')
+      .optional({ nullable: true })
+      .isFloat({ gt: 0 })
+      .withMessage('Maximum balance must be a positive number'),
+    body('annual_rate_percent')
+      .isFloat({ min: 0, max: 99.9999 })
+      .withMessage('Annual rate must be between 0 and 100 percent'),
+    body('effective_from')
+      .optional()
+      .isISO8601()
+      .withMessage('Effective from must be a valid ISO 8601 date'),
+    body('effective_to')
+      .optional()
+      .isISO8601()
+      .withMessage('Effective to must be a valid ISO 8601 date')
+  ],
+
+  // Interest rate slab list validation
+  interestSlabListValidation: [
+    query('account_type')
+      .optional()
+      .isIn(['SAVINGS', 'CURRENT', 'SALARY'])
+      .withMessage('Account type must be SAVINGS, CURRENT or SALARY'),
+    query('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be true or false'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  // Interest accrual report validation
+  interestReportValidation: [
+    query('from_date')
+      .optional()
+      .isISO8601()
+      .withMessage('From date must be a valid ISO 8601 date'),
+    query('to_date')
+      .optional()
+      .isISO8601()
+      .withMessage('To date must be a valid ISO 8601 date')
+  ],
+
+  // Transaction limit ID parameter validation
+  limitId: param('limitId')
+    .isInt({ min: 1 })
+    .withMessage('Limit ID must be a positive integer'),
+
+  // Transaction limit creation validation
+  transactionLimitValidation: [
+    body('account_type')
+      .optional({ nullable: true })
+      .isIn(['SAVINGS', 'CURRENT', 'SALARY'])
+      .withMessage('Account type must be SAVINGS, CURRENT or SALARY'),
+    body('kyc_tier')
+      .optional({ nullable: true })
+      .isIn(['BASIC', 'STANDARD', 'FULL'])
+      .withMessage('KYC tier must be BASIC, STANDARD or FULL'),
+    body('txn_type')
+      .isIn(['DEPOSIT', 'WITHDRAWAL', 'TRANSFER_OUT'])
+      .withMessage('Transaction type must be DEPOSIT, WITHDRAWAL or TRANSFER_OUT'),
+    body('period')
+      .isIn(['PER_TRANSACTION', 'DAILY', 'MONTHLY'])
+      .withMessage('Period must be PER_TRANSACTION, DAILY or MONTHLY'),
+    body('max_amount')
+      .optional({ nullable: true })
+      .isFloat({ min: 0.01, max: MAX_AMOUNT })
+      .withMessage(`Maximum amount must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
+    body('max_count')
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage('Maximum count must be a positive integer'),
+    body()
+      .custom((value) => {
+        if ((value.max_amount === undefined || value.max_amount === null) &&
+            (value.max_count === undefined || value.max_count === null)) {
+          throw new Error('max_amount or max_count is required');
+        }
+        return true;
+      }),
+    body('effective_from')
+      .optional()
+      .isISO8601()
+      .withMessage('Effective from must be a valid ISO 8601 date'),
+    body('effective_to')
+      .optional()
+      .isISO8601()
+      .withMessage('Effective to must be a valid ISO 8601 date')
+  ],
+
+  // Transaction limit list validation
+  transactionLimitListValidation: [
+    query('account_type')
+      .optional()
+      .isIn(['SAVINGS', 'CURRENT', 'SALARY'])
+      .withMessage('Account type must be SAVINGS, CURRENT or SALARY'),
+    query('kyc_tier')
+      .optional()
+      .isIn(['BASIC', 'STANDARD', 'FULL'])
+      .withMessage('KYC tier must be BASIC, STANDARD or FULL'),
+    query('txn_type')
+      .optional()
+      .isIn(['DEPOSIT', 'WITHDRAWAL', 'TRANSFER_OUT'])
+      .withMessage('Transaction type must be DEPOSIT, WITHDRAWAL or TRANSFER_OUT'),
+    query('period')
+      .optional()
+      .isIn(['PER_TRANSACTION', 'DAILY', 'MONTHLY'])
+      .withMessage('Period must be PER_TRANSACTION, DAILY or MONTHLY'),
+    query('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be true or false'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  // FX rate list validation
+  fxRateListValidation: [
+    query('base_currency')
+      .optional()
+      .isLength({ min: 3, max: 3 })
+      .isUppercase()
+      .withMessage('Base currency must be a 3-letter ISO 4217 code'),
+    query('quote_currency')
+      .optional()
+      .isLength({ min: 3, max: 3 })
+      .isUppercase()
+      .withMessage('Quote currency must be a 3-letter ISO 4217 code'),
+    query('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be true or false'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  // Ledger account code parameter validation
+  ledgerAccountCode: param('code')
+    .matches(/^[A-Z][A-Z0-9_]{0,29}$/)
+    .withMessage('Ledger account code must be 1-30 upper-case letters, digits or underscores'),
+
+  // Journal ID parameter validation
+  journalId: param('journalId')
+    .isInt({ min: 1 })
+    .withMessage('Journal ID must be a positive integer'),
+
+  // Ledger account creation validation
+  ledgerAccountValidation: [
+    body('code')
+      .matches(/^[A-Z][A-Z0-9_]{0,29}$/)
+      .withMessage('Code must be 1-30 upper-case letters, digits or underscores, starting with a letter'),
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name is required and must be at most 100 characters'),
+    body('account_type')
+      .isIn(['ASSET', 'LIABILITY', 'EQUITY', 'INCOME', 'EXPENSE'])
+      .withMessage('Account type must be one of ASSET, LIABILITY, EQUITY, INCOME, EXPENSE'),
+    body('description')
+      .optional()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters')
+  ],
+
+  // Ledger account list validation
+  ledgerAccountListValidation: [
+    query('account_type')
+      .optional()
+      .isIn(['ASSET', 'LIABILITY', 'EQUITY', 'INCOME', 'EXPENSE'])
+      .withMessage('Account type must be one of ASSET, LIABILITY, EQUITY, INCOME, EXPENSE')
+  ],
+
+  // Manual journal validation
+  manualJournalValidation: [
+    body('description')
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Description is required and must be less than 255 characters'),
+    body('posted_at')
+      .optional()
+      .isISO8601()
+      .withMessage('Posted at must be a valid ISO 8601 date'),
+    body('postings')
+      .isArray({ min: 2, max: 100 })
+      .withMessage('Postings must be an array of 2 to 100 postings'),
+    body('postings.*.ledger_account_code')
+      .matches(/^[A-Z][A-Z0-9_]{0,29}$/)
+      .withMessage('Ledger account code must be 1-30 upper-case letters, digits or underscores'),
+    body('postings.*.currency')
+      .isString()
+      .isLength({ min: 3, max: 3 })
+      .isUppercase()
+      .withMessage('Currency must be a 3-letter ISO 4217 code'),
+    body('postings.*.debit')
+      .optional()
+      .isFloat({ min: 0.01, max: MAX_AMOUNT })
+      .withMessage(`Debit must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
+    body('postings.*.credit')
+      .optional()
+      .isFloat({ min: 0.01, max: MAX_AMOUNT })
+      .withMessage(`Credit must be between 0.01 and ${MAX_AMOUNT_TEXT}`),
+    body('postings.*')
+      .custom(posting => (posting.debit === undefined) !== (posting.credit === undefined))
+      .withMessage('Each posting needs exactly one of debit or credit')
+  ],
+
+  // Journal list validation
+  journalListValidation: [
+    query('from_date')
+      .optional()
+      .isISO8601()
+      .withMessage('From date must be a valid ISO 8601 date'),
+    query('to_date')
+      .optional()
+      .isISO8601()
+      .withMessage('To date must be a valid ISO 8601 date'),
+    query('manual')
+      .optional()
+      .isBoolean()
+      .withMessage('Manual must be true or false'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  // Trial balance validation
+  trialBalanceValidation: [
+    query('as_of')
+      .optional()
+      .isISO8601()
+      .withMessage('As of must be a valid ISO 8601 date')
+  ],
+
+  // Ledger account statement validation
+  ledgerStatementValidation: [
+    query('from_date')
+      .optional()
+      .isISO8601()
+      .withMessage('From date must be a valid ISO 8601 date'),
+    query('to_date')
+      .optional()
+      .isISO8601()
+      .withMessage('To date must be a valid ISO 8601 date'),
+    query('account_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Account ID must be a positive integer'),
+    query('currency')
+      .optional()
+      .isString()
+      .isLength({ min: 3, max: 3 })
+      .isUppercase()
+      .withMessage('Currency must be a 3-letter ISO 4217 code')
+  ],
+
+  // Reconciliation run ID parameter validation
+  reconciliationRunId: param('runId')
+    .isInt({ min: 1 })
+    .withMessage('Run ID must be a positive integer'),
+
+  // Reconciliation break ID parameter validation
+  reconciliationBreakId: param('breakId')
+    .isInt({ min: 1 })
+    .withMessage('Break ID must be a positive integer'),
+
+  // Reconciliation run validation
+  reconciliationRunValidation: [
+    body('auto_repair')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Auto repair must be true or false'),
+    body('account_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Account ID must be a positive integer')
+  ],
+
+  // Reconciliation run list validation
+  reconciliationRunListValidation: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  // Reconciliation break list validation
+  reconciliationBreakListValidation: [
+    query('status')
+      .optional()
+      .isIn(['OPEN', 'REPAIRED', 'RESOLVED'])
+      .withMessage('Status must be one of OPEN, REPAIRED, RESOLVED'),
+    query('account_id')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Account ID must be a positive integer'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
   // Idempotency key validation
   idempotencyKey: body('idempotency_key')
     .optional()
     .isLength({ min: 1, max: 255 })
-    .withMessage('Idempotency key must be between 1 and 255 characters'),
+    .withMessage('Idempotency key must be between 1 and 255 characters')
+    .custom(value => !IdempotencyKey.isInternal(value))
+    .withMessage(`Idempotency keys starting with ${IdempotencyKey.INTERNAL_PREFIX} are reserved`),
 
   // Pagination validation
   paginationValidation: [
@@ -133,5 +992,6 @@ const validationRules = {
 
 module.exports = {
   validate,
+  validateData,
   validationRules
 };
\ No newline at end of file
@@ -9,8 +9,12 @@ class AccountProjection {
     account_number,
     account_type,
     current_balance,
+    opening_balance = 0,
     currency = 'INR',
     status,
+    held_amount = 0,
+    overdraft_limit = 0,
+    overdraft_interest_rate = 0,
     last_updated = null
   }) {
     this.account_id = account_id;
@@ -18,8 +22,12 @@ class AccountProjection {
     this.account_number = account_number;
     this.account_type = account_type;
     this.current_balance = parseFloat(current_balance);
+    this.opening_balance = opening_balance ? parseFloat(opening_balance) : 0;
     this.currency = currency;
     this.status = status;
+    this.held_amount = held_amount ? parseFloat(held_amount) : 0;
+    this.overdraft_limit = overdraft_limit ? parseFloat(overdraft_limit) : 0;
+    this.overdraft_interest_rate = overdraft_interest_rate ? parseFloat(overdraft_interest_rate) : 0;
     this.last_updated = last_updated;
   }
 
@@ -33,8 +41,15 @@ class AccountProjection {
       account_number: this.account_number,
       account_type: this.account_type,
       current_balance: this.current_balance,
+      opening_balance: this.opening_balance,
       currency: this.currency,
       status: this.status,
+      held_amount: this.held_amount,
+      available_balance: this.getAvailableBalance(),
+      overdraft_limit: this.overdraft_limit,
+      overdraft_interest_rate: this.overdraft_interest_rate,
+      overdraft_used: this.getOverdraftUsed(),
+      available_with_overdraft: this.getAvailableWithOverdraft(),
       last_updated: this.last_updated
     };
   }
@@ -47,14 +62,53 @@ class AccountProjection {
   }
 
   /**
-   * Check if account allows overdraft (only CURRENT accounts)
+   * Check if account has a sanctioned overdraft
    */
   allowsOverdraft() {
-    return this.account_type === 'CURRENT';
+    return this.overdraft_limit > 0;
+  }
+
+  /**
+   * Amount by which the balance is currently below zero
+   */
+  getOverdraftUsed() {
+    return this.current_balance < 0 ? Math.round(-this.current_balance * 100) / 100 : 0;
+  }
+
+  /**
+   * Balance not reserved by active holds
+   */
+  getAvailableBalance() {
+    return Math.round((this.current_balance - this.held_amount) * 100) / 100;
+  }
+
+  /**
+   * Overdraft limit, usage and what is left of it
+   */
+  getOverdraftUsage() {
+    const used = this.getOverdraftUsed();
+    return {
+      limit: this.overdraft_limit,
+      interest_rate: this.overdraft_interest_rate,
+      used,
+      available: Math.max(0, Math.min(this.overdraft_limit, this.getAvailableWithOverdraft())),
+      utilisation_percent: this.overdraft_limit > 0
+        ? Math.round(used / this.overdraft_limit * 10000) / 100
+        : 0
+    };
+  }
+
+  /**
+   * Most that can be debited right now: available balance plus the overdraft limit
+   */
+  getAvailableWithOverdraft() {
+    return Math.round((this.getAvailableBalance() + this.overdraft_limit) * 100) / 100;
   }
 
   /**
    * Check if account can handle a debit of given amount
+   * Funds reserved by active holds are not available for debit; the balance
+   * may go below zero by at most the sanctioned overdraft limit
    */
   canDebit(amount) {
     if (!this.isActive()) {
@@ -66,10 +120,12 @@ class AccountProjection {
 
     const newBalance = this.current_balance - amount;
     
-    if (newBalance < 0 && !this.allowsOverdraft()) {
+    if (this.getAvailableWithOverdraft() - amount < 0) {
       return {
         allowed: false,
-        reason: 'Insufficient balance - no overdraft allowed for this account type'
+        reason: this.allowsOverdraft()
+          ? `Insufficient balance - exceeds overdraft limit of ${this.overdraft_limit}`
+          : 'Insufficient balance - no overdraft allowed for this account'
       };
     }
 
@@ -126,6 +182,14 @@ class AccountProjection {
       errors.push('Valid status is required');
     }
 
+    if (isNaN(this.overdraft_limit) || this.overdraft_limit < 0) {
+      errors.push('Overdraft limit must not be negative');
+    }
+
+    if (isNaN(this.overdraft_interest_rate) || this.overdraft_interest_rate < 0 || this.overdraft_interest_rate >= 100) {
+      errors.push('Overdraft interest rate must be between 0 and 100 percent');
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -0,0 +1,117 @@
+/**
+ * Fee Schedule Model
+ * Fee charged for a transaction type, optionally limited to one account type
+ */
+class FeeSchedule {
+  constructor({
+    fee_schedule_id,
+    account_type = null,
+    txn_type,
+    flat_fee = 0,
+    percent_fee = 0,
+    min_fee = null,
+    max_fee = null,
+    free_per_month = 0,
+    gst_percent = 0,
+    effective_from = null,
+    effective_to = null,
+    created_at = null
+  }) {
+    this.fee_schedule_id = fee_schedule_id;
+    this.account_type = account_type;
+    this.txn_type = txn_type;
+    this.flat_fee = flat_fee ? parseFloat(flat_fee) : 0;
+    this.percent_fee = percent_fee ? parseFloat(percent_fee) : 0;
+    this.min_fee = min_fee !== null && min_fee !== undefined ? parseFloat(min_fee) : null;
+    this.max_fee = max_fee !== null && max_fee !== undefined ? parseFloat(max_fee) : null;
+    this.free_per_month = parseInt(free_per_month) || 0;
+    this.gst_percent = gst_percent ? parseFloat(gst_percent) : 0;
+    this.effective_from = effective_from;
+    this.effective_to = effective_to;
+    this.created_at = created_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      fee_schedule_id: this.fee_schedule_id,
+      account_type: this.account_type,
+      txn_type: this.txn_type,
+      flat_fee: this.flat_fee,
+      percent_fee: this.percent_fee,
+      min_fee: this.min_fee,
+      max_fee: this.max_fee,
+      free_per_month: this.free_per_month,
+      gst_percent: this.gst_percent,
+      effective_from: this.effective_from,
+      effective_to: this.effective_to,
+      created_at: this.created_at
+    };
+  }
+
+  /**
+   * Fee before tax for a transaction amount: flat plus percentage, clamped to min/max
+   * @param {number} amount - Transaction amount
+   * @returns {number} Unrounded fee
+   */
+  calculateBaseFee(amount) {
+    let fee = this.flat_fee + (amount * this.percent_fee / 100);
+
+    if (this.min_fee !== null && fee < this.min_fee) {
+      fee = this.min_fee;
+    }
+    if (this.max_fee !== null && fee > this.max_fee) {
+      fee = this.max_fee;
+    }
+
+    return fee;
+  }
+
+  /**
+   * Validate fee schedule data
+   */
+  validate() {
+    const errors = [];
+
+    if (!FeeSchedule.CHARGEABLE_TYPES.includes(this.txn_type)) {
+      errors.push(`Transaction type must be one of ${FeeSchedule.CHARGEABLE_TYPES.join(', ')}`);
+    }
+
+    if (this.account_type !== null && !FeeSchedule.ACCOUNT_TYPES.includes(this.account_type)) {
+      errors.push('Valid account type is required');
+    }
+
+    if ([this.flat_fee, this.percent_fee, this.gst_percent].some(value => isNaN(value) || value < 0)) {
+      errors.push('Fees and GST must not be negative');
+    }
+
+    if (this.percent_fee >= 100 || this.gst_percent >= 100) {
+      errors.push('Percentages must be below 100');
+    }
+
+    if (this.min_fee !== null && this.max_fee !== null && this.min_fee > this.max_fee) {
+      errors.push('min_fee must not exceed max_fee');
+    }
+
+    if (this.free_per_month < 0) {
+      errors.push('free_per_month must not be negative');
+    }
+
+    if (this.effective_from && this.effective_to &&
+        new Date(this.effective_to) <= new Date(this.effective_from)) {
+      errors.push('effective_to must be after effective_from');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+FeeSchedule.CHARGEABLE_TYPES = ['WITHDRAWAL', 'TRANSFER_OUT'];
+FeeSchedule.ACCOUNT_TYPES = ['SAVINGS', 'CURRENT', 'SALARY'];
+
+module.exports = FeeSchedule;
@@ -0,0 +1,104 @@
+const { isSupportedCurrency } = require('../utils/currency');
+
+/**
+ * FX Rate Model
+ * Conversion rate for a currency pair: 1 unit of base_currency = rate units of quote_currency
+ */
+class FxRate {
+  constructor({
+    rate_id,
+    base_currency,
+    quote_currency,
+    rate,
+    spread_percent = 0,
+    effective_from = null,
+    effective_to = null,
+    created_at = null
+  }) {
+    this.rate_id = rate_id;
+    this.base_currency = base_currency ? String(base_currency).toUpperCase() : base_currency;
+    this.quote_currency = quote_currency ? String(quote_currency).toUpperCase() : quote_currency;
+    this.rate = parseFloat(rate);
+    this.spread_percent = spread_percent ? parseFloat(spread_percent) : 0;
+    this.effective_from = effective_from;
+    this.effective_to = effective_to;
+    this.created_at = created_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      rate_id: this.rate_id,
+      base_currency: this.base_currency,
+      quote_currency: this.quote_currency,
+      rate: this.rate,
+      spread_percent: this.spread_percent,
+      applied_rate: this.getAppliedRate(),
+      effective_from: this.effective_from,
+      effective_to: this.effective_to,
+      created_at: this.created_at
+    };
+  }
+
+  /**
+   * Rate the customer gets after the bank's spread
+   */
+  getAppliedRate() {
+    return this.rate * (1 - this.spread_percent / 100);
+  }
+
+  /**
+   * Check if rate is effective at a point in time
+   * @param {Date} at - Point in time
+   */
+  isEffective(at = new Date()) {
+    if (this.effective_from && new Date(this.effective_from) > at) {
+      return false;
+    }
+    if (this.effective_to && new Date(this.effective_to) <= at) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Validate FX rate data
+   */
+  validate() {
+    const errors = [];
+
+    if (!isSupportedCurrency(this.base_currency)) {
+      errors.push('Valid base currency is required');
+    }
+
+    if (!isSupportedCurrency(this.quote_currency)) {
+      errors.push('Valid quote currency is required');
+    }
+
+    if (this.base_currency && this.base_currency === this.quote_currency) {
+      errors.push('Base and quote currencies must differ');
+    }
+
+    if (!this.rate || isNaN(this.rate) || this.rate <= 0) {
+      errors.push('Rate must be positive');
+    }
+
+    if (isNaN(this.spread_percent) || this.spread_percent < 0 || this.spread_percent >= 100) {
+      errors.push('Spread must be between 0 and 100 percent');
+    }
+
+    if (this.effective_from && this.effective_to &&
+        new Date(this.effective_to) <= new Date(this.effective_from)) {
+      errors.push('effective_to must be after effective_from');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+module.exports = FxRate;
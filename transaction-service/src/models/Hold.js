@@ -0,0 +1,106 @@
+/**
+ * Hold Model
+ * An authorization hold reserving funds on an account until it is captured, voided or expires
+ */
+class Hold {
+  constructor({
+    hold_id,
+    account_id,
+    amount,
+    captured_amount = 0,
+    status = 'ACTIVE',
+    counterparty = null,
+    description = null,
+    expires_at,
+    capture_reference = null,
+    capture_txn_id = null,
+    release_reason = null,
+    released_at = null,
+    created_at = null,
+    updated_at = null
+  }) {
+    this.hold_id = hold_id;
+    this.account_id = account_id;
+    this.amount = parseFloat(amount);
+    this.captured_amount = captured_amount ? parseFloat(captured_amount) : 0;
+    this.status = status;
+    this.counterparty = counterparty;
+    this.description = description;
+    this.expires_at = expires_at;
+    this.capture_reference = capture_reference;
+    this.capture_txn_id = capture_txn_id;
+    this.release_reason = release_reason;
+    this.released_at = released_at;
+    this.created_at = created_at;
+    this.updated_at = updated_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      hold_id: this.hold_id,
+      account_id: this.account_id,
+      amount: this.amount,
+      captured_amount: this.captured_amount,
+      status: this.status,
+      counterparty: this.counterparty,
+      description: this.description,
+      expires_at: this.expires_at,
+      capture_reference: this.capture_reference,
+      capture_txn_id: this.capture_txn_id,
+      release_reason: this.release_reason,
+      released_at: this.released_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+
+  /**
+   * Check if hold still reserves funds
+   */
+  isActive() {
+    return this.status === 'ACTIVE';
+  }
+
+  /**
+   * Check if hold has passed its expiry time
+   * @param {Date} at - Point in time
+   */
+  isExpired(at = new Date()) {
+    return new Date(this.expires_at) <= at;
+  }
+
+  /**
+   * Validate hold data
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.account_id || isNaN(this.account_id)) {
+      errors.push('Valid account_id is required');
+    }
+
+    if (!this.amount || this.amount <= 0) {
+      errors.push('Amount must be positive');
+    }
+
+    if (!this.expires_at || isNaN(new Date(this.expires_at).getTime())) {
+      errors.push('Valid expires_at is required');
+    }
+
+    if (!Hold.STATUSES.includes(this.status)) {
+      errors.push('Valid status is required');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+Hold.STATUSES = ['ACTIVE', 'CAPTURED', 'VOIDED', 'EXPIRED'];
+
+module.exports = Hold;
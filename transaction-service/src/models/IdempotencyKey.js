@@ -8,6 +8,11 @@ class IdempotencyKey {
     key,
     txn_id = null,
     request_body = null,
+    request_fingerprint = null,
+    status = 'IN_PROGRESS',
+    claim_token = null,
+    locked_at = null,
+    response_status = null,
     response_body = null,
     created_at = null,
     expires_at = null
@@ -16,6 +21,11 @@ class IdempotencyKey {
     this.key = key;
     this.txn_id = txn_id;
     this.request_body = request_body;
+    this.request_fingerprint = request_fingerprint;
+    this.status = status;
+    this.claim_token = claim_token;
+    this.locked_at = locked_at;
+    this.response_status = response_status;
     this.response_body = response_body;
     this.created_at = created_at;
     this.expires_at = expires_at;
@@ -30,6 +40,11 @@ class IdempotencyKey {
       key: this.key,
       txn_id: this.txn_id,
       request_body: this.request_body,
+      request_fingerprint: this.request_fingerprint,
+      status: this.status,
+      claim_token: this.claim_token,
+      locked_at: this.locked_at,
+      response_status: this.response_status,
       response_body: this.response_body,
       created_at: this.created_at,
       expires_at: this.expires_at
@@ -45,10 +60,36 @@ class IdempotencyKey {
   }
 
   /**
-   * Check if idempotency key has been processed
+   * Check if idempotency key has been processed (its response is stored)
    */
   isProcessed() {
-    return this.txn_id !== null;
+    return this.status === 'COMPLETED';
+  }
+
+  /**
+   * Check if the request holding this key is still running
+   */
+  isInProgress() {
+    return this.status === 'IN_PROGRESS';
+  }
+
+  /**
+   * Check if the request holding this key has outlived the lock timeout
+   * @param {number} lockTimeoutMs - Age after which an IN_PROGRESS claim is considered abandoned
+   * @returns {boolean} True if the holder is presumed to have crashed
+   */
+  isAbandoned(lockTimeoutMs) {
+    return this.isInProgress() && new Date(this.locked_at).getTime() < Date.now() - lockTimeoutMs;
+  }
+
+  /**
+   * Check whether a request with the given fingerprint is a retry of the one that
+   * first used this key; keys stored without a fingerprint cannot be compared
+   * @param {string} fingerprint - Fingerprint of the incoming request
+   * @returns {boolean} True if it is the same request
+   */
+  matchesRequest(fingerprint) {
+    return !this.request_fingerprint || this.request_fingerprint === fingerprint;
   }
 
   /**
@@ -79,6 +120,28 @@ class IdempotencyKey {
     expiry.setHours(expiry.getHours() + 24);
     return expiry;
   }
+
+  /**
+   * Build a key for the service's own retries (executors, batches); these live under a
+   * prefix clients may not use, so a client can never claim one ahead of the service
+   * @param {string} name - Key name unique to the operation
+   * @returns {string} Internal idempotency key
+   */
+  static internal(name) {
+    return `${IdempotencyKey.INTERNAL_PREFIX}${name}`;
+  }
+
+  /**
+   * Check whether a key is in the internal namespace
+   * @param {string} key - Idempotency key
+   * @returns {boolean} True if only the service may use it
+   */
+  static isInternal(key) {
+    return typeof key === 'string' && key.startsWith(IdempotencyKey.INTERNAL_PREFIX);
+  }
 }
 
+// Prefix reserved for keys the service generates for itself
+IdempotencyKey.INTERNAL_PREFIX = 'internal:';
+
 module.exports = IdempotencyKey;
\ No newline at end of file
@@ -0,0 +1,71 @@
+const { toDateOnly } = require('../utils/recurrence');
+
+/**
+ * Interest Accrual Model
+ * One day's interest on an account, held until the period's INTEREST credit
+ * (or OVERDRAFT_INTEREST charge for an overdrawn balance) is posted
+ */
+class InterestAccrual {
+  constructor({
+    accrual_id,
+    account_id,
+    accrual_date,
+    balance,
+    accrued_amount = 0,
+    credited_txn_id = null,
+    credited_at = null,
+    overdraft_interest = 0,
+    charged_txn_id = null,
+    charged_at = null,
+    created_at = null
+  }) {
+    this.accrual_id = accrual_id;
+    this.account_id = account_id;
+    this.accrual_date = toDateOnly(accrual_date);
+    this.balance = parseFloat(balance);
+    this.accrued_amount = accrued_amount ? parseFloat(accrued_amount) : 0;
+    this.credited_txn_id = credited_txn_id;
+    this.credited_at = credited_at;
+    this.overdraft_interest = overdraft_interest ? parseFloat(overdraft_interest) : 0;
+    this.charged_txn_id = charged_txn_id;
+    this.charged_at = charged_at;
+    this.created_at = created_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      accrual_id: this.accrual_id,
+      account_id: this.account_id,
+      accrual_date: this.accrual_date,
+      balance: this.balance,
+      accrued_amount: this.accrued_amount,
+      credited: this.isCredited(),
+      credited_txn_id: this.credited_txn_id,
+      credited_at: this.credited_at,
+      overdraft_interest: this.overdraft_interest,
+      charged: this.isCharged(),
+      charged_txn_id: this.charged_txn_id,
+      charged_at: this.charged_at,
+      created_at: this.created_at
+    };
+  }
+
+  /**
+   * Whether the accrual has been paid out in an INTEREST transaction
+   */
+  isCredited() {
+    return this.credited_txn_id !== null && this.credited_txn_id !== undefined;
+  }
+
+  /**
+   * Whether the overdraft interest has been charged in an OVERDRAFT_INTEREST transaction
+   */
+  isCharged() {
+    return this.charged_txn_id !== null && this.charged_txn_id !== undefined;
+  }
+}
+
+module.exports = InterestAccrual;
@@ -0,0 +1,100 @@
+/**
+ * Interest Rate Slab Model
+ * Annual rate earned by the part of an account's balance that falls within the slab
+ */
+class InterestRateSlab {
+  constructor({
+    slab_id,
+    account_type,
+    min_balance = 0,
+    max_balance = null,
+    annual_rate_percent,
+    effective_from = null,
+    effective_to = null,
+    created_at = null
+  }) {
+    this.slab_id = slab_id;
+    this.account_type = account_type;
+    this.min_balance = min_balance ? parseFloat(min_balance) : 0;
+    this.max_balance = max_balance !== null && max_balance !== undefined ? parseFloat(max_balance) : null;
+    this.annual_rate_percent = parseFloat(annual_rate_percent);
+    this.effective_from = effective_from;
+    this.effective_to = effective_to;
+    this.created_at = created_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      slab_id: this.slab_id,
+      account_type: this.account_type,
+      min_balance: this.min_balance,
+      max_balance: this.max_balance,
+      annual_rate_percent: this.annual_rate_percent,
+      effective_from: this.effective_from,
+      effective_to: this.effective_to,
+      created_at: this.created_at
+    };
+  }
+
+  /**
+   * Part of a balance that falls within this slab
+   * @param {number} balance - End-of-day balance
+   * @returns {number} Portion of the balance earning this slab's rate
+   */
+  getPortion(balance) {
+    const upper = this.max_balance === null ? balance : Math.min(balance, this.max_balance);
+    return Math.max(0, upper - this.min_balance);
+  }
+
+  /**
+   * One day's unrounded interest on the part of a balance within this slab
+   * @param {number} balance - End-of-day balance
+   * @returns {number} Interest for the day
+   */
+  calculateDailyInterest(balance) {
+    return this.getPortion(balance) * this.annual_rate_percent / 100 / InterestRateSlab.DAYS_IN_YEAR;
+  }
+
+  /**
+   * Validate interest rate slab data
+   */
+  validate() {
+    const errors = [];
+
+    if (!InterestRateSlab.ACCOUNT_TYPES.includes(this.account_type)) {
+      errors.push('Valid account type is required');
+    }
+
+    if (isNaN(this.min_balance) || this.min_balance < 0) {
+      errors.push('min_balance must not be negative');
+    }
+
+    if (this.max_balance !== null && (isNaN(this.max_balance) || this.max_balance <= this.min_balance)) {
+      errors.push('max_balance must be greater than min_balance');
+    }
+
+    if (isNaN(this.annual_rate_percent) || this.annual_rate_percent < 0 || this.annual_rate_percent >= 100) {
+      errors.push('Annual rate must be between 0 and 100 percent');
+    }
+
+    if (this.effective_from && this.effective_to &&
+        new Date(this.effective_to) <= new Date(this.effective_from)) {
+      errors.push('effective_to must be after effective_from');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+InterestRateSlab.ACCOUNT_TYPES = ['SAVINGS', 'CURRENT', 'SALARY'];
+
+// Actual/365 day count
+InterestRateSlab.DAYS_IN_YEAR = 365;
+
+module.exports = InterestRateSlab;
@@ -0,0 +1,154 @@
+const { isSupportedCurrency, hasValidPrecision } = require('../utils/currency');
+
+/**
+ * Journal Entry Model
+ * Balanced set of general ledger postings. Posting amounts are signed:
+ * debits positive, credits negative
+ */
+class JournalEntry {
+  constructor({
+    journal_id,
+    txn_id = null,
+    description,
+    posted_at = null,
+    created_at = null,
+    postings = []
+  }) {
+    this.journal_id = journal_id;
+    this.txn_id = txn_id;
+    this.description = description;
+    this.posted_at = posted_at;
+    this.created_at = created_at;
+    this.postings = postings.map(posting => JournalEntry.toPosting(posting));
+  }
+
+  /**
+   * Normalize a posting, accepting either a signed amount or a debit/credit pair
+   * @param {Object} posting - Posting data
+   * @returns {Object} Posting with a signed amount
+   */
+  static toPosting({
+    posting_id = null,
+    ledger_account_id = null,
+    ledger_account_code = null,
+    account_id = null,
+    currency,
+    amount,
+    debit,
+    credit
+  }) {
+    let signed = amount !== undefined && amount !== null ? parseFloat(amount) : null;
+    if (signed === null) {
+      signed = (debit ? parseFloat(debit) : 0) - (credit ? parseFloat(credit) : 0);
+    }
+
+    return {
+      posting_id,
+      ledger_account_id,
+      ledger_account_code,
+      account_id,
+      currency,
+      amount: signed
+    };
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      journal_id: this.journal_id,
+      txn_id: this.txn_id,
+      description: this.description,
+      posted_at: this.posted_at,
+      created_at: this.created_at,
+      postings: this.postings.map(posting => ({
+        posting_id: posting.posting_id,
+        ledger_account_id: posting.ledger_account_id,
+        ledger_account_code: posting.ledger_account_code,
+        account_id: posting.account_id,
+        currency: posting.currency,
+        debit: posting.amount > 0 ? posting.amount : 0,
+        credit: posting.amount < 0 ? -posting.amount : 0
+      }))
+    };
+  }
+
+  /**
+   * Check if this journal was posted for a transaction rather than by hand
+   */
+  isManual() {
+    return this.txn_id === null;
+  }
+
+  /**
+   * Net of the postings in each currency, in minor units so sums are exact
+   * @returns {Object} Map of currency to net amount (debits minus credits)
+   */
+  getNetByCurrency() {
+    const cents = {};
+    for (const posting of this.postings) {
+      cents[posting.currency] = (cents[posting.currency] || 0) + Math.round(posting.amount * 100);
+    }
+
+    return Object.fromEntries(Object.entries(cents).map(([currency, net]) => [currency, net / 100]));
+  }
+
+  /**
+   * Check that debits equal credits in every currency
+   */
+  isBalanced() {
+    return Object.values(this.getNetByCurrency()).every(net => net === 0);
+  }
+
+  /**
+   * Validate journal entry data
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.description || this.description.trim().length === 0) {
+      errors.push('Description is required');
+    }
+
+    if (this.postings.length < 2) {
+      errors.push('A journal needs at least two postings');
+    }
+
+    this.postings.forEach((posting, index) => {
+      const label = `Posting ${index + 1}`;
+
+      if (!posting.ledger_account_id && !posting.ledger_account_code) {
+        errors.push(`${label}: ledger account is required`);
+      }
+
+      if (!isSupportedCurrency(posting.currency)) {
+        errors.push(`${label}: valid currency is required`);
+      } else if (!hasValidPrecision(posting.amount, posting.currency)) {
+        errors.push(`${label}: amount has more decimals than ${posting.currency} allows`);
+      }
+
+      if (isNaN(posting.amount) || posting.amount === 0) {
+        errors.push(`${label}: exactly one of debit or credit must be a positive amount`);
+      }
+    });
+
+    if (errors.length === 0 && !this.isBalanced()) {
+      const nets = Object.entries(this.getNetByCurrency())
+        .filter(([, net]) => net !== 0)
+        .map(([currency, net]) => `${currency} ${net > 0 ? 'debits' : 'credits'} exceed by ${Math.abs(net).toFixed(2)}`);
+      errors.push(`Journal does not balance: ${nets.join(', ')}`);
+    }
+
+    if (this.posted_at && new Date(this.posted_at) > new Date()) {
+      errors.push('posted_at cannot be in the future');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+module.exports = JournalEntry;
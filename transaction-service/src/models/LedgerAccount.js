@@ -0,0 +1,89 @@
+/**
+ * Ledger Account Model
+ * Account in the general ledger chart of accounts
+ */
+class LedgerAccount {
+  constructor({
+    ledger_account_id,
+    code,
+    name,
+    account_type,
+    description = null,
+    is_system = false,
+    created_at = null
+  }) {
+    this.ledger_account_id = ledger_account_id;
+    this.code = code;
+    this.name = name;
+    this.account_type = account_type;
+    this.description = description;
+    this.is_system = Boolean(is_system);
+    this.created_at = created_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      ledger_account_id: this.ledger_account_id,
+      code: this.code,
+      name: this.name,
+      account_type: this.account_type,
+      normal_balance: this.isDebitNormal() ? 'DEBIT' : 'CREDIT',
+      description: this.description,
+      is_system: this.is_system,
+      created_at: this.created_at
+    };
+  }
+
+  /**
+   * Assets and expenses grow with debits; liabilities, equity and income with credits
+   */
+  isDebitNormal() {
+    return LedgerAccount.DEBIT_NORMAL_TYPES.includes(this.account_type);
+  }
+
+  /**
+   * Express a net debit amount (debits minus credits) on this account's normal side,
+   * so a liability holding customer money shows a positive balance
+   * @param {number} netDebit - Debits minus credits
+   * @returns {number} Balance on the normal side
+   */
+  toNormalBalance(netDebit) {
+    const balance = this.isDebitNormal() ? netDebit : -netDebit;
+    return Math.round(balance * 100) / 100 || 0;
+  }
+
+  /**
+   * Validate ledger account data
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.code || !/^[A-Z][A-Z0-9_]{0,29}$/.test(this.code)) {
+      errors.push('Code must be 1-30 upper-case letters, digits or underscores, starting with a letter');
+    }
+
+    if (!this.name || this.name.trim().length === 0 || this.name.length > 100) {
+      errors.push('Name is required and must be at most 100 characters');
+    }
+
+    if (!LedgerAccount.TYPES.includes(this.account_type)) {
+      errors.push(`Account type must be one of ${LedgerAccount.TYPES.join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+LedgerAccount.TYPES = ['ASSET', 'LIABILITY', 'EQUITY', 'INCOME', 'EXPENSE'];
+LedgerAccount.DEBIT_NORMAL_TYPES = ['ASSET', 'EXPENSE'];
+
+// Control account for the customer sub-ledger; only transactions post to it
+LedgerAccount.CUSTOMER_DEPOSITS = 'CUSTOMER_DEPOSITS';
+
+module.exports = LedgerAccount;
@@ -0,0 +1,80 @@
+/**
+ * Reconciliation Break Model
+ * An account whose projected balance differs from its opening balance plus the
+ * transactions posted to it
+ */
+class ReconciliationBreak {
+  constructor({
+    break_id,
+    account_id,
+    currency,
+    opening_balance,
+    transaction_total,
+    expected_balance,
+    projected_balance,
+    difference,
+    status = 'OPEN',
+    detected_run_id,
+    last_run_id,
+    detected_at = null,
+    last_detected_at = null,
+    repaired_by = null,
+    balance_before = null,
+    balance_after = null,
+    closed_at = null
+  }) {
+    this.break_id = break_id;
+    this.account_id = account_id;
+    this.currency = currency;
+    this.opening_balance = parseFloat(opening_balance);
+    this.transaction_total = parseFloat(transaction_total);
+    this.expected_balance = parseFloat(expected_balance);
+    this.projected_balance = parseFloat(projected_balance);
+    this.difference = parseFloat(difference);
+    this.status = status;
+    this.detected_run_id = detected_run_id;
+    this.last_run_id = last_run_id;
+    this.detected_at = detected_at;
+    this.last_detected_at = last_detected_at;
+    this.repaired_by = repaired_by;
+    this.balance_before = balance_before !== null ? parseFloat(balance_before) : null;
+    this.balance_after = balance_after !== null ? parseFloat(balance_after) : null;
+    this.closed_at = closed_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      break_id: this.break_id,
+      account_id: this.account_id,
+      currency: this.currency,
+      opening_balance: this.opening_balance,
+      transaction_total: this.transaction_total,
+      expected_balance: this.expected_balance,
+      projected_balance: this.projected_balance,
+      difference: this.difference,
+      status: this.status,
+      detected_run_id: this.detected_run_id,
+      last_run_id: this.last_run_id,
+      detected_at: this.detected_at,
+      last_detected_at: this.last_detected_at,
+      repaired_by: this.repaired_by,
+      balance_before: this.balance_before,
+      balance_after: this.balance_after,
+      closed_at: this.closed_at
+    };
+  }
+
+  /**
+   * Check if the break is still waiting to be repaired or resolved
+   */
+  isOpen() {
+    return this.status === 'OPEN';
+  }
+}
+
+ReconciliationBreak.STATUSES = ['OPEN', 'REPAIRED', 'RESOLVED'];
+
+module.exports = ReconciliationBreak;
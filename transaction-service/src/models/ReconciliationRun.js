@@ -0,0 +1,58 @@
+/**
+ * Reconciliation Run Model
+ * One pass comparing projected account balances with the transaction history
+ */
+class ReconciliationRun {
+  constructor({
+    run_id,
+    triggered_by = 'ADMIN',
+    account_id = null,
+    auto_repair = false,
+    status = 'RUNNING',
+    accounts_checked = 0,
+    breaks_found = 0,
+    breaks_repaired = 0,
+    breaks_resolved = 0,
+    error = null,
+    started_at = null,
+    completed_at = null
+  }) {
+    this.run_id = run_id;
+    this.triggered_by = triggered_by;
+    this.account_id = account_id;
+    this.auto_repair = Boolean(auto_repair);
+    this.status = status;
+    this.accounts_checked = parseInt(accounts_checked) || 0;
+    this.breaks_found = parseInt(breaks_found) || 0;
+    this.breaks_repaired = parseInt(breaks_repaired) || 0;
+    this.breaks_resolved = parseInt(breaks_resolved) || 0;
+    this.error = error;
+    this.started_at = started_at;
+    this.completed_at = completed_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      run_id: this.run_id,
+      triggered_by: this.triggered_by,
+      account_id: this.account_id,
+      auto_repair: this.auto_repair,
+      status: this.status,
+      accounts_checked: this.accounts_checked,
+      breaks_found: this.breaks_found,
+      breaks_repaired: this.breaks_repaired,
+      breaks_resolved: this.breaks_resolved,
+      error: this.error,
+      started_at: this.started_at,
+      completed_at: this.completed_at
+    };
+  }
+}
+
+ReconciliationRun.TRIGGERS = ['SCHEDULE', 'ADMIN'];
+ReconciliationRun.STATUSES = ['RUNNING', 'COMPLETED', 'FAILED'];
+
+module.exports = ReconciliationRun;
@@ -0,0 +1,133 @@
+const IdempotencyKey = require('./IdempotencyKey');
+
+/**
+ * Scheduled Transfer Model
+ * A future-dated transfer waiting to be executed by the background executor
+ */
+class ScheduledTransfer {
+  constructor({
+    schedule_id,
+    from_account_id,
+    to_account_id,
+    amount,
+    description = null,
+    execute_at,
+    status = 'PENDING',
+    attempts = 0,
+    max_attempts = ScheduledTransfer.DEFAULT_MAX_ATTEMPTS,
+    next_attempt_at = null,
+    last_error = null,
+    transfer_reference = null,
+    debit_txn_id = null,
+    credit_txn_id = null,
+    executed_at = null,
+    created_at = null,
+    updated_at = null
+  }) {
+    this.schedule_id = schedule_id;
+    this.from_account_id = from_account_id;
+    this.to_account_id = to_account_id;
+    this.amount = parseFloat(amount);
+    this.description = description;
+    this.execute_at = execute_at;
+    this.status = status;
+    this.attempts = parseInt(attempts) || 0;
+    this.max_attempts = parseInt(max_attempts) || ScheduledTransfer.DEFAULT_MAX_ATTEMPTS;
+    this.next_attempt_at = next_attempt_at;
+    this.last_error = last_error;
+    this.transfer_reference = transfer_reference;
+    this.debit_txn_id = debit_txn_id;
+    this.credit_txn_id = credit_txn_id;
+    this.executed_at = executed_at;
+    this.created_at = created_at;
+    this.updated_at = updated_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      schedule_id: this.schedule_id,
+      from_account_id: this.from_account_id,
+      to_account_id: this.to_account_id,
+      amount: this.amount,
+      description: this.description,
+      execute_at: this.execute_at,
+      status: this.status,
+      attempts: this.attempts,
+      max_attempts: this.max_attempts,
+      next_attempt_at: this.next_attempt_at,
+      last_error: this.last_error,
+      transfer_reference: this.transfer_reference,
+      debit_txn_id: this.debit_txn_id,
+      credit_txn_id: this.credit_txn_id,
+      executed_at: this.executed_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+
+  /**
+   * Check if schedule is still waiting to run (can be amended or cancelled)
+   */
+  isPending() {
+    return this.status === 'PENDING';
+  }
+
+  /**
+   * Check if another attempt is allowed after a failed run
+   */
+  canRetry() {
+    return this.attempts < this.max_attempts;
+  }
+
+  /**
+   * Idempotency key used when executing this schedule,
+   * so a crash between transfer and status update never pays twice
+   */
+  getIdempotencyKey() {
+    return IdempotencyKey.internal(`scheduled-transfer-${this.schedule_id}`);
+  }
+
+  /**
+   * Validate scheduled transfer data
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.from_account_id || isNaN(this.from_account_id)) {
+      errors.push('Valid from_account_id is required');
+    }
+
+    if (!this.to_account_id || isNaN(this.to_account_id)) {
+      errors.push('Valid to_account_id is required');
+    }
+
+    if (this.from_account_id && String(this.from_account_id) === String(this.to_account_id)) {
+      errors.push('Source and destination accounts cannot be the same');
+    }
+
+    if (!this.amount || this.amount <= 0) {
+      errors.push('Amount must be positive');
+    }
+
+    if (!this.execute_at || isNaN(new Date(this.execute_at).getTime())) {
+      errors.push('Valid execute_at is required');
+    }
+
+    if (!ScheduledTransfer.STATUSES.includes(this.status)) {
+      errors.push('Valid status is required');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+ScheduledTransfer.STATUSES = ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED'];
+ScheduledTransfer.DEFAULT_MAX_ATTEMPTS = 3;
+
+module.exports = ScheduledTransfer;
@@ -0,0 +1,175 @@
+const IdempotencyKey = require('./IdempotencyKey');
+const { FREQUENCIES, toDateOnly, occurrenceDate } = require('../utils/recurrence');
+
+/**
+ * Standing Instruction Model
+ * A recurring transfer (rent, SIP, etc.) executed on a recurrence rule
+ */
+class StandingInstruction {
+  constructor({
+    instruction_id,
+    from_account_id,
+    to_account_id,
+    amount,
+    description = null,
+    frequency,
+    interval_count = 1,
+    start_date,
+    end_date = null,
+    max_occurrences = null,
+    next_occurrence_index = 0,
+    next_run_date = null,
+    successful_runs = 0,
+    failed_runs = 0,
+    consecutive_failures = 0,
+    max_consecutive_failures = StandingInstruction.DEFAULT_MAX_CONSECUTIVE_FAILURES,
+    status = 'ACTIVE',
+    last_error = null,
+    created_at = null,
+    updated_at = null
+  }) {
+    this.instruction_id = instruction_id;
+    this.from_account_id = from_account_id;
+    this.to_account_id = to_account_id;
+    this.amount = parseFloat(amount);
+    this.description = description;
+    this.frequency = frequency;
+    this.interval_count = parseInt(interval_count) || 1;
+    this.start_date = toDateOnly(start_date);
+    this.end_date = toDateOnly(end_date);
+    this.max_occurrences = max_occurrences !== null ? parseInt(max_occurrences) : null;
+    this.next_occurrence_index = parseInt(next_occurrence_index) || 0;
+    this.next_run_date = toDateOnly(next_run_date) || this.start_date;
+    this.successful_runs = parseInt(successful_runs) || 0;
+    this.failed_runs = parseInt(failed_runs) || 0;
+    this.consecutive_failures = parseInt(consecutive_failures) || 0;
+    this.max_consecutive_failures = parseInt(max_consecutive_failures) ||
+      StandingInstruction.DEFAULT_MAX_CONSECUTIVE_FAILURES;
+    this.status = status;
+    this.last_error = last_error;
+    this.created_at = created_at;
+    this.updated_at = updated_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      instruction_id: this.instruction_id,
+      from_account_id: this.from_account_id,
+      to_account_id: this.to_account_id,
+      amount: this.amount,
+      description: this.description,
+      frequency: this.frequency,
+      interval_count: this.interval_count,
+      start_date: this.start_date,
+      end_date: this.end_date,
+      max_occurrences: this.max_occurrences,
+      next_run_date: this.status === 'ACTIVE' || this.status === 'SUSPENDED' ? this.next_run_date : null,
+      successful_runs: this.successful_runs,
+      failed_runs: this.failed_runs,
+      consecutive_failures: this.consecutive_failures,
+      max_consecutive_failures: this.max_consecutive_failures,
+      status: this.status,
+      last_error: this.last_error,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+
+  /**
+   * Check if instruction is active
+   */
+  isActive() {
+    return this.status === 'ACTIVE';
+  }
+
+  /**
+   * Date of the given occurrence
+   * @param {number} index - Occurrence index (0 = start date)
+   */
+  getOccurrenceDate(index) {
+    return occurrenceDate(this.start_date, this.frequency, this.interval_count, index);
+  }
+
+  /**
+   * Check if an occurrence index still falls within the end date / max count
+   * @param {number} index - Occurrence index
+   */
+  hasOccurrence(index) {
+    if (this.max_occurrences !== null && index >= this.max_occurrences) {
+      return false;
+    }
+    if (this.end_date && this.getOccurrenceDate(index) > this.end_date) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Idempotency key for one run, derived from the instruction and run date
+   * so a restart never pays the same occurrence twice
+   * @param {string} runDate - Run date (YYYY-MM-DD)
+   */
+  getIdempotencyKey(runDate) {
+    return IdempotencyKey.internal(`standing-instruction-${this.instruction_id}-${runDate}`);
+  }
+
+  /**
+   * Validate standing instruction data
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.from_account_id || isNaN(this.from_account_id)) {
+      errors.push('Valid from_account_id is required');
+    }
+
+    if (!this.to_account_id || isNaN(this.to_account_id)) {
+      errors.push('Valid to_account_id is required');
+    }
+
+    if (this.from_account_id && String(this.from_account_id) === String(this.to_account_id)) {
+      errors.push('Source and destination accounts cannot be the same');
+    }
+
+    if (!this.amount || this.amount <= 0) {
+      errors.push('Amount must be positive');
+    }
+
+    if (!FREQUENCIES.includes(this.frequency)) {
+      errors.push(`Frequency must be one of ${FREQUENCIES.join(', ')}`);
+    }
+
+    if (this.interval_count < 1) {
+      errors.push('Interval count must be at least 1');
+    }
+
+    if (!this.start_date || isNaN(new Date(this.start_date).getTime())) {
+      errors.push('Valid start_date is required');
+    }
+
+    if (this.end_date && this.start_date && this.end_date < this.start_date) {
+      errors.push('End date cannot be before start date');
+    }
+
+    if (this.max_occurrences !== null && (isNaN(this.max_occurrences) || this.max_occurrences < 1)) {
+      errors.push('Max occurrences must be at least 1');
+    }
+
+    if (!StandingInstruction.STATUSES.includes(this.status)) {
+      errors.push('Valid status is required');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+StandingInstruction.STATUSES = ['ACTIVE', 'SUSPENDED', 'COMPLETED', 'CANCELLED'];
+StandingInstruction.DEFAULT_MAX_CONSECUTIVE_FAILURES = 3;
+
+module.exports = StandingInstruction;
@@ -0,0 +1,61 @@
+const { toDateOnly } = require('../utils/recurrence');
+
+/**
+ * Standing Instruction Run Model
+ * One executed occurrence of a standing instruction
+ */
+class StandingInstructionRun {
+  constructor({
+    run_id,
+    instruction_id,
+    run_date,
+    occurrence_index,
+    status,
+    idempotency_key,
+    transfer_reference = null,
+    debit_txn_id = null,
+    credit_txn_id = null,
+    error = null,
+    created_at = null
+  }) {
+    this.run_id = run_id;
+    this.instruction_id = instruction_id;
+    this.run_date = toDateOnly(run_date);
+    this.occurrence_index = parseInt(occurrence_index);
+    this.status = status;
+    this.idempotency_key = idempotency_key;
+    this.transfer_reference = transfer_reference;
+    this.debit_txn_id = debit_txn_id;
+    this.credit_txn_id = credit_txn_id;
+    this.error = error;
+    this.created_at = created_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      run_id: this.run_id,
+      instruction_id: this.instruction_id,
+      run_date: this.run_date,
+      occurrence_index: this.occurrence_index,
+      status: this.status,
+      idempotency_key: this.idempotency_key,
+      transfer_reference: this.transfer_reference,
+      debit_txn_id: this.debit_txn_id,
+      credit_txn_id: this.credit_txn_id,
+      error: this.error,
+      created_at: this.created_at
+    };
+  }
+
+  /**
+   * Check if run succeeded
+   */
+  isSuccessful() {
+    return this.status === 'SUCCEEDED';
+  }
+}
+
+module.exports = StandingInstructionRun;
@@ -12,6 +12,17 @@ class Transaction {
     reference,
     description = null,
     balance_after = null,
+    status = 'COMPLETED',
+    failure_reason = null,
+    reversal_of = null,
+    reversed_amount = 0,
+    reversed_at = null,
+    related_txn_id = null,
+    original_amount = null,
+    original_currency = null,
+    converted_amount = null,
+    converted_currency = null,
+    fx_rate = null,
     created_at = null,
     updated_at = null
   }) {
@@ -23,6 +34,17 @@ class Transaction {
     this.reference = reference;
     this.description = description;
     this.balance_after = balance_after ? parseFloat(balance_after) : null;
+    this.status = status;
+    this.failure_reason = failure_reason;
+    this.reversal_of = reversal_of;
+    this.reversed_amount = reversed_amount ? parseFloat(reversed_amount) : 0;
+    this.reversed_at = reversed_at;
+    this.related_txn_id = related_txn_id;
+    this.original_amount = original_amount ? parseFloat(original_amount) : null;
+    this.original_currency = original_currency;
+    this.converted_amount = converted_amount ? parseFloat(converted_amount) : null;
+    this.converted_currency = converted_currency;
+    this.fx_rate = fx_rate ? parseFloat(fx_rate) : null;
     this.created_at = created_at;
     this.updated_at = updated_at;
   }
@@ -40,6 +62,17 @@ class Transaction {
       reference: this.reference,
       description: this.description,
       balance_after: this.balance_after,
+      status: this.status,
+      failure_reason: this.failure_reason,
+      reversal_of: this.reversal_of,
+      reversed_amount: this.reversed_amount,
+      reversed_at: this.reversed_at,
+      related_txn_id: this.related_txn_id,
+      original_amount: this.original_amount,
+      original_currency: this.original_currency,
+      converted_amount: this.converted_amount,
+      converted_currency: this.converted_currency,
+      fx_rate: this.fx_rate,
       created_at: this.created_at,
       updated_at: this.updated_at
     };
@@ -59,7 +92,7 @@ class Transaction {
       errors.push('Amount must be positive');
     }
 
-    if (!this.txn_type || !['DEPOSIT', 'WITHDRAWAL', 'TRANSFER_IN', 'TRANSFER_OUT'].includes(this.txn_type)) {
+    if (!this.txn_type || !Transaction.TYPES.includes(this.txn_type)) {
       errors.push('Valid transaction type is required');
     }
 
@@ -67,25 +100,131 @@ class Transaction {
       errors.push('Reference must follow pattern REF[YYYYMMDD]-[6CHARS]');
     }
 
+    if (!Transaction.INITIAL_STATUSES.includes(this.status)) {
+      errors.push(`Transaction must be created as one of ${Transaction.INITIAL_STATUSES.join(', ')}`);
+    }
+
+    if (this.status === 'FAILED' && !this.failure_reason) {
+      errors.push('Failure reason is required for failed transactions');
+    }
+
+    if (this.status !== 'FAILED' && this.failure_reason) {
+      errors.push('Failure reason is only allowed on failed transactions');
+    }
+
     return {
       isValid: errors.length === 0,
       errors
     };
   }
 
+  /**
+   * Check if the lifecycle allows moving to the given status
+   * @param {string} status - Target status
+   */
+  canTransitionTo(status) {
+    return (Transaction.STATUS_TRANSITIONS[this.status] || []).includes(status);
+  }
+
+  /**
+   * Check if transaction has moved money (completed, possibly reversed since)
+   */
+  isPosted() {
+    return Transaction.POSTED_STATUSES.includes(this.status);
+  }
+
   /**
    * Check if transaction is a credit (increases balance)
    */
   isCredit() {
-    return ['DEPOSIT', 'TRANSFER_IN'].includes(this.txn_type);
+    return Transaction.CREDIT_TYPES.includes(this.txn_type);
   }
 
   /**
    * Check if transaction is a debit (decreases balance)
    */
   isDebit() {
-    return ['WITHDRAWAL', 'TRANSFER_OUT'].includes(this.txn_type);
+    return Transaction.TYPES.includes(this.txn_type) && !this.isCredit();
+  }
+
+  /**
+   * Check if transaction is a fee (or tax on a fee) charged for another transaction
+   */
+  isFee() {
+    return ['FEE', 'FEE_TAX'].includes(this.txn_type);
+  }
+
+  /**
+   * Check if transaction is a compensating reversal entry
+   */
+  isReversal() {
+    return ['REVERSAL_CREDIT', 'REVERSAL_DEBIT'].includes(this.txn_type);
+  }
+
+  /**
+   * Check if transaction is one leg of a transfer
+   */
+  isTransfer() {
+    return ['TRANSFER_IN', 'TRANSFER_OUT'].includes(this.txn_type);
+  }
+
+  /**
+   * Check if transaction was converted between currencies
+   */
+  isCrossCurrency() {
+    return this.fx_rate !== null;
+  }
+
+  /**
+   * Amount that can still be reversed (supports partial refunds)
+   */
+  getReversibleAmount() {
+    if (this.isReversal() || !this.isPosted()) {
+      return 0;
+    }
+    return Math.round((this.amount - this.reversed_amount) * 100) / 100;
+  }
+
+  /**
+   * Check if transaction has been fully reversed
+   */
+  isFullyReversed() {
+    return this.isPosted() && !this.isReversal() && this.getReversibleAmount() <= 0;
   }
 }
 
+Transaction.TYPES = [
+  'DEPOSIT',
+  'WITHDRAWAL',
+  'TRANSFER_IN',
+  'TRANSFER_OUT',
+  'REVERSAL_CREDIT',
+  'REVERSAL_DEBIT',
+  'FEE',
+  'FEE_TAX',
+  'INTEREST',
+  'OVERDRAFT_INTEREST'
+];
+
+// Types that increase the balance; every other type decreases it. Mirrors is_credit_type() in schema.sql
+Transaction.CREDIT_TYPES = ['DEPOSIT', 'TRANSFER_IN', 'REVERSAL_CREDIT', 'INTEREST'];
+
+Transaction.STATUSES = ['PENDING', 'COMPLETED', 'FAILED', 'REVERSED'];
+
+// Statuses a row may be inserted with; REVERSED is only reached by transition
+Transaction.INITIAL_STATUSES = ['PENDING', 'COMPLETED', 'FAILED'];
+
+// Statuses whose amount has been applied to the account balance
+Transaction.POSTED_STATUSES = ['COMPLETED', 'REVERSED'];
+
+// Fields transaction searches can be sorted by
+Transaction.SORT_FIELDS = ['created_at', 'amount', 'reference'];
+
+Transaction.STATUS_TRANSITIONS = {
+  PENDING: ['COMPLETED', 'FAILED'],
+  COMPLETED: ['REVERSED'],
+  FAILED: [],
+  REVERSED: []
+};
+
 module.exports = Transaction;
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * Transaction Batch Model
+ * A bulk payment file processed asynchronously line by line
+ */
+class TransactionBatch {
+  constructor({
+    batch_id,
+    mode = 'BEST_EFFORT',
+    status = 'QUEUED',
+    file_name = null,
+    total_lines = 0,
+    succeeded_lines = 0,
+    failed_lines = 0,
+    error = null,
+    created_at = null,
+    started_at = null,
+    completed_at = null,
+    updated_at = null
+  }) {
+    this.batch_id = batch_id;
+    this.mode = mode;
+    this.status = status;
+    this.file_name = file_name;
+    this.total_lines = parseInt(total_lines) || 0;
+    this.succeeded_lines = parseInt(succeeded_lines) || 0;
+    this.failed_lines = parseInt(failed_lines) || 0;
+    this.error = error;
+    this.created_at = created_at;
+    this.started_at = started_at;
+    this.completed_at = completed_at;
+    this.updated_at = updated_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      batch_id: this.batch_id,
+      mode: this.mode,
+      status: this.status,
+      file_name: this.file_name,
+      total_lines: this.total_lines,
+      succeeded_lines: this.succeeded_lines,
+      failed_lines: this.failed_lines,
+      pending_lines: Math.max(this.total_lines - this.succeeded_lines - this.failed_lines, 0),
+      error: this.error,
+      created_at: this.created_at,
+      started_at: this.started_at,
+      completed_at: this.completed_at,
+      updated_at: this.updated_at
+    };
+  }
+
+  /**
+   * Check if batch stops and rolls back on the first failed line
+   */
+  isAllOrNothing() {
+    return this.mode === 'ALL_OR_NOTHING';
+  }
+
+  /**
+   * Check if batch has finished processing
+   */
+  isFinished() {
+    return ['COMPLETED', 'COMPLETED_WITH_ERRORS', 'ROLLED_BACK', 'FAILED', 'NEEDS_REPAIR'].includes(this.status);
+  }
+}
+
+TransactionBatch.MODES = ['ALL_OR_NOTHING', 'BEST_EFFORT'];
+// NEEDS_REPAIR: an all-or-nothing rollback could not reverse every posted line
+TransactionBatch.STATUSES = ['QUEUED', 'PROCESSING', 'COMPLETED', 'COMPLETED_WITH_ERRORS', 'ROLLED_BACK', 'FAILED', 'NEEDS_REPAIR'];
+
+module.exports = TransactionBatch;
@@ -0,0 +1,60 @@
+/**
+ * Transaction Batch Line Model
+ * One instruction (deposit, withdrawal or transfer) from a bulk payment file
+ */
+class TransactionBatchLine {
+  constructor({
+    line_id,
+    batch_id,
+    line_number,
+    txn_type,
+    payload,
+    status = 'PENDING',
+    result = null,
+    error = null,
+    processed_at = null
+  }) {
+    this.line_id = line_id;
+    this.batch_id = batch_id;
+    this.line_number = parseInt(line_number);
+    this.txn_type = txn_type;
+    this.payload = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    this.status = status;
+    this.result = typeof result === 'string' ? JSON.parse(result) : result;
+    this.error = error;
+    this.processed_at = processed_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      line_id: this.line_id,
+      batch_id: this.batch_id,
+      line_number: this.line_number,
+      txn_type: this.txn_type,
+      payload: this.payload,
+      status: this.status,
+      result: this.result,
+      error: this.error,
+      processed_at: this.processed_at
+    };
+  }
+
+  /**
+   * Transaction ID to reverse if the batch is rolled back
+   * (the debit leg for transfers; reversal handles both legs)
+   */
+  getPostedTransactionId() {
+    if (!this.result) {
+      return null;
+    }
+    return this.result.txn_id || this.result.debit_txn_id || null;
+  }
+}
+
+TransactionBatchLine.TYPES = ['DEPOSIT', 'WITHDRAWAL', 'TRANSFER'];
+TransactionBatchLine.STATUSES = ['PENDING', 'SUCCEEDED', 'FAILED', 'SKIPPED', 'ROLLED_BACK'];
+
+module.exports = TransactionBatchLine;
@@ -0,0 +1,148 @@
+/**
+ * Transaction Limit Model
+ * Amount and/or count cap on a transaction type for one period, optionally limited
+ * to one account type and one KYC tier
+ */
+class TransactionLimit {
+  constructor({
+    limit_id,
+    account_type = null,
+    kyc_tier = null,
+    txn_type,
+    period,
+    max_amount = null,
+    max_count = null,
+    effective_from = null,
+    effective_to = null,
+    created_at = null
+  }) {
+    this.limit_id = limit_id;
+    this.account_type = account_type;
+    this.kyc_tier = kyc_tier;
+    this.txn_type = txn_type;
+    this.period = period;
+    this.max_amount = max_amount !== null && max_amount !== undefined ? parseFloat(max_amount) : null;
+    this.max_count = max_count !== null && max_count !== undefined ? parseInt(max_count) : null;
+    this.effective_from = effective_from;
+    this.effective_to = effective_to;
+    this.created_at = created_at;
+  }
+
+  /**
+   * Convert to JSON object
+   */
+  toJSON() {
+    return {
+      limit_id: this.limit_id,
+      account_type: this.account_type,
+      kyc_tier: this.kyc_tier,
+      txn_type: this.txn_type,
+      period: this.period,
+      max_amount: this.max_amount,
+      max_count: this.max_count,
+      effective_from: this.effective_from,
+      effective_to: this.effective_to,
+      created_at: this.created_at
+    };
+  }
+
+  /**
+   * Human-readable scope, e.g. "SAVINGS accounts, BASIC KYC"
+   * @returns {string} Scope description
+   */
+  getScope() {
+    const accounts = this.account_type ? `${this.account_type} accounts` : 'all accounts';
+    const tier = this.kyc_tier ? `${this.kyc_tier} KYC` : 'any KYC tier';
+    return `${accounts}, ${tier}`;
+  }
+
+  /**
+   * Work out what is left under this limit
+   * @param {Object} used - Usage in the current period ({ amount, count }); zero for per-transaction limits
+   * @returns {Object} Headroom ({ amount, count }), null where the limit has no such cap
+   */
+  getHeadroom(used = { amount: 0, count: 0 }) {
+    return {
+      amount: this.max_amount !== null
+        ? Math.max(0, Math.round((this.max_amount - used.amount) * 100) / 100)
+        : null,
+      count: this.max_count !== null ? Math.max(0, this.max_count - used.count) : null
+    };
+  }
+
+  /**
+   * Check whether one more transaction of the given amount fits under this limit
+   * @param {number} amount - Transaction amount
+   * @param {Object} used - Usage in the current period ({ amount, count })
+   * @returns {Object} Check result ({ allowed, cap, headroom })
+   */
+  check(amount, used = { amount: 0, count: 0 }) {
+    const headroom = this.getHeadroom(used);
+
+    if (headroom.count !== null && headroom.count < 1) {
+      return { allowed: false, cap: 'count', headroom };
+    }
+    if (headroom.amount !== null && parseFloat(amount) > headroom.amount) {
+      return { allowed: false, cap: 'amount', headroom };
+    }
+
+    return { allowed: true, cap: null, headroom };
+  }
+
+  /**
+   * Validate transaction limit data
+   */
+  validate() {
+    const errors = [];
+
+    if (!TransactionLimit.LIMITED_TYPES.includes(this.txn_type)) {
+      errors.push(`Transaction type must be one of ${TransactionLimit.LIMITED_TYPES.join(', ')}`);
+    }
+
+    if (!TransactionLimit.PERIODS.includes(this.period)) {
+      errors.push(`Period must be one of ${TransactionLimit.PERIODS.join(', ')}`);
+    }
+
+    if (this.account_type !== null && !TransactionLimit.ACCOUNT_TYPES.includes(this.account_type)) {
+      errors.push('Valid account type is required');
+    }
+
+    if (this.kyc_tier !== null && !TransactionLimit.KYC_TIERS.includes(this.kyc_tier)) {
+      errors.push('Valid KYC tier is required');
+    }
+
+    if (this.max_amount === null && this.max_count === null) {
+      errors.push('max_amount or max_count is required');
+    }
+
+    if (this.max_amount !== null && (isNaN(this.max_amount) || this.max_amount <= 0)) {
+      errors.push('max_amount must be positive');
+    }
+
+    if (this.max_count !== null && (isNaN(this.max_count) || this.max_count < 1)) {
+      errors.push('max_count must be at least 1');
+    }
+
+    if (this.period === 'PER_TRANSACTION' && this.max_count !== null) {
+      errors.push('max_count only applies to DAILY and MONTHLY limits');
+    }
+
+    if (this.effective_from && this.effective_to &&
+        new Date(this.effective_to) <= new Date(this.effective_from)) {
+      errors.push('effective_to must be after effective_from');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+TransactionLimit.LIMITED_TYPES = ['DEPOSIT', 'WITHDRAWAL', 'TRANSFER_OUT'];
+TransactionLimit.PERIODS = ['PER_TRANSACTION', 'DAILY', 'MONTHLY'];
+TransactionLimit.KYC_TIERS = ['BASIC', 'STANDARD', 'FULL'];
+TransactionLimit.ACCOUNT_TYPES = ['SAVINGS', 'CURRENT', 'SALARY'];
+TransactionLimit.DEFAULT_KYC_TIER = 'BASIC';
+
+module.exports = TransactionLimit;
@@ -9,9 +9,12 @@ class AccountProjectionRepository {
   /**
    * Create or update account projection
    * @param {Object} accountData - Account projection data
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<AccountProjection>} Created/updated account projection
    */
-  async upsert(accountData) {
+  async upsert(accountData, client = null) {
+    const dbClient = client || db;
+
     const account = new AccountProjection(accountData);
     const validation = account.validate();
     
@@ -21,8 +24,9 @@ class AccountProjectionRepository {
 
     const query = `
       INSERT INTO account_projections 
-      (account_id, customer_id, account_number, account_type, current_balance, currency, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      (account_id, customer_id, account_number, account_type, current_balance, opening_balance,
+       currency, status, overdraft_limit, overdraft_interest_rate)
+      VALUES ($1, $2, $3, $4, $5, $5, $6, $7, $8, $9)
       ON CONFLICT (account_id) 
       DO UPDATE SET
         customer_id = EXCLUDED.customer_id,
@@ -42,11 +46,15 @@ class AccountProjectionRepository {
       account.account_type,
       account.current_balance,
       account.currency,
-      account.status
+      account.status,
+      account.overdraft_limit,
+      account.overdraft_interest_rate
     ];
 
+    // An existing overdraft is only changed through updateOverdraft, and the opening
+    // balance is the balance the projection was first created with
     try {
-      const result = await db.query(query, values);
+      const result = await dbClient.query(query, values);
       return new AccountProjection(result.rows[0]);
     } catch (error) {
       if (error.code === '23505') { // Unique constraint violation
@@ -59,11 +67,14 @@ class AccountProjectionRepository {
   /**
    * Find account projection by ID
    * @param {number} accountId - Account ID
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<AccountProjection|null>} Account projection or null
    */
-  async findById(accountId) {
+  async findById(accountId, client = null) {
     const query = 'SELECT * FROM account_projections WHERE account_id = $1';
-    const result = await db.query(query, [accountId]);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId]);
     
     if (result.rows.length === 0) {
       return null;
@@ -75,11 +86,14 @@ class AccountProjectionRepository {
   /**
    * Find account projection by account number
    * @param {string} accountNumber - Account number
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<AccountProjection|null>} Account projection or null
    */
-  async findByAccountNumber(accountNumber) {
+  async findByAccountNumber(accountNumber, client = null) {
     const query = 'SELECT * FROM account_projections WHERE account_number = $1';
-    const result = await db.query(query, [accountNumber]);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountNumber]);
     
     if (result.rows.length === 0) {
       return null;
@@ -91,30 +105,56 @@ class AccountProjectionRepository {
   /**
    * Find account projections by customer ID
    * @param {number} customerId - Customer ID
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<Array<AccountProjection>>} Array of account projections
    */
-  async findByCustomerId(customerId) {
+  async findByCustomerId(customerId, client = null) {
     const query = 'SELECT * FROM account_projections WHERE customer_id = $1 ORDER BY account_id';
-    const result = await db.query(query, [customerId]);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [customerId]);
     
     return result.rows.map(row => new AccountProjection(row));
   }
 
+  /**
+   * Find accounts that accrue interest: not CLOSED, and either of one of the given
+   * types or charged interest on an overdraft
+   * @param {Array<string>} accountTypes - Account types earning interest
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<AccountProjection>>} Array of account projections
+   */
+  async findInterestBearing(accountTypes, client = null) {
+    const query = `
+      SELECT * FROM account_projections
+      WHERE status <> 'CLOSED'
+        AND (account_type = ANY($1::account_type[]) OR overdraft_interest_rate > 0)
+      ORDER BY account_id
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountTypes]);
+
+    return result.rows.map(row => new AccountProjection(row));
+  }
+
   /**
    * Update account balance
    * @param {number} accountId - Account ID
    * @param {number} newBalance - New balance
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<AccountProjection>} Updated account projection
    */
-  async updateBalance(accountId, newBalance) {
+  async updateBalance(accountId, newBalance, client = null) {
     const query = `
       UPDATE account_projections 
       SET current_balance = $1, last_updated = CURRENT_TIMESTAMP
       WHERE account_id = $2
       RETURNING *
     `;
+    const dbClient = client || db;
 
-    const result = await db.query(query, [newBalance, accountId]);
+    const result = await dbClient.query(query, [newBalance, accountId]);
     
     if (result.rows.length === 0) {
       throw new Error('Account projection not found');
@@ -127,9 +167,10 @@ class AccountProjectionRepository {
    * Update account status
    * @param {number} accountId - Account ID
    * @param {string} status - New status
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<AccountProjection>} Updated account projection
    */
-  async updateStatus(accountId, status) {
+  async updateStatus(accountId, status, client = null) {
     if (!['ACTIVE', 'FROZEN', 'CLOSED'].includes(status)) {
       throw new Error('Invalid account status');
     }
@@ -140,8 +181,9 @@ class AccountProjectionRepository {
       WHERE account_id = $2
       RETURNING *
     `;
+    const dbClient = client || db;
 
-    const result = await db.query(query, [status, accountId]);
+    const result = await dbClient.query(query, [status, accountId]);
     
     if (result.rows.length === 0) {
       throw new Error('Account projection not found');
@@ -150,14 +192,48 @@ class AccountProjectionRepository {
     return new AccountProjection(result.rows[0]);
   }
 
+  /**
+   * Update the account type and currency
+   * @param {number} accountId - Account ID
+   * @param {Object} details - account_type and/or currency; omitted fields are kept
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<AccountProjection>} Updated account projection
+   */
+  async updateDetails(accountId, details, client = null) {
+    const query = `
+      UPDATE account_projections
+      SET account_type = COALESCE($1, account_type),
+          currency = COALESCE($2, currency),
+          last_updated = CURRENT_TIMESTAMP
+      WHERE account_id = $3
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      details.account_type !== undefined ? details.account_type : null,
+      details.currency !== undefined ? details.currency : null,
+      accountId
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Account projection not found');
+    }
+
+    return new AccountProjection(result.rows[0]);
+  }
+
   /**
    * Check if account exists and is active
    * @param {number} accountId - Account ID
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<boolean>} True if account exists and is active
    */
-  async isActive(accountId) {
+  async isActive(accountId, client = null) {
     const query = 'SELECT status FROM account_projections WHERE account_id = $1';
-    const result = await db.query(query, [accountId]);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId]);
     
     if (result.rows.length === 0) {
       return false;
@@ -169,11 +245,14 @@ class AccountProjectionRepository {
   /**
    * Get account balance
    * @param {number} accountId - Account ID
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<number|null>} Account balance or null if not found
    */
-  async getBalance(accountId) {
+  async getBalance(accountId, client = null) {
     const query = 'SELECT current_balance FROM account_projections WHERE account_id = $1';
-    const result = await db.query(query, [accountId]);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId]);
     
     if (result.rows.length === 0) {
       return null;
@@ -201,23 +280,83 @@ class AccountProjectionRepository {
     return new AccountProjection(result.rows[0]);
   }
 
+  /**
+   * Set the sanctioned overdraft on an account
+   * @param {number} accountId - Account ID
+   * @param {Object} overdraft - overdraft_limit and/or overdraft_interest_rate; omitted fields are kept
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<AccountProjection>} Updated account projection
+   */
+  async updateOverdraft(accountId, overdraft, client = null) {
+    const query = `
+      UPDATE account_projections
+      SET overdraft_limit = COALESCE($1, overdraft_limit),
+          overdraft_interest_rate = COALESCE($2, overdraft_interest_rate),
+          last_updated = CURRENT_TIMESTAMP
+      WHERE account_id = $3
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      overdraft.overdraft_limit !== undefined ? overdraft.overdraft_limit : null,
+      overdraft.overdraft_interest_rate !== undefined ? overdraft.overdraft_interest_rate : null,
+      accountId
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Account not found');
+    }
+
+    return new AccountProjection(result.rows[0]);
+  }
+
+  /**
+   * Adjust the amount reserved by active holds
+   * @param {number} accountId - Account ID
+   * @param {number} delta - Positive to reserve, negative to release
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<AccountProjection>} Updated account projection
+   */
+  async adjustHeldAmount(accountId, delta, client = null) {
+    const query = `
+      UPDATE account_projections
+      SET held_amount = held_amount + $1, last_updated = CURRENT_TIMESTAMP
+      WHERE account_id = $2
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [delta, accountId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Account projection not found');
+    }
+
+    return new AccountProjection(result.rows[0]);
+  }
+
   /**
    * Delete account projection (for testing purposes only)
    * @param {number} accountId - Account ID
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<boolean>} Success status
    */
-  async delete(accountId) {
+  async delete(accountId, client = null) {
     const query = 'DELETE FROM account_projections WHERE account_id = $1';
-    const result = await db.query(query, [accountId]);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId]);
     return result.rowCount > 0;
   }
 
   /**
    * Get all account projections with pagination
    * @param {Object} options - Query options (limit, offset)
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<Array<AccountProjection>>} Array of account projections
    */
-  async findAll(options = {}) {
+  async findAll(options = {}, client = null) {
     const { limit = 50, offset = 0 } = options;
     
     let query = 'SELECT * FROM account_projections ORDER BY account_id';
@@ -232,8 +371,9 @@ class AccountProjectionRepository {
       query += values.length ? ' OFFSET $2' : ' OFFSET $1';
       values.push(offset);
     }
+    const dbClient = client || db;
 
-    const result = await db.query(query, values);
+    const result = await dbClient.query(query, values);
     return result.rows.map(row => new AccountProjection(row));
   }
 }
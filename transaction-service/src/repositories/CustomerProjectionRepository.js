@@ -5,7 +5,9 @@ class CustomerProjectionRepository {
   /**
    * Create a new customer projection
    */
-  async create(customerData) {
+  async create(customerData, client = null) {
+    const dbClient = client || db;
+
     try {
       const {
         customer_id,
@@ -14,18 +16,19 @@ class CustomerProjectionRepository {
         last_name,
         email,
         phone,
-        status = 'ACTIVE'
+        status = 'ACTIVE',
+        kyc_tier = 'BASIC'
       } = customerData;
 
       const query = `
         INSERT INTO customer_projections 
-        (customer_id, customer_number, first_name, last_name, email, phone, status)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        (customer_id, customer_number, first_name, last_name, email, phone, status, kyc_tier)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
         RETURNING *
       `;
 
-      const values = [customer_id, customer_number, first_name, last_name, email, phone, status];
-      const result = await db.query(query, values);
+      const values = [customer_id, customer_number, first_name, last_name, email, phone, status, kyc_tier];
+      const result = await dbClient.query(query, values);
 
       logger.info('Customer projection created', { 
         customerId: customer_id,
@@ -42,7 +45,9 @@ class CustomerProjectionRepository {
   /**
    * Update customer projection
    */
-  async update(customerId, updates) {
+  async update(customerId, updates, client = null) {
+    const dbClient = client || db;
+
     try {
       // Add last_updated timestamp
       updates.last_updated = new Date();
@@ -59,7 +64,7 @@ class CustomerProjectionRepository {
       `;
 
       const values = [customerId, ...Object.values(updates)];
-      const result = await db.query(query, values);
+      const result = await dbClient.query(query, values);
 
       if (result.rows.length === 0) {
         throw new Error(`Customer projection not found: ${customerId}`);
@@ -80,14 +85,16 @@ class CustomerProjectionRepository {
   /**
    * Find customer projection by ID
    */
-  async findById(customerId) {
+  async findById(customerId, client = null) {
+    const dbClient = client || db;
+
     try {
       const query = `
         SELECT * FROM customer_projections 
         WHERE customer_id = $1
       `;
 
-      const result = await db.query(query, [customerId]);
+      const result = await dbClient.query(query, [customerId]);
       return result.rows[0] || null;
     } catch (error) {
       logger.error('Error finding customer projection by ID:', error);
@@ -95,17 +102,41 @@ class CustomerProjectionRepository {
     }
   }
 
+  /**
+   * Get the KYC tier of a customer
+   * @param {number} customerId - Customer ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<string|null>} KYC tier, or null if the customer is unknown
+   */
+  async findKycTier(customerId, client = null) {
+    try {
+      const query = `
+        SELECT kyc_tier FROM customer_projections 
+        WHERE customer_id = $1
+      `;
+      const dbClient = client || db;
+
+      const result = await dbClient.query(query, [customerId]);
+      return result.rows[0] ? result.rows[0].kyc_tier : null;
+    } catch (error) {
+      logger.error('Error finding customer KYC tier:', error);
+      throw error;
+    }
+  }
+
   /**
    * Find customer projection by customer number
    */
-  async findByCustomerNumber(customerNumber) {
+  async findByCustomerNumber(customerNumber, client = null) {
+    const dbClient = client || db;
+
     try {
       const query = `
         SELECT * FROM customer_projections 
         WHERE customer_number = $1
       `;
 
-      const result = await db.query(query, [customerNumber]);
+      const result = await dbClient.query(query, [customerNumber]);
       return result.rows[0] || null;
     } catch (error) {
       logger.error('Error finding customer projection by customer number:', error);
@@ -116,14 +147,16 @@ class CustomerProjectionRepository {
   /**
    * Find customer projection by email
    */
-  async findByEmail(email) {
+  async findByEmail(email, client = null) {
+    const dbClient = client || db;
+
     try {
       const query = `
         SELECT * FROM customer_projections 
         WHERE email = $1
       `;
 
-      const result = await db.query(query, [email]);
+      const result = await dbClient.query(query, [email]);
       return result.rows[0] || null;
     } catch (error) {
       logger.error('Error finding customer projection by email:', error);
@@ -134,7 +167,9 @@ class CustomerProjectionRepository {
   /**
    * Check if customer exists
    */
-  async exists(customerId) {
+  async exists(customerId, client = null) {
+    const dbClient = client || db;
+
     try {
       const query = `
         SELECT 1 FROM customer_projections 
@@ -142,7 +177,7 @@ class CustomerProjectionRepository {
         LIMIT 1
       `;
 
-      const result = await db.query(query, [customerId]);
+      const result = await dbClient.query(query, [customerId]);
       return result.rows.length > 0;
     } catch (error) {
       logger.error('Error checking customer existence:', error);
@@ -153,7 +188,9 @@ class CustomerProjectionRepository {
   /**
    * Delete customer projection
    */
-  async delete(customerId) {
+  async delete(customerId, client = null) {
+    const dbClient = client || db;
+
     try {
       const query = `
         DELETE FROM customer_projections 
@@ -161,7 +198,7 @@ class CustomerProjectionRepository {
         RETURNING *
       `;
 
-      const result = await db.query(query, [customerId]);
+      const result = await dbClient.query(query, [customerId]);
 
       if (result.rows.length === 0) {
         throw new Error(`Customer projection not found: ${customerId}`);
@@ -178,7 +215,9 @@ class CustomerProjectionRepository {
   /**
    * Get all customer projections (with pagination)
    */
-  async findAll(options = {}) {
+  async findAll(options = {}, client = null) {
+    const dbClient = client || db;
+
     try {
       const { limit = 100, offset = 0, status } = options;
       
@@ -201,7 +240,7 @@ class CustomerProjectionRepository {
       query += ` ORDER BY customer_id LIMIT $${values.length + 1} OFFSET $${values.length + 2}`;
       values.push(limit, offset);
 
-      const result = await db.query(query, values);
+      const result = await dbClient.query(query, values);
       return result.rows;
     } catch (error) {
       logger.error('Error finding all customer projections:', error);
@@ -212,7 +251,9 @@ class CustomerProjectionRepository {
   /**
    * Get customer count
    */
-  async getCount(status = null) {
+  async getCount(status = null, client = null) {
+    const dbClient = client || db;
+
     try {
       let query = `SELECT COUNT(*) FROM customer_projections`;
       const values = [];
@@ -222,7 +263,7 @@ class CustomerProjectionRepository {
         values.push(status);
       }
 
-      const result = await db.query(query, values);
+      const result = await dbClient.query(query, values);
       return parseInt(result.rows[0].count);
     } catch (error) {
       logger.error('Error getting customer count:', error);
@@ -233,9 +274,9 @@ class CustomerProjectionRepository {
   /**
    * Update customer status
    */
-  async updateStatus(customerId, newStatus) {
+  async updateStatus(customerId, newStatus, client = null) {
     try {
-      return await this.update(customerId, { status: newStatus });
+      return await this.update(customerId, { status: newStatus }, client);
     } catch (error) {
       logger.error('Error updating customer status:', error);
       throw error;
@@ -243,4 +284,4 @@ class CustomerProjectionRepository {
   }
 }
 
-module.exports = CustomerProjectionRepository;
\ No newline at end of file
+module.exports = new CustomerProjectionRepository();
\ No newline at end of file
@@ -0,0 +1,176 @@
+const db = require('../database/connection');
+const FeeSchedule = require('../models/FeeSchedule');
+
+/**
+ * Fee Schedule Repository
+ * Handles database operations for fee schedules
+ */
+class FeeScheduleRepository {
+  /**
+   * Create a new fee schedule
+   * @param {Object} scheduleData - Fee schedule data
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<FeeSchedule>} Created fee schedule
+   */
+  async create(scheduleData, client = null) {
+    const feeSchedule = new FeeSchedule(scheduleData);
+    const validation = feeSchedule.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const query = `
+      INSERT INTO fee_schedules
+      (account_type, txn_type, flat_fee, percent_fee, min_fee, max_fee, free_per_month, gst_percent, effective_from, effective_to)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, CURRENT_TIMESTAMP), $10)
+      RETURNING *
+    `;
+
+    const values = [
+      feeSchedule.account_type,
+      feeSchedule.txn_type,
+      feeSchedule.flat_fee,
+      feeSchedule.percent_fee,
+      feeSchedule.min_fee,
+      feeSchedule.max_fee,
+      feeSchedule.free_per_month,
+      feeSchedule.gst_percent,
+      feeSchedule.effective_from,
+      feeSchedule.effective_to
+    ];
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return new FeeSchedule(result.rows[0]);
+  }
+
+  /**
+   * Find fee schedule by ID
+   * @param {number} feeScheduleId - Fee schedule ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<FeeSchedule|null>} Fee schedule or null
+   */
+  async findById(feeScheduleId, client = null) {
+    const query = 'SELECT * FROM fee_schedules WHERE fee_schedule_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [feeScheduleId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new FeeSchedule(result.rows[0]);
+  }
+
+  /**
+   * Find fee schedules with optional filters
+   * @param {Object} options - Query options (accountType, txnType, activeOnly, limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<FeeSchedule>>} Array of fee schedules
+   */
+  async findAll(options = {}, client = null) {
+    const { accountType, txnType, activeOnly = false, limit = 50, offset = 0 } = options;
+
+    let query = 'SELECT * FROM fee_schedules WHERE 1 = 1';
+    const values = [];
+    let paramCount = 0;
+
+    if (accountType) {
+      paramCount++;
+      query += ` AND account_type = $${paramCount}`;
+      values.push(accountType);
+    }
+
+    if (txnType) {
+      paramCount++;
+      query += ` AND txn_type = $${paramCount}`;
+      values.push(txnType);
+    }
+
+    if (activeOnly) {
+      query += ' AND effective_from <= CURRENT_TIMESTAMP AND (effective_to IS NULL OR effective_to > CURRENT_TIMESTAMP)';
+    }
+
+    query += ' ORDER BY txn_type, account_type NULLS FIRST, effective_from DESC';
+
+    if (limit) {
+      paramCount++;
+      query += ` LIMIT $${paramCount}`;
+      values.push(limit);
+    }
+
+    if (offset) {
+      paramCount++;
+      query += ` OFFSET $${paramCount}`;
+      values.push(offset);
+    }
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return result.rows.map(row => new FeeSchedule(row));
+  }
+
+  /**
+   * Find the schedule currently in effect for an account type and transaction type
+   * A schedule for the specific account type wins over a catch-all (NULL) one;
+   * within each, the most recently started schedule wins
+   * @param {string} accountType - Account type
+   * @param {string} txnType - Transaction type
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<FeeSchedule|null>} Applicable fee schedule or null
+   */
+  async findApplicable(accountType, txnType, client = null) {
+    const query = `
+      SELECT * FROM fee_schedules
+      WHERE txn_type = $2
+        AND (account_type = $1 OR account_type IS NULL)
+        AND effective_from <= CURRENT_TIMESTAMP
+        AND (effective_to IS NULL OR effective_to > CURRENT_TIMESTAMP)
+      ORDER BY account_type NULLS LAST, effective_from DESC, fee_schedule_id DESC
+      LIMIT 1
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountType, txnType]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new FeeSchedule(result.rows[0]);
+  }
+
+  /**
+   * Expire a fee schedule so it no longer applies
+   * Schedules are never deleted so past charges remain explainable; a schedule that
+   * has not started yet gets an empty window
+   * @param {number} feeScheduleId - Fee schedule ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<FeeSchedule>} Expired fee schedule
+   */
+  async expire(feeScheduleId, client = null) {
+    const query = `
+      UPDATE fee_schedules
+      SET effective_to = GREATEST(CURRENT_TIMESTAMP, effective_from)
+      WHERE fee_schedule_id = $1 AND (effective_to IS NULL OR effective_to > CURRENT_TIMESTAMP)
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [feeScheduleId]);
+
+    if (result.rows.length === 0) {
+      const existing = await this.findById(feeScheduleId, client);
+      if (!existing) {
+        throw new Error('Fee schedule not found');
+      }
+      return existing;
+    }
+
+    return new FeeSchedule(result.rows[0]);
+  }
+}
+
+module.exports = new FeeScheduleRepository();
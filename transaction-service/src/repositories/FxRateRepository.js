@@ -0,0 +1,170 @@
+const db = require('../database/connection');
+const FxRate = require('../models/FxRate');
+
+/**
+ * FX Rate Repository
+ * Handles database operations for currency conversion rates
+ */
+class FxRateRepository {
+  /**
+   * Create a new FX rate
+   * @param {Object} rateData - FX rate data
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<FxRate>} Created FX rate
+   */
+  async create(rateData, client = null) {
+    const fxRate = new FxRate(rateData);
+    const validation = fxRate.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const query = `
+      INSERT INTO fx_rates (base_currency, quote_currency, rate, spread_percent, effective_from, effective_to)
+      VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_TIMESTAMP), $6)
+      RETURNING *
+    `;
+
+    const values = [
+      fxRate.base_currency,
+      fxRate.quote_currency,
+      fxRate.rate,
+      fxRate.spread_percent,
+      fxRate.effective_from,
+      fxRate.effective_to
+    ];
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return new FxRate(result.rows[0]);
+  }
+
+  /**
+   * Find FX rate by ID
+   * @param {number} rateId - Rate ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<FxRate|null>} FX rate or null
+   */
+  async findById(rateId, client = null) {
+    const query = 'SELECT * FROM fx_rates WHERE rate_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [rateId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new FxRate(result.rows[0]);
+  }
+
+  /**
+   * Find FX rates with optional filters
+   * @param {Object} options - Query options (baseCurrency, quoteCurrency, activeOnly, limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<FxRate>>} Array of FX rates
+   */
+  async findAll(options = {}, client = null) {
+    const { baseCurrency, quoteCurrency, activeOnly = false, limit = 50, offset = 0 } = options;
+
+    let query = 'SELECT * FROM fx_rates WHERE 1 = 1';
+    const values = [];
+    let paramCount = 0;
+
+    if (baseCurrency) {
+      paramCount++;
+      query += ` AND base_currency = $${paramCount}`;
+      values.push(baseCurrency);
+    }
+
+    if (quoteCurrency) {
+      paramCount++;
+      query += ` AND quote_currency = $${paramCount}`;
+      values.push(quoteCurrency);
+    }
+
+    if (activeOnly) {
+      query += ' AND effective_from <= CURRENT_TIMESTAMP AND (effective_to IS NULL OR effective_to > CURRENT_TIMESTAMP)';
+    }
+
+    query += ' ORDER BY base_currency, quote_currency, effective_from DESC';
+
+    if (limit) {
+      paramCount++;
+      query += ` LIMIT $${paramCount}`;
+      values.push(limit);
+    }
+
+    if (offset) {
+      paramCount++;
+      query += ` OFFSET $${paramCount}`;
+      values.push(offset);
+    }
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return result.rows.map(row => new FxRate(row));
+  }
+
+  /**
+   * Find the rate currently in effect for a currency pair
+   * The most recently started rate wins when effective windows overlap
+   * @param {string} baseCurrency - Currency being converted from
+   * @param {string} quoteCurrency - Currency being converted to
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<FxRate|null>} Effective FX rate or null
+   */
+  async findEffectiveRate(baseCurrency, quoteCurrency, client = null) {
+    const query = `
+      SELECT * FROM fx_rates
+      WHERE base_currency = $1
+        AND quote_currency = $2
+        AND effective_from <= CURRENT_TIMESTAMP
+        AND (effective_to IS NULL OR effective_to > CURRENT_TIMESTAMP)
+      ORDER BY effective_from DESC, rate_id DESC
+      LIMIT 1
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [baseCurrency, quoteCurrency]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new FxRate(result.rows[0]);
+  }
+
+  /**
+   * Expire an FX rate so it is no longer used
+   * Rates are never deleted so past conversions remain traceable; a rate that has
+   * not started yet gets an empty window
+   * @param {number} rateId - Rate ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<FxRate>} Expired FX rate
+   */
+  async expire(rateId, client = null) {
+    const query = `
+      UPDATE fx_rates
+      SET effective_to = GREATEST(CURRENT_TIMESTAMP, effective_from)
+      WHERE rate_id = $1 AND (effective_to IS NULL OR effective_to > CURRENT_TIMESTAMP)
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [rateId]);
+
+    if (result.rows.length === 0) {
+      const existing = await this.findById(rateId, client);
+      if (!existing) {
+        throw new Error('FX rate not found');
+      }
+      return existing;
+    }
+
+    return new FxRate(result.rows[0]);
+  }
+}
+
+module.exports = new FxRateRepository();
@@ -0,0 +1,225 @@
+const db = require('../database/connection');
+const Hold = require('../models/Hold');
+
+/**
+ * Hold Repository
+ * Handles database operations for authorization holds
+ */
+class HoldRepository {
+  /**
+   * Create a new hold
+   * @param {Object} holdData - Hold data
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Hold>} Created hold
+   */
+  async create(holdData, client = null) {
+    const hold = new Hold(holdData);
+    const validation = hold.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const query = `
+      INSERT INTO holds (account_id, amount, counterparty, description, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    const values = [
+      hold.account_id,
+      hold.amount,
+      hold.counterparty,
+      hold.description,
+      hold.expires_at
+    ];
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return new Hold(result.rows[0]);
+  }
+
+  /**
+   * Find hold by ID
+   * @param {number} holdId - Hold ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Hold|null>} Hold or null
+   */
+  async findById(holdId, client = null) {
+    const query = 'SELECT * FROM holds WHERE hold_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [holdId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Hold(result.rows[0]);
+  }
+
+  /**
+   * Find holds with optional filters
+   * @param {Object} options - Query options (accountId, status, limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<Hold>>} Array of holds
+   */
+  async findAll(options = {}, client = null) {
+    const { accountId, status, limit = 50, offset = 0 } = options;
+
+    let query = 'SELECT * FROM holds WHERE 1 = 1';
+    const values = [];
+    let paramCount = 0;
+
+    if (accountId) {
+      paramCount++;
+      query += ` AND account_id = $${paramCount}`;
+      values.push(accountId);
+    }
+
+    if (status) {
+      paramCount++;
+      query += ` AND status = $${paramCount}`;
+      values.push(status);
+    }
+
+    query += ' ORDER BY created_at DESC, hold_id DESC';
+
+    if (limit) {
+      paramCount++;
+      query += ` LIMIT $${paramCount}`;
+      values.push(limit);
+    }
+
+    if (offset) {
+      paramCount++;
+      query += ` OFFSET $${paramCount}`;
+      values.push(offset);
+    }
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return result.rows.map(row => new Hold(row));
+  }
+
+  /**
+   * Find active holds for an account
+   * @param {number} accountId - Account ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<Hold>>} Active holds, soonest expiry first
+   */
+  async findActiveByAccountId(accountId, client = null) {
+    const query = `
+      SELECT * FROM holds
+      WHERE account_id = $1 AND status = 'ACTIVE'
+      ORDER BY expires_at ASC, hold_id ASC
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId]);
+    return result.rows.map(row => new Hold(row));
+  }
+
+  /**
+   * Lock hold row for update (for capture and release processing)
+   * @param {number} holdId - Hold ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Hold|null>} Locked hold or null
+   */
+  async lockForUpdate(holdId, client = null) {
+    const query = 'SELECT * FROM holds WHERE hold_id = $1 FOR UPDATE';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [holdId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new Hold(result.rows[0]);
+  }
+
+  /**
+   * Lock active holds past their expiry time
+   * SKIP LOCKED lets parallel workers (and in-flight captures) proceed without blocking
+   * @param {number} limit - Maximum number of holds to lock
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<Hold>>} Locked expired holds
+   */
+  async lockExpired(limit, client) {
+    const query = `
+      SELECT * FROM holds
+      WHERE status = 'ACTIVE' AND expires_at <= CURRENT_TIMESTAMP
+      ORDER BY expires_at ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    `;
+
+    const result = await client.query(query, [limit]);
+    return result.rows.map(row => new Hold(row));
+  }
+
+  /**
+   * Mark hold as captured
+   * @param {number} holdId - Hold ID
+   * @param {Object} capture - Capture details (captured_amount, capture_reference, capture_txn_id)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Hold>} Updated hold
+   */
+  async markCaptured(holdId, capture, client = null) {
+    const query = `
+      UPDATE holds
+      SET status = 'CAPTURED',
+          captured_amount = $1,
+          capture_reference = $2,
+          capture_txn_id = $3,
+          released_at = CURRENT_TIMESTAMP
+      WHERE hold_id = $4
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      capture.captured_amount,
+      capture.capture_reference,
+      capture.capture_txn_id,
+      holdId
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Hold not found');
+    }
+
+    return new Hold(result.rows[0]);
+  }
+
+  /**
+   * Release hold without capturing it
+   * @param {number} holdId - Hold ID
+   * @param {string} status - VOIDED or EXPIRED
+   * @param {string} reason - Why the hold was released
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Hold>} Updated hold
+   */
+  async markReleased(holdId, status, reason, client = null) {
+    const query = `
+      UPDATE holds
+      SET status = $1,
+          release_reason = $2,
+          released_at = CURRENT_TIMESTAMP
+      WHERE hold_id = $3
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [status, reason, holdId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Hold not found');
+    }
+
+    return new Hold(result.rows[0]);
+  }
+}
+
+module.exports = new HoldRepository();
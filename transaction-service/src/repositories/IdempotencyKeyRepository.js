@@ -1,6 +1,14 @@
+const { v4: uuidv4 } = require('uuid');
 const db = require('../database/connection');
 const IdempotencyKey = require('../models/IdempotencyKey');
 
+/**
+ * JSONB columns come back already parsed; older text values still need parsing
+ * @param {*} value - Column value
+ * @returns {*} Parsed value
+ */
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
 /**
  * Idempotency Key Repository
  * Handles database operations for idempotency keys
@@ -9,9 +17,12 @@ class IdempotencyKeyRepository {
   /**
    * Create a new idempotency key
    * @param {Object} idempotencyData - Idempotency key data
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<IdempotencyKey>} Created idempotency key
    */
-  async create(idempotencyData) {
+  async create(idempotencyData, client = null) {
+    const dbClient = client || db;
+
     const idempotencyKey = new IdempotencyKey(idempotencyData);
     const validation = idempotencyKey.validate();
     
@@ -23,19 +34,20 @@ class IdempotencyKeyRepository {
     const expiresAt = idempotencyKey.expires_at || IdempotencyKey.createExpiryDate();
 
     const query = `
-      INSERT INTO idempotency_keys (key, request_body, expires_at)
-      VALUES ($1, $2, $3)
+      INSERT INTO idempotency_keys (key, request_body, request_fingerprint, expires_at)
+      VALUES ($1, $2, $3, $4)
       RETURNING *
     `;
 
     const values = [
       idempotencyKey.key,
       JSON.stringify(idempotencyKey.request_body),
+      idempotencyKey.request_fingerprint,
       expiresAt
     ];
 
     try {
-      const result = await db.query(query, values);
+      const result = await dbClient.query(query, values);
       return new IdempotencyKey(result.rows[0]);
     } catch (error) {
       if (error.code === '23505') { // Unique constraint violation
@@ -45,75 +57,212 @@ class IdempotencyKeyRepository {
     }
   }
 
+  /**
+   * Atomically claim a key for a request
+   * A new key is inserted IN_PROGRESS. An existing key is taken over only when it has
+   * expired, or when it is still IN_PROGRESS for the same request, nothing was posted under
+   * it and its claim is older than the lock timeout (the request that held it crashed).
+   * Postgres row-locks the conflicting row, so of any number of concurrent callers exactly
+   * one gets the claim, and a posting that recorded its transaction on the key (see
+   * recordTransaction) holds that lock until it commits. Every claim gets a new claim_token,
+   * which the claimant passes back so a request whose claim was taken over cannot settle it
+   * @param {Object} idempotencyData - Key, request body and request fingerprint
+   * @param {number} lockTimeoutMs - Age after which an IN_PROGRESS claim is considered abandoned
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Object>} { claimed, idempotencyKey } - the claimed key, or the existing one if not claimed
+   */
+  async claim(idempotencyData, lockTimeoutMs, client = null) {
+    const idempotencyKey = new IdempotencyKey(idempotencyData);
+    const validation = idempotencyKey.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const query = `
+      INSERT INTO idempotency_keys (key, request_body, request_fingerprint, status, claim_token, locked_at, expires_at)
+      VALUES ($1, $2, $3, 'IN_PROGRESS', $6, CURRENT_TIMESTAMP, $4)
+      ON CONFLICT (key) DO UPDATE
+      SET request_body = EXCLUDED.request_body,
+          request_fingerprint = EXCLUDED.request_fingerprint,
+          status = 'IN_PROGRESS',
+          claim_token = EXCLUDED.claim_token,
+          locked_at = CURRENT_TIMESTAMP,
+          expires_at = EXCLUDED.expires_at,
+          txn_id = NULL,
+          response_status = NULL,
+          response_body = NULL,
+          created_at = CURRENT_TIMESTAMP
+      WHERE idempotency_keys.expires_at < CURRENT_TIMESTAMP
+         OR (idempotency_keys.status = 'IN_PROGRESS'
+             AND idempotency_keys.txn_id IS NULL
+             AND idempotency_keys.locked_at < CURRENT_TIMESTAMP - ($5 || ' milliseconds')::interval
+             AND (idempotency_keys.request_fingerprint IS NULL
+                  OR idempotency_keys.request_fingerprint = EXCLUDED.request_fingerprint))
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      idempotencyKey.key,
+      JSON.stringify(idempotencyKey.request_body),
+      idempotencyKey.request_fingerprint,
+      idempotencyKey.expires_at || IdempotencyKey.createExpiryDate(),
+      String(lockTimeoutMs),
+      uuidv4()
+    ]);
+
+    if (result.rows.length > 0) {
+      return { claimed: true, idempotencyKey: this.toModel(result.rows[0]) };
+    }
+
+    // Someone else holds the key; it cannot disappear in between except by release,
+    // in which case the caller sees no key and may retry
+    const existing = await this.findByKey(idempotencyKey.key, client);
+    return { claimed: false, idempotencyKey: existing };
+  }
+
+  /**
+   * Release an IN_PROGRESS claim so the request can be retried
+   * Completed keys, keys with a posted transaction and claims taken over since are never released
+   * @param {string} key - Idempotency key
+   * @param {string} claimToken - claim_token of the claim being released
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<boolean>} True if a claim was released
+   */
+  async release(key, claimToken, client = null) {
+    const query = `
+      DELETE FROM idempotency_keys
+      WHERE key = $1 AND claim_token = $2 AND status = 'IN_PROGRESS' AND txn_id IS NULL
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [key, claimToken]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Record the transaction a request posted under its claim, on the posting's own database
+   * transaction: the key is then never taken over, even if the response is never stored
+   * @param {IdempotencyKey} claim - Claimed key (key and claim_token)
+   * @param {number} txnId - Posted transaction ID
+   * @param {Object} client - Database client of the posting
+   * @returns {Promise<IdempotencyKey>} Updated idempotency key
+   */
+  async recordTransaction(claim, txnId, client) {
+    const query = `
+      UPDATE idempotency_keys
+      SET txn_id = $1
+      WHERE key = $2 AND claim_token = $3 AND status = 'IN_PROGRESS'
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [txnId, claim.key, claim.claim_token]);
+
+    // Taken over by a retry after the lock timeout: the retry posts instead
+    if (result.rows.length === 0) {
+      throw new Error('Idempotency request in progress: the claim on this key was taken over by a retry');
+    }
+
+    return this.toModel(result.rows[0]);
+  }
+
   /**
    * Find idempotency key by key value
    * @param {string} key - Idempotency key
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<IdempotencyKey|null>} Idempotency key or null
    */
-  async findByKey(key) {
+  async findByKey(key, client = null) {
     const query = 'SELECT * FROM idempotency_keys WHERE key = $1';
-    const result = await db.query(query, [key]);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [key]);
     
     if (result.rows.length === 0) {
       return null;
     }
 
-    const row = result.rows[0];
-    return new IdempotencyKey({
-      ...row,
-      request_body: row.request_body ? JSON.parse(row.request_body) : null,
-      response_body: row.response_body ? JSON.parse(row.response_body) : null
-    });
+    return this.toModel(result.rows[0]);
   }
 
   /**
-   * Update idempotency key with transaction ID and response
-   * @param {string} key - Idempotency key
+   * Complete a claim with its transaction ID and response
+   * @param {IdempotencyKey} claim - Claimed key (key and claim_token)
    * @param {number} txnId - Transaction ID
    * @param {Object} responseBody - Response body
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<IdempotencyKey>} Updated idempotency key
    */
-  async updateWithResult(key, txnId, responseBody) {
+  async updateWithResult(claim, txnId, responseBody, client = null) {
     const query = `
       UPDATE idempotency_keys 
-      SET txn_id = $1, response_body = $2
-      WHERE key = $3
+      SET txn_id = $1, response_body = $2, status = 'COMPLETED'
+      WHERE key = $3 AND claim_token = $4 AND status = 'IN_PROGRESS'
       RETURNING *
     `;
+    const dbClient = client || db;
 
-    const result = await db.query(query, [txnId, JSON.stringify(responseBody), key]);
+    const result = await dbClient.query(query, [txnId, JSON.stringify(responseBody), claim.key, claim.claim_token]);
     
     if (result.rows.length === 0) {
-      throw new Error('Idempotency key not found');
+      throw new Error('Idempotency request in progress: the claim on this key was taken over by a retry');
     }
 
-    const row = result.rows[0];
-    return new IdempotencyKey({
-      ...row,
-      request_body: row.request_body ? JSON.parse(row.request_body) : null,
-      response_body: row.response_body ? JSON.parse(row.response_body) : null
-    });
+    return this.toModel(result.rows[0]);
+  }
+
+  /**
+   * Store the HTTP response a request produced so retries can be answered with it
+   * @param {string} key - Idempotency key
+   * @param {string} claimToken - claim_token of the request's claim
+   * @param {number} statusCode - Response status code
+   * @param {Object} responseBody - Response body
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<IdempotencyKey>} Updated idempotency key
+   */
+  async saveResponse(key, claimToken, statusCode, responseBody, client = null) {
+    const query = `
+      UPDATE idempotency_keys 
+      SET response_status = $1, response_body = $2, status = 'COMPLETED'
+      WHERE key = $3 AND claim_token = $4 AND status = 'IN_PROGRESS'
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [statusCode, JSON.stringify(responseBody), key, claimToken]);
+    
+    if (result.rows.length === 0) {
+      throw new Error('Idempotency key not found or claimed by another request');
+    }
+
+    return this.toModel(result.rows[0]);
   }
 
   /**
    * Check if idempotency key exists and is not expired
    * @param {string} key - Idempotency key
-   * @returns {Promise<Object>} Status object with exists, expired, processed flags
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Object>} Status object with exists, expired, processed flags, the request
+   *   fingerprint and the stored response
    */
-  async checkKey(key) {
+  async checkKey(key, client = null) {
     const query = `
-      SELECT key, txn_id, expires_at, response_body
+      SELECT key, txn_id, expires_at, status, request_fingerprint, response_status, response_body
       FROM idempotency_keys 
       WHERE key = $1
     `;
+    const dbClient = client || db;
     
-    const result = await db.query(query, [key]);
+    const result = await dbClient.query(query, [key]);
     
     if (result.rows.length === 0) {
       return {
         exists: false,
         expired: false,
         processed: false,
+        fingerprint: null,
+        status: null,
         response: null
       };
     }
@@ -122,51 +271,61 @@ class IdempotencyKeyRepository {
     const expiresAt = new Date(row.expires_at);
     const now = new Date();
     const isExpired = now > expiresAt;
-    const isProcessed = row.txn_id !== null;
+    const isProcessed = row.status === 'COMPLETED';
 
     return {
       exists: true,
       expired: isExpired,
       processed: isProcessed,
-      response: row.response_body ? JSON.parse(row.response_body) : null
+      fingerprint: row.request_fingerprint,
+      status: row.response_status,
+      response: parseJson(row.response_body)
     };
   }
 
   /**
    * Clean up expired idempotency keys
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<number>} Number of deleted keys
    */
-  async cleanupExpired() {
+  async cleanupExpired(client = null) {
     const query = 'DELETE FROM idempotency_keys WHERE expires_at < CURRENT_TIMESTAMP';
-    const result = await db.query(query);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query);
     return result.rowCount;
   }
 
   /**
    * Delete idempotency key
    * @param {string} key - Idempotency key
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<boolean>} Success status
    */
-  async delete(key) {
+  async delete(key, client = null) {
     const query = 'DELETE FROM idempotency_keys WHERE key = $1';
-    const result = await db.query(query, [key]);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [key]);
     return result.rowCount > 0;
   }
 
   /**
    * Get idempotency key statistics
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<Object>} Statistics object
    */
-  async getStats() {
+  async getStats(client = null) {
     const query = `
       SELECT 
         COUNT(*) as total_keys,
-        COUNT(CASE WHEN txn_id IS NOT NULL THEN 1 END) as processed_keys,
+        COUNT(CASE WHEN status = 'COMPLETED' THEN 1 END) as processed_keys,
         COUNT(CASE WHEN expires_at < CURRENT_TIMESTAMP THEN 1 END) as expired_keys
       FROM idempotency_keys
     `;
+    const dbClient = client || db;
 
-    const result = await db.query(query);
+    const result = await dbClient.query(query);
     const row = result.rows[0];
 
     return {
@@ -180,17 +339,29 @@ class IdempotencyKeyRepository {
   /**
    * Find idempotency keys by transaction ID
    * @param {number} txnId - Transaction ID
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<Array<IdempotencyKey>>} Array of idempotency keys
    */
-  async findByTransactionId(txnId) {
+  async findByTransactionId(txnId, client = null) {
     const query = 'SELECT * FROM idempotency_keys WHERE txn_id = $1';
-    const result = await db.query(query, [txnId]);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [txnId]);
     
-    return result.rows.map(row => new IdempotencyKey({
+    return result.rows.map(row => this.toModel(row));
+  }
+
+  /**
+   * Build a model from a database row
+   * @param {Object} row - idempotency_keys row
+   * @returns {IdempotencyKey} Idempotency key
+   */
+  toModel(row) {
+    return new IdempotencyKey({
       ...row,
-      request_body: row.request_body ? JSON.parse(row.request_body) : null,
-      response_body: row.response_body ? JSON.parse(row.response_body) : null
-    }));
+      request_body: parseJson(row.request_body),
+      response_body: parseJson(row.response_body)
+    });
   }
 }
 
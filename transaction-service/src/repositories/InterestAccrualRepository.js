@@ -0,0 +1,155 @@
+const db = require('../database/connection');
+const InterestAccrual = require('../models/InterestAccrual');
+const { toDateOnly } = require('../utils/recurrence');
+
+/**
+ * Interest Accrual Repository
+ * Handles database operations for daily interest accruals
+ */
+class InterestAccrualRepository {
+  /**
+   * Record a day's accrual
+   * The (account_id, accrual_date) key makes this a no-op when the day was already accrued
+   * @param {Object} accrualData - Accrual data (account_id, accrual_date, balance, accrued_amount, overdraft_interest)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<InterestAccrual|null>} Created accrual, or null if the day was already accrued
+   */
+  async create(accrualData, client = null) {
+    const accrual = new InterestAccrual(accrualData);
+    const query = `
+      INSERT INTO interest_accruals (account_id, accrual_date, balance, accrued_amount, overdraft_interest)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (account_id, accrual_date) DO NOTHING
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      accrual.account_id,
+      accrual.accrual_date,
+      accrual.balance,
+      accrual.accrued_amount,
+      accrual.overdraft_interest
+    ]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new InterestAccrual(result.rows[0]);
+  }
+
+  /**
+   * Latest day accrued for an account
+   * @param {number} accountId - Account ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<string|null>} Calendar date (YYYY-MM-DD) or null if never accrued
+   */
+  async findLastAccrualDate(accountId, client = null) {
+    const query = 'SELECT MAX(accrual_date) as last_date FROM interest_accruals WHERE account_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId]);
+
+    return toDateOnly(result.rows[0].last_date);
+  }
+
+  /**
+   * Find an account's accruals within a date range
+   * @param {number} accountId - Account ID
+   * @param {string} fromDate - First day (YYYY-MM-DD)
+   * @param {string} toDate - Last day (YYYY-MM-DD)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<InterestAccrual>>} Accruals ordered by day
+   */
+  async findByAccountId(accountId, fromDate, toDate, client = null) {
+    const query = `
+      SELECT * FROM interest_accruals
+      WHERE account_id = $1 AND accrual_date BETWEEN $2 AND $3
+      ORDER BY accrual_date
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId, fromDate, toDate]);
+    return result.rows.map(row => new InterestAccrual(row));
+  }
+
+  /**
+   * Lock an account's uncredited accruals up to a date
+   * Rows credited by a concurrent run drop out of the result once its transaction commits
+   * @param {number} accountId - Account ID
+   * @param {string} throughDate - Last day to include (YYYY-MM-DD)
+   * @param {Object} client - Database client (must be inside a transaction)
+   * @returns {Promise<Array<InterestAccrual>>} Locked accruals
+   */
+  async lockUncredited(accountId, throughDate, client) {
+    const query = `
+      SELECT * FROM interest_accruals
+      WHERE account_id = $1 AND accrual_date <= $2 AND credited_txn_id IS NULL
+      ORDER BY accrual_date
+      FOR UPDATE
+    `;
+    const result = await client.query(query, [accountId, throughDate]);
+    return result.rows.map(row => new InterestAccrual(row));
+  }
+
+  /**
+   * Mark accruals as paid out by an INTEREST transaction
+   * @param {Array<number>} accrualIds - Accrual IDs
+   * @param {number} txnId - INTEREST transaction ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<number>} Number of accruals updated
+   */
+  async markCredited(accrualIds, txnId, client = null) {
+    const query = `
+      UPDATE interest_accruals
+      SET credited_txn_id = $1,
+          credited_at = CURRENT_TIMESTAMP
+      WHERE accrual_id = ANY($2::bigint[]) AND credited_txn_id IS NULL
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [txnId, accrualIds]);
+    return result.rowCount;
+  }
+
+  /**
+   * Lock an account's uncharged overdraft interest up to a date
+   * @param {number} accountId - Account ID
+   * @param {string} throughDate - Last day to include (YYYY-MM-DD)
+   * @param {Object} client - Database client (must be inside a transaction)
+   * @returns {Promise<Array<InterestAccrual>>} Locked accruals with overdraft interest
+   */
+  async lockUncharged(accountId, throughDate, client) {
+    const query = `
+      SELECT * FROM interest_accruals
+      WHERE account_id = $1 AND accrual_date <= $2 AND charged_txn_id IS NULL AND overdraft_interest > 0
+      ORDER BY accrual_date
+      FOR UPDATE
+    `;
+    const result = await client.query(query, [accountId, throughDate]);
+    return result.rows.map(row => new InterestAccrual(row));
+  }
+
+  /**
+   * Mark overdraft interest as charged by an OVERDRAFT_INTEREST transaction
+   * @param {Array<number>} accrualIds - Accrual IDs
+   * @param {number} txnId - OVERDRAFT_INTEREST transaction ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<number>} Number of accruals updated
+   */
+  async markCharged(accrualIds, txnId, client = null) {
+    const query = `
+      UPDATE interest_accruals
+      SET charged_txn_id = $1,
+          charged_at = CURRENT_TIMESTAMP
+      WHERE accrual_id = ANY($2::bigint[]) AND charged_txn_id IS NULL
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [txnId, accrualIds]);
+    return result.rowCount;
+  }
+}
+
+module.exports = new InterestAccrualRepository();
@@ -0,0 +1,205 @@
+const db = require('../database/connection');
+const InterestRateSlab = require('../models/InterestRateSlab');
+
+/**
+ * Interest Rate Slab Repository
+ * Handles database operations for interest rate slabs
+ */
+class InterestRateSlabRepository {
+  /**
+   * Create a new interest rate slab
+   * @param {Object} slabData - Interest rate slab data
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<InterestRateSlab>} Created slab
+   */
+  async create(slabData, client = null) {
+    const slab = new InterestRateSlab(slabData);
+    const validation = slab.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const query = `
+      INSERT INTO interest_rate_slabs
+      (account_type, min_balance, max_balance, annual_rate_percent, effective_from, effective_to)
+      VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_TIMESTAMP), $6)
+      RETURNING *
+    `;
+
+    const values = [
+      slab.account_type,
+      slab.min_balance,
+      slab.max_balance,
+      slab.annual_rate_percent,
+      slab.effective_from,
+      slab.effective_to
+    ];
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return new InterestRateSlab(result.rows[0]);
+  }
+
+  /**
+   * Find interest rate slab by ID
+   * @param {number} slabId - Slab ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<InterestRateSlab|null>} Slab or null
+   */
+  async findById(slabId, client = null) {
+    const query = 'SELECT * FROM interest_rate_slabs WHERE slab_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [slabId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new InterestRateSlab(result.rows[0]);
+  }
+
+  /**
+   * Find interest rate slabs with optional filters
+   * @param {Object} options - Query options (accountType, activeOnly, limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<InterestRateSlab>>} Array of slabs
+   */
+  async findAll(options = {}, client = null) {
+    const { accountType, activeOnly = false, limit = 50, offset = 0 } = options;
+
+    let query = 'SELECT * FROM interest_rate_slabs WHERE 1 = 1';
+    const values = [];
+    let paramCount = 0;
+
+    if (accountType) {
+      paramCount++;
+      query += ` AND account_type = $${paramCount}`;
+      values.push(accountType);
+    }
+
+    if (activeOnly) {
+      query += ' AND effective_from <= CURRENT_TIMESTAMP AND (effective_to IS NULL OR effective_to > CURRENT_TIMESTAMP)';
+    }
+
+    query += ' ORDER BY account_type, effective_from DESC, min_balance';
+
+    if (limit) {
+      paramCount++;
+      query += ` LIMIT $${paramCount}`;
+      values.push(limit);
+    }
+
+    if (offset) {
+      paramCount++;
+      query += ` OFFSET $${paramCount}`;
+      values.push(offset);
+    }
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return result.rows.map(row => new InterestRateSlab(row));
+  }
+
+  /**
+   * Find the slabs in effect for an account type at the end of a calendar day
+   * @param {string} accountType - Account type
+   * @param {string} date - Calendar date (YYYY-MM-DD)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<InterestRateSlab>>} Slabs ordered by balance band
+   */
+  async findEffective(accountType, date, client = null) {
+    const query = `
+      SELECT * FROM interest_rate_slabs
+      WHERE account_type = $1
+        AND effective_from < $2::date + 1
+        AND (effective_to IS NULL OR effective_to >= $2::date + 1)
+      ORDER BY min_balance
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountType, date]);
+    return result.rows.map(row => new InterestRateSlab(row));
+  }
+
+  /**
+   * Find slabs of the same account type whose balance band and validity window
+   * overlap the given slab's
+   * @param {InterestRateSlab} slab - Slab being added
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<InterestRateSlab>>} Overlapping slabs
+   */
+  async findOverlapping(slab, client = null) {
+    const query = `
+      SELECT * FROM interest_rate_slabs
+      WHERE account_type = $1
+        AND (max_balance IS NULL OR max_balance > $2)
+        AND ($3::numeric IS NULL OR min_balance < $3)
+        AND (effective_to IS NULL OR effective_to > COALESCE($4::timestamp, CURRENT_TIMESTAMP))
+        AND ($5::timestamp IS NULL OR effective_from < $5)
+        AND (effective_to IS NULL OR effective_to > effective_from)
+      ORDER BY min_balance
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      slab.account_type,
+      slab.min_balance,
+      slab.max_balance,
+      slab.effective_from,
+      slab.effective_to
+    ]);
+    return result.rows.map(row => new InterestRateSlab(row));
+  }
+
+  /**
+   * Account types that have at least one slab in effect at the end of a calendar day
+   * @param {string} date - Calendar date (YYYY-MM-DD)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<string>>} Account types
+   */
+  async findAccountTypesInEffect(date, client = null) {
+    const query = `
+      SELECT DISTINCT account_type FROM interest_rate_slabs
+      WHERE effective_from < $1::date + 1
+        AND (effective_to IS NULL OR effective_to >= $1::date + 1)
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [date]);
+    return result.rows.map(row => row.account_type);
+  }
+
+  /**
+   * Expire an interest rate slab so it no longer applies
+   * Slabs are never deleted so past accruals remain explainable; a slab that
+   * has not started yet gets an empty window
+   * @param {number} slabId - Slab ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<InterestRateSlab>} Expired slab
+   */
+  async expire(slabId, client = null) {
+    const query = `
+      UPDATE interest_rate_slabs
+      SET effective_to = GREATEST(CURRENT_TIMESTAMP, effective_from)
+      WHERE slab_id = $1 AND (effective_to IS NULL OR effective_to > CURRENT_TIMESTAMP)
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [slabId]);
+
+    if (result.rows.length === 0) {
+      const existing = await this.findById(slabId, client);
+      if (!existing) {
+        throw new Error('Interest rate slab not found');
+      }
+      return existing;
+    }
+
+    return new InterestRateSlab(result.rows[0]);
+  }
+}
+
+module.exports = new InterestRateSlabRepository();
@@ -0,0 +1,289 @@
+const db = require('../database/connection');
+const JournalEntry = require('../models/JournalEntry');
+
+const POSTINGS_QUERY = `
+  SELECT p.*, la.code AS ledger_account_code
+  FROM journal_postings p
+  JOIN ledger_accounts la ON la.ledger_account_id = p.ledger_account_id
+  WHERE p.journal_id = ANY($1::bigint[])
+  ORDER BY p.journal_id, p.posting_id
+`;
+
+/**
+ * Journal Entry Repository
+ * Handles database operations for general ledger journals and postings
+ */
+class JournalEntryRepository {
+  /**
+   * Create a journal with its postings
+   * Postings must carry ledger_account_id. The database checks at commit that the
+   * journal balances in every currency
+   * @param {Object} journalData - Journal data (description, posted_at, postings)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<JournalEntry>} Created journal
+   */
+  async create(journalData, client = null) {
+    const journal = new JournalEntry(journalData);
+    const validation = journal.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const journalId = await db.transaction(async (unitClient) => {
+      const entryResult = await unitClient.query(`
+        INSERT INTO journal_entries (txn_id, description, posted_at)
+        VALUES ($1, $2, COALESCE($3, CURRENT_TIMESTAMP))
+        RETURNING journal_id
+      `, [journal.txn_id, journal.description, journal.posted_at]);
+      const { journal_id } = entryResult.rows[0];
+
+      const postingQuery = `
+        INSERT INTO journal_postings (journal_id, ledger_account_id, account_id, currency, amount)
+        VALUES ($1, $2, $3, $4, $5)
+      `;
+
+      for (const posting of journal.postings) {
+        await unitClient.query(postingQuery, [
+          journal_id,
+          posting.ledger_account_id,
+          posting.account_id,
+          posting.currency,
+          posting.amount
+        ]);
+      }
+
+      return journal_id;
+    }, client);
+
+    return await this.findById(journalId, client);
+  }
+
+  /**
+   * Find journal by ID, with its postings
+   * @param {number} journalId - Journal ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<JournalEntry|null>} Journal or null
+   */
+  async findById(journalId, client = null) {
+    const query = 'SELECT * FROM journal_entries WHERE journal_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [journalId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const [journal] = await this.withPostings(result.rows, dbClient);
+    return journal;
+  }
+
+  /**
+   * Find the journal posted for a transaction
+   * @param {number} txnId - Transaction ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<JournalEntry|null>} Journal or null if the transaction was never posted
+   */
+  async findByTxnId(txnId, client = null) {
+    const query = 'SELECT * FROM journal_entries WHERE txn_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [txnId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const [journal] = await this.withPostings(result.rows, dbClient);
+    return journal;
+  }
+
+  /**
+   * Find journals with optional filters, most recent first
+   * @param {Object} options - Query options (fromDate, toDate, manualOnly, limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<JournalEntry>>} Array of journals with their postings
+   */
+  async findAll(options = {}, client = null) {
+    const { fromDate, toDate, manualOnly = false, limit = 50, offset = 0 } = options;
+
+    let query = 'SELECT * FROM journal_entries WHERE 1 = 1';
+    const values = [];
+    let paramCount = 0;
+
+    if (fromDate) {
+      paramCount++;
+      query += ` AND posted_at >= $${paramCount}::date`;
+      values.push(fromDate);
+    }
+
+    if (toDate) {
+      paramCount++;
+      query += ` AND posted_at < $${paramCount}::date + 1`;
+      values.push(toDate);
+    }
+
+    if (manualOnly) {
+      query += ' AND txn_id IS NULL';
+    }
+
+    query += ' ORDER BY posted_at DESC, journal_id DESC';
+
+    if (limit) {
+      paramCount++;
+      query += ` LIMIT $${paramCount}`;
+      values.push(limit);
+    }
+
+    if (offset) {
+      paramCount++;
+      query += ` OFFSET $${paramCount}`;
+      values.push(offset);
+    }
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return await this.withPostings(result.rows, dbClient);
+  }
+
+  /**
+   * Debit and credit totals per ledger account and currency for journals posted up to
+   * the end of a day
+   * @param {string} asOf - Last day included (YYYY-MM-DD)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<Object>>} Rows (ledger_account_id, code, name, account_type, currency, total_debits, total_credits)
+   */
+  async getTrialBalance(asOf, client = null) {
+    const query = `
+      SELECT
+        la.ledger_account_id,
+        la.code,
+        la.name,
+        la.account_type,
+        p.currency,
+        COALESCE(SUM(p.amount) FILTER (WHERE p.amount > 0), 0) AS total_debits,
+        COALESCE(-SUM(p.amount) FILTER (WHERE p.amount < 0), 0) AS total_credits
+      FROM journal_postings p
+      JOIN journal_entries j ON j.journal_id = p.journal_id
+      JOIN ledger_accounts la ON la.ledger_account_id = p.ledger_account_id
+      WHERE j.posted_at < $1::date + 1
+      GROUP BY la.ledger_account_id, la.code, la.name, la.account_type, p.currency
+      ORDER BY la.account_type, la.code, p.currency
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [asOf]);
+
+    return result.rows.map(row => ({
+      ...row,
+      total_debits: parseFloat(row.total_debits),
+      total_credits: parseFloat(row.total_credits)
+    }));
+  }
+
+  /**
+   * Net debit (debits minus credits) per currency on a ledger account before a day
+   * @param {number} ledgerAccountId - Ledger account ID
+   * @param {string} beforeDate - First day not included (YYYY-MM-DD)
+   * @param {Object} filters - Optional filters (accountId, currency)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Object>} Map of currency to net debit
+   */
+  async getNetBefore(ledgerAccountId, beforeDate, filters = {}, client = null) {
+    const { where, values } = this.buildPostingFilters(ledgerAccountId, filters);
+    values.push(beforeDate);
+
+    const query = `
+      SELECT p.currency, SUM(p.amount) AS net_debit
+      FROM journal_postings p
+      JOIN journal_entries j ON j.journal_id = p.journal_id
+      WHERE ${where} AND j.posted_at < $${values.length}::date
+      GROUP BY p.currency
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return Object.fromEntries(result.rows.map(row => [row.currency, parseFloat(row.net_debit)]));
+  }
+
+  /**
+   * Postings to a ledger account in a date range, in posting order
+   * @param {number} ledgerAccountId - Ledger account ID
+   * @param {string} fromDate - First day (YYYY-MM-DD)
+   * @param {string} toDate - Last day (YYYY-MM-DD)
+   * @param {Object} filters - Optional filters (accountId, currency)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<Object>>} Postings with their journal's txn_id, description, posted_at and reference
+   */
+  async findPostings(ledgerAccountId, fromDate, toDate, filters = {}, client = null) {
+    const { where, values } = this.buildPostingFilters(ledgerAccountId, filters);
+    values.push(fromDate, toDate);
+
+    const query = `
+      SELECT p.posting_id, p.journal_id, p.account_id, p.currency, p.amount,
+             j.txn_id, j.description, j.posted_at, t.reference
+      FROM journal_postings p
+      JOIN journal_entries j ON j.journal_id = p.journal_id
+      LEFT JOIN transactions t ON t.txn_id = j.txn_id
+      WHERE ${where}
+        AND j.posted_at >= $${values.length - 1}::date
+        AND j.posted_at < $${values.length}::date + 1
+      ORDER BY j.posted_at, p.posting_id
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return result.rows.map(row => ({ ...row, amount: parseFloat(row.amount) }));
+  }
+
+  /**
+   * WHERE clause selecting a ledger account's postings, optionally narrowed to one
+   * customer account and/or currency
+   * @param {number} ledgerAccountId - Ledger account ID
+   * @param {Object} filters - Optional filters (accountId, currency)
+   * @returns {Object} { where, values }
+   */
+  buildPostingFilters(ledgerAccountId, { accountId, currency } = {}) {
+    const conditions = ['p.ledger_account_id = $1'];
+    const values = [ledgerAccountId];
+
+    if (accountId) {
+      values.push(accountId);
+      conditions.push(`p.account_id = $${values.length}`);
+    }
+
+    if (currency) {
+      values.push(currency);
+      conditions.push(`p.currency = $${values.length}`);
+    }
+
+    return { where: conditions.join(' AND '), values };
+  }
+
+  /**
+   * Load the postings of journal rows and build models
+   * @param {Array<Object>} rows - journal_entries rows
+   * @param {Object} dbClient - Database client or pool
+   * @returns {Promise<Array<JournalEntry>>} Journals with their postings
+   */
+  async withPostings(rows, dbClient) {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const result = await dbClient.query(POSTINGS_QUERY, [rows.map(row => row.journal_id)]);
+
+    const postingsByJournal = {};
+    for (const posting of result.rows) {
+      (postingsByJournal[posting.journal_id] = postingsByJournal[posting.journal_id] || []).push(posting);
+    }
+
+    return rows.map(row => new JournalEntry({
+      ...row,
+      postings: postingsByJournal[row.journal_id] || []
+    }));
+  }
+}
+
+module.exports = new JournalEntryRepository();
@@ -0,0 +1,125 @@
+const db = require('../database/connection');
+const LedgerAccount = require('../models/LedgerAccount');
+
+/**
+ * Ledger Account Repository
+ * Handles database operations for the general ledger chart of accounts
+ */
+class LedgerAccountRepository {
+  /**
+   * Create a new ledger account
+   * @param {Object} accountData - Ledger account data
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<LedgerAccount>} Created ledger account
+   */
+  async create(accountData, client = null) {
+    const ledgerAccount = new LedgerAccount({ ...accountData, is_system: false });
+    const validation = ledgerAccount.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const query = `
+      INSERT INTO ledger_accounts (code, name, account_type, description)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+
+    const values = [
+      ledgerAccount.code,
+      ledgerAccount.name,
+      ledgerAccount.account_type,
+      ledgerAccount.description
+    ];
+    const dbClient = client || db;
+
+    try {
+      const result = await dbClient.query(query, values);
+      return new LedgerAccount(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error(`Ledger account ${ledgerAccount.code} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find ledger account by ID
+   * @param {number} ledgerAccountId - Ledger account ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<LedgerAccount|null>} Ledger account or null
+   */
+  async findById(ledgerAccountId, client = null) {
+    const query = 'SELECT * FROM ledger_accounts WHERE ledger_account_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [ledgerAccountId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new LedgerAccount(result.rows[0]);
+  }
+
+  /**
+   * Find ledger account by code
+   * @param {string} code - Ledger account code
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<LedgerAccount|null>} Ledger account or null
+   */
+  async findByCode(code, client = null) {
+    const query = 'SELECT * FROM ledger_accounts WHERE code = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [code]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new LedgerAccount(result.rows[0]);
+  }
+
+  /**
+   * Find ledger accounts by code
+   * @param {Array<string>} codes - Ledger account codes
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<LedgerAccount>>} Ledger accounts found (unknown codes are left out)
+   */
+  async findByCodes(codes, client = null) {
+    const query = 'SELECT * FROM ledger_accounts WHERE code = ANY($1::text[])';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [codes]);
+    return result.rows.map(row => new LedgerAccount(row));
+  }
+
+  /**
+   * Find all ledger accounts, ordered as a chart of accounts
+   * @param {Object} options - Query options (accountType)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<LedgerAccount>>} Array of ledger accounts
+   */
+  async findAll(options = {}, client = null) {
+    const { accountType } = options;
+
+    let query = 'SELECT * FROM ledger_accounts';
+    const values = [];
+
+    if (accountType) {
+      query += ' WHERE account_type = $1';
+      values.push(accountType);
+    }
+
+    query += ' ORDER BY account_type, code';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return result.rows.map(row => new LedgerAccount(row));
+  }
+}
+
+module.exports = new LedgerAccountRepository();
@@ -0,0 +1,379 @@
+const db = require('../database/connection');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const ReconciliationBreak = require('../models/ReconciliationBreak');
+
+// Each account's projected balance next to its opening balance plus every transaction
+// that moved money (rows that entered COMPLETED, as update_account_balance counts them)
+const BALANCES_QUERY = `
+  SELECT
+    ap.account_id,
+    ap.currency,
+    ap.opening_balance,
+    COALESCE(t.total, 0) AS transaction_total,
+    ap.opening_balance + COALESCE(t.total, 0) AS expected_balance,
+    ap.current_balance AS projected_balance,
+    ap.current_balance - (ap.opening_balance + COALESCE(t.total, 0)) AS difference
+  FROM account_projections ap
+  LEFT JOIN (
+    SELECT account_id,
+           SUM(CASE WHEN is_credit_type(txn_type)
+                    THEN amount ELSE -amount END) AS total
+    FROM transactions
+    WHERE status IN ('COMPLETED', 'REVERSED')
+    GROUP BY account_id
+  ) t ON t.account_id = ap.account_id
+`;
+
+/**
+ * Reconciliation Repository
+ * Handles database operations for balance reconciliation runs and breaks
+ */
+class ReconciliationRepository {
+  /**
+   * Start a reconciliation run
+   * @param {Object} runData - Run data (triggered_by, account_id, auto_repair)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ReconciliationRun>} Created run
+   */
+  async createRun(runData, client = null) {
+    const query = `
+      INSERT INTO reconciliation_runs (triggered_by, account_id, auto_repair)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      runData.triggered_by,
+      runData.account_id || null,
+      Boolean(runData.auto_repair)
+    ]);
+    return new ReconciliationRun(result.rows[0]);
+  }
+
+  /**
+   * Record the outcome of a finished run
+   * @param {number} runId - Run ID
+   * @param {Object} counts - accounts_checked, breaks_found, breaks_repaired, breaks_resolved
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ReconciliationRun>} Updated run
+   */
+  async completeRun(runId, counts, client = null) {
+    const query = `
+      UPDATE reconciliation_runs
+      SET status = 'COMPLETED',
+          accounts_checked = $2,
+          breaks_found = $3,
+          breaks_repaired = $4,
+          breaks_resolved = $5,
+          completed_at = CURRENT_TIMESTAMP
+      WHERE run_id = $1
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      runId,
+      counts.accounts_checked,
+      counts.breaks_found,
+      counts.breaks_repaired,
+      counts.breaks_resolved
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Reconciliation run not found');
+    }
+
+    return new ReconciliationRun(result.rows[0]);
+  }
+
+  /**
+   * Mark a run as failed
+   * @param {number} runId - Run ID
+   * @param {string} error - Failure reason
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<boolean>} Success status
+   */
+  async failRun(runId, error, client = null) {
+    const query = `
+      UPDATE reconciliation_runs
+      SET status = 'FAILED', error = $2, completed_at = CURRENT_TIMESTAMP
+      WHERE run_id = $1
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [runId, error]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Find run by ID
+   * @param {number} runId - Run ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ReconciliationRun|null>} Run or null
+   */
+  async findRunById(runId, client = null) {
+    const query = 'SELECT * FROM reconciliation_runs WHERE run_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [runId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new ReconciliationRun(result.rows[0]);
+  }
+
+  /**
+   * Find runs, most recent first
+   * @param {Object} options - Query options (limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<ReconciliationRun>>} Array of runs
+   */
+  async findRuns(options = {}, client = null) {
+    const { limit = 50, offset = 0 } = options;
+
+    const query = `
+      SELECT * FROM reconciliation_runs
+      ORDER BY started_at DESC, run_id DESC
+      LIMIT $1 OFFSET $2
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [limit, offset]);
+    return result.rows.map(row => new ReconciliationRun(row));
+  }
+
+  /**
+   * Count the accounts a run checks
+   * @param {number} accountId - Only this account (optional)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<number>} Number of account projections
+   */
+  async countAccounts(accountId = null, client = null) {
+    const query = `
+      SELECT COUNT(*) FROM account_projections
+      WHERE $1::bigint IS NULL OR account_id = $1
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Accounts whose projected balance differs from opening balance plus transactions
+   * Computed in one statement, so postings committed while it runs are either wholly
+   * in both sides or in neither
+   * @param {number} accountId - Only this account (optional)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<Object>>} Balance rows (account_id, currency, opening_balance, transaction_total, expected_balance, projected_balance, difference)
+   */
+  async findMismatches(accountId = null, client = null) {
+    const query = `
+      SELECT * FROM (${BALANCES_QUERY}) balances
+      WHERE difference <> 0
+        AND ($1::bigint IS NULL OR account_id = $1)
+      ORDER BY account_id
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId]);
+    return result.rows.map(row => this.toBalance(row));
+  }
+
+  /**
+   * Expected and projected balance of one account
+   * Call with the account row locked to get figures no posting can change underneath
+   * @param {number} accountId - Account ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Object|null>} Balance row or null if the account does not exist
+   */
+  async getBalance(accountId, client = null) {
+    const query = `${BALANCES_QUERY} WHERE ap.account_id = $1`;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.toBalance(result.rows[0]);
+  }
+
+  /**
+   * Record a break found by a run
+   * Refreshes the account's open break if it has one, so an account never has more than one
+   * @param {number} runId - Run that found the break
+   * @param {Object} balance - Balance row from findMismatches
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ReconciliationBreak>} Open break
+   */
+  async recordBreak(runId, balance, client = null) {
+    const query = `
+      INSERT INTO reconciliation_breaks
+      (account_id, currency, opening_balance, transaction_total, expected_balance,
+       projected_balance, difference, detected_run_id, last_run_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+      ON CONFLICT (account_id) WHERE status = 'OPEN'
+      DO UPDATE SET
+        currency = EXCLUDED.currency,
+        opening_balance = EXCLUDED.opening_balance,
+        transaction_total = EXCLUDED.transaction_total,
+        expected_balance = EXCLUDED.expected_balance,
+        projected_balance = EXCLUDED.projected_balance,
+        difference = EXCLUDED.difference,
+        last_run_id = EXCLUDED.last_run_id,
+        last_detected_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      balance.account_id,
+      balance.currency,
+      balance.opening_balance,
+      balance.transaction_total,
+      balance.expected_balance,
+      balance.projected_balance,
+      balance.difference,
+      runId
+    ]);
+    return new ReconciliationBreak(result.rows[0]);
+  }
+
+  /**
+   * Close the open breaks of accounts that a run found reconciled
+   * @param {number} runId - Run that checked the accounts
+   * @param {Array<number>} brokenAccountIds - Accounts the run found still broken
+   * @param {number} accountId - Only this account, when the run checked just one (optional)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<ReconciliationBreak>>} Resolved breaks
+   */
+  async resolveOpenBreaks(runId, brokenAccountIds, accountId = null, client = null) {
+    const query = `
+      UPDATE reconciliation_breaks
+      SET status = 'RESOLVED', last_run_id = $1, closed_at = CURRENT_TIMESTAMP
+      WHERE status = 'OPEN'
+        AND NOT (account_id = ANY($2::bigint[]))
+        AND ($3::bigint IS NULL OR account_id = $3)
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [runId, brokenAccountIds, accountId]);
+    return result.rows.map(row => new ReconciliationBreak(row));
+  }
+
+  /**
+   * Close an open break
+   * A repair records who made it and the projected balance it replaced; a break closed
+   * without a repair (the account reconciles again) is RESOLVED
+   * @param {number} breakId - Break ID
+   * @param {Object} closure - status (REPAIRED or RESOLVED), run_id, and for repairs repaired_by, balance_before, balance_after
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ReconciliationBreak|null>} Closed break, or null if it was no longer open
+   */
+  async closeBreak(breakId, closure, client = null) {
+    const query = `
+      UPDATE reconciliation_breaks
+      SET status = $2,
+          last_run_id = COALESCE($3, last_run_id),
+          repaired_by = $4,
+          balance_before = $5,
+          balance_after = $6,
+          closed_at = CURRENT_TIMESTAMP
+      WHERE break_id = $1 AND status = 'OPEN'
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      breakId,
+      closure.status,
+      closure.run_id || null,
+      closure.repaired_by || null,
+      closure.balance_before !== undefined ? closure.balance_before : null,
+      closure.balance_after !== undefined ? closure.balance_after : null
+    ]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new ReconciliationBreak(result.rows[0]);
+  }
+
+  /**
+   * Find break by ID
+   * @param {number} breakId - Break ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ReconciliationBreak|null>} Break or null
+   */
+  async findBreakById(breakId, client = null) {
+    const query = 'SELECT * FROM reconciliation_breaks WHERE break_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [breakId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new ReconciliationBreak(result.rows[0]);
+  }
+
+  /**
+   * Find breaks with optional filters, most recently detected first
+   * @param {Object} options - Query options (status, accountId, limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<ReconciliationBreak>>} Array of breaks
+   */
+  async findBreaks(options = {}, client = null) {
+    const { status, accountId, limit = 50, offset = 0 } = options;
+
+    let query = 'SELECT * FROM reconciliation_breaks WHERE 1 = 1';
+    const values = [];
+    let paramCount = 0;
+
+    if (status) {
+      paramCount++;
+      query += ` AND status = $${paramCount}`;
+      values.push(status);
+    }
+
+    if (accountId) {
+      paramCount++;
+      query += ` AND account_id = $${paramCount}`;
+      values.push(accountId);
+    }
+
+    query += ` ORDER BY last_detected_at DESC, break_id DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
+    values.push(limit, offset);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return result.rows.map(row => new ReconciliationBreak(row));
+  }
+
+  /**
+   * Parse the numeric columns of a balance row
+   * @param {Object} row - Row from BALANCES_QUERY
+   * @returns {Object} Balance row with numbers
+   */
+  toBalance(row) {
+    return {
+      account_id: parseInt(row.account_id),
+      currency: row.currency,
+      opening_balance: parseFloat(row.opening_balance),
+      transaction_total: parseFloat(row.transaction_total),
+      expected_balance: parseFloat(row.expected_balance),
+      projected_balance: parseFloat(row.projected_balance),
+      difference: parseFloat(row.difference)
+    };
+  }
+}
+
+module.exports = new ReconciliationRepository();
@@ -0,0 +1,289 @@
+const db = require('../database/connection');
+const ScheduledTransfer = require('../models/ScheduledTransfer');
+
+/**
+ * Scheduled Transfer Repository
+ * Handles database operations for future-dated transfers
+ */
+class ScheduledTransferRepository {
+  /**
+   * Create a new scheduled transfer
+   * @param {Object} scheduleData - Scheduled transfer data
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ScheduledTransfer>} Created scheduled transfer
+   */
+  async create(scheduleData, client = null) {
+    const schedule = new ScheduledTransfer(scheduleData);
+    const validation = schedule.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const query = `
+      INSERT INTO scheduled_transfers
+      (from_account_id, to_account_id, amount, description, execute_at, max_attempts, next_attempt_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $5)
+      RETURNING *
+    `;
+
+    const values = [
+      schedule.from_account_id,
+      schedule.to_account_id,
+      schedule.amount,
+      schedule.description,
+      schedule.execute_at,
+      schedule.max_attempts
+    ];
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return new ScheduledTransfer(result.rows[0]);
+  }
+
+  /**
+   * Find scheduled transfer by ID
+   * @param {number} scheduleId - Schedule ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ScheduledTransfer|null>} Scheduled transfer or null
+   */
+  async findById(scheduleId, client = null) {
+    const query = 'SELECT * FROM scheduled_transfers WHERE schedule_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [scheduleId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new ScheduledTransfer(result.rows[0]);
+  }
+
+  /**
+   * Find scheduled transfers with optional filters
+   * @param {Object} options - Query options (accountId, status, limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<ScheduledTransfer>>} Array of scheduled transfers
+   */
+  async findAll(options = {}, client = null) {
+    const { accountId, status, limit = 50, offset = 0 } = options;
+
+    let query = 'SELECT * FROM scheduled_transfers WHERE 1 = 1';
+    const values = [];
+    let paramCount = 0;
+
+    if (accountId) {
+      paramCount++;
+      query += ` AND (from_account_id = $${paramCount} OR to_account_id = $${paramCount})`;
+      values.push(accountId);
+    }
+
+    if (status) {
+      paramCount++;
+      query += ` AND status = $${paramCount}`;
+      values.push(status);
+    }
+
+    query += ' ORDER BY execute_at ASC, schedule_id ASC';
+
+    if (limit) {
+      paramCount++;
+      query += ` LIMIT $${paramCount}`;
+      values.push(limit);
+    }
+
+    if (offset) {
+      paramCount++;
+      query += ` OFFSET $${paramCount}`;
+      values.push(offset);
+    }
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return result.rows.map(row => new ScheduledTransfer(row));
+  }
+
+  /**
+   * Amend a pending scheduled transfer
+   * Only PENDING schedules are touched so a run already in progress is never changed
+   * @param {number} scheduleId - Schedule ID
+   * @param {Object} updates - Fields to change (amount, description, execute_at)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ScheduledTransfer|null>} Updated schedule or null if not pending
+   */
+  async amend(scheduleId, updates, client = null) {
+    const query = `
+      UPDATE scheduled_transfers
+      SET amount = COALESCE($1, amount),
+          description = COALESCE($2, description),
+          execute_at = COALESCE($3, execute_at),
+          next_attempt_at = COALESCE($3, next_attempt_at)
+      WHERE schedule_id = $4 AND status = 'PENDING'
+      RETURNING *
+    `;
+
+    const values = [
+      updates.amount !== undefined ? updates.amount : null,
+      updates.description !== undefined ? updates.description : null,
+      updates.execute_at !== undefined ? updates.execute_at : null,
+      scheduleId
+    ];
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new ScheduledTransfer(result.rows[0]);
+  }
+
+  /**
+   * Cancel a pending scheduled transfer
+   * @param {number} scheduleId - Schedule ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ScheduledTransfer|null>} Cancelled schedule or null if not pending
+   */
+  async cancel(scheduleId, client = null) {
+    const query = `
+      UPDATE scheduled_transfers
+      SET status = 'CANCELLED'
+      WHERE schedule_id = $1 AND status = 'PENDING'
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [scheduleId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new ScheduledTransfer(result.rows[0]);
+  }
+
+  /**
+   * Claim due schedules for execution
+   * Rows are moved to PROCESSING under SKIP LOCKED so parallel executors never
+   * pick up the same schedule. Rows stuck in PROCESSING (e.g. after a crash)
+   * are reclaimed once they are older than the stale timeout.
+   * @param {number} limit - Maximum number of schedules to claim
+   * @param {number} staleAfterMs - Age after which a PROCESSING row is reclaimed
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<ScheduledTransfer>>} Claimed schedules
+   */
+  async claimDue(limit = 10, staleAfterMs = 5 * 60 * 1000, client = null) {
+    const query = `
+      UPDATE scheduled_transfers
+      SET status = 'PROCESSING',
+          attempts = attempts + 1
+      WHERE schedule_id IN (
+        SELECT schedule_id FROM scheduled_transfers
+        WHERE (status = 'PENDING' AND next_attempt_at <= CURRENT_TIMESTAMP)
+           OR (status = 'PROCESSING' AND updated_at <= CURRENT_TIMESTAMP - ($2 || ' milliseconds')::interval)
+        ORDER BY next_attempt_at ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [limit, String(staleAfterMs)]);
+    return result.rows.map(row => new ScheduledTransfer(row));
+  }
+
+  /**
+   * Mark schedule as completed with the resulting transfer
+   * @param {number} scheduleId - Schedule ID
+   * @param {Object} transferResult - Result returned by processTransfer
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ScheduledTransfer>} Updated schedule
+   */
+  async markCompleted(scheduleId, transferResult, client = null) {
+    const query = `
+      UPDATE scheduled_transfers
+      SET status = 'COMPLETED',
+          transfer_reference = $1,
+          debit_txn_id = $2,
+          credit_txn_id = $3,
+          last_error = NULL,
+          executed_at = CURRENT_TIMESTAMP
+      WHERE schedule_id = $4
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      transferResult.transfer_reference,
+      transferResult.debit_transaction.txn_id,
+      transferResult.credit_transaction.txn_id,
+      scheduleId
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Scheduled transfer not found');
+    }
+
+    return new ScheduledTransfer(result.rows[0]);
+  }
+
+  /**
+   * Put schedule back to PENDING for another attempt
+   * @param {number} scheduleId - Schedule ID
+   * @param {string} errorMessage - Reason the attempt failed
+   * @param {Date} nextAttemptAt - When to try again
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ScheduledTransfer>} Updated schedule
+   */
+  async markRetry(scheduleId, errorMessage, nextAttemptAt, client = null) {
+    const query = `
+      UPDATE scheduled_transfers
+      SET status = 'PENDING',
+          last_error = $1,
+          next_attempt_at = $2
+      WHERE schedule_id = $3
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [errorMessage, nextAttemptAt, scheduleId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Scheduled transfer not found');
+    }
+
+    return new ScheduledTransfer(result.rows[0]);
+  }
+
+  /**
+   * Mark schedule as permanently failed
+   * @param {number} scheduleId - Schedule ID
+   * @param {string} errorMessage - Reason the schedule failed
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<ScheduledTransfer>} Updated schedule
+   */
+  async markFailed(scheduleId, errorMessage, client = null) {
+    const query = `
+      UPDATE scheduled_transfers
+      SET status = 'FAILED',
+          last_error = $1,
+          executed_at = CURRENT_TIMESTAMP
+      WHERE schedule_id = $2
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [errorMessage, scheduleId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Scheduled transfer not found');
+    }
+
+    return new ScheduledTransfer(result.rows[0]);
+  }
+}
+
+module.exports = new ScheduledTransferRepository();
@@ -0,0 +1,290 @@
+const db = require('../database/connection');
+const StandingInstruction = require('../models/StandingInstruction');
+const StandingInstructionRun = require('../models/StandingInstructionRun');
+
+// Columns that may be changed through update()
+const UPDATABLE_COLUMNS = [
+  'amount',
+  'description',
+  'end_date',
+  'max_occurrences',
+  'max_consecutive_failures',
+  'next_occurrence_index',
+  'next_run_date',
+  'successful_runs',
+  'failed_runs',
+  'consecutive_failures',
+  'status',
+  'last_error'
+];
+
+/**
+ * Standing Instruction Repository
+ * Handles database operations for standing instructions and their run history
+ */
+class StandingInstructionRepository {
+  /**
+   * Create a new standing instruction
+   * @param {Object} instructionData - Standing instruction data
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<StandingInstruction>} Created standing instruction
+   */
+  async create(instructionData, client = null) {
+    const instruction = new StandingInstruction(instructionData);
+    const validation = instruction.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const query = `
+      INSERT INTO standing_instructions
+      (from_account_id, to_account_id, amount, description, frequency, interval_count,
+       start_date, end_date, max_occurrences, max_consecutive_failures, next_run_date)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $7)
+      RETURNING *
+    `;
+
+    const values = [
+      instruction.from_account_id,
+      instruction.to_account_id,
+      instruction.amount,
+      instruction.description,
+      instruction.frequency,
+      instruction.interval_count,
+      instruction.start_date,
+      instruction.end_date,
+      instruction.max_occurrences,
+      instruction.max_consecutive_failures
+    ];
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return new StandingInstruction(result.rows[0]);
+  }
+
+  /**
+   * Find standing instruction by ID
+   * @param {number} instructionId - Instruction ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<StandingInstruction|null>} Standing instruction or null
+   */
+  async findById(instructionId, client = null) {
+    const query = 'SELECT * FROM standing_instructions WHERE instruction_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [instructionId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new StandingInstruction(result.rows[0]);
+  }
+
+  /**
+   * Find standing instructions with optional filters
+   * @param {Object} options - Query options (accountId, status, limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<StandingInstruction>>} Array of standing instructions
+   */
+  async findAll(options = {}, client = null) {
+    const { accountId, status, limit = 50, offset = 0 } = options;
+
+    let query = 'SELECT * FROM standing_instructions WHERE 1 = 1';
+    const values = [];
+    let paramCount = 0;
+
+    if (accountId) {
+      paramCount++;
+      query += ` AND (from_account_id = $${paramCount} OR to_account_id = $${paramCount})`;
+      values.push(accountId);
+    }
+
+    if (status) {
+      paramCount++;
+      query += ` AND status = $${paramCount}`;
+      values.push(status);
+    }
+
+    query += ' ORDER BY instruction_id ASC';
+
+    if (limit) {
+      paramCount++;
+      query += ` LIMIT $${paramCount}`;
+      values.push(limit);
+    }
+
+    if (offset) {
+      paramCount++;
+      query += ` OFFSET $${paramCount}`;
+      values.push(offset);
+    }
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return result.rows.map(row => new StandingInstruction(row));
+  }
+
+  /**
+   * Update standing instruction fields
+   * @param {number} instructionId - Instruction ID
+   * @param {Object} updates - Fields to update
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<StandingInstruction>} Updated standing instruction
+   */
+  async update(instructionId, updates, client = null) {
+    const columns = Object.keys(updates).filter(key =>
+      UPDATABLE_COLUMNS.includes(key) && updates[key] !== undefined
+    );
+
+    if (columns.length === 0) {
+      const existing = await this.findById(instructionId);
+      if (!existing) {
+        throw new Error('Standing instruction not found');
+      }
+      return existing;
+    }
+
+    const setClause = columns
+      .map((key, index) => `${key} = $${index + 2}`)
+      .join(', ');
+
+    const query = `
+      UPDATE standing_instructions
+      SET ${setClause}
+      WHERE instruction_id = $1
+      RETURNING *
+    `;
+
+    const values = [instructionId, ...columns.map(key => updates[key])];
+    const dbClient = client || db;
+    const result = await dbClient.query(query, values);
+
+    if (result.rows.length === 0) {
+      throw new Error('Standing instruction not found');
+    }
+
+    return new StandingInstruction(result.rows[0]);
+  }
+
+  /**
+   * Find IDs of active instructions whose next run date has arrived
+   * @param {number} limit - Maximum number of IDs
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<number>>} Instruction IDs
+   */
+  async findDueIds(limit = 50, client = null) {
+    const query = `
+      SELECT instruction_id FROM standing_instructions
+      WHERE status = 'ACTIVE' AND next_run_date <= CURRENT_DATE
+      ORDER BY next_run_date ASC, instruction_id ASC
+      LIMIT $1
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [limit]);
+    return result.rows.map(row => row.instruction_id);
+  }
+
+  /**
+   * Lock a due instruction for execution
+   * SKIP LOCKED means a parallel executor simply skips an instruction already being run
+   * @param {number} instructionId - Instruction ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<StandingInstruction|null>} Locked instruction or null if not due/locked
+   */
+  async lockDue(instructionId, client = null) {
+    const query = `
+      SELECT * FROM standing_instructions
+      WHERE instruction_id = $1 AND status = 'ACTIVE' AND next_run_date <= CURRENT_DATE
+      FOR UPDATE SKIP LOCKED
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [instructionId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new StandingInstruction(result.rows[0]);
+  }
+
+  /**
+   * Record an executed occurrence
+   * @param {Object} runData - Run data
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<StandingInstructionRun>} Created run
+   */
+  async createRun(runData, client = null) {
+    const query = `
+      INSERT INTO standing_instruction_runs
+      (instruction_id, run_date, occurrence_index, status, idempotency_key,
+       transfer_reference, debit_txn_id, credit_txn_id, error)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+
+    const values = [
+      runData.instruction_id,
+      runData.run_date,
+      runData.occurrence_index,
+      runData.status,
+      runData.idempotency_key,
+      runData.transfer_reference || null,
+      runData.debit_txn_id || null,
+      runData.credit_txn_id || null,
+      runData.error || null
+    ];
+    const dbClient = client || db;
+
+    try {
+      const result = await dbClient.query(query, values);
+      return new StandingInstructionRun(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') { // Unique constraint violation
+        throw new Error('Standing instruction run already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find run history for an instruction
+   * @param {number} instructionId - Instruction ID
+   * @param {Object} options - Query options (limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<StandingInstructionRun>>} Runs, most recent first
+   */
+  async findRuns(instructionId, options = {}, client = null) {
+    const { limit = 50, offset = 0 } = options;
+
+    const query = `
+      SELECT * FROM standing_instruction_runs
+      WHERE instruction_id = $1
+      ORDER BY run_date DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [instructionId, limit, offset]);
+    return result.rows.map(row => new StandingInstructionRun(row));
+  }
+
+  /**
+   * Count runs for an instruction
+   * @param {number} instructionId - Instruction ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<number>} Run count
+   */
+  async countRuns(instructionId, client = null) {
+    const query = 'SELECT COUNT(*) as count FROM standing_instruction_runs WHERE instruction_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [instructionId]);
+    return parseInt(result.rows[0].count);
+  }
+}
+
+module.exports = new StandingInstructionRepository();
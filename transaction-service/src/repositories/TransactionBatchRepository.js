@@ -0,0 +1,215 @@
+const db = require('../database/connection');
+const TransactionBatch = require('../models/TransactionBatch');
+const TransactionBatchLine = require('../models/TransactionBatchLine');
+
+/**
+ * Transaction Batch Repository
+ * Handles database operations for bulk payment batches and their lines
+ */
+class TransactionBatchRepository {
+  /**
+   * Create a batch together with all of its lines
+   * @param {Object} batchData - Batch data (mode, file_name)
+   * @param {Array<Object>} lines - Lines (line_number, txn_type, payload)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<TransactionBatch>} Created batch
+   */
+  async createWithLines(batchData, lines, client = null) {
+    return await db.transaction(async (unitClient) => {
+      const batchQuery = `
+        INSERT INTO transaction_batches (mode, file_name, total_lines)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `;
+
+      const batchResult = await unitClient.query(batchQuery, [
+        batchData.mode,
+        batchData.file_name || null,
+        lines.length
+      ]);
+      const batch = new TransactionBatch(batchResult.rows[0]);
+
+      const lineQuery = `
+        INSERT INTO transaction_batch_lines (batch_id, line_number, txn_type, payload)
+        VALUES ($1, $2, $3, $4)
+      `;
+
+      for (const line of lines) {
+        await unitClient.query(lineQuery, [
+          batch.batch_id,
+          line.line_number,
+          line.txn_type,
+          JSON.stringify(line.payload)
+        ]);
+      }
+
+      return batch;
+    }, client);
+  }
+
+  /**
+   * Find batch by ID
+   * @param {number} batchId - Batch ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<TransactionBatch|null>} Batch or null
+   */
+  async findById(batchId, client = null) {
+    const query = 'SELECT * FROM transaction_batches WHERE batch_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [batchId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new TransactionBatch(result.rows[0]);
+  }
+
+  /**
+   * Find lines of a batch
+   * @param {number} batchId - Batch ID
+   * @param {Object} options - Query options (status)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<TransactionBatchLine>>} Lines ordered by line number
+   */
+  async findLines(batchId, options = {}, client = null) {
+    const { status } = options;
+
+    let query = 'SELECT * FROM transaction_batch_lines WHERE batch_id = $1';
+    const values = [batchId];
+
+    if (status) {
+      query += ' AND status = $2';
+      values.push(status);
+    }
+
+    query += ' ORDER BY line_number ASC';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return result.rows.map(row => new TransactionBatchLine(row));
+  }
+
+  /**
+   * Claim the oldest queued batch for processing
+   * Batches stuck in PROCESSING (e.g. after a crash) are reclaimed once stale
+   * @param {number} staleAfterMs - Age after which a PROCESSING batch is reclaimed
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<TransactionBatch|null>} Claimed batch or null
+   */
+  async claimNext(staleAfterMs = 5 * 60 * 1000, client = null) {
+    const query = `
+      UPDATE transaction_batches
+      SET status = 'PROCESSING',
+          started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+      WHERE batch_id = (
+        SELECT batch_id FROM transaction_batches
+        WHERE status = 'QUEUED'
+           OR (status = 'PROCESSING' AND updated_at <= CURRENT_TIMESTAMP - ($1 || ' milliseconds')::interval)
+        ORDER BY created_at ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [String(staleAfterMs)]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new TransactionBatch(result.rows[0]);
+  }
+
+  /**
+   * Update the outcome of a single line
+   * @param {number} lineId - Line ID
+   * @param {Object} outcome - Outcome (status, result, error)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<TransactionBatchLine>} Updated line
+   */
+  async updateLine(lineId, outcome, client = null) {
+    const query = `
+      UPDATE transaction_batch_lines
+      SET status = $1,
+          result = COALESCE($2, result),
+          error = $3,
+          processed_at = CURRENT_TIMESTAMP
+      WHERE line_id = $4
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      outcome.status,
+      outcome.result ? JSON.stringify(outcome.result) : null,
+      outcome.error || null,
+      lineId
+    ]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Batch line not found');
+    }
+
+    return new TransactionBatchLine(result.rows[0]);
+  }
+
+  /**
+   * Mark every still-pending line of a batch as skipped
+   * @param {number} batchId - Batch ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<number>} Number of skipped lines
+   */
+  async skipPendingLines(batchId, client = null) {
+    const query = `
+      UPDATE transaction_batch_lines
+      SET status = 'SKIPPED', processed_at = CURRENT_TIMESTAMP
+      WHERE batch_id = $1 AND status = 'PENDING'
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [batchId]);
+    return result.rowCount;
+  }
+
+  /**
+   * Refresh batch counters from its lines (also acts as a processing heartbeat)
+   * @param {number} batchId - Batch ID
+   * @param {Object} completion - Optional final status and error
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<TransactionBatch>} Updated batch
+   */
+  async refreshProgress(batchId, completion = {}, client = null) {
+    const query = `
+      UPDATE transaction_batches b
+      SET succeeded_lines = counts.succeeded,
+          failed_lines = counts.failed,
+          status = COALESCE($2, b.status),
+          error = COALESCE($3, b.error),
+          completed_at = CASE WHEN $2 IS NULL THEN b.completed_at ELSE CURRENT_TIMESTAMP END
+      FROM (
+        SELECT
+          COUNT(CASE WHEN status = 'SUCCEEDED' THEN 1 END) as succeeded,
+          COUNT(CASE WHEN status = 'FAILED' THEN 1 END) as failed
+        FROM transaction_batch_lines
+        WHERE batch_id = $1
+      ) counts
+      WHERE b.batch_id = $1
+      RETURNING b.*
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [batchId, completion.status || null, completion.error || null]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Batch not found');
+    }
+
+    return new TransactionBatch(result.rows[0]);
+  }
+}
+
+module.exports = new TransactionBatchRepository();
@@ -0,0 +1,183 @@
+const db = require('../database/connection');
+const TransactionLimit = require('../models/TransactionLimit');
+
+/**
+ * Transaction Limit Repository
+ * Handles database operations for transaction limits
+ */
+class TransactionLimitRepository {
+  /**
+   * Create a new transaction limit
+   * @param {Object} limitData - Transaction limit data
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<TransactionLimit>} Created transaction limit
+   */
+  async create(limitData, client = null) {
+    const limit = new TransactionLimit(limitData);
+    const validation = limit.validate();
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const query = `
+      INSERT INTO transaction_limits
+      (account_type, kyc_tier, txn_type, period, max_amount, max_count, effective_from, effective_to)
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_TIMESTAMP), $8)
+      RETURNING *
+    `;
+
+    const values = [
+      limit.account_type,
+      limit.kyc_tier,
+      limit.txn_type,
+      limit.period,
+      limit.max_amount,
+      limit.max_count,
+      limit.effective_from,
+      limit.effective_to
+    ];
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return new TransactionLimit(result.rows[0]);
+  }
+
+  /**
+   * Find transaction limit by ID
+   * @param {number} limitId - Limit ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<TransactionLimit|null>} Transaction limit or null
+   */
+  async findById(limitId, client = null) {
+    const query = 'SELECT * FROM transaction_limits WHERE limit_id = $1';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [limitId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return new TransactionLimit(result.rows[0]);
+  }
+
+  /**
+   * Find transaction limits with optional filters
+   * @param {Object} options - Query options (accountType, kycTier, txnType, period, activeOnly, limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<TransactionLimit>>} Array of transaction limits
+   */
+  async findAll(options = {}, client = null) {
+    const { accountType, kycTier, txnType, period, activeOnly = false, limit = 50, offset = 0 } = options;
+
+    let query = 'SELECT * FROM transaction_limits WHERE 1 = 1';
+    const values = [];
+    let paramCount = 0;
+
+    if (accountType) {
+      paramCount++;
+      query += ` AND account_type = $${paramCount}`;
+      values.push(accountType);
+    }
+
+    if (kycTier) {
+      paramCount++;
+      query += ` AND kyc_tier = $${paramCount}`;
+      values.push(kycTier);
+    }
+
+    if (txnType) {
+      paramCount++;
+      query += ` AND txn_type = $${paramCount}`;
+      values.push(txnType);
+    }
+
+    if (period) {
+      paramCount++;
+      query += ` AND period = $${paramCount}`;
+      values.push(period);
+    }
+
+    if (activeOnly) {
+      query += ' AND effective_from <= CURRENT_TIMESTAMP AND (effective_to IS NULL OR effective_to > CURRENT_TIMESTAMP)';
+    }
+
+    query += ' ORDER BY txn_type, period, account_type NULLS FIRST, kyc_tier NULLS FIRST, effective_from DESC';
+
+    if (limit) {
+      paramCount++;
+      query += ` LIMIT $${paramCount}`;
+      values.push(limit);
+    }
+
+    if (offset) {
+      paramCount++;
+      query += ` OFFSET $${paramCount}`;
+      values.push(offset);
+    }
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return result.rows.map(row => new TransactionLimit(row));
+  }
+
+  /**
+   * Find the limits currently in effect for an account type, KYC tier and transaction type,
+   * at most one per period. A limit for the specific account type wins over a catch-all
+   * (NULL) one, then one for the specific KYC tier; within those, the most recently
+   * started limit wins
+   * @param {string} accountType - Account type
+   * @param {string} kycTier - Customer KYC tier
+   * @param {string} txnType - Transaction type
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<TransactionLimit>>} Applicable limits
+   */
+  async findApplicable(accountType, kycTier, txnType, client = null) {
+    const query = `
+      SELECT DISTINCT ON (period) * FROM transaction_limits
+      WHERE txn_type = $3
+        AND (account_type = $1 OR account_type IS NULL)
+        AND (kyc_tier = $2 OR kyc_tier IS NULL)
+        AND effective_from <= CURRENT_TIMESTAMP
+        AND (effective_to IS NULL OR effective_to > CURRENT_TIMESTAMP)
+      ORDER BY period, account_type NULLS LAST, kyc_tier NULLS LAST, effective_from DESC, limit_id DESC
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountType, kycTier, txnType]);
+    return result.rows.map(row => new TransactionLimit(row));
+  }
+
+  /**
+   * Expire a transaction limit so it is no longer enforced
+   * Limits are never deleted so past rejections remain explainable; a limit that
+   * has not started yet gets an empty window
+   * @param {number} limitId - Limit ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<TransactionLimit>} Expired transaction limit
+   */
+  async expire(limitId, client = null) {
+    const query = `
+      UPDATE transaction_limits
+      SET effective_to = GREATEST(CURRENT_TIMESTAMP, effective_from)
+      WHERE limit_id = $1 AND (effective_to IS NULL OR effective_to > CURRENT_TIMESTAMP)
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [limitId]);
+
+    if (result.rows.length === 0) {
+      const existing = await this.findById(limitId, client);
+      if (!existing) {
+        throw new Error('Transaction limit not found');
+      }
+      return existing;
+    }
+
+    return new TransactionLimit(result.rows[0]);
+  }
+}
+
+module.exports = new TransactionLimitRepository();
@@ -1,6 +1,149 @@
 const db = require('../database/connection');
 const Transaction = require('../models/Transaction');
 
+/**
+ * WHERE clause for the transactions of an account, with the history filters
+ * @param {number} accountId - Account ID
+ * @param {Object} filters - Filters (fromDate, toDate, status, txnType)
+ * @returns {Object} { where, values } with the values numbered from $1
+ */
+function accountFilter(accountId, filters = {}) {
+  const { fromDate, toDate, status, txnType } = filters;
+  const conditions = ['account_id = $1'];
+  const values = [accountId];
+
+  if (status) {
+    values.push(status);
+    conditions.push(`status = $${values.length}`);
+  }
+
+  if (txnType) {
+    values.push(txnType);
+    conditions.push(`txn_type = $${values.length}`);
+  }
+
+  if (fromDate) {
+    values.push(fromDate);
+    conditions.push(`created_at >= $${values.length}`);
+  }
+
+  if (toDate) {
+    values.push(toDate);
+    conditions.push(`created_at <= $${values.length}`);
+  }
+
+  return { where: conditions.join(' AND '), values };
+}
+
+/**
+ * Escape LIKE wildcards so text is matched literally
+ * @param {string} value - Text
+ * @returns {string} Text with %, _ and \ escaped
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * WHERE clause for a transaction search
+ * Each criterion matches the index built for it: reference prefixes the text_pattern_ops
+ * index, counterparty text the trigram index, description keywords the full-text index
+ * @param {Object} criteria - Criteria (accountId, reference, counterparty, description,
+ *   minAmount, maxAmount, txnType, status, fromDate, toDate)
+ * @returns {Object} { where, values } with the values numbered from $1
+ */
+function searchFilter(criteria = {}) {
+  const { accountId, reference, counterparty, description, minAmount, maxAmount } = criteria;
+  const { txnType, status, fromDate, toDate } = criteria;
+  const conditions = [];
+  const values = [];
+
+  if (accountId) {
+    values.push(accountId);
+    conditions.push(`account_id = $${values.length}`);
+  }
+
+  if (reference) {
+    values.push(`${escapeLike(reference)}%`);
+    conditions.push(`reference LIKE $${values.length} ESCAPE '\\'`);
+  }
+
+  if (counterparty) {
+    values.push(`%${escapeLike(counterparty)}%`);
+    conditions.push(`counterparty ILIKE $${values.length} ESCAPE '\\'`);
+  }
+
+  if (description) {
+    values.push(description);
+    conditions.push(
+      `to_tsvector('english', COALESCE(description, '')) @@ plainto_tsquery('english', $${values.length})`
+    );
+  }
+
+  if (minAmount !== undefined && minAmount !== null) {
+    values.push(minAmount);
+    conditions.push(`amount >= $${values.length}`);
+  }
+
+  if (maxAmount !== undefined && maxAmount !== null) {
+    values.push(maxAmount);
+    conditions.push(`amount <= $${values.length}`);
+  }
+
+  if (txnType) {
+    values.push(txnType);
+    conditions.push(`txn_type = $${values.length}`);
+  }
+
+  if (status) {
+    values.push(status);
+    conditions.push(`status = $${values.length}`);
+  }
+
+  if (fromDate) {
+    values.push(fromDate);
+    conditions.push(`created_at >= $${values.length}`);
+  }
+
+  if (toDate) {
+    values.push(toDate);
+    conditions.push(`created_at <= $${values.length}`);
+  }
+
+  return { where: conditions.length > 0 ? conditions.join(' AND ') : 'TRUE', values };
+}
+
+/**
+ * Read the rows of a query through a server-side cursor, a batch at a time
+ * The cursor lives in the client's open transaction and is closed when the reader
+ * finishes or is abandoned
+ * @param {Object} client - Database client with an open transaction
+ * @param {string} name - Cursor name, unique within the transaction
+ * @param {string} query - SELECT statement
+ * @param {Array} values - Query parameters
+ * @param {number} batchSize - Rows fetched per round trip
+ * @returns {AsyncGenerator<Transaction>} Transactions in query order
+ */
+async function* readCursor(client, name, query, values, batchSize) {
+  await client.query(`DECLARE ${name} NO SCROLL CURSOR FOR ${query}`, values);
+
+  try {
+    while (true) {
+      const result = await client.query(`FETCH ${batchSize} FROM ${name}`);
+
+      for (const row of result.rows) {
+        yield new Transaction(row);
+      }
+
+      if (result.rows.length < batchSize) {
+        break;
+      }
+    }
+  } finally {
+    await client.query(`CLOSE ${name}`);
+  }
+}
+
 /**
  * Transaction Repository
  * Handles database operations for transactions
@@ -9,9 +152,10 @@ class TransactionRepository {
   /**
    * Create a new transaction
    * @param {Object} transactionData - Transaction data
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<Transaction>} Created transaction
    */
-  async create(transactionData) {
+  async create(transactionData, client = null) {
     const transaction = new Transaction(transactionData);
     const validation = transaction.validate();
     
@@ -20,8 +164,12 @@ class TransactionRepository {
     }
 
     const query = `
-      INSERT INTO transactions (account_id, amount, txn_type, counterparty, reference, description)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO transactions (
+        account_id, amount, txn_type, counterparty, reference, description, reversal_of, related_txn_id,
+        original_amount, original_currency, converted_amount, converted_currency, fx_rate,
+        status, failure_reason
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
       RETURNING *
     `;
 
@@ -31,11 +179,21 @@ class TransactionRepository {
       transaction.txn_type,
       transaction.counterparty,
       transaction.reference,
-      transaction.description
+      transaction.description,
+      transaction.reversal_of,
+      transaction.related_txn_id,
+      transaction.original_amount,
+      transaction.original_currency,
+      transaction.converted_amount,
+      transaction.converted_currency,
+      transaction.fx_rate,
+      transaction.status,
+      transaction.failure_reason
     ];
+    const dbClient = client || db;
 
     try {
-      const result = await db.query(query, values);
+      const result = await dbClient.query(query, values);
       return new Transaction(result.rows[0]);
     } catch (error) {
       if (error.code === '23505') { // Unique constraint violation
@@ -48,11 +206,14 @@ class TransactionRepository {
   /**
    * Find transaction by ID
    * @param {number} txnId - Transaction ID
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<Transaction|null>} Transaction or null
    */
-  async findById(txnId) {
+  async findById(txnId, client = null) {
     const query = 'SELECT * FROM transactions WHERE txn_id = $1';
-    const result = await db.query(query, [txnId]);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [txnId]);
     
     if (result.rows.length === 0) {
       return null;
@@ -64,11 +225,14 @@ class TransactionRepository {
   /**
    * Find transaction by reference
    * @param {string} reference - Transaction reference
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<Transaction|null>} Transaction or null
    */
-  async findByReference(reference) {
+  async findByReference(reference, client = null) {
     const query = 'SELECT * FROM transactions WHERE reference = $1';
-    const result = await db.query(query, [reference]);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [reference]);
     
     if (result.rows.length === 0) {
       return null;
@@ -78,31 +242,153 @@ class TransactionRepository {
   }
 
   /**
-   * Find transactions by account ID
-   * @param {number} accountId - Account ID
-   * @param {Object} options - Query options (limit, offset, fromDate, toDate)
-   * @returns {Promise<Array<Transaction>>} Array of transactions
+   * Lock transaction row for update (for reversal processing)
+   * @param {number} txnId - Transaction ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Transaction|null>} Locked transaction or null
    */
-  async findByAccountId(accountId, options = {}) {
-    const { limit = 50, offset = 0, fromDate, toDate } = options;
-    
-    let query = 'SELECT * FROM transactions WHERE account_id = $1';
-    const values = [accountId];
-    let paramCount = 1;
+  async lockForUpdate(txnId, client = null) {
+    const query = 'SELECT * FROM transactions WHERE txn_id = $1 FOR UPDATE';
+    const dbClient = client || db;
 
-    if (fromDate) {
-      paramCount++;
-      query += ` AND created_at >= $${paramCount}`;
-      values.push(fromDate);
+    const result = await dbClient.query(query, [txnId]);
+
+    if (result.rows.length === 0) {
+      return null;
     }
 
-    if (toDate) {
-      paramCount++;
-      query += ` AND created_at <= $${paramCount}`;
-      values.push(toDate);
+    return new Transaction(result.rows[0]);
+  }
+
+  /**
+   * Find and lock the opposite leg of a transfer
+   * Transfer legs share a base reference with -OUT / -IN suffixes
+   * @param {Transaction} transaction - One leg of the transfer
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Transaction|null>} Counterpart leg or null
+   */
+  async findTransferCounterpart(transaction, client = null) {
+    let counterpartReference;
+    if (transaction.txn_type === 'TRANSFER_OUT' && transaction.reference.endsWith('-OUT')) {
+      counterpartReference = `${transaction.reference.slice(0, -4)}-IN`;
+    } else if (transaction.txn_type === 'TRANSFER_IN' && transaction.reference.endsWith('-IN')) {
+      counterpartReference = `${transaction.reference.slice(0, -3)}-OUT`;
+    } else {
+      return null;
+    }
+
+    const query = 'SELECT * FROM transactions WHERE reference = $1 FOR UPDATE';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [counterpartReference]);
+
+    if (result.rows.length === 0) {
+      return null;
     }
 
-    query += ' ORDER BY created_at DESC';
+    return new Transaction(result.rows[0]);
+  }
+
+  /**
+   * Record a (partial) reversal against an original transaction
+   * A fully reversed transaction moves from COMPLETED to REVERSED
+   * @param {number} txnId - Original transaction ID
+   * @param {number} amount - Amount reversed by this reversal
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Transaction>} Updated original transaction
+   */
+  async recordReversal(txnId, amount, client = null) {
+    const query = `
+      UPDATE transactions
+      SET reversed_amount = reversed_amount + $1,
+          reversed_at = CURRENT_TIMESTAMP,
+          status = CASE WHEN reversed_amount + $1 >= amount THEN 'REVERSED'::transaction_status ELSE status END
+      WHERE txn_id = $2 AND status = 'COMPLETED'
+      RETURNING *
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [amount, txnId]);
+
+    if (result.rows.length === 0) {
+      const existing = await this.lockForUpdate(txnId, dbClient);
+      if (!existing) {
+        throw new Error('Transaction not found');
+      }
+      throw new Error(`Reversal failed: cannot reverse a ${existing.status} transaction`);
+    }
+
+    return new Transaction(result.rows[0]);
+  }
+
+  /**
+   * Move a transaction to a new status, enforcing the allowed lifecycle transitions
+   * @param {number} txnId - Transaction ID
+   * @param {string} status - Target status
+   * @param {string} failureReason - Required when moving to FAILED
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Transaction>} Updated transaction
+   */
+  async updateStatus(txnId, status, failureReason = null, client = null) {
+    const dbClient = client || db;
+
+    const current = await this.lockForUpdate(txnId, dbClient);
+    if (!current) {
+      throw new Error('Transaction not found');
+    }
+
+    if (!current.canTransitionTo(status)) {
+      throw new Error(`Transaction status update failed: cannot move from ${current.status} to ${status}`);
+    }
+
+    if (status === 'FAILED' && !failureReason) {
+      throw new Error('Validation failed: Failure reason is required for failed transactions');
+    }
+
+    const query = `
+      UPDATE transactions
+      SET status = $1, failure_reason = $2
+      WHERE txn_id = $3 AND status = $4
+      RETURNING *
+    `;
+
+    const result = await dbClient.query(query, [
+      status,
+      status === 'FAILED' ? failureReason : null,
+      txnId,
+      current.status
+    ]);
+
+    return new Transaction(result.rows[0]);
+  }
+
+  /**
+   * Find reversal entries linked to an original transaction
+   * @param {number} txnId - Original transaction ID
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<Transaction>>} Array of reversal transactions
+   */
+  async findReversals(txnId, client = null) {
+    const query = 'SELECT * FROM transactions WHERE reversal_of = $1 ORDER BY created_at';
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [txnId]);
+    return result.rows.map(row => new Transaction(row));
+  }
+
+  /**
+   * Find transactions by account ID
+   * @param {number} accountId - Account ID
+   * @param {Object} options - Query options (limit, offset, fromDate, toDate, status, txnType)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<Transaction>>} Array of transactions
+   */
+  async findByAccountId(accountId, options = {}, client = null) {
+    const { limit = 50, offset = 0 } = options;
+    const { where, values } = accountFilter(accountId, options);
+
+    let query = `SELECT * FROM transactions WHERE ${where} ORDER BY created_at DESC, txn_id DESC`;
+    let paramCount = values.length;
 
     if (limit) {
       paramCount++;
@@ -115,42 +401,154 @@ class TransactionRepository {
       query += ` OFFSET $${paramCount}`;
       values.push(offset);
     }
+    const dbClient = client || db;
 
-    const result = await db.query(query, values);
+    const result = await dbClient.query(query, values);
     return result.rows.map(row => new Transaction(row));
   }
 
+  /**
+   * Find a page of transactions by account ID by keyset, newest first
+   * The page starts after a (created_at, txn_id) position instead of an offset, so it
+   * costs the same however deep it is and rows posted in the meantime shift no page
+   * @param {number} accountId - Account ID
+   * @param {Object} options - Query options (fromDate, toDate, status, txnType, limit,
+   *   after: position to continue from, direction: next for older rows, prev for newer ones)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Object>} { rows: [{ transaction, position }], hasMore } with rows newest first
+   *   and hasMore set when further rows lie beyond the page in its direction
+   */
+  async findPageByAccountId(accountId, options = {}, client = null) {
+    const { limit = 50, after = null, direction = 'next' } = options;
+    const { where, values } = accountFilter(accountId, options);
+    const conditions = [where];
+    const newer = direction === 'prev';
+
+    if (after) {
+      values.push(after.created_at, after.txn_id);
+      conditions.push(
+        `(created_at, txn_id) ${newer ? '>' : '<'} ($${values.length - 1}::timestamp, $${values.length})`
+      );
+    }
+
+    // One row more than the page shows whether another page follows
+    values.push(limit + 1);
+    const order = newer ? 'ASC' : 'DESC';
+    const query = `
+      SELECT *, created_at::text as position_created_at FROM transactions
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at ${order}, txn_id ${order}
+      LIMIT $${values.length}
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    const rows = result.rows.slice(0, limit);
+    if (newer) {
+      rows.reverse();
+    }
+
+    return {
+      rows: rows.map(row => ({
+        transaction: new Transaction(row),
+        position: { created_at: row.position_created_at, txn_id: row.txn_id }
+      })),
+      hasMore: result.rows.length > limit
+    };
+  }
+
+  /**
+   * Search transactions, for one account or across the bank
+   * @param {Object} criteria - Search criteria (see searchFilter)
+   * @param {Object} options - Query options (sort: one of Transaction.SORT_FIELDS;
+   *   order: asc or desc; limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<Transaction>>} Matching transactions
+   */
+  async search(criteria, options = {}, client = null) {
+    const { sort = 'created_at', order = 'desc', limit = 50, offset = 0 } = options;
+    if (!Transaction.SORT_FIELDS.includes(sort)) {
+      throw new Error(`Validation failed: sort must be one of ${Transaction.SORT_FIELDS.join(', ')}`);
+    }
+
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const { where, values } = searchFilter(criteria);
+    values.push(limit, offset);
+
+    const query = `
+      SELECT * FROM transactions
+      WHERE ${where}
+      ORDER BY ${sort} ${direction}, txn_id ${direction}
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return result.rows.map(row => new Transaction(row));
+  }
+
+  /**
+   * Count the transactions matching search criteria
+   * @param {Object} criteria - Search criteria (see searchFilter)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<number>} Number of matches
+   */
+  async countSearch(criteria, client = null) {
+    const { where, values } = searchFilter(criteria);
+    const query = `SELECT COUNT(*) as count FROM transactions WHERE ${where}`;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
+    return parseInt(result.rows[0].count);
+  }
+
   /**
    * Get account transaction summary
    * @param {number} accountId - Account ID
    * @param {Date} fromDate - Start date
    * @param {Date} toDate - End date
+   * @param {string} status - Only this status; defaults to posted (COMPLETED and REVERSED) rows
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<Object>} Transaction summary
    */
-  async getAccountSummary(accountId, fromDate, toDate) {
+  async getAccountSummary(accountId, fromDate, toDate, status = null, client = null) {
+    const statuses = status ? [status] : Transaction.POSTED_STATUSES;
     const query = `
       SELECT 
         COUNT(*) as total_transactions,
-        SUM(CASE WHEN txn_type IN ('DEPOSIT', 'TRANSFER_IN') THEN amount ELSE 0 END) as total_credits,
-        SUM(CASE WHEN txn_type IN ('WITHDRAWAL', 'TRANSFER_OUT') THEN amount ELSE 0 END) as total_debits,
+        COUNT(*) FILTER (WHERE is_credit_type(txn_type)) as credit_transactions,
+        COUNT(*) FILTER (WHERE NOT is_credit_type(txn_type)) as debit_transactions,
+        SUM(CASE WHEN is_credit_type(txn_type) THEN amount ELSE 0 END) as total_credits,
+        SUM(CASE WHEN NOT is_credit_type(txn_type) THEN amount ELSE 0 END) as total_debits,
+        SUM(CASE WHEN txn_type IN ('FEE', 'FEE_TAX') THEN amount ELSE 0 END) as total_fees,
+        SUM(CASE WHEN txn_type = 'INTEREST' THEN amount ELSE 0 END) as total_interest,
+        SUM(CASE WHEN txn_type = 'OVERDRAFT_INTEREST' THEN amount ELSE 0 END) as total_overdraft_interest,
         MAX(created_at) as last_transaction_date,
         MIN(created_at) as first_transaction_date
       FROM transactions 
       WHERE account_id = $1 
         AND created_at >= $2 
         AND created_at <= $3
+        AND status = ANY($4::transaction_status[])
     `;
+    const dbClient = client || db;
 
-    const result = await db.query(query, [accountId, fromDate, toDate]);
+    const result = await dbClient.query(query, [accountId, fromDate, toDate, statuses]);
     const row = result.rows[0];
 
     return {
       account_id: accountId,
       period: { from: fromDate, to: toDate },
+      statuses,
       total_transactions: parseInt(row.total_transactions),
+      credit_transactions: parseInt(row.credit_transactions),
+      debit_transactions: parseInt(row.debit_transactions),
       total_credits: parseFloat(row.total_credits) || 0,
       total_debits: parseFloat(row.total_debits) || 0,
       net_amount: (parseFloat(row.total_credits) || 0) - (parseFloat(row.total_debits) || 0),
+      total_fees: parseFloat(row.total_fees) || 0,
+      total_interest: parseFloat(row.total_interest) || 0,
+      total_overdraft_interest: parseFloat(row.total_overdraft_interest) || 0,
       last_transaction_date: row.last_transaction_date,
       first_transaction_date: row.first_transaction_date
     };
@@ -158,63 +556,275 @@ class TransactionRepository {
 
   /**
    * Create multiple transactions in a single database transaction
+   * Given the client of an open transaction, the inserts join it (inside a savepoint) so
+   * they stay under the caller's locks and roll back with it
    * @param {Array<Object>} transactionsData - Array of transaction data
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<Array<Transaction>>} Created transactions
    */
-  async createMultiple(transactionsData) {
-    return await db.transaction(async (client) => {
+  async createMultiple(transactionsData, client = null) {
+    return await db.transaction(async (unitClient) => {
       const transactions = [];
-      
+
       for (const txnData of transactionsData) {
-        const transaction = new Transaction(txnData);
-        const validation = transaction.validate();
-        
-        if (!validation.isValid) {
-          throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
-        }
-
-        const query = `
-          INSERT INTO transactions (account_id, amount, txn_type, counterparty, reference, description)
-          VALUES ($1, $2, $3, $4, $5, $6)
-          RETURNING *
-        `;
-
-        const values = [
-          transaction.account_id,
-          transaction.amount,
-          transaction.txn_type,
-          transaction.counterparty,
-          transaction.reference,
-          transaction.description
-        ];
-
-        const result = await client.query(query, values);
-        transactions.push(new Transaction(result.rows[0]));
+        transactions.push(await this.create(txnData, unitClient));
       }
 
       return transactions;
-    });
+    }, client);
+  }
+
+  /**
+   * Count posted transactions of a type on an account in the current calendar month
+   * Used for fee free-tier allowances
+   * @param {number} accountId - Account ID
+   * @param {string} txnType - Transaction type
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<number>} Transaction count
+   */
+  async countPostedThisMonth(accountId, txnType, client = null) {
+    const query = `
+      SELECT COUNT(*) as count FROM transactions
+      WHERE account_id = $1
+        AND txn_type = $2
+        AND status IN ('COMPLETED', 'REVERSED')
+        AND created_at >= date_trunc('month', CURRENT_TIMESTAMP)
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId, txnType]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Gross amount and number of transactions of a type posted or in flight since the
+   * start of the current day or month. Reversed transactions still count: a refund
+   * does not hand back limit headroom
+   * @param {number} accountId - Account ID
+   * @param {string} txnType - Transaction type
+   * @param {string} period - DAILY or MONTHLY
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Object>} Usage ({ amount, count })
+   */
+  async getUsageForPeriod(accountId, txnType, period, client = null) {
+    const query = `
+      SELECT COALESCE(SUM(amount), 0) as amount, COUNT(*) as count FROM transactions
+      WHERE account_id = $1
+        AND txn_type = $2
+        AND status IN ('PENDING', 'COMPLETED', 'REVERSED')
+        AND created_at >= date_trunc($3, CURRENT_TIMESTAMP)
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId, txnType, period === 'MONTHLY' ? 'month' : 'day']);
+    return {
+      amount: parseFloat(result.rows[0].amount),
+      count: parseInt(result.rows[0].count)
+    };
+  }
+
+  /**
+   * Balance of an account at the end of a calendar day
+   * Worked back from the current balance by undoing everything posted after the day,
+   * so it is correct for accounts whose opening balance came from the account projection
+   * @param {number} accountId - Account ID
+   * @param {string} date - Calendar date (YYYY-MM-DD)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<number|null>} End-of-day balance, or null if the account does not exist
+   */
+  async getEndOfDayBalance(accountId, date, client = null) {
+    const query = `
+      SELECT ap.current_balance - COALESCE((
+        SELECT SUM(CASE WHEN is_credit_type(t.txn_type)
+                        THEN t.amount ELSE -t.amount END)
+        FROM transactions t
+        WHERE t.account_id = ap.account_id
+          AND t.status IN ('COMPLETED', 'REVERSED')
+          AND t.created_at >= $2::date + 1
+      ), 0) as balance
+      FROM account_projections ap
+      WHERE ap.account_id = $1
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId, date]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return parseFloat(result.rows[0].balance);
+  }
+
+  /**
+   * Balance of an account just before a point in time
+   * Worked back from the current balance like getEndOfDayBalance, undoing everything
+   * posted at or after the given time
+   * @param {number} accountId - Account ID
+   * @param {Date|string} time - Point in time (exclusive)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<number|null>} Balance, or null if the account does not exist
+   */
+  async getBalanceBefore(accountId, time, client = null) {
+    const query = `
+      SELECT ap.current_balance - COALESCE((
+        SELECT SUM(CASE WHEN is_credit_type(t.txn_type)
+                        THEN t.amount ELSE -t.amount END)
+        FROM transactions t
+        WHERE t.account_id = ap.account_id
+          AND t.status IN ('COMPLETED', 'REVERSED')
+          AND t.created_at >= $2
+      ), 0) as balance
+      FROM account_projections ap
+      WHERE ap.account_id = $1
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [accountId, time]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return parseFloat(result.rows[0].balance);
+  }
+
+  /**
+   * Find a page of the posted transactions of an account in a period, oldest first,
+   * each with the net movement of the period up to and including it
+   * The movement is summed over the whole period in (created_at, txn_id) order before
+   * the page is cut, so it does not depend on the page or on the order rows were inserted in
+   * @param {number} accountId - Account ID
+   * @param {Object} options - Query options (fromDate, toDate, limit, offset)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<Object>>} { transaction, movement } per row
+   */
+  async findPostedWithMovement(accountId, options, client = null) {
+    const { fromDate, toDate, limit = 50, offset = 0 } = options;
+    const query = `
+      SELECT t.*,
+        SUM(CASE WHEN is_credit_type(t.txn_type)
+                 THEN t.amount ELSE -t.amount END)
+          OVER (ORDER BY t.created_at ASC, t.txn_id ASC ROWS UNBOUNDED PRECEDING) as movement
+      FROM transactions t
+      WHERE t.account_id = $1
+        AND t.status = ANY($2::transaction_status[])
+        AND t.created_at >= $3
+        AND t.created_at <= $4
+      ORDER BY t.created_at ASC, t.txn_id ASC
+      LIMIT $5 OFFSET $6
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [
+      accountId,
+      Transaction.POSTED_STATUSES,
+      fromDate,
+      toDate,
+      limit,
+      offset
+    ]);
+
+    return result.rows.map(row => ({
+      transaction: new Transaction(row),
+      movement: parseFloat(row.movement)
+    }));
+  }
+
+  /**
+   * Stream the posted transactions of an account over a range of calendar days, oldest first
+   * Rows are read through a server-side cursor in batches, so a long range is never held
+   * in memory at once. The cursor lives in the caller's transaction, so a client with an
+   * open transaction is required, and the rows are only read while it stays open
+   * @param {number} accountId - Account ID
+   * @param {string} fromDate - First day included (YYYY-MM-DD)
+   * @param {string} toDate - Last day included (YYYY-MM-DD)
+   * @param {Object} client - Database client with an open transaction
+   * @param {number} batchSize - Rows fetched per round trip
+   * @returns {AsyncGenerator<Transaction>} Transactions in posting order
+   */
+  async *streamPosted(accountId, fromDate, toDate, client, batchSize = 500) {
+    const query = `
+      SELECT * FROM transactions
+      WHERE account_id = $1
+        AND status = ANY($2::transaction_status[])
+        AND created_at >= $3::date
+        AND created_at < $4::date + 1
+      ORDER BY created_at ASC, txn_id ASC
+    `;
+
+    yield* readCursor(
+      client,
+      'posted_transactions',
+      query,
+      [accountId, Transaction.POSTED_STATUSES, fromDate, toDate],
+      batchSize
+    );
+  }
+
+  /**
+   * Stream every transaction of an account matching the history filters, oldest first
+   * Like streamPosted, rows come from a cursor in the caller's transaction, so exports
+   * of any length run in constant memory
+   * @param {number} accountId - Account ID
+   * @param {Object} filters - Filters (fromDate, toDate, status, txnType)
+   * @param {Object} client - Database client with an open transaction
+   * @param {number} batchSize - Rows fetched per round trip
+   * @returns {AsyncGenerator<Transaction>} Transactions in creation order
+   */
+  async *streamByAccountId(accountId, filters, client, batchSize = 500) {
+    const { where, values } = accountFilter(accountId, filters);
+    const query = `SELECT * FROM transactions WHERE ${where} ORDER BY created_at ASC, txn_id ASC`;
+
+    yield* readCursor(client, 'account_transactions', query, values, batchSize);
+  }
+
+  /**
+   * Find fee entries charged for a transaction
+   * @param {number} txnId - Transaction the fees were charged for
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Array<Transaction>>} Array of fee transactions
+   */
+  async findFees(txnId, client = null) {
+    const query = `
+      SELECT * FROM transactions
+      WHERE related_txn_id = $1 AND txn_type IN ('FEE', 'FEE_TAX')
+      ORDER BY txn_id
+    `;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [txnId]);
+    return result.rows.map(row => new Transaction(row));
   }
 
   /**
    * Get transaction count by account ID
    * @param {number} accountId - Account ID
+   * @param {Object} filters - Only count transactions matching these history filters
+   *   (fromDate, toDate, status, txnType)
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<number>} Transaction count
    */
-  async getTransactionCount(accountId) {
-    const query = 'SELECT COUNT(*) as count FROM transactions WHERE account_id = $1';
-    const result = await db.query(query, [accountId]);
+  async getTransactionCount(accountId, filters = {}, client = null) {
+    const { where, values } = accountFilter(accountId, filters);
+    const query = `SELECT COUNT(*) as count FROM transactions WHERE ${where}`;
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, values);
     return parseInt(result.rows[0].count);
   }
 
   /**
    * Delete transaction (for testing purposes only)
    * @param {number} txnId - Transaction ID
+   * @param {Object} client - Database client (for transactions)
    * @returns {Promise<boolean>} Success status
    */
-  async delete(txnId) {
+  async delete(txnId, client = null) {
     const query = 'DELETE FROM transactions WHERE txn_id = $1';
-    const result = await db.query(query, [txnId]);
+    const dbClient = client || db;
+
+    const result = await dbClient.query(query, [txnId]);
     return result.rowCount > 0;
   }
 }
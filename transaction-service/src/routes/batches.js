@@ -0,0 +1,111 @@
+const express = require('express');
+const batchController = require('../controllers/BatchController');
+const { validate, validationRules } = require('../middleware/validation');
+
+const router = express.Router();
+
+// CSV upload body; the server also runs it ahead of the idempotency middleware, so the
+// file is part of the request fingerprint (parsing again here is then a no-op)
+const csvBody = express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '10mb' });
+
+/**
+ * @swagger
+ * /api/v1/transactions/batches:
+ *   post:
+ *     summary: Upload a bulk payment CSV file
+ *     description: |
+ *       Accepts a CSV with a header row and columns type, account_id,
+ *       from_account_id, to_account_id, amount, counterparty, description.
+ *       type is DEPOSIT, WITHDRAWAL or TRANSFER. Every line is validated
+ *       before anything is queued; the batch is then processed asynchronously.
+ *       In ALL_OR_NOTHING mode the first failed line stops the batch and
+ *       lines already posted are reversed.
+ *     tags: [Batches]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [ALL_OR_NOTHING, BEST_EFFORT]
+ *           default: BEST_EFFORT
+ *         description: Processing mode
+ *       - in: query
+ *         name: file_name
+ *         schema:
+ *           type: string
+ *         description: Original file name (for reference)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       202:
+ *         description: Batch accepted for processing
+ *       400:
+ *         description: File rejected, with per-line validation errors
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/',
+  csvBody,
+  validate(validationRules.batchUploadValidation),
+  batchController.upload
+);
+
+/**
+ * @swagger
+ * /api/v1/transactions/batches/{batchId}:
+ *   get:
+ *     summary: Get batch status with per-line results
+ *     tags: [Batches]
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Batch ID
+ *     responses:
+ *       200:
+ *         description: Batch status retrieved successfully
+ *       404:
+ *         description: Batch not found
+ */
+router.get('/:batchId',
+  validate([validationRules.batchId]),
+  batchController.getStatus
+);
+
+/**
+ * @swagger
+ * /api/v1/transactions/batches/{batchId}/result:
+ *   get:
+ *     summary: Download the batch result file
+ *     tags: [Batches]
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Batch ID
+ *     responses:
+ *       200:
+ *         description: CSV with the outcome of every line
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Batch not found
+ */
+router.get('/:batchId/result',
+  validate([validationRules.batchId]),
+  batchController.downloadResult
+);
+
+module.exports = router;
+module.exports.csvBody = csvBody;
@@ -0,0 +1,157 @@
+const express = require('express');
+const feeScheduleController = require('../controllers/FeeScheduleController');
+const { validate, validationRules } = require('../middleware/validation');
+const requireAdmin = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/fee-schedules:
+ *   post:
+ *     summary: Create a fee schedule
+ *     description: >
+ *       A schedule for a specific account type takes precedence over one that applies to all
+ *       account types; among those, the one with the latest effective_from wins.
+ *     tags: [Fee Schedules]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeeScheduleRequest'
+ *     responses:
+ *       201:
+ *         description: Fee schedule created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FeeSchedule'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/',
+  validate(validationRules.feeScheduleValidation),
+  feeScheduleController.create
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/fee-schedules:
+ *   get:
+ *     summary: List fee schedules
+ *     tags: [Fee Schedules]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: account_type
+ *         schema:
+ *           type: string
+ *           enum: [SAVINGS, CURRENT, SALARY]
+ *         description: Filter by account type
+ *       - in: query
+ *         name: txn_type
+ *         schema:
+ *           type: string
+ *           enum: [WITHDRAWAL, TRANSFER_OUT]
+ *         description: Filter by charged transaction type
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only schedules currently in effect
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of schedules per page
+ *     responses:
+ *       200:
+ *         description: Fee schedules retrieved successfully
+ */
+router.get('/',
+  validate(validationRules.feeScheduleListValidation),
+  feeScheduleController.list
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/fee-schedules/{feeScheduleId}:
+ *   get:
+ *     summary: Get fee schedule details
+ *     tags: [Fee Schedules]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: feeScheduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Fee schedule ID
+ *     responses:
+ *       200:
+ *         description: Fee schedule retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:feeScheduleId',
+  validate([validationRules.feeScheduleId]),
+  feeScheduleController.getById
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/fee-schedules/{feeScheduleId}:
+ *   delete:
+ *     summary: Expire a fee schedule
+ *     description: Ends the schedule's validity window now. Schedules are kept so past charges remain explainable.
+ *     tags: [Fee Schedules]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: feeScheduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Fee schedule ID
+ *     responses:
+ *       200:
+ *         description: Fee schedule expired successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.delete('/:feeScheduleId',
+  validate([validationRules.feeScheduleId]),
+  feeScheduleController.expire
+);
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const fxRateController = require('../controllers/FxRateController');
+const { validate, validationRules } = require('../middleware/validation');
+const requireAdmin = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/fx-rates:
+ *   post:
+ *     summary: Create an FX rate
+ *     description: A newer rate for the same pair takes precedence from its effective_from onwards
+ *     tags: [FX Rates]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FxRateRequest'
+ *     responses:
+ *       201:
+ *         description: FX rate created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/FxRate'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/',
+  validate(validationRules.fxRateValidation),
+  fxRateController.create
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/fx-rates:
+ *   get:
+ *     summary: List FX rates
+ *     tags: [FX Rates]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: base_currency
+ *         schema:
+ *           type: string
+ *         description: Filter by base currency
+ *       - in: query
+ *         name: quote_currency
+ *         schema:
+ *           type: string
+ *         description: Filter by quote currency
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only rates currently in effect
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of rates per page
+ *     responses:
+ *       200:
+ *         description: FX rates retrieved successfully
+ */
+router.get('/',
+  validate(validationRules.fxRateListValidation),
+  fxRateController.list
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/fx-rates/{rateId}:
+ *   get:
+ *     summary: Get FX rate details
+ *     tags: [FX Rates]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: rateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: FX rate ID
+ *     responses:
+ *       200:
+ *         description: FX rate retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:rateId',
+  validate([validationRules.fxRateId]),
+  fxRateController.getById
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/fx-rates/{rateId}:
+ *   delete:
+ *     summary: Expire an FX rate
+ *     description: Ends the rate's validity window now. Rates are kept so past conversions remain traceable.
+ *     tags: [FX Rates]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: rateId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: FX rate ID
+ *     responses:
+ *       200:
+ *         description: FX rate expired successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.delete('/:rateId',
+  validate([validationRules.fxRateId]),
+  fxRateController.expire
+);
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const holdController = require('../controllers/HoldController');
+const { validate, validationRules } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/holds:
+ *   post:
+ *     summary: Place an authorization hold
+ *     description: Reserves funds against the account's available balance without posting a transaction
+ *     tags: [Holds]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HoldRequest'
+ *     responses:
+ *       201:
+ *         description: Hold placed successfully
+ *       400:
+ *         description: Invalid data, inactive account or insufficient available balance
+ *       404:
+ *         description: Account not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/',
+  validate(validationRules.holdValidation),
+  holdController.create
+);
+
+/**
+ * @swagger
+ * /api/v1/holds:
+ *   get:
+ *     summary: List holds
+ *     tags: [Holds]
+ *     parameters:
+ *       - in: query
+ *         name: account_id
+ *         schema:
+ *           type: integer
+ *         description: Only holds on this account
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, CAPTURED, VOIDED, EXPIRED]
+ *         description: Filter by hold status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of holds per page
+ *     responses:
+ *       200:
+ *         description: Holds retrieved successfully
+ */
+router.get('/',
+  validate(validationRules.holdListValidation),
+  holdController.list
+);
+
+/**
+ * @swagger
+ * /api/v1/holds/{holdId}:
+ *   get:
+ *     summary: Get hold details
+ *     tags: [Holds]
+ *     parameters:
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hold ID
+ *     responses:
+ *       200:
+ *         description: Hold retrieved successfully
+ *       404:
+ *         description: Hold not found
+ */
+router.get('/:holdId',
+  validate([validationRules.holdId]),
+  holdController.getById
+);
+
+/**
+ * @swagger
+ * /api/v1/holds/{holdId}/capture:
+ *   post:
+ *     summary: Capture a hold
+ *     description: |
+ *       Posts a WITHDRAWAL for the captured amount, or a transfer when to_account_id is given.
+ *       Any uncaptured remainder is released; a hold can only be captured once.
+ *     tags: [Holds]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hold ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HoldCaptureRequest'
+ *     responses:
+ *       201:
+ *         description: Hold captured successfully
+ *       400:
+ *         description: Hold is not active, has expired, or amount exceeds the held amount
+ *       404:
+ *         description: Hold not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/:holdId/capture',
+  validate([validationRules.holdId, ...validationRules.holdCaptureValidation]),
+  holdController.capture
+);
+
+/**
+ * @swagger
+ * /api/v1/holds/{holdId}/void:
+ *   post:
+ *     summary: Void a hold
+ *     description: Releases the reserved funds without posting a transaction
+ *     tags: [Holds]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: holdId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Hold ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: Reason for voiding the hold
+ *     responses:
+ *       200:
+ *         description: Hold voided successfully
+ *       400:
+ *         description: Hold is not active
+ *       404:
+ *         description: Hold not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/:holdId/void',
+  validate([validationRules.holdId, ...validationRules.holdVoidValidation]),
+  holdController.void
+);
+
+module.exports = router;
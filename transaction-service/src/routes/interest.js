@@ -0,0 +1,55 @@
+const express = require('express');
+const interestController = require('../controllers/InterestController');
+const { validate, validationRules } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/interest/accounts/{accountId}/accruals:
+ *   get:
+ *     summary: Get the interest accrual report for an account
+ *     description: Daily accruals in the range with totals accrued, already credited and still to be credited
+ *     tags: [Interest]
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *       - in: query
+ *         name: from_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to the start of the current month)
+ *       - in: query
+ *         name: to_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (defaults to today; at most 366 days after from_date)
+ *     responses:
+ *       200:
+ *         description: Interest accrual report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/InterestAccrualReport'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/accounts/:accountId/accruals',
+  validate([validationRules.accountId, ...validationRules.interestReportValidation]),
+  interestController.getAccrualReport
+);
+
+module.exports = router;
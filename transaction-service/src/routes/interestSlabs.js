@@ -0,0 +1,151 @@
+const express = require('express');
+const interestController = require('../controllers/InterestController');
+const { validate, validationRules } = require('../middleware/validation');
+const requireAdmin = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/interest-slabs:
+ *   post:
+ *     summary: Create an interest rate slab
+ *     description: >
+ *       Each slab's rate applies to the part of the end-of-day balance within its band.
+ *       Slabs of the same account type may not overlap while both are in effect.
+ *     tags: [Interest]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InterestRateSlabRequest'
+ *     responses:
+ *       201:
+ *         description: Interest rate slab created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/InterestRateSlab'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/',
+  validate(validationRules.interestSlabValidation),
+  interestController.createSlab
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/interest-slabs:
+ *   get:
+ *     summary: List interest rate slabs
+ *     tags: [Interest]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: account_type
+ *         schema:
+ *           type: string
+ *           enum: [SAVINGS, CURRENT, SALARY]
+ *         description: Filter by account type
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only slabs currently in effect
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of slabs per page
+ *     responses:
+ *       200:
+ *         description: Interest rate slabs retrieved successfully
+ */
+router.get('/',
+  validate(validationRules.interestSlabListValidation),
+  interestController.listSlabs
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/interest-slabs/{slabId}:
+ *   get:
+ *     summary: Get interest rate slab details
+ *     tags: [Interest]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: slabId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Slab ID
+ *     responses:
+ *       200:
+ *         description: Interest rate slab retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:slabId',
+  validate([validationRules.interestSlabId]),
+  interestController.getSlab
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/interest-slabs/{slabId}:
+ *   delete:
+ *     summary: Expire an interest rate slab
+ *     description: Ends the slab's validity window now. Slabs are kept so past accruals remain explainable.
+ *     tags: [Interest]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: slabId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Slab ID
+ *     responses:
+ *       200:
+ *         description: Interest rate slab expired successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.delete('/:slabId',
+  validate([validationRules.interestSlabId]),
+  interestController.expireSlab
+);
+
+module.exports = router;
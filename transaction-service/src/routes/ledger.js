@@ -0,0 +1,344 @@
+const express = require('express');
+const ledgerController = require('../controllers/LedgerController');
+const { validate, validationRules } = require('../middleware/validation');
+const requireAdmin = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/ledger/accounts:
+ *   get:
+ *     summary: List the chart of accounts
+ *     tags: [General Ledger]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: account_type
+ *         schema:
+ *           type: string
+ *           enum: [ASSET, LIABILITY, EQUITY, INCOME, EXPENSE]
+ *         description: Filter by ledger account type
+ *     responses:
+ *       200:
+ *         description: Ledger accounts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LedgerAccount'
+ */
+router.get('/accounts',
+  validate(validationRules.ledgerAccountListValidation),
+  ledgerController.listAccounts
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/ledger/accounts:
+ *   post:
+ *     summary: Add a ledger account
+ *     description: System accounts (cash, suspense, customer deposits, fee income, ...) come with the schema; this adds further accounts, e.g. for manual journals
+ *     tags: [General Ledger]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LedgerAccountRequest'
+ *     responses:
+ *       201:
+ *         description: Ledger account created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/LedgerAccount'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/accounts',
+  validate(validationRules.ledgerAccountValidation),
+  ledgerController.createAccount
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/ledger/accounts/{code}/statement:
+ *   get:
+ *     summary: Get a ledger account statement
+ *     description: >
+ *       Opening balance, postings with a running balance, and closing balance for the range.
+ *       Balances are on the account's normal side and run separately per currency. For
+ *       CUSTOMER_DEPOSITS, account_id narrows the statement to one customer account.
+ *     tags: [General Ledger]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ledger account code
+ *       - in: query
+ *         name: from_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to the start of the current month)
+ *       - in: query
+ *         name: to_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (defaults to today; at most 366 days after from_date)
+ *       - in: query
+ *         name: account_id
+ *         schema:
+ *           type: integer
+ *         description: Only postings for this customer account
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Only postings in this currency
+ *     responses:
+ *       200:
+ *         description: Ledger account statement retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/LedgerStatement'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/accounts/:code/statement',
+  validate([validationRules.ledgerAccountCode, ...validationRules.ledgerStatementValidation]),
+  ledgerController.getAccountStatement
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/ledger/trial-balance:
+ *   get:
+ *     summary: Get the trial balance
+ *     description: Debit and credit totals and the balance of every ledger account, per currency, for journals posted up to the end of as_of
+ *     tags: [General Ledger]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: as_of
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day included (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Trial balance retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/TrialBalance'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.get('/trial-balance',
+  validate(validationRules.trialBalanceValidation),
+  ledgerController.getTrialBalance
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/ledger/journals:
+ *   post:
+ *     summary: Post a manual journal
+ *     description: >
+ *       Debits must equal credits in every currency. Manual journals cannot post to
+ *       CUSTOMER_DEPOSITS: customer balances only move through transactions.
+ *     tags: [General Ledger]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ManualJournalRequest'
+ *     responses:
+ *       201:
+ *         description: Journal posted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/JournalEntry'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/journals',
+  validate(validationRules.manualJournalValidation),
+  ledgerController.postJournal
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/ledger/journals:
+ *   get:
+ *     summary: List journals
+ *     tags: [General Ledger]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: from_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Posted on or after this day
+ *       - in: query
+ *         name: to_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Posted on or before this day
+ *       - in: query
+ *         name: manual
+ *         schema:
+ *           type: boolean
+ *         description: Only manual journals
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of journals per page
+ *     responses:
+ *       200:
+ *         description: Journals retrieved successfully
+ */
+router.get('/journals',
+  validate(validationRules.journalListValidation),
+  ledgerController.listJournals
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/ledger/journals/{journalId}:
+ *   get:
+ *     summary: Get journal details
+ *     tags: [General Ledger]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: journalId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Journal ID
+ *     responses:
+ *       200:
+ *         description: Journal retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/JournalEntry'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/journals/:journalId',
+  validate([validationRules.journalId]),
+  ledgerController.getJournal
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/ledger/transactions/{txnId}/journal:
+ *   get:
+ *     summary: Get the journal posted for a transaction
+ *     tags: [General Ledger]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: txnId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Transaction ID
+ *     responses:
+ *       200:
+ *         description: Journal retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/JournalEntry'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/transactions/:txnId/journal',
+  validate([validationRules.transactionId]),
+  ledgerController.getTransactionJournal
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const limitController = require('../controllers/LimitController');
+const { validate, validationRules } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/limits/accounts/{accountId}:
+ *   get:
+ *     summary: Get limit usage and headroom for an account
+ *     description: >
+ *       Every limit enforced on the account, given its account type and the holder's KYC tier,
+ *       with the amount and count used so far in the current day or month and what is left
+ *     tags: [Transaction Limits]
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *     responses:
+ *       200:
+ *         description: Limit usage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/LimitUsage'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/accounts/:accountId',
+  validate([validationRules.accountId]),
+  limitController.getAccountUsage
+);
+
+module.exports = router;
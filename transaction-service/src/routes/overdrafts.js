@@ -0,0 +1,94 @@
+const express = require('express');
+const overdraftController = require('../controllers/OverdraftController');
+const { validate, validationRules } = require('../middleware/validation');
+const requireAdmin = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/accounts/{accountId}/overdraft:
+ *   get:
+ *     summary: Get an account's overdraft limit and usage
+ *     tags: [Overdrafts]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *     responses:
+ *       200:
+ *         description: Overdraft retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Overdraft'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:accountId/overdraft',
+  validate([validationRules.accountId]),
+  overdraftController.get
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/accounts/{accountId}/overdraft:
+ *   put:
+ *     summary: Set an account's overdraft limit and interest rate
+ *     description: >
+ *       The balance may go below zero by at most the limit. A limit of 0 removes the overdraft.
+ *       Lowering the limit below the amount already used only blocks further debits.
+ *     tags: [Overdrafts]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OverdraftRequest'
+ *     responses:
+ *       200:
+ *         description: Overdraft updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Overdraft'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.put('/:accountId/overdraft',
+  validate([validationRules.accountId, ...validationRules.overdraftValidation]),
+  overdraftController.update
+);
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const reconciliationController = require('../controllers/ReconciliationController');
+const { validate, validationRules } = require('../middleware/validation');
+const requireAdmin = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/reconciliation/runs:
+ *   post:
+ *     summary: Run a balance reconciliation now
+ *     description: >
+ *       Recomputes each account's balance as its opening balance plus every posted transaction
+ *       and compares it with the projected balance. Differences are recorded as breaks; with
+ *       auto_repair each break is repaired by setting the projected balance to the expected one,
+ *       and the balance it replaced is kept on the break.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReconciliationRunRequest'
+ *     responses:
+ *       201:
+ *         description: Reconciliation completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ReconciliationRun'
+ *                         - type: object
+ *                           properties:
+ *                             breaks:
+ *                               type: array
+ *                               items:
+ *                                 $ref: '#/components/schemas/ReconciliationBreak'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/runs',
+  validate(validationRules.reconciliationRunValidation),
+  reconciliationController.run
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/reconciliation/runs:
+ *   get:
+ *     summary: List reconciliation runs
+ *     tags: [Reconciliation]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of runs per page
+ *     responses:
+ *       200:
+ *         description: Reconciliation runs retrieved successfully
+ */
+router.get('/runs',
+  validate(validationRules.reconciliationRunListValidation),
+  reconciliationController.listRuns
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/reconciliation/runs/{runId}:
+ *   get:
+ *     summary: Get reconciliation run details
+ *     tags: [Reconciliation]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Run ID
+ *     responses:
+ *       200:
+ *         description: Reconciliation run retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ReconciliationRun'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/runs/:runId',
+  validate([validationRules.reconciliationRunId]),
+  reconciliationController.getRun
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/reconciliation/breaks:
+ *   get:
+ *     summary: List reconciliation breaks
+ *     tags: [Reconciliation]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, REPAIRED, RESOLVED]
+ *         description: Filter by break status
+ *       - in: query
+ *         name: account_id
+ *         schema:
+ *           type: integer
+ *         description: Filter by account
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of breaks per page
+ *     responses:
+ *       200:
+ *         description: Reconciliation breaks retrieved successfully
+ */
+router.get('/breaks',
+  validate(validationRules.reconciliationBreakListValidation),
+  reconciliationController.listBreaks
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/reconciliation/breaks/{breakId}:
+ *   get:
+ *     summary: Get reconciliation break details
+ *     tags: [Reconciliation]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: breakId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Break ID
+ *     responses:
+ *       200:
+ *         description: Reconciliation break retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ReconciliationBreak'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/breaks/:breakId',
+  validate([validationRules.reconciliationBreakId]),
+  reconciliationController.getBreak
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/reconciliation/breaks/{breakId}/repair:
+ *   post:
+ *     summary: Repair an open reconciliation break
+ *     description: >
+ *       Sets the account's projected balance to its opening balance plus transactions,
+ *       recomputed with the account locked, and records the repair on the break. If the
+ *       account already reconciles the break is resolved instead.
+ *     tags: [Reconciliation]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: breakId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Break ID
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       200:
+ *         description: Reconciliation break closed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ReconciliationBreak'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/breaks/:breakId/repair',
+  validate([validationRules.reconciliationBreakId]),
+  reconciliationController.repairBreak
+);
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const scheduledTransferController = require('../controllers/ScheduledTransferController');
+const { validate, validationRules } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/scheduled-transfers:
+ *   get:
+ *     summary: List scheduled transfers
+ *     tags: [Scheduled Transfers]
+ *     parameters:
+ *       - in: query
+ *         name: account_id
+ *         schema:
+ *           type: integer
+ *         description: Only schedules debiting or crediting this account
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, PROCESSING, COMPLETED, FAILED, CANCELLED]
+ *         description: Filter by schedule status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of schedules per page
+ *     responses:
+ *       200:
+ *         description: Scheduled transfers retrieved successfully
+ */
+router.get('/',
+  validate(validationRules.scheduledTransferListValidation),
+  scheduledTransferController.list
+);
+
+/**
+ * @swagger
+ * /api/v1/scheduled-transfers/{scheduleId}:
+ *   get:
+ *     summary: Get scheduled transfer details
+ *     tags: [Scheduled Transfers]
+ *     parameters:
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Scheduled transfer retrieved successfully
+ *       404:
+ *         description: Scheduled transfer not found
+ */
+router.get('/:scheduleId',
+  validate([validationRules.scheduleId]),
+  scheduledTransferController.getById
+);
+
+/**
+ * @swagger
+ * /api/v1/scheduled-transfers/{scheduleId}:
+ *   put:
+ *     summary: Amend a pending scheduled transfer
+ *     tags: [Scheduled Transfers]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 description: New transfer amount
+ *               execute_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New execution time (must be in the future)
+ *               description:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: New description
+ *     responses:
+ *       200:
+ *         description: Scheduled transfer amended successfully
+ *       400:
+ *         description: Invalid data or schedule is no longer pending
+ *       404:
+ *         description: Scheduled transfer not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.put('/:scheduleId',
+  validate([validationRules.scheduleId, ...validationRules.scheduledTransferAmendValidation]),
+  scheduledTransferController.amend
+);
+
+/**
+ * @swagger
+ * /api/v1/scheduled-transfers/{scheduleId}:
+ *   delete:
+ *     summary: Cancel a pending scheduled transfer
+ *     tags: [Scheduled Transfers]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: scheduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Scheduled transfer cancelled successfully
+ *       400:
+ *         description: Schedule is no longer pending
+ *       404:
+ *         description: Scheduled transfer not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.delete('/:scheduleId',
+  validate([validationRules.scheduleId]),
+  scheduledTransferController.cancel
+);
+
+module.exports = router;
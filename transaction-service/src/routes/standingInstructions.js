@@ -0,0 +1,272 @@
+const express = require('express');
+const standingInstructionController = require('../controllers/StandingInstructionController');
+const { validate, validationRules } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/v1/standing-instructions:
+ *   post:
+ *     summary: Create a standing instruction (recurring transfer)
+ *     tags: [Standing Instructions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from_account_id
+ *               - to_account_id
+ *               - amount
+ *               - frequency
+ *               - start_date
+ *             properties:
+ *               from_account_id:
+ *                 type: integer
+ *                 description: Source account ID
+ *               to_account_id:
+ *                 type: integer
+ *                 description: Destination account ID
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 description: Amount transferred on each occurrence
+ *               description:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: Transfer description
+ *               frequency:
+ *                 type: string
+ *                 enum: [DAILY, WEEKLY, MONTHLY]
+ *                 description: Recurrence frequency
+ *               interval_count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *                 description: Run every N days/weeks/months
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *                 description: Date of the first occurrence
+ *               end_date:
+ *                 type: string
+ *                 format: date
+ *                 description: No occurrences after this date
+ *               max_occurrences:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Stop after this many occurrences
+ *               max_consecutive_failures:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 3
+ *                 description: Suspend after this many failed occurrences in a row
+ *     responses:
+ *       201:
+ *         description: Standing instruction created successfully
+ *       400:
+ *         description: Invalid request data
+ *       404:
+ *         description: Account not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/',
+  validate(validationRules.standingInstructionValidation),
+  standingInstructionController.create
+);
+
+/**
+ * @swagger
+ * /api/v1/standing-instructions:
+ *   get:
+ *     summary: List standing instructions
+ *     tags: [Standing Instructions]
+ *     parameters:
+ *       - in: query
+ *         name: account_id
+ *         schema:
+ *           type: integer
+ *         description: Only instructions debiting or crediting this account
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, SUSPENDED, COMPLETED, CANCELLED]
+ *         description: Filter by instruction status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of instructions per page
+ *     responses:
+ *       200:
+ *         description: Standing instructions retrieved successfully
+ */
+router.get('/',
+  validate(validationRules.standingInstructionListValidation),
+  standingInstructionController.list
+);
+
+/**
+ * @swagger
+ * /api/v1/standing-instructions/{instructionId}:
+ *   get:
+ *     summary: Get standing instruction details
+ *     tags: [Standing Instructions]
+ *     parameters:
+ *       - in: path
+ *         name: instructionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Instruction ID
+ *     responses:
+ *       200:
+ *         description: Standing instruction retrieved successfully
+ *       404:
+ *         description: Standing instruction not found
+ */
+router.get('/:instructionId',
+  validate([validationRules.instructionId]),
+  standingInstructionController.getById
+);
+
+/**
+ * @swagger
+ * /api/v1/standing-instructions/{instructionId}:
+ *   put:
+ *     summary: Amend, pause or resume a standing instruction
+ *     description: Setting status to ACTIVE on a SUSPENDED instruction resumes it from the next occurrence on or after today.
+ *     tags: [Standing Instructions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: instructionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Instruction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               description:
+ *                 type: string
+ *                 maxLength: 255
+ *               end_date:
+ *                 type: string
+ *                 format: date
+ *               max_occurrences:
+ *                 type: integer
+ *                 minimum: 1
+ *               max_consecutive_failures:
+ *                 type: integer
+ *                 minimum: 1
+ *               status:
+ *                 type: string
+ *                 enum: [ACTIVE, SUSPENDED]
+ *     responses:
+ *       200:
+ *         description: Standing instruction updated successfully
+ *       400:
+ *         description: Invalid data or instruction is completed/cancelled
+ *       404:
+ *         description: Standing instruction not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.put('/:instructionId',
+  validate([validationRules.instructionId, ...validationRules.standingInstructionUpdateValidation]),
+  standingInstructionController.update
+);
+
+/**
+ * @swagger
+ * /api/v1/standing-instructions/{instructionId}:
+ *   delete:
+ *     summary: Cancel a standing instruction
+ *     tags: [Standing Instructions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: instructionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Instruction ID
+ *     responses:
+ *       200:
+ *         description: Standing instruction cancelled successfully
+ *       400:
+ *         description: Instruction is already completed or cancelled
+ *       404:
+ *         description: Standing instruction not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.delete('/:instructionId',
+  validate([validationRules.instructionId]),
+  standingInstructionController.cancel
+);
+
+/**
+ * @swagger
+ * /api/v1/standing-instructions/{instructionId}/runs:
+ *   get:
+ *     summary: Get run history for a standing instruction
+ *     tags: [Standing Instructions]
+ *     parameters:
+ *       - in: path
+ *         name: instructionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Instruction ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of runs per page
+ *     responses:
+ *       200:
+ *         description: Run history retrieved successfully
+ *       404:
+ *         description: Standing instruction not found
+ */
+router.get('/:instructionId/runs',
+  validate([validationRules.instructionId, ...validationRules.paginationValidation]),
+  standingInstructionController.getRuns
+);
+
+module.exports = router;
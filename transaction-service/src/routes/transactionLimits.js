@@ -0,0 +1,170 @@
+const express = require('express');
+const limitController = require('../controllers/LimitController');
+const { validate, validationRules } = require('../middleware/validation');
+const requireAdmin = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/transaction-limits:
+ *   post:
+ *     summary: Create a transaction limit
+ *     description: >
+ *       For each period only one limit is enforced: a limit for the specific account type takes
+ *       precedence over one that applies to all account types, then a limit for the specific KYC
+ *       tier over one for all tiers; among those, the one with the latest effective_from wins.
+ *     tags: [Transaction Limits]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransactionLimitRequest'
+ *     responses:
+ *       201:
+ *         description: Transaction limit created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/TransactionLimit'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/',
+  validate(validationRules.transactionLimitValidation),
+  limitController.create
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/transaction-limits:
+ *   get:
+ *     summary: List transaction limits
+ *     tags: [Transaction Limits]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: account_type
+ *         schema:
+ *           type: string
+ *           enum: [SAVINGS, CURRENT, SALARY]
+ *         description: Filter by account type
+ *       - in: query
+ *         name: kyc_tier
+ *         schema:
+ *           type: string
+ *           enum: [BASIC, STANDARD, FULL]
+ *         description: Filter by KYC tier
+ *       - in: query
+ *         name: txn_type
+ *         schema:
+ *           type: string
+ *           enum: [DEPOSIT, WITHDRAWAL, TRANSFER_OUT]
+ *         description: Filter by limited transaction type
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [PER_TRANSACTION, DAILY, MONTHLY]
+ *         description: Filter by period
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only limits currently in effect
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of limits per page
+ *     responses:
+ *       200:
+ *         description: Transaction limits retrieved successfully
+ */
+router.get('/',
+  validate(validationRules.transactionLimitListValidation),
+  limitController.list
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/transaction-limits/{limitId}:
+ *   get:
+ *     summary: Get transaction limit details
+ *     tags: [Transaction Limits]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: path
+ *         name: limitId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Limit ID
+ *     responses:
+ *       200:
+ *         description: Transaction limit retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:limitId',
+  validate([validationRules.limitId]),
+  limitController.getById
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/transaction-limits/{limitId}:
+ *   delete:
+ *     summary: Expire a transaction limit
+ *     description: Ends the limit's validity window now. Limits are kept so past rejections remain explainable.
+ *     tags: [Transaction Limits]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: limitId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Limit ID
+ *     responses:
+ *       200:
+ *         description: Transaction limit expired successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.delete('/:limitId',
+  validate([validationRules.limitId]),
+  limitController.expire
+);
+
+module.exports = router;
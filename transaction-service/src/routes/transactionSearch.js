@@ -0,0 +1,92 @@
+const express = require('express');
+const transactionController = require('../controllers/TransactionController');
+const { validate, validationRules } = require('../middleware/validation');
+const requireAdmin = require('../middleware/adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @swagger
+ * /api/v1/admin/transactions/search:
+ *   get:
+ *     summary: Search transactions across all accounts
+ *     description: >
+ *       Bank-wide search for support staff. Criteria combine with AND, and at least one is
+ *       required so a search never scans every transaction unfiltered.
+ *     tags: [Transaction Search]
+ *     security:
+ *       - AdminToken: []
+ *     parameters:
+ *       - in: query
+ *         name: account_id
+ *         schema:
+ *           type: integer
+ *         description: Only transactions of this account
+ *       - $ref: '#/components/parameters/SearchReference'
+ *       - $ref: '#/components/parameters/SearchCounterparty'
+ *       - $ref: '#/components/parameters/SearchDescription'
+ *       - $ref: '#/components/parameters/SearchMinAmount'
+ *       - $ref: '#/components/parameters/SearchMaxAmount'
+ *       - in: query
+ *         name: txn_type
+ *         schema:
+ *           type: string
+ *           enum: [DEPOSIT, WITHDRAWAL, TRANSFER_IN, TRANSFER_OUT, REVERSAL_CREDIT, REVERSAL_DEBIT, FEE, FEE_TAX, INTEREST, OVERDRAFT_INTEREST]
+ *         description: Only transactions of this type
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, COMPLETED, FAILED, REVERSED]
+ *         description: Only transactions in this status
+ *       - in: query
+ *         name: from_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start date filter (ISO 8601)
+ *       - in: query
+ *         name: to_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End date filter (ISO 8601)
+ *       - $ref: '#/components/parameters/SearchSort'
+ *       - $ref: '#/components/parameters/SearchOrder'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of transactions per page
+ *     responses:
+ *       200:
+ *         description: Matching transactions with pagination (total_count counts every match)
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/search',
+  validate([
+    validationRules.searchAccountId,
+    ...validationRules.searchValidation,
+    ...validationRules.paginationValidation,
+    validationRules.transactionStatus,
+    validationRules.transactionType
+  ]),
+  transactionController.searchTransactions
+);
+
+module.exports = router;
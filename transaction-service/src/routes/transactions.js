@@ -10,6 +10,8 @@ const router = express.Router();
  *   post:
  *     summary: Process a deposit transaction
  *     tags: [Transactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -26,7 +28,6 @@ const router = express.Router();
  *               amount:
  *                 type: number
  *                 minimum: 0.01
- *                 maximum: 10000000
  *                 description: Deposit amount
  *               counterparty:
  *                 type: string
@@ -40,9 +41,11 @@ const router = express.Router();
  *       201:
  *         description: Deposit processed successfully
  *       400:
- *         description: Invalid request data
+ *         description: Invalid request data or limit exceeded
  *       404:
  *         description: Account not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
  */
 router.post('/deposit', 
   validate(validationRules.depositValidation),
@@ -55,6 +58,8 @@ router.post('/deposit',
  *   post:
  *     summary: Process a withdrawal transaction
  *     tags: [Transactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -71,7 +76,6 @@ router.post('/deposit',
  *               amount:
  *                 type: number
  *                 minimum: 0.01
- *                 maximum: 10000000
  *                 description: Withdrawal amount
  *               counterparty:
  *                 type: string
@@ -85,9 +89,11 @@ router.post('/deposit',
  *       201:
  *         description: Withdrawal processed successfully
  *       400:
- *         description: Invalid request data or insufficient balance
+ *         description: Invalid request data, insufficient balance or limit exceeded
  *       404:
  *         description: Account not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
  */
 router.post('/withdraw',
   validate(validationRules.withdrawalValidation),
@@ -100,6 +106,8 @@ router.post('/withdraw',
  *   post:
  *     summary: Process a transfer transaction
  *     tags: [Transactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -120,7 +128,6 @@ router.post('/withdraw',
  *               amount:
  *                 type: number
  *                 minimum: 0.01
- *                 maximum: 1000000
  *                 description: Transfer amount
  *               description:
  *                 type: string
@@ -129,22 +136,66 @@ router.post('/withdraw',
  *               idempotency_key:
  *                 type: string
  *                 maxLength: 255
- *                 description: Idempotency key to prevent duplicate transfers
+ *                 description: Idempotency key (prefer the X-Idempotency-Key header)
+ *               execute_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Execute the transfer at this future time instead of immediately
  *     responses:
  *       201:
  *         description: Transfer processed successfully
+ *       202:
+ *         description: Transfer scheduled for future execution
  *       400:
- *         description: Invalid request data or insufficient balance
+ *         description: Invalid request data, insufficient balance or limit exceeded
  *       404:
  *         description: Account not found
  *       409:
- *         description: Idempotency key conflict
+ *         $ref: '#/components/responses/IdempotencyConflict'
  */
 router.post('/transfer',
   validate([...validationRules.transferValidation, validationRules.idempotencyKey]),
   transactionController.transfer
 );
 
+/**
+ * @swagger
+ * /api/v1/transactions/{txnId}/reverse:
+ *   post:
+ *     summary: Reverse or partially refund a transaction
+ *     description: |
+ *       Posts a compensating entry against a deposit, withdrawal or transfer.
+ *       Transfers are reversed on both legs atomically. Omitting the amount
+ *       reverses whatever remains of the original transaction.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: txnId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Original transaction ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReversalRequest'
+ *     responses:
+ *       201:
+ *         description: Reversal processed successfully
+ *       400:
+ *         description: Invalid amount, already reversed or insufficient balance
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyConflict'
+ */
+router.post('/:txnId/reverse',
+  validate([validationRules.transactionId, ...validationRules.reversalValidation]),
+  transactionController.reverse
+);
+
 /**
  * @swagger
  * /api/v1/transactions/account/{accountId}:
@@ -185,6 +236,48 @@ router.post('/transfer',
  *           type: string
  *           format: date-time
  *         description: End date filter (ISO 8601)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, COMPLETED, FAILED, REVERSED]
+ *         description: Only transactions in this status (all statuses when omitted)
+ *       - in: query
+ *         name: txn_type
+ *         schema:
+ *           type: string
+ *           enum: [DEPOSIT, WITHDRAWAL, TRANSFER_IN, TRANSFER_OUT, REVERSAL_CREDIT, REVERSAL_DEBIT, FEE, FEE_TAX, INTEREST, OVERDRAFT_INTEREST]
+ *         description: Only transactions of this type (all types when omitted)
+ *       - in: query
+ *         name: paging
+ *         schema:
+ *           type: string
+ *           enum: [offset, cursor]
+ *           default: offset
+ *         description: |
+ *           cursor pages by (created_at, txn_id) instead of page numbers: pagination then carries
+ *           next_cursor and prev_cursor and their links, and page is ignored
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque next_cursor or prev_cursor of a previous page (implies paging=cursor)
+ *       - in: query
+ *         name: include_holds
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the account's open (ACTIVE) holds as open_holds
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [transactions, statement]
+ *           default: transactions
+ *         description: |
+ *           statement lists the posted transactions from from_date (required) to to_date (default
+ *           now; a date alone covers the whole day) oldest first, with opening_balance,
+ *           closing_balance and a running_balance on every row. status cannot be combined with it
  *     responses:
  *       200:
  *         description: Transaction history retrieved successfully
@@ -192,7 +285,15 @@ router.post('/transfer',
  *         description: Account not found
  */
 router.get('/account/:accountId',
-  validate([validationRules.accountId, ...validationRules.paginationValidation]),
+  validate([
+    validationRules.accountId,
+    ...validationRules.paginationValidation,
+    validationRules.transactionStatus,
+    validationRules.transactionType,
+    validationRules.includeHolds,
+    validationRules.historyMode,
+    ...validationRules.historyPaging
+  ]),
   transactionController.getTransactionHistory
 );
 
@@ -245,6 +346,12 @@ router.get('/:txnId',
  *           type: string
  *           format: date-time
  *         description: End date filter (ISO 8601)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, COMPLETED, FAILED, REVERSED]
+ *         description: Only transactions in this status (COMPLETED and REVERSED when omitted)
  *     responses:
  *       200:
  *         description: Account summary retrieved successfully
@@ -252,8 +359,397 @@ router.get('/:txnId',
  *         description: Account not found
  */
 router.get('/account/:accountId/summary',
-  validate([validationRules.accountId]),
+  validate([validationRules.accountId, validationRules.transactionStatus]),
   transactionController.getAccountSummary
 );
 
+/**
+ * @swagger
+ * /api/v1/transactions/account/{accountId}/search:
+ *   get:
+ *     summary: Search the transactions of an account
+ *     description: Criteria combine with AND. For a bank-wide search use /api/v1/admin/transactions/search.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *       - $ref: '#/components/parameters/SearchReference'
+ *       - $ref: '#/components/parameters/SearchCounterparty'
+ *       - $ref: '#/components/parameters/SearchDescription'
+ *       - $ref: '#/components/parameters/SearchMinAmount'
+ *       - $ref: '#/components/parameters/SearchMaxAmount'
+ *       - in: query
+ *         name: txn_type
+ *         schema:
+ *           type: string
+ *           enum: [DEPOSIT, WITHDRAWAL, TRANSFER_IN, TRANSFER_OUT, REVERSAL_CREDIT, REVERSAL_DEBIT, FEE, FEE_TAX, INTEREST, OVERDRAFT_INTEREST]
+ *         description: Only transactions of this type
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, COMPLETED, FAILED, REVERSED]
+ *         description: Only transactions in this status
+ *       - in: query
+ *         name: from_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start date filter (ISO 8601)
+ *       - in: query
+ *         name: to_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End date filter (ISO 8601)
+ *       - $ref: '#/components/parameters/SearchSort'
+ *       - $ref: '#/components/parameters/SearchOrder'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of transactions per page
+ *     responses:
+ *       200:
+ *         description: Matching transactions with pagination (total_count counts every match)
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/account/:accountId/search',
+  validate([
+    validationRules.accountId,
+    ...validationRules.searchValidation,
+    ...validationRules.paginationValidation,
+    validationRules.transactionStatus,
+    validationRules.transactionType
+  ]),
+  transactionController.searchAccountTransactions
+);
+
+/**
+ * @swagger
+ * /api/v1/transactions/account/{accountId}/export:
+ *   get:
+ *     summary: Export the transaction history of an account
+ *     description: |
+ *       Streams every transaction matching the filters, oldest first, as a CSV (with a header
+ *       row) or NDJSON download. Rows are read from a database cursor and written as they
+ *       arrive, so there is no page limit and exports of any size run in constant memory.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *         description: Download format
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: Comma-separated columns to export, in order (all transaction fields when omitted)
+ *         example: created_at,txn_type,amount,reference
+ *       - in: query
+ *         name: from_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start date filter (ISO 8601)
+ *       - in: query
+ *         name: to_date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End date filter (ISO 8601)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, COMPLETED, FAILED, REVERSED]
+ *         description: Only transactions in this status (all statuses when omitted)
+ *       - in: query
+ *         name: txn_type
+ *         schema:
+ *           type: string
+ *           enum: [DEPOSIT, WITHDRAWAL, TRANSFER_IN, TRANSFER_OUT, REVERSAL_CREDIT, REVERSAL_DEBIT, FEE, FEE_TAX, INTEREST, OVERDRAFT_INTEREST]
+ *         description: Only transactions of this type (all types when omitted)
+ *     responses:
+ *       200:
+ *         description: Transactions, sent as an attachment named transactions-<account_number>.<format>
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/account/:accountId/export',
+  validate([
+    validationRules.accountId,
+    ...validationRules.exportValidation,
+    validationRules.transactionStatus,
+    validationRules.transactionType
+  ]),
+  transactionController.exportTransactionHistory
+);
+
+/**
+ * @swagger
+ * /api/v1/transactions/account/{accountId}/statement.pdf:
+ *   get:
+ *     summary: Download a PDF account statement
+ *     description: >
+ *       Official statement for a range of calendar days: account and customer details,
+ *       opening and closing balances, every posted transaction with a running balance, and
+ *       the period totals. The document is streamed as it is generated, so long ranges
+ *       are not held in memory.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *       - in: query
+ *         name: from_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to the first of to_date's month)
+ *       - in: query
+ *         name: to_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Statement generated successfully
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/account/:accountId/statement.pdf',
+  validate([validationRules.accountId, ...validationRules.statementValidation]),
+  transactionController.getStatementPdf
+);
+
+/**
+ * @swagger
+ * /api/v1/transactions/account/{accountId}/statement.camt053:
+ *   get:
+ *     summary: Export an ISO 20022 camt.053 statement
+ *     description: >
+ *       BankToCustomerStatement (camt.053.001.02) for a range of calendar days, built from the
+ *       same posted transactions as the account history. Carries the opening (OPBD) and closing
+ *       (CLBD) booked balances, one booked entry per transaction with the transaction reference
+ *       as NtryRef, and the ISO bank transaction code for its type.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *       - in: query
+ *         name: from_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to the first of to_date's month)
+ *       - in: query
+ *         name: to_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Statement generated successfully
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/account/:accountId/statement.camt053',
+  validate([validationRules.accountId, ...validationRules.statementValidation]),
+  transactionController.getStatementCamt053
+);
+
+/**
+ * @swagger
+ * /api/v1/transactions/account/{accountId}/statement.mt940:
+ *   get:
+ *     summary: Export a SWIFT MT940 statement
+ *     description: >
+ *       MT940 customer statement for a range of calendar days, built from the same posted
+ *       transactions as the account history. Opens with the :60F: and closes with the :62F:
+ *       booked balance; each transaction is a :61: line referencing the transaction followed
+ *       by a :86: narrative. Long statements continue in further messages numbered in :28C:.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *       - in: query
+ *         name: from_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to the first of to_date's month)
+ *       - in: query
+ *         name: to_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Statement generated successfully
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/account/:accountId/statement.mt940',
+  validate([validationRules.accountId, ...validationRules.statementValidation]),
+  transactionController.getStatementMt940
+);
+
+/**
+ * @swagger
+ * /api/v1/transactions/account/{accountId}/statement.ofx:
+ *   get:
+ *     summary: Export an OFX statement
+ *     description: >
+ *       OFX 2.2 bank statement for personal finance tools such as GnuCash. Each transaction
+ *       has a FITID built from its ID and reference, so re-importing an overlapping period
+ *       does not duplicate transactions; the ledger balance is the closing balance of to_date.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *       - in: query
+ *         name: from_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to the first of to_date's month)
+ *       - in: query
+ *         name: to_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Statement generated successfully
+ *         content:
+ *           application/x-ofx:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/account/:accountId/statement.ofx',
+  validate([validationRules.accountId, ...validationRules.statementValidation]),
+  transactionController.getStatementOfx
+);
+
+/**
+ * @swagger
+ * /api/v1/transactions/account/{accountId}/statement.qfx:
+ *   get:
+ *     summary: Export a QFX statement for Quicken
+ *     description: The OFX statement with the Intuit bank ID (QFX_INTU_BID) Quicken requires.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Account ID
+ *       - in: query
+ *         name: from_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to the first of to_date's month)
+ *       - in: query
+ *         name: to_date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Statement generated successfully
+ *         content:
+ *           application/vnd.intu.qfx:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/account/:accountId/statement.qfx',
+  validate([validationRules.accountId, ...validationRules.statementValidation]),
+  transactionController.getStatementQfx
+);
+
 module.exports = router;
\ No newline at end of file
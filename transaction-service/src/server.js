@@ -11,9 +11,24 @@ const fs = require('fs');
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
+const idempotency = require('./middleware/idempotency');
 
 // Import routes
 const transactionRoutes = require('./routes/transactions');
+const batchRoutes = require('./routes/batches');
+const scheduledTransferRoutes = require('./routes/scheduledTransfers');
+const standingInstructionRoutes = require('./routes/standingInstructions');
+const fxRateRoutes = require('./routes/fxRates');
+const feeScheduleRoutes = require('./routes/feeSchedules');
+const interestSlabRoutes = require('./routes/interestSlabs');
+const interestRoutes = require('./routes/interest');
+const overdraftRoutes = require('./routes/overdrafts');
+const transactionLimitRoutes = require('./routes/transactionLimits');
+const limitRoutes = require('./routes/limits');
+const holdRoutes = require('./routes/holds');
+const ledgerRoutes = require('./routes/ledger');
+const reconciliationRoutes = require('./routes/reconciliation');
+const transactionSearchRoutes = require('./routes/transactionSearch');
 const healthRoutes = require('./routes/health');
 
 // Import swagger config
@@ -25,6 +40,17 @@ const { logger } = require('./utils/logger');
 // Import messaging
 const consumerManager = require('./messaging/ConsumerManager');
 const transactionService = require('./services/TransactionService');
+const scheduledTransferService = require('./services/ScheduledTransferService');
+const holdService = require('./services/HoldService');
+const interestService = require('./services/InterestService');
+
+// Import background jobs
+const scheduledTransferExecutor = require('./jobs/ScheduledTransferExecutor');
+const standingInstructionExecutor = require('./jobs/StandingInstructionExecutor');
+const batchProcessor = require('./jobs/BatchProcessor');
+const holdExpiryJob = require('./jobs/HoldExpiryJob');
+const interestAccrualJob = require('./jobs/InterestAccrualJob');
+const reconciliationJob = require('./jobs/ReconciliationJob');
 
 // Create Express app
 const app = express();
@@ -82,7 +108,27 @@ app.use('/health', healthRoutes);
 
 // API routes
 const apiVersion = process.env.API_VERSION || 'v1';
+
+// Every mutating API request may carry an idempotency key. Batch uploads are parsed first
+// so a key reused with a different file is refused rather than answered with the old batch
+app.use(`/api/${apiVersion}/transactions/batches`, batchRoutes.csvBody);
+app.use(`/api/${apiVersion}`, idempotency);
+
+app.use(`/api/${apiVersion}/transactions/batches`, batchRoutes);
 app.use(`/api/${apiVersion}/transactions`, transactionRoutes);
+app.use(`/api/${apiVersion}/scheduled-transfers`, scheduledTransferRoutes);
+app.use(`/api/${apiVersion}/standing-instructions`, standingInstructionRoutes);
+app.use(`/api/${apiVersion}/holds`, holdRoutes);
+app.use(`/api/${apiVersion}/interest`, interestRoutes);
+app.use(`/api/${apiVersion}/limits`, limitRoutes);
+app.use(`/api/${apiVersion}/admin/fx-rates`, fxRateRoutes);
+app.use(`/api/${apiVersion}/admin/fee-schedules`, feeScheduleRoutes);
+app.use(`/api/${apiVersion}/admin/interest-slabs`, interestSlabRoutes);
+app.use(`/api/${apiVersion}/admin/accounts`, overdraftRoutes);
+app.use(`/api/${apiVersion}/admin/transaction-limits`, transactionLimitRoutes);
+app.use(`/api/${apiVersion}/admin/ledger`, ledgerRoutes);
+app.use(`/api/${apiVersion}/admin/reconciliation`, reconciliationRoutes);
+app.use(`/api/${apiVersion}/admin/transactions`, transactionSearchRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -119,6 +165,14 @@ const HOST = process.env.HOST || '0.0.0.0';
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   
+  // Stop background jobs
+  scheduledTransferExecutor.stop();
+  standingInstructionExecutor.stop();
+  batchProcessor.stop();
+  holdExpiryJob.stop();
+  interestAccrualJob.stop();
+  reconciliationJob.stop();
+  
   // Stop RabbitMQ consumers
   await consumerManager.shutdown();
   
@@ -132,6 +186,14 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
   
+  // Stop background jobs
+  scheduledTransferExecutor.stop();
+  standingInstructionExecutor.stop();
+  batchProcessor.stop();
+  holdExpiryJob.stop();
+  interestAccrualJob.stop();
+  reconciliationJob.stop();
+  
   // Stop RabbitMQ consumers
   await consumerManager.shutdown();
   
@@ -159,6 +221,26 @@ const server = app.listen(PORT, HOST, async () => {
   logger.info(`API Documentation available at http://${HOST}:${PORT}/api-docs`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
   
+  // Start background jobs
+  if (process.env.SCHEDULED_TRANSFER_EXECUTOR_ENABLED !== 'false') {
+    scheduledTransferExecutor.start();
+  }
+  if (process.env.STANDING_INSTRUCTION_EXECUTOR_ENABLED !== 'false') {
+    standingInstructionExecutor.start();
+  }
+  if (process.env.BATCH_PROCESSOR_ENABLED !== 'false') {
+    batchProcessor.start();
+  }
+  if (process.env.HOLD_EXPIRY_ENABLED !== 'false') {
+    holdExpiryJob.start();
+  }
+  if (process.env.INTEREST_ACCRUAL_ENABLED !== 'false') {
+    interestAccrualJob.start();
+  }
+  if (process.env.RECONCILIATION_ENABLED !== 'false') {
+    reconciliationJob.start();
+  }
+  
   // Initialize and start RabbitMQ consumers
   try {
     logger.info('Initializing RabbitMQ consumers...');
@@ -169,6 +251,9 @@ const server = app.listen(PORT, HOST, async () => {
     const transactionPublisher = consumerManager.getPublisher('transaction');
     if (transactionPublisher) {
       transactionService.setTransactionPublisher(transactionPublisher);
+      scheduledTransferService.setTransactionPublisher(transactionPublisher);
+      holdService.setTransactionPublisher(transactionPublisher);
+      interestService.setTransactionPublisher(transactionPublisher);
       logger.info('Transaction publisher initialized successfully');
     } else {
       logger.warn('Transaction publisher not available');
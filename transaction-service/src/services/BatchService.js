@@ -0,0 +1,398 @@
+const transactionBatchRepository = require('../repositories/TransactionBatchRepository');
+const accountProjectionRepository = require('../repositories/AccountProjectionRepository');
+const transactionService = require('./TransactionService');
+const limitService = require('./LimitService');
+const TransactionBatchLine = require('../models/TransactionBatchLine');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const db = require('../database/connection');
+const { validateData, validationRules } = require('../middleware/validation');
+const { parseCsvWithHeader, toCsvLine } = require('../utils/csv');
+const { logger } = require('../utils/logger');
+
+const MAX_BATCH_LINES = parseInt(process.env.BATCH_MAX_LINES) || 10000;
+
+// Validation rules applied to each line, keyed by line type
+const LINE_VALIDATIONS = {
+  DEPOSIT: validationRules.depositValidation,
+  WITHDRAWAL: validationRules.withdrawalValidation,
+  TRANSFER: validationRules.transferValidation
+};
+
+/**
+ * Batch Service
+ * Handles bulk payment files processed asynchronously line by line
+ */
+class BatchService {
+  /**
+   * Parse and validate a bulk payment CSV
+   * Every line is checked against the API validation rules, every referenced
+   * account must exist and every amount must fit its account's per-transaction
+   * limits, so a bad file is rejected before any money moves
+   * @param {string} csvText - CSV file contents
+   * @returns {Promise<Object>} Validation result with parsed lines
+   */
+  async validateBatchFile(csvText) {
+    const errors = [];
+    let parsed;
+
+    try {
+      parsed = parseCsvWithHeader(csvText);
+    } catch (error) {
+      return { isValid: false, errors: [{ line: 0, message: error.message }], lines: [] };
+    }
+
+    const { headers, records } = parsed;
+
+    if (!headers.includes('type') || !headers.includes('amount')) {
+      errors.push({ line: 0, message: 'Header row must include at least type and amount columns' });
+    }
+    if (records.length === 0) {
+      errors.push({ line: 0, message: 'File contains no transaction lines' });
+    }
+    if (records.length > MAX_BATCH_LINES) {
+      errors.push({ line: 0, message: `File exceeds maximum of ${MAX_BATCH_LINES} lines` });
+    }
+    if (errors.length > 0) {
+      return { isValid: false, errors, lines: [] };
+    }
+
+    const lines = [];
+    const accountIds = new Set();
+
+    for (const record of records) {
+      const txnType = (record.type || '').toUpperCase();
+      const validations = LINE_VALIDATIONS[txnType];
+
+      if (!validations) {
+        errors.push({
+          line: record.line_number,
+          field: 'type',
+          message: `Type must be one of ${TransactionBatchLine.TYPES.join(', ')}`,
+          value: record.type
+        });
+        continue;
+      }
+
+      const payload = this.buildPayload(txnType, record);
+      const lineErrors = await validateData(validations, payload);
+
+      if (lineErrors.length > 0) {
+        lineErrors.forEach(error => errors.push({ line: record.line_number, ...error }));
+        continue;
+      }
+
+      if (txnType === 'TRANSFER') {
+        accountIds.add(payload.from_account_id);
+        accountIds.add(payload.to_account_id);
+      } else {
+        accountIds.add(payload.account_id);
+      }
+
+      lines.push({ line_number: record.line_number, txn_type: txnType, payload });
+    }
+
+    // Every referenced account must exist
+    const accounts = new Map();
+    const missingAccounts = [];
+    for (const accountId of accountIds) {
+      const account = await accountProjectionRepository.findById(accountId);
+      if (!account) {
+        missingAccounts.push(accountId);
+      } else {
+        accounts.set(accountId, account);
+      }
+    }
+
+    if (missingAccounts.length > 0) {
+      lines.forEach(line => {
+        const ids = line.txn_type === 'TRANSFER'
+          ? [line.payload.from_account_id, line.payload.to_account_id]
+          : [line.payload.account_id];
+        ids.filter(id => missingAccounts.includes(id)).forEach(id => {
+          errors.push({ line: line.line_number, message: 'Account not found', value: id });
+        });
+      });
+    }
+
+    // Amounts over a per-transaction limit would only fail once the batch is running
+    for (const line of lines) {
+      const isTransfer = line.txn_type === 'TRANSFER';
+      const account = accounts.get(isTransfer ? line.payload.from_account_id : line.payload.account_id);
+      if (!account) {
+        continue;
+      }
+
+      try {
+        await limitService.checkPerTransactionLimits(account, isTransfer ? 'TRANSFER_OUT' : line.txn_type, line.payload.amount);
+      } catch (error) {
+        errors.push({ line: line.line_number, field: 'amount', message: error.message, value: line.payload.amount });
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors: errors.sort((a, b) => a.line - b.line),
+      lines
+    };
+  }
+
+  /**
+   * Build the service payload for a CSV record
+   * @param {string} txnType - DEPOSIT, WITHDRAWAL or TRANSFER
+   * @param {Object} record - Parsed CSV record
+   * @returns {Object} Payload in the shape the API accepts
+   */
+  buildPayload(txnType, record) {
+    if (txnType === 'TRANSFER') {
+      return {
+        from_account_id: record.from_account_id,
+        to_account_id: record.to_account_id,
+        amount: record.amount,
+        description: record.description
+      };
+    }
+
+    return {
+      account_id: record.account_id,
+      amount: record.amount,
+      counterparty: record.counterparty,
+      description: record.description
+    };
+  }
+
+  /**
+   * Queue a validated batch for processing
+   * @param {Array<Object>} lines - Lines returned by validateBatchFile
+   * @param {Object} options - Batch options (mode, file_name)
+   * @returns {Promise<Object>} Created batch
+   */
+  async createBatch(lines, options = {}) {
+    const batch = await transactionBatchRepository.createWithLines({
+      mode: options.mode || 'BEST_EFFORT',
+      file_name: options.file_name
+    }, lines);
+
+    logger.info('Transaction batch queued', {
+      batchId: batch.batch_id,
+      mode: batch.mode,
+      totalLines: batch.total_lines
+    });
+
+    return batch.toJSON();
+  }
+
+  /**
+   * Get batch status with per-line outcomes
+   * @param {number} batchId - Batch ID
+   * @returns {Promise<Object>} Batch status
+   */
+  async getBatch(batchId) {
+    const batch = await transactionBatchRepository.findById(batchId);
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+
+    const lines = await transactionBatchRepository.findLines(batchId);
+
+    return {
+      ...batch.toJSON(),
+      lines: lines.map(line => line.toJSON())
+    };
+  }
+
+  /**
+   * Build the downloadable result file for a batch
+   * @param {number} batchId - Batch ID
+   * @returns {Promise<string>} CSV contents
+   */
+  async getBatchResultCsv(batchId) {
+    const batch = await transactionBatchRepository.findById(batchId);
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+
+    const lines = await transactionBatchRepository.findLines(batchId);
+
+    let csv = toCsvLine([
+      'line_number', 'type', 'account_id', 'from_account_id', 'to_account_id',
+      'amount', 'status', 'reference', 'txn_id', 'error'
+    ]);
+
+    for (const line of lines) {
+      const result = line.result || {};
+      csv += toCsvLine([
+        line.line_number,
+        line.txn_type,
+        line.payload.account_id,
+        line.payload.from_account_id,
+        line.payload.to_account_id,
+        line.payload.amount,
+        line.status,
+        result.reference || result.transfer_reference,
+        line.getPostedTransactionId(),
+        line.error
+      ]);
+    }
+
+    return csv;
+  }
+
+  /**
+   * Claim and process the next queued batch
+   * @returns {Promise<TransactionBatch|null>} Finished batch or null if none queued
+   */
+  async processNext() {
+    const batch = await transactionBatchRepository.claimNext();
+    if (!batch) {
+      return null;
+    }
+
+    return await this.processBatch(batch);
+  }
+
+  /**
+   * Process every pending line of a claimed batch in file order
+   * @param {TransactionBatch} batch - Claimed batch
+   * @returns {Promise<TransactionBatch>} Finished batch
+   */
+  async processBatch(batch) {
+    // An all-or-nothing batch reclaimed after a crash during its rollback finishes the rollback
+    if (batch.isAllOrNothing()) {
+      const [failedLine] = await transactionBatchRepository.findLines(batch.batch_id, { status: 'FAILED' });
+      if (failedLine) {
+        return await this.rollbackBatch(batch, `Line ${failedLine.line_number} failed: ${failedLine.error}`);
+      }
+    }
+
+    const lines = await transactionBatchRepository.findLines(batch.batch_id, { status: 'PENDING' });
+
+    for (const line of lines) {
+      try {
+        // A line posts together with its SUCCEEDED status, so a batch reclaimed after a
+        // crash never finds a posted line still PENDING and posts it again
+        await db.transaction(async (client) => {
+          const result = await this.executeLine(batch, line, client);
+          await transactionBatchRepository.updateLine(line.line_id, { status: 'SUCCEEDED', result }, client);
+        });
+      } catch (error) {
+        await transactionBatchRepository.updateLine(line.line_id, { status: 'FAILED', error: error.message });
+
+        if (batch.isAllOrNothing()) {
+          return await this.rollbackBatch(batch, `Line ${line.line_number} failed: ${error.message}`);
+        }
+      }
+
+      // Counters double as a heartbeat so a live batch is never reclaimed as stale
+      await transactionBatchRepository.refreshProgress(batch.batch_id);
+    }
+
+    const progress = await transactionBatchRepository.refreshProgress(batch.batch_id);
+    const finished = await transactionBatchRepository.refreshProgress(batch.batch_id, {
+      status: progress.failed_lines > 0 ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED'
+    });
+
+    logger.info('Transaction batch processed', finished.toJSON());
+
+    return finished;
+  }
+
+  /**
+   * Execute one line through the regular service methods
+   * @param {TransactionBatch} batch - Batch being processed
+   * @param {TransactionBatchLine} line - Line to execute
+   * @param {Object} client - Open transaction the line posts on
+   * @returns {Promise<Object>} Line result
+   */
+  async executeLine(batch, line, client) {
+    const { payload } = line;
+
+    switch (line.txn_type) {
+      case 'DEPOSIT': {
+        const result = await transactionService.processDeposit({
+          ...payload,
+          account_id: parseInt(payload.account_id),
+          amount: parseFloat(payload.amount)
+        }, client);
+        return {
+          txn_id: result.transaction.txn_id,
+          reference: result.transaction.reference,
+          new_balance: result.new_balance
+        };
+      }
+      case 'WITHDRAWAL': {
+        const result = await transactionService.processWithdrawal({
+          ...payload,
+          account_id: parseInt(payload.account_id),
+          amount: parseFloat(payload.amount)
+        }, client);
+        return {
+          txn_id: result.transaction.txn_id,
+          reference: result.transaction.reference,
+          new_balance: result.new_balance
+        };
+      }
+      case 'TRANSFER': {
+        const result = await transactionService.processTransfer({
+          ...payload,
+          from_account_id: parseInt(payload.from_account_id),
+          to_account_id: parseInt(payload.to_account_id),
+          amount: parseFloat(payload.amount)
+        }, IdempotencyKey.internal(`batch-${batch.batch_id}-line-${line.line_number}`), client);
+        return {
+          transfer_reference: result.transfer_reference,
+          debit_txn_id: result.debit_transaction.txn_id,
+          credit_txn_id: result.credit_transaction.txn_id
+        };
+      }
+      default:
+        throw new Error(`Unsupported batch line type: ${line.txn_type}`);
+    }
+  }
+
+  /**
+   * Undo an all-or-nothing batch after a failed line
+   * The rest are skipped and lines already posted are reversed with compensating entries,
+   * each together with its ROLLED_BACK status. This is best effort: a line whose reversal
+   * fails (e.g. the account was closed meanwhile) stays SUCCEEDED and leaves the batch
+   * NEEDS_REPAIR, with the failed lines in its error, for manual repair
+   * @param {TransactionBatch} batch - Batch being processed
+   * @param {string} reason - Why the batch is rolled back
+   * @returns {Promise<TransactionBatch>} Finished batch
+   */
+  async rollbackBatch(batch, reason) {
+    await transactionBatchRepository.skipPendingLines(batch.batch_id);
+
+    const succeededLines = await transactionBatchRepository.findLines(batch.batch_id, { status: 'SUCCEEDED' });
+    const rollbackErrors = [];
+
+    for (const line of succeededLines) {
+      try {
+        await db.transaction(async (client) => {
+          await transactionService.reverseTransaction(line.getPostedTransactionId(), {
+            reason: `Rollback of batch ${batch.batch_id} line ${line.line_number}`
+          }, client);
+          await transactionBatchRepository.updateLine(line.line_id, { status: 'ROLLED_BACK' }, client);
+        });
+      } catch (error) {
+        rollbackErrors.push(`line ${line.line_number}: ${error.message}`);
+      }
+    }
+
+    const finished = rollbackErrors.length === 0
+      ? await transactionBatchRepository.refreshProgress(batch.batch_id, { status: 'ROLLED_BACK', error: reason })
+      : await transactionBatchRepository.refreshProgress(batch.batch_id, {
+        status: 'NEEDS_REPAIR',
+        error: `${reason}; rollback incomplete (${rollbackErrors.join('; ')})`
+      });
+
+    if (rollbackErrors.length > 0) {
+      logger.error('Transaction batch rollback incomplete, needs manual repair', finished.toJSON());
+    } else {
+      logger.warn('Transaction batch rolled back', finished.toJSON());
+    }
+
+    return finished;
+  }
+}
+
+module.exports = new BatchService();
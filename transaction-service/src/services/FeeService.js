@@ -0,0 +1,163 @@
+const feeScheduleRepository = require('../repositories/FeeScheduleRepository');
+const transactionRepository = require('../repositories/TransactionRepository');
+const { generateReference } = require('../utils/referenceGenerator');
+const { roundToMinorUnits } = require('../utils/currency');
+
+/**
+ * Fee Service
+ * Manages fee schedules and calculates and posts fees for withdrawals and transfers
+ */
+class FeeService {
+  /**
+   * Create a new fee schedule
+   * @param {Object} scheduleData - Fee schedule data
+   * @returns {Promise<Object>} Created fee schedule
+   */
+  async createSchedule(scheduleData) {
+    const feeSchedule = await feeScheduleRepository.create(scheduleData);
+    return feeSchedule.toJSON();
+  }
+
+  /**
+   * List fee schedules
+   * @param {Object} options - Query options (page, limit, account_type, txn_type, active)
+   * @returns {Promise<Object>} Fee schedules
+   */
+  async listSchedules(options = {}) {
+    const { page = 1, limit = 50, account_type, txn_type, active = false } = options;
+    const offset = (page - 1) * limit;
+
+    const schedules = await feeScheduleRepository.findAll({
+      accountType: account_type,
+      txnType: txn_type,
+      activeOnly: active,
+      limit,
+      offset
+    });
+
+    return {
+      fee_schedules: schedules.map(schedule => schedule.toJSON()),
+      pagination: {
+        current_page: page,
+        page_size: limit
+      }
+    };
+  }
+
+  /**
+   * Get fee schedule by ID
+   * @param {number} feeScheduleId - Fee schedule ID
+   * @returns {Promise<Object>} Fee schedule
+   */
+  async getSchedule(feeScheduleId) {
+    const feeSchedule = await feeScheduleRepository.findById(feeScheduleId);
+    if (!feeSchedule) {
+      throw new Error('Fee schedule not found');
+    }
+
+    return feeSchedule.toJSON();
+  }
+
+  /**
+   * Expire a fee schedule
+   * @param {number} feeScheduleId - Fee schedule ID
+   * @returns {Promise<Object>} Expired fee schedule
+   */
+  async expireSchedule(feeScheduleId) {
+    const feeSchedule = await feeScheduleRepository.expire(feeScheduleId);
+    return feeSchedule.toJSON();
+  }
+
+  /**
+   * Work out the fee for a transaction before it is posted
+   * @param {AccountProjection} account - Account being charged
+   * @param {string} txnType - WITHDRAWAL or TRANSFER_OUT
+   * @param {number} amount - Transaction amount
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Object|null>} Fee breakdown, or null when no schedule applies
+   */
+  async calculateFee(account, txnType, amount, client = null) {
+    const feeSchedule = await feeScheduleRepository.findApplicable(account.account_type, txnType, client);
+    if (!feeSchedule) {
+      return null;
+    }
+
+    let usedThisMonth = 0;
+    if (feeSchedule.free_per_month > 0) {
+      usedThisMonth = await transactionRepository.countPostedThisMonth(account.account_id, txnType, client);
+    }
+    const isFree = usedThisMonth < feeSchedule.free_per_month;
+
+    const baseFee = isFree
+      ? 0
+      : roundToMinorUnits(feeSchedule.calculateBaseFee(parseFloat(amount)), account.currency);
+    const gst = roundToMinorUnits(baseFee * feeSchedule.gst_percent / 100, account.currency);
+
+    return {
+      fee_schedule_id: feeSchedule.fee_schedule_id,
+      txn_type: txnType,
+      currency: account.currency,
+      free_tier: {
+        allowance: feeSchedule.free_per_month,
+        used_this_month: usedThisMonth,
+        applied: isFree
+      },
+      flat_fee: feeSchedule.flat_fee,
+      percent_fee: feeSchedule.percent_fee,
+      base_fee: baseFee,
+      gst_percent: feeSchedule.gst_percent,
+      gst,
+      total: roundToMinorUnits(baseFee + gst, account.currency)
+    };
+  }
+
+  /**
+   * Post the fee (and GST on it) as separate debit entries linked to the charged transaction
+   * @param {Object} fee - Breakdown from calculateFee
+   * @param {Transaction} chargedTransaction - Withdrawal or transfer debit leg the fee is for
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Object|null>} Breakdown including the posted fee transactions
+   */
+  async postFees(fee, chargedTransaction, client = null) {
+    if (!fee) {
+      return null;
+    }
+
+    const entries = [];
+    if (fee.base_fee > 0) {
+      entries.push({
+        txn_type: 'FEE',
+        amount: fee.base_fee,
+        description: `Fee for transaction ${chargedTransaction.reference}`
+      });
+    }
+    if (fee.gst > 0) {
+      entries.push({
+        txn_type: 'FEE_TAX',
+        amount: fee.gst,
+        description: `GST on fee for transaction ${chargedTransaction.reference}`
+      });
+    }
+
+    const transactions = [];
+    for (const entry of entries) {
+      const transaction = await transactionRepository.create({
+        account_id: chargedTransaction.account_id,
+        amount: entry.amount,
+        txn_type: entry.txn_type,
+        counterparty: 'Bank charges',
+        reference: generateReference(),
+        description: entry.description,
+        related_txn_id: chargedTransaction.txn_id
+      }, client);
+      transactions.push(transaction.toJSON());
+    }
+
+    return {
+      ...fee,
+      transactions
+    };
+  }
+}
+
+module.exports = new FeeService();
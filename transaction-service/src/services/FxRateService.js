@@ -0,0 +1,120 @@
+const fxRateRepository = require('../repositories/FxRateRepository');
+const { isSupportedCurrency, roundToMinorUnits, hasValidPrecision } = require('../utils/currency');
+
+// Precision of the fx_rate column on transactions
+const RATE_DECIMALS = 10;
+
+/**
+ * FX Rate Service
+ * Manages currency conversion rates and converts cross-currency amounts
+ */
+class FxRateService {
+  /**
+   * Create a new FX rate
+   * @param {Object} rateData - FX rate data
+   * @returns {Promise<Object>} Created FX rate
+   */
+  async createRate(rateData) {
+    const fxRate = await fxRateRepository.create(rateData);
+    return fxRate.toJSON();
+  }
+
+  /**
+   * List FX rates
+   * @param {Object} options - Query options (page, limit, base_currency, quote_currency, active)
+   * @returns {Promise<Object>} FX rates
+   */
+  async listRates(options = {}) {
+    const { page = 1, limit = 50, base_currency, quote_currency, active = false } = options;
+    const offset = (page - 1) * limit;
+
+    const rates = await fxRateRepository.findAll({
+      baseCurrency: base_currency,
+      quoteCurrency: quote_currency,
+      activeOnly: active,
+      limit,
+      offset
+    });
+
+    return {
+      rates: rates.map(rate => rate.toJSON()),
+      pagination: {
+        current_page: page,
+        page_size: limit
+      }
+    };
+  }
+
+  /**
+   * Get FX rate by ID
+   * @param {number} rateId - Rate ID
+   * @returns {Promise<Object>} FX rate
+   */
+  async getRate(rateId) {
+    const fxRate = await fxRateRepository.findById(rateId);
+    if (!fxRate) {
+      throw new Error('FX rate not found');
+    }
+
+    return fxRate.toJSON();
+  }
+
+  /**
+   * Expire an FX rate
+   * @param {number} rateId - Rate ID
+   * @returns {Promise<Object>} Expired FX rate
+   */
+  async expireRate(rateId) {
+    const fxRate = await fxRateRepository.expire(rateId);
+    return fxRate.toJSON();
+  }
+
+  /**
+   * Convert an amount between two currencies at the rate currently in effect
+   * @param {number} amount - Amount in the source currency
+   * @param {string} fromCurrency - Source currency
+   * @param {string} toCurrency - Destination currency
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Object|null>} Conversion details, or null when no conversion is needed
+   */
+  async convert(amount, fromCurrency, toCurrency, client = null) {
+    if (fromCurrency === toCurrency) {
+      return null;
+    }
+
+    if (!isSupportedCurrency(fromCurrency) || !isSupportedCurrency(toCurrency)) {
+      throw new Error(`Transfer failed: unsupported currency pair ${fromCurrency}/${toCurrency}`);
+    }
+
+    const sourceAmount = parseFloat(amount);
+
+    if (!hasValidPrecision(sourceAmount, fromCurrency)) {
+      throw new Error(`Transfer failed: amount has more decimal places than ${fromCurrency} allows`);
+    }
+
+    const fxRate = await fxRateRepository.findEffectiveRate(fromCurrency, toCurrency, client);
+    if (!fxRate) {
+      throw new Error(`Transfer failed: no valid FX rate for ${fromCurrency}/${toCurrency}`);
+    }
+
+    const appliedRate = parseFloat(fxRate.getAppliedRate().toFixed(RATE_DECIMALS));
+    const convertedAmount = roundToMinorUnits(sourceAmount * appliedRate, toCurrency);
+
+    if (convertedAmount <= 0) {
+      throw new Error(`Transfer failed: amount is too small to convert to ${toCurrency}`);
+    }
+
+    return {
+      rate_id: fxRate.rate_id,
+      original_amount: sourceAmount,
+      original_currency: fromCurrency,
+      converted_amount: convertedAmount,
+      converted_currency: toCurrency,
+      rate: fxRate.rate,
+      spread_percent: fxRate.spread_percent,
+      applied_rate: appliedRate
+    };
+  }
+}
+
+module.exports = new FxRateService();
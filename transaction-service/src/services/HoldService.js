@@ -0,0 +1,356 @@
+const holdRepository = require('../repositories/HoldRepository');
+const accountProjectionRepository = require('../repositories/AccountProjectionRepository');
+const transactionService = require('./TransactionService');
+const limitService = require('./LimitService');
+const { logger } = require('../utils/logger');
+const db = require('../database/connection');
+
+// Publisher will be set by ConsumerManager
+let transactionPublisher = null;
+
+/**
+ * Set the transaction publisher instance
+ * @param {TransactionPublisher} publisher - The publisher instance
+ */
+function setTransactionPublisher(publisher) {
+  transactionPublisher = publisher;
+}
+
+// How long a hold reserves funds when the caller does not give an expiry
+const DEFAULT_EXPIRY_MS = parseInt(process.env.HOLD_DEFAULT_EXPIRY_MS) || 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hold Service
+ * Handles authorization holds: pre-authorize, capture, void and expiry
+ */
+class HoldService {
+  /**
+   * Place a hold on an account, reserving funds without posting a transaction
+   * @param {Object} holdData - Hold data (account_id, amount, counterparty, description, expires_at)
+   * @returns {Promise<Object>} Created hold and the account's remaining available balance
+   */
+  async createHold(holdData) {
+    const { account_id, amount, counterparty, description, expires_at } = holdData;
+
+    const expiresAt = expires_at ? new Date(expires_at) : new Date(Date.now() + DEFAULT_EXPIRY_MS);
+    if (expiresAt <= new Date()) {
+      throw new Error('Hold failed: expires_at must be in the future');
+    }
+
+    const result = await db.transaction(async (client) => {
+      const account = await accountProjectionRepository.lockForUpdate(account_id, client);
+      if (!account) {
+        throw new Error('Account not found');
+      }
+
+      if (!account.isActive()) {
+        throw new Error('Account is not active');
+      }
+
+      // A hold is captured as a withdrawal at the latest, so it must fit the withdrawal limits
+      await limitService.checkLimits(account, 'WITHDRAWAL', amount, client);
+
+      const debitCheck = account.canDebit(amount);
+      if (!debitCheck.allowed) {
+        throw new Error(`Hold failed: ${debitCheck.reason}`);
+      }
+
+      const hold = await holdRepository.create({
+        account_id,
+        amount,
+        counterparty,
+        description,
+        expires_at: expiresAt
+      }, client);
+
+      const updatedAccount = await accountProjectionRepository.adjustHeldAmount(account_id, hold.amount, client);
+
+      return {
+        hold: hold.toJSON(),
+        available_balance: updatedAccount.getAvailableBalance()
+      };
+    });
+
+    this.publishHoldEvent(result.hold);
+
+    return result;
+  }
+
+  /**
+   * List holds
+   * @param {Object} options - Query options (page, limit, account_id, status)
+   * @returns {Promise<Object>} Holds
+   */
+  async listHolds(options = {}) {
+    const { page = 1, limit = 50, account_id, status } = options;
+    const offset = (page - 1) * limit;
+
+    const holds = await holdRepository.findAll({
+      accountId: account_id,
+      status,
+      limit,
+      offset
+    });
+
+    return {
+      holds: holds.map(hold => hold.toJSON()),
+      pagination: {
+        current_page: page,
+        page_size: limit
+      }
+    };
+  }
+
+  /**
+   * Get hold by ID
+   * @param {number} holdId - Hold ID
+   * @returns {Promise<Object>} Hold
+   */
+  async getHold(holdId) {
+    const hold = await holdRepository.findById(holdId);
+    if (!hold) {
+      throw new Error('Hold not found');
+    }
+
+    return hold.toJSON();
+  }
+
+  /**
+   * Get active holds for an account
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Array<Object>>} Open holds
+   */
+  async getOpenHolds(accountId) {
+    const holds = await holdRepository.findActiveByAccountId(accountId);
+    return holds.map(hold => hold.toJSON());
+  }
+
+  /**
+   * Capture a hold in full or in part
+   * Posts a WITHDRAWAL, or a transfer when to_account_id is given. Any uncaptured
+   * remainder is released, so a hold can be captured only once.
+   * @param {number} holdId - Hold ID
+   * @param {Object} captureData - Capture data (amount, to_account_id, description)
+   * @returns {Promise<Object>} Capture result
+   */
+  async captureHold(holdId, captureData = {}) {
+    const { amount, to_account_id, description } = captureData;
+
+    // Set once the capture starts posting, so a rejected posting is recorded like any other
+    let attempt = null;
+
+    let result;
+    try {
+      result = await db.transaction(async (client) => {
+        const hold = await holdRepository.lockForUpdate(holdId, client);
+        if (!hold) {
+          throw new Error('Hold not found');
+        }
+
+        if (!hold.isActive()) {
+          throw new Error(`Hold failed: cannot capture a ${hold.status} hold`);
+        }
+        if (hold.isExpired()) {
+          throw new Error('Hold failed: hold has expired');
+        }
+
+        const captureAmount = amount !== undefined && amount !== null
+          ? Math.round(parseFloat(amount) * 100) / 100
+          : hold.amount;
+
+        if (captureAmount > hold.amount) {
+          throw new Error(`Hold failed: capture amount exceeds held amount of ${hold.amount}`);
+        }
+
+        if (to_account_id && String(to_account_id) === String(hold.account_id)) {
+          throw new Error('Hold failed: cannot capture to the held account');
+        }
+
+        // Lock affected accounts in a stable order to avoid deadlocks
+        const accountIds = [hold.account_id, to_account_id]
+          .filter(Boolean)
+          .map(String)
+          .sort((a, b) => a - b);
+        const accounts = {};
+        for (const accountId of accountIds) {
+          accounts[accountId] = await accountProjectionRepository.lockForUpdate(accountId, client);
+        }
+
+        if (!accounts[String(hold.account_id)]) {
+          throw new Error('Account not found');
+        }
+        if (to_account_id && !accounts[String(to_account_id)]) {
+          throw new Error('Destination account not found');
+        }
+
+        const account = accounts[String(hold.account_id)];
+        if (!account.isActive()) {
+          throw new Error('Account is not active');
+        }
+
+        // Release the reservation first so the captured amount can be debited against it
+        await accountProjectionRepository.adjustHeldAmount(hold.account_id, -hold.amount, client);
+        account.held_amount = Math.round((account.held_amount - hold.amount) * 100) / 100;
+
+        const captureDescription = description || hold.description;
+        let capture;
+        if (to_account_id) {
+          const toAccount = accounts[String(to_account_id)];
+          if (!toAccount.isActive()) {
+            throw new Error('Destination account is not active');
+          }
+
+          attempt = {
+            account_id: hold.account_id,
+            amount: captureAmount,
+            txn_type: 'TRANSFER_OUT',
+            counterparty: `Transfer to account ${to_account_id}`,
+            description: captureDescription
+          };
+
+          const transfer = await transactionService.postTransferLegs(account, toAccount, {
+            amount: captureAmount,
+            description: captureDescription
+          }, client);
+
+          capture = {
+            capture_reference: transfer.transfer_reference,
+            capture_txn_id: transfer.debit_transaction.txn_id,
+            transfer
+          };
+        } else {
+          const withdrawal = {
+            amount: captureAmount,
+            counterparty: hold.counterparty,
+            description: captureDescription
+          };
+          attempt = { account_id: hold.account_id, txn_type: 'WITHDRAWAL', ...withdrawal };
+
+          // Captured like any withdrawal: limits, fees and the balance check all apply
+          const { debitCheck, transaction, fees } = await transactionService.postWithdrawal(account, withdrawal, client);
+
+          capture = {
+            capture_reference: transaction.reference,
+            capture_txn_id: transaction.txn_id,
+            transaction: transaction.toJSON(),
+            new_balance: debitCheck.newBalance,
+            fees
+          };
+        }
+
+        const updatedHold = await holdRepository.markCaptured(hold.hold_id, {
+          captured_amount: captureAmount,
+          capture_reference: capture.capture_reference,
+          capture_txn_id: capture.capture_txn_id
+        }, client);
+
+        return {
+          success: true,
+          hold: updatedHold.toJSON(),
+          captured_amount: captureAmount,
+          released_amount: Math.round((hold.amount - captureAmount) * 100) / 100,
+          ...(capture.transfer
+            ? { transfer: capture.transfer }
+            : { transaction: capture.transaction, new_balance: capture.new_balance }),
+          ...(capture.fees && { fees: capture.fees })
+        };
+      });
+    } catch (error) {
+      // Recorded after the rollback, which releases the account locks the insert would wait on
+      if (attempt) {
+        await transactionService.recordFailedTransaction(attempt, error);
+      }
+      throw error;
+    }
+
+    this.publishHoldEvent(result.hold);
+
+    return result;
+  }
+
+  /**
+   * Void a hold, releasing the reserved funds
+   * @param {number} holdId - Hold ID
+   * @param {string} reason - Why the hold was voided
+   * @returns {Promise<Object>} Voided hold
+   */
+  async voidHold(holdId, reason) {
+    const hold = await db.transaction(async (client) => {
+      const locked = await holdRepository.lockForUpdate(holdId, client);
+      if (!locked) {
+        throw new Error('Hold not found');
+      }
+
+      if (!locked.isActive()) {
+        throw new Error(`Hold failed: cannot void a ${locked.status} hold`);
+      }
+
+      return await this.releaseHold(locked, 'VOIDED', reason || 'Voided', client);
+    });
+
+    this.publishHoldEvent(hold.toJSON());
+
+    return hold.toJSON();
+  }
+
+  /**
+   * Release holds that have passed their expiry time
+   * @param {number} limit - Maximum number of holds to expire in this pass
+   * @returns {Promise<Object>} Expiry summary
+   */
+  async expireDue(limit = 50) {
+    const expired = await db.transaction(async (client) => {
+      const holds = await holdRepository.lockExpired(limit, client);
+      const released = [];
+
+      for (const hold of holds) {
+        released.push(await this.releaseHold(hold, 'EXPIRED', 'Hold expired', client));
+      }
+
+      return released;
+    });
+
+    for (const hold of expired) {
+      logger.info('Hold expired', { holdId: hold.hold_id, accountId: hold.account_id, amount: hold.amount });
+      this.publishHoldEvent(hold.toJSON());
+    }
+
+    return { processed: expired.length, expired: expired.length };
+  }
+
+  /**
+   * Mark a locked hold as released and give its amount back to the account
+   * @param {Hold} hold - Locked active hold
+   * @param {string} status - VOIDED or EXPIRED
+   * @param {string} reason - Release reason
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Hold>} Released hold
+   */
+  async releaseHold(hold, status, reason, client) {
+    await accountProjectionRepository.adjustHeldAmount(hold.account_id, -hold.amount, client);
+    return await holdRepository.markReleased(hold.hold_id, status, reason, client);
+  }
+
+  /**
+   * Publish hold lifecycle event (non-blocking)
+   * @param {Object} holdData - Hold JSON
+   */
+  publishHoldEvent(holdData) {
+    setImmediate(async () => {
+      try {
+        if (!transactionPublisher) {
+          logger.warn('TransactionPublisher not available, skipping event publishing');
+          return;
+        }
+
+        await transactionPublisher.publishHoldUpdated(holdData);
+      } catch (publishError) {
+        logger.error('Failed to publish hold event:', publishError);
+        // Don't fail the hold operation for publishing errors
+      }
+    });
+  }
+}
+
+module.exports = new HoldService();
+module.exports.setTransactionPublisher = setTransactionPublisher;
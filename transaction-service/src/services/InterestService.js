@@ -0,0 +1,409 @@
+const interestRateSlabRepository = require('../repositories/InterestRateSlabRepository');
+const interestAccrualRepository = require('../repositories/InterestAccrualRepository');
+const accountProjectionRepository = require('../repositories/AccountProjectionRepository');
+const transactionRepository = require('../repositories/TransactionRepository');
+const InterestRateSlab = require('../models/InterestRateSlab');
+const { generateReference } = require('../utils/referenceGenerator');
+const { roundToMinorUnits } = require('../utils/currency');
+const { today, occurrenceDate } = require('../utils/recurrence');
+const { logger } = require('../utils/logger');
+const db = require('../database/connection');
+
+// Publisher will be set by ConsumerManager
+let transactionPublisher = null;
+
+/**
+ * Set the transaction publisher instance
+ * @param {TransactionPublisher} publisher - The publisher instance
+ */
+function setTransactionPublisher(publisher) {
+  transactionPublisher = publisher;
+}
+
+// How often accrued interest is paid out: MONTHLY or QUARTERLY
+const CREDIT_FREQUENCY = (process.env.INTEREST_CREDIT_FREQUENCY || 'MONTHLY').toUpperCase();
+
+// Longest accrual report, in days
+const MAX_REPORT_DAYS = 366;
+
+/**
+ * Calendar date a number of days away
+ * @param {string} date - Calendar date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Calendar date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  return occurrenceDate(date, 'DAILY', 1, days);
+}
+
+/**
+ * Interest Service
+ * Manages interest rate slabs, accrues interest daily and settles it at period end:
+ * interest earned is credited, interest on an overdrawn balance is charged
+ */
+class InterestService {
+  /**
+   * Create a new interest rate slab
+   * Slabs of the same account type may not overlap in balance band while both are in effect
+   * @param {Object} slabData - Interest rate slab data
+   * @returns {Promise<Object>} Created slab
+   */
+  async createSlab(slabData) {
+    const candidate = new InterestRateSlab(slabData);
+
+    if (candidate.validate().isValid) {
+      const overlapping = await interestRateSlabRepository.findOverlapping(candidate);
+      if (overlapping.length > 0) {
+        const slabIds = overlapping.map(slab => slab.slab_id).join(', ');
+        throw new Error(`Validation failed: balance band overlaps ${candidate.account_type} slab(s) ${slabIds}; expire them first`);
+      }
+    }
+
+    const slab = await interestRateSlabRepository.create(slabData);
+    return slab.toJSON();
+  }
+
+  /**
+   * List interest rate slabs
+   * @param {Object} options - Query options (page, limit, account_type, active)
+   * @returns {Promise<Object>} Slabs
+   */
+  async listSlabs(options = {}) {
+    const { page = 1, limit = 50, account_type, active = false } = options;
+    const offset = (page - 1) * limit;
+
+    const slabs = await interestRateSlabRepository.findAll({
+      accountType: account_type,
+      activeOnly: active,
+      limit,
+      offset
+    });
+
+    return {
+      slabs: slabs.map(slab => slab.toJSON()),
+      pagination: {
+        current_page: page,
+        page_size: limit
+      }
+    };
+  }
+
+  /**
+   * Get interest rate slab by ID
+   * @param {number} slabId - Slab ID
+   * @returns {Promise<Object>} Slab
+   */
+  async getSlab(slabId) {
+    const slab = await interestRateSlabRepository.findById(slabId);
+    if (!slab) {
+      throw new Error('Interest rate slab not found');
+    }
+
+    return slab.toJSON();
+  }
+
+  /**
+   * Expire an interest rate slab
+   * @param {number} slabId - Slab ID
+   * @returns {Promise<Object>} Expired slab
+   */
+  async expireSlab(slabId) {
+    const slab = await interestRateSlabRepository.expire(slabId);
+    return slab.toJSON();
+  }
+
+  /**
+   * Accrue every interest-bearing account up to a day, settling at each period end
+   * Accounts accrued for the first time start at throughDate; accounts that fell
+   * behind catch up by at most maxDays per run
+   * @param {number} maxDays - Most days to accrue per account in this run
+   * @param {string} throughDate - Last day to accrue (defaults to yesterday)
+   * @returns {Promise<Object>} Run summary
+   */
+  async accrueDue(maxDays = 31, throughDate = addDays(today(), -1)) {
+    const summary = { processed: 0, accrued_days: 0, credited: 0, charged: 0, failed: 0 };
+
+    const accountTypes = await interestRateSlabRepository.findAccountTypesInEffect(throughDate);
+    const accounts = await accountProjectionRepository.findInterestBearing(accountTypes);
+
+    for (const account of accounts) {
+      try {
+        const result = await this.accrueAccount(account, throughDate, maxDays);
+        summary.accrued_days += result.accrued_days;
+        summary.credited += result.credited;
+        summary.charged += result.charged;
+      } catch (error) {
+        summary.failed++;
+        logger.error('Interest accrual failed', {
+          accountId: account.account_id,
+          error: error.message
+        });
+      }
+      summary.processed++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Accrue one account day by day from the day after its last accrual
+   * @param {AccountProjection} account - Account to accrue
+   * @param {string} throughDate - Last day to accrue (YYYY-MM-DD)
+   * @param {number} maxDays - Most days to accrue in this call
+   * @returns {Promise<Object>} Days accrued, credits and charges posted
+   */
+  async accrueAccount(account, throughDate, maxDays = 31) {
+    const lastDate = await interestAccrualRepository.findLastAccrualDate(account.account_id);
+    let date = lastDate ? addDays(lastDate, 1) : throughDate;
+    const result = { accrued_days: 0, credited: 0, charged: 0 };
+
+    for (let day = 0; day < maxDays && date <= throughDate; day++) {
+      const accrual = await this.accrueDay(account, date);
+      if (accrual) {
+        result.accrued_days++;
+      }
+
+      if (this.isCreditDate(date)) {
+        if (await this.creditAccrued(account, date)) {
+          result.credited++;
+        }
+        if (await this.chargeOverdraftInterest(account, date)) {
+          result.charged++;
+        }
+      }
+
+      date = addDays(date, 1);
+    }
+
+    return result;
+  }
+
+  /**
+   * Record one day's interest on the end-of-day balance
+   * Every slab covering part of a positive balance contributes at its own rate; a
+   * negative balance accrues overdraft interest at the account's overdraft rate.
+   * A day is recorded even when nothing accrues so catch-up knows where it stopped
+   * @param {AccountProjection} account - Account to accrue
+   * @param {string} date - Calendar date (YYYY-MM-DD)
+   * @returns {Promise<InterestAccrual|null>} Accrual, or null if the day was already accrued
+   */
+  async accrueDay(account, date) {
+    const slabs = await interestRateSlabRepository.findEffective(account.account_type, date);
+    const balance = await transactionRepository.getEndOfDayBalance(account.account_id, date);
+
+    const interest = balance > 0
+      ? slabs.reduce((sum, slab) => sum + slab.calculateDailyInterest(balance), 0)
+      : 0;
+    const overdraftInterest = balance < 0
+      ? -balance * account.overdraft_interest_rate / 100 / InterestRateSlab.DAYS_IN_YEAR
+      : 0;
+
+    return await interestAccrualRepository.create({
+      account_id: account.account_id,
+      accrual_date: date,
+      balance,
+      accrued_amount: Math.round(interest * 1e6) / 1e6,
+      overdraft_interest: Math.round(overdraftInterest * 1e6) / 1e6
+    });
+  }
+
+  /**
+   * Whether accrued interest is settled at the end of this day
+   * @param {string} date - Calendar date (YYYY-MM-DD)
+   * @returns {boolean} True on the last day of a crediting period
+   */
+  isCreditDate(date) {
+    if (!addDays(date, 1).endsWith('-01')) {
+      return false;
+    }
+
+    if (CREDIT_FREQUENCY === 'QUARTERLY') {
+      return parseInt(date.slice(5, 7)) % 3 === 0;
+    }
+
+    return true;
+  }
+
+  /**
+   * Pay out everything accrued and not yet credited up to a period end as one INTEREST transaction
+   * Less than one minor unit is carried into the next period
+   * @param {AccountProjection} account - Account to credit
+   * @param {string} periodEnd - Last day of the period (YYYY-MM-DD)
+   * @returns {Promise<Transaction|null>} INTEREST transaction, or null if nothing was credited
+   */
+  async creditAccrued(account, periodEnd) {
+    const transaction = await db.transaction(async (client) => {
+      const accruals = await interestAccrualRepository.lockUncredited(account.account_id, periodEnd, client);
+      const accrued = accruals.reduce((sum, accrual) => sum + accrual.accrued_amount, 0);
+      const amount = roundToMinorUnits(accrued, account.currency);
+
+      if (amount <= 0) {
+        return null;
+      }
+
+      const credit = await transactionRepository.create({
+        account_id: account.account_id,
+        amount,
+        txn_type: 'INTEREST',
+        counterparty: 'Interest credit',
+        reference: generateReference(),
+        description: `Interest for ${accruals[0].accrual_date} to ${periodEnd}`
+      }, client);
+
+      await interestAccrualRepository.markCredited(
+        accruals.map(accrual => accrual.accrual_id),
+        credit.txn_id,
+        client
+      );
+
+      return credit;
+    });
+
+    if (!transaction) {
+      return null;
+    }
+
+    logger.info('Interest credited', {
+      accountId: account.account_id,
+      periodEnd,
+      amount: transaction.amount,
+      reference: transaction.reference
+    });
+    this.publishInterestEvent(transaction);
+
+    return transaction;
+  }
+
+  /**
+   * Charge everything accrued on an overdrawn balance and not yet charged up to a
+   * period end as one OVERDRAFT_INTEREST transaction
+   * The charge is posted even if it takes the balance past the overdraft limit.
+   * Less than one minor unit is carried into the next period
+   * @param {AccountProjection} account - Account to charge
+   * @param {string} periodEnd - Last day of the period (YYYY-MM-DD)
+   * @returns {Promise<Transaction|null>} OVERDRAFT_INTEREST transaction, or null if nothing was charged
+   */
+  async chargeOverdraftInterest(account, periodEnd) {
+    const transaction = await db.transaction(async (client) => {
+      const accruals = await interestAccrualRepository.lockUncharged(account.account_id, periodEnd, client);
+      const accrued = accruals.reduce((sum, accrual) => sum + accrual.overdraft_interest, 0);
+      const amount = roundToMinorUnits(accrued, account.currency);
+
+      if (amount <= 0) {
+        return null;
+      }
+
+      const charge = await transactionRepository.create({
+        account_id: account.account_id,
+        amount,
+        txn_type: 'OVERDRAFT_INTEREST',
+        counterparty: 'Overdraft interest',
+        reference: generateReference(),
+        description: `Overdraft interest for ${accruals[0].accrual_date} to ${periodEnd}`
+      }, client);
+
+      await interestAccrualRepository.markCharged(
+        accruals.map(accrual => accrual.accrual_id),
+        charge.txn_id,
+        client
+      );
+
+      return charge;
+    });
+
+    if (!transaction) {
+      return null;
+    }
+
+    logger.info('Overdraft interest charged', {
+      accountId: account.account_id,
+      periodEnd,
+      amount: transaction.amount,
+      reference: transaction.reference
+    });
+    this.publishInterestEvent(transaction);
+
+    return transaction;
+  }
+
+  /**
+   * Publish an interest credit or charge (non-blocking)
+   * @param {Transaction} transaction - INTEREST or OVERDRAFT_INTEREST transaction
+   */
+  publishInterestEvent(transaction) {
+    setImmediate(async () => {
+      try {
+        if (!transactionPublisher) {
+          logger.warn('TransactionPublisher not available, skipping event publishing');
+          return;
+        }
+
+        await transactionPublisher.publishTransactionCompleted(transaction.toJSON());
+      } catch (publishError) {
+        logger.error('Failed to publish interest event:', publishError);
+      }
+    });
+  }
+
+  /**
+   * Accrual report for an account over a range of days
+   * @param {number} accountId - Account ID
+   * @param {string} fromDate - First day (YYYY-MM-DD, defaults to the start of this month)
+   * @param {string} toDate - Last day (YYYY-MM-DD, defaults to today)
+   * @returns {Promise<Object>} Daily accruals with totals
+   */
+  async getAccrualReport(accountId, fromDate = null, toDate = null) {
+    const account = await accountProjectionRepository.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    const to = toDate || today();
+    const from = fromDate || `${to.slice(0, 8)}01`;
+
+    if (from > to) {
+      throw new Error('Validation failed: from_date must not be after to_date');
+    }
+    if (addDays(from, MAX_REPORT_DAYS) <= to) {
+      throw new Error(`Validation failed: report range cannot exceed ${MAX_REPORT_DAYS} days`);
+    }
+
+    const accruals = await interestAccrualRepository.findByAccountId(accountId, from, to);
+
+    const round = value => Math.round(value * 1e6) / 1e6;
+    const totalAccrued = accruals.reduce((sum, accrual) => sum + accrual.accrued_amount, 0);
+    const totalCredited = accruals
+      .filter(accrual => accrual.isCredited())
+      .reduce((sum, accrual) => sum + accrual.accrued_amount, 0);
+    const totalOverdraftInterest = accruals.reduce((sum, accrual) => sum + accrual.overdraft_interest, 0);
+    const totalCharged = accruals
+      .filter(accrual => accrual.isCharged())
+      .reduce((sum, accrual) => sum + accrual.overdraft_interest, 0);
+
+    return {
+      account_id: account.account_id,
+      account_type: account.account_type,
+      currency: account.currency,
+      credit_frequency: CREDIT_FREQUENCY,
+      period: { from, to },
+      days_accrued: accruals.length,
+      total_accrued: round(totalAccrued),
+      total_credited: round(totalCredited),
+      total_uncredited: round(totalAccrued - totalCredited),
+      credit_transaction_ids: [...new Set(accruals
+        .filter(accrual => accrual.isCredited())
+        .map(accrual => accrual.credited_txn_id))],
+      overdraft_interest_rate: account.overdraft_interest_rate,
+      total_overdraft_interest: round(totalOverdraftInterest),
+      total_overdraft_charged: round(totalCharged),
+      total_overdraft_uncharged: round(totalOverdraftInterest - totalCharged),
+      charge_transaction_ids: [...new Set(accruals
+        .filter(accrual => accrual.isCharged())
+        .map(accrual => accrual.charged_txn_id))],
+      accruals: accruals.map(accrual => accrual.toJSON())
+    };
+  }
+}
+
+module.exports = new InterestService();
+module.exports.setTransactionPublisher = setTransactionPublisher;
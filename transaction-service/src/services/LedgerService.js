@@ -0,0 +1,269 @@
+const ledgerAccountRepository = require('../repositories/LedgerAccountRepository');
+const journalEntryRepository = require('../repositories/JournalEntryRepository');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const { today, occurrenceDate } = require('../utils/recurrence');
+
+// Longest ledger account statement, in days
+const MAX_STATEMENT_DAYS = 366;
+
+const round = value => Math.round(value * 100) / 100 || 0;
+
+/**
+ * Ledger Service
+ * General ledger: chart of accounts, manual journals, trial balance and ledger account
+ * statements. Journals for transactions are posted by the database as each transaction
+ * is posted (see journal_transaction in schema.sql)
+ */
+class LedgerService {
+  /**
+   * List the chart of accounts
+   * @param {Object} options - Query options (account_type)
+   * @returns {Promise<Array<Object>>} Ledger accounts
+   */
+  async listAccounts(options = {}) {
+    const accounts = await ledgerAccountRepository.findAll({ accountType: options.account_type });
+    return accounts.map(account => account.toJSON());
+  }
+
+  /**
+   * Add an account to the chart of accounts
+   * @param {Object} accountData - Ledger account data (code, name, account_type, description)
+   * @returns {Promise<Object>} Created ledger account
+   */
+  async createAccount(accountData) {
+    const account = await ledgerAccountRepository.create(accountData);
+    return account.toJSON();
+  }
+
+  /**
+   * Get ledger account by code
+   * @param {string} code - Ledger account code
+   * @returns {Promise<LedgerAccount>} Ledger account
+   */
+  async getAccount(code) {
+    const account = await ledgerAccountRepository.findByCode(code);
+    if (!account) {
+      throw new Error('Ledger account not found');
+    }
+
+    return account;
+  }
+
+  /**
+   * Post a manual journal, e.g. a period-end adjustment or clearing suspense
+   * Customer balances only move through transactions, so manual journals cannot
+   * post to the customer deposits control account
+   * @param {Object} journalData - Journal data (description, posted_at, postings of ledger_account_code, currency, debit or credit)
+   * @returns {Promise<Object>} Posted journal
+   */
+  async postManualJournal(journalData) {
+    const postings = (journalData.postings || []).map(posting => JournalEntry.toPosting(posting));
+    const codes = [...new Set(postings.map(posting => posting.ledger_account_code))];
+
+    if (codes.includes(LedgerAccount.CUSTOMER_DEPOSITS)) {
+      throw new Error(`Validation failed: manual journals cannot post to ${LedgerAccount.CUSTOMER_DEPOSITS}`);
+    }
+
+    const accounts = await ledgerAccountRepository.findByCodes(codes);
+    const idsByCode = Object.fromEntries(accounts.map(account => [account.code, account.ledger_account_id]));
+
+    const unknown = codes.filter(code => !idsByCode[code]);
+    if (unknown.length > 0) {
+      throw new Error(`Validation failed: unknown ledger account ${unknown.join(', ')}`);
+    }
+
+    const journal = await journalEntryRepository.create({
+      description: journalData.description,
+      posted_at: journalData.posted_at || null,
+      postings: postings.map(posting => ({
+        ...posting,
+        ledger_account_id: idsByCode[posting.ledger_account_code],
+        account_id: null
+      }))
+    });
+
+    return journal.toJSON();
+  }
+
+  /**
+   * Get journal by ID
+   * @param {number} journalId - Journal ID
+   * @returns {Promise<Object>} Journal with its postings
+   */
+  async getJournal(journalId) {
+    const journal = await journalEntryRepository.findById(journalId);
+    if (!journal) {
+      throw new Error('Journal not found');
+    }
+
+    return journal.toJSON();
+  }
+
+  /**
+   * Get the journal posted for a transaction
+   * @param {number} txnId - Transaction ID
+   * @returns {Promise<Object>} Journal with its postings
+   */
+  async getTransactionJournal(txnId) {
+    const journal = await journalEntryRepository.findByTxnId(txnId);
+    if (!journal) {
+      throw new Error('Journal not found for this transaction');
+    }
+
+    return journal.toJSON();
+  }
+
+  /**
+   * List journals
+   * @param {Object} options - Query options (page, limit, from_date, to_date, manual)
+   * @returns {Promise<Object>} Journals
+   */
+  async listJournals(options = {}) {
+    const { page = 1, limit = 50, from_date, to_date, manual = false } = options;
+    const offset = (page - 1) * limit;
+
+    const journals = await journalEntryRepository.findAll({
+      fromDate: from_date,
+      toDate: to_date,
+      manualOnly: manual,
+      limit,
+      offset
+    });
+
+    return {
+      journals: journals.map(journal => journal.toJSON()),
+      pagination: {
+        current_page: page,
+        page_size: limit
+      }
+    };
+  }
+
+  /**
+   * Trial balance as of the end of a day
+   * Each ledger account's balance appears in the debit or credit column by its sign; in
+   * every currency the two columns total the same when the books balance
+   * @param {string} asOf - Last day included (YYYY-MM-DD, defaults to today)
+   * @returns {Promise<Object>} Trial balance
+   */
+  async getTrialBalance(asOf = null) {
+    const date = asOf || today();
+    const rows = await journalEntryRepository.getTrialBalance(date);
+
+    const totals = {};
+    const accounts = rows.map(row => {
+      const net = round(row.total_debits - row.total_credits);
+      const currencyTotals = totals[row.currency] = totals[row.currency] || {
+        currency: row.currency,
+        total_debits: 0,
+        total_credits: 0,
+        debit_balances: 0,
+        credit_balances: 0
+      };
+
+      currencyTotals.total_debits = round(currencyTotals.total_debits + row.total_debits);
+      currencyTotals.total_credits = round(currencyTotals.total_credits + row.total_credits);
+      currencyTotals.debit_balances = round(currencyTotals.debit_balances + Math.max(net, 0));
+      currencyTotals.credit_balances = round(currencyTotals.credit_balances + Math.max(-net, 0));
+
+      return {
+        code: row.code,
+        name: row.name,
+        account_type: row.account_type,
+        currency: row.currency,
+        total_debits: row.total_debits,
+        total_credits: row.total_credits,
+        debit_balance: net > 0 ? net : 0,
+        credit_balance: net < 0 ? -net : 0
+      };
+    });
+
+    const currencies = Object.values(totals).map(currencyTotals => ({
+      ...currencyTotals,
+      balanced: currencyTotals.debit_balances === currencyTotals.credit_balances
+    }));
+
+    return {
+      as_of: date,
+      balanced: currencies.every(currencyTotals => currencyTotals.balanced),
+      accounts,
+      totals: currencies
+    };
+  }
+
+  /**
+   * Statement of a ledger account for a date range
+   * Balances are on the account's normal side (a positive CUSTOMER_DEPOSITS balance is
+   * money owed to customers) and run separately per currency
+   * @param {string} code - Ledger account code
+   * @param {Object} options - Options (from_date, to_date, account_id for one customer account, currency)
+   * @returns {Promise<Object>} Statement
+   */
+  async getAccountStatement(code, options = {}) {
+    const account = await this.getAccount(code);
+
+    const to = options.to_date || today();
+    const from = options.from_date || `${to.slice(0, 8)}01`;
+
+    if (from > to) {
+      throw new Error('Validation failed: from_date must not be after to_date');
+    }
+    if (occurrenceDate(from, 'DAILY', 1, MAX_STATEMENT_DAYS) <= to) {
+      throw new Error(`Validation failed: statement range cannot exceed ${MAX_STATEMENT_DAYS} days`);
+    }
+
+    const filters = { accountId: options.account_id, currency: options.currency };
+    const [openingNet, postings] = await Promise.all([
+      journalEntryRepository.getNetBefore(account.ledger_account_id, from, filters),
+      journalEntryRepository.findPostings(account.ledger_account_id, from, to, filters)
+    ]);
+
+    const summaries = {};
+    const summaryFor = (currency) => {
+      summaries[currency] = summaries[currency] || {
+        currency,
+        opening_balance: account.toNormalBalance(openingNet[currency] || 0),
+        total_debits: 0,
+        total_credits: 0,
+        closing_balance: account.toNormalBalance(openingNet[currency] || 0)
+      };
+      return summaries[currency];
+    };
+    Object.keys(openingNet).forEach(summaryFor);
+
+    const lines = postings.map(posting => {
+      const summary = summaryFor(posting.currency);
+      const debit = posting.amount > 0 ? posting.amount : 0;
+      const credit = posting.amount < 0 ? -posting.amount : 0;
+
+      summary.total_debits = round(summary.total_debits + debit);
+      summary.total_credits = round(summary.total_credits + credit);
+      summary.closing_balance = round(summary.closing_balance + account.toNormalBalance(posting.amount));
+
+      return {
+        posting_id: posting.posting_id,
+        journal_id: posting.journal_id,
+        txn_id: posting.txn_id,
+        reference: posting.reference,
+        account_id: posting.account_id,
+        posted_at: posting.posted_at,
+        description: posting.description,
+        currency: posting.currency,
+        debit,
+        credit,
+        balance: summary.closing_balance
+      };
+    });
+
+    return {
+      ledger_account: account.toJSON(),
+      period: { from, to },
+      account_id: options.account_id || null,
+      balances: Object.values(summaries),
+      postings: lines
+    };
+  }
+}
+
+module.exports = new LedgerService();
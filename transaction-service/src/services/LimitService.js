@@ -0,0 +1,206 @@
+const transactionLimitRepository = require('../repositories/TransactionLimitRepository');
+const transactionRepository = require('../repositories/TransactionRepository');
+const accountProjectionRepository = require('../repositories/AccountProjectionRepository');
+const customerProjectionRepository = require('../repositories/CustomerProjectionRepository');
+const TransactionLimit = require('../models/TransactionLimit');
+
+const PERIOD_LABELS = {
+  PER_TRANSACTION: 'per-transaction',
+  DAILY: 'daily',
+  MONTHLY: 'monthly'
+};
+
+const TYPE_LABELS = {
+  DEPOSIT: 'deposit',
+  WITHDRAWAL: 'withdrawal',
+  TRANSFER_OUT: 'transfer'
+};
+
+/**
+ * Limit Service
+ * Manages transaction limits and enforces them by account type and customer KYC tier
+ */
+class LimitService {
+  /**
+   * Create a new transaction limit
+   * @param {Object} limitData - Transaction limit data
+   * @returns {Promise<Object>} Created transaction limit
+   */
+  async createLimit(limitData) {
+    const limit = await transactionLimitRepository.create(limitData);
+    return limit.toJSON();
+  }
+
+  /**
+   * List transaction limits
+   * @param {Object} options - Query options (page, limit, account_type, kyc_tier, txn_type, period, active)
+   * @returns {Promise<Object>} Transaction limits
+   */
+  async listLimits(options = {}) {
+    const { page = 1, limit = 50, account_type, kyc_tier, txn_type, period, active = false } = options;
+    const offset = (page - 1) * limit;
+
+    const limits = await transactionLimitRepository.findAll({
+      accountType: account_type,
+      kycTier: kyc_tier,
+      txnType: txn_type,
+      period,
+      activeOnly: active,
+      limit,
+      offset
+    });
+
+    return {
+      limits: limits.map(transactionLimit => transactionLimit.toJSON()),
+      pagination: {
+        current_page: page,
+        page_size: limit
+      }
+    };
+  }
+
+  /**
+   * Get transaction limit by ID
+   * @param {number} limitId - Limit ID
+   * @returns {Promise<Object>} Transaction limit
+   */
+  async getLimit(limitId) {
+    const limit = await transactionLimitRepository.findById(limitId);
+    if (!limit) {
+      throw new Error('Transaction limit not found');
+    }
+
+    return limit.toJSON();
+  }
+
+  /**
+   * Expire a transaction limit
+   * @param {number} limitId - Limit ID
+   * @returns {Promise<Object>} Expired transaction limit
+   */
+  async expireLimit(limitId) {
+    const limit = await transactionLimitRepository.expire(limitId);
+    return limit.toJSON();
+  }
+
+  /**
+   * KYC tier of the account holder; customers not yet projected get the lowest tier
+   * @param {AccountProjection} account - Account
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<string>} KYC tier
+   */
+  async getKycTier(account, client = null) {
+    const kycTier = await customerProjectionRepository.findKycTier(account.customer_id, client);
+    return kycTier || TransactionLimit.DEFAULT_KYC_TIER;
+  }
+
+  /**
+   * Make sure a transaction fits under every limit that applies to the account
+   * @param {AccountProjection} account - Account being debited (or credited, for deposits)
+   * @param {string} txnType - DEPOSIT, WITHDRAWAL or TRANSFER_OUT
+   * @param {number} amount - Transaction amount
+   * @param {Object} client - Database client (for transactions)
+   * @throws {Error} "Limit exceeded: ..." naming the limit hit and the headroom left
+   */
+  async checkLimits(account, txnType, amount, client = null) {
+    const kycTier = await this.getKycTier(account, client);
+    const limits = await transactionLimitRepository.findApplicable(account.account_type, kycTier, txnType, client);
+
+    for (const limit of limits) {
+      const used = limit.period === 'PER_TRANSACTION'
+        ? { amount: 0, count: 0 }
+        : await transactionRepository.getUsageForPeriod(account.account_id, txnType, limit.period, client);
+
+      const check = limit.check(amount, used);
+      if (!check.allowed) {
+        throw new Error(this.describeBreach(limit, check, used));
+      }
+    }
+  }
+
+  /**
+   * Make sure a transaction fits under the per-transaction limits that apply to the account
+   * These do not depend on usage, so they can be checked before anything is posted
+   * @param {AccountProjection} account - Account being debited (or credited, for deposits)
+   * @param {string} txnType - DEPOSIT, WITHDRAWAL or TRANSFER_OUT
+   * @param {number} amount - Transaction amount
+   * @param {Object} client - Database client (for transactions)
+   * @throws {Error} "Limit exceeded: ..." naming the limit hit and the headroom left
+   */
+  async checkPerTransactionLimits(account, txnType, amount, client = null) {
+    const kycTier = await this.getKycTier(account, client);
+    const limits = await transactionLimitRepository.findApplicable(account.account_type, kycTier, txnType, client);
+
+    for (const limit of limits.filter(applicable => applicable.period === 'PER_TRANSACTION')) {
+      const check = limit.check(amount);
+      if (!check.allowed) {
+        throw new Error(this.describeBreach(limit, check));
+      }
+    }
+  }
+
+  /**
+   * Current usage and headroom under every limit that applies to an account
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Object>} Limits with usage per transaction type
+   */
+  async getAccountUsage(accountId) {
+    const account = await accountProjectionRepository.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    const kycTier = await this.getKycTier(account);
+    const limits = [];
+
+    for (const txnType of TransactionLimit.LIMITED_TYPES) {
+      const applicable = await transactionLimitRepository.findApplicable(account.account_type, kycTier, txnType);
+
+      for (const limit of applicable) {
+        const used = limit.period === 'PER_TRANSACTION'
+          ? null
+          : await transactionRepository.getUsageForPeriod(account.account_id, txnType, limit.period);
+
+        limits.push({
+          ...limit.toJSON(),
+          used,
+          headroom: limit.getHeadroom(used || undefined)
+        });
+      }
+    }
+
+    return {
+      account_id: account.account_id,
+      account_type: account.account_type,
+      kyc_tier: kycTier,
+      currency: account.currency,
+      limits
+    };
+  }
+
+  /**
+   * Build the error message for a breached limit
+   * @param {TransactionLimit} limit - Limit that was hit
+   * @param {Object} check - Result of limit.check
+   * @param {Object} used - Usage in the current period
+   * @returns {string} Error message
+   */
+  describeBreach(limit, check, used) {
+    const isAmount = check.cap === 'amount';
+    const format = value => (isAmount ? value.toFixed(2) : String(value));
+    const max = isAmount ? limit.max_amount : limit.max_count;
+    const headroom = isAmount ? check.headroom.amount : check.headroom.count;
+
+    let message = `Limit exceeded: ${PERIOD_LABELS[limit.period]} ${TYPE_LABELS[limit.txn_type]}`;
+    message += `${limit.period === 'PER_TRANSACTION' ? '' : ` ${check.cap}`} limit of ${format(max)}`;
+    message += ` for ${limit.getScope()} (limit ${limit.limit_id}); `;
+    if (limit.period !== 'PER_TRANSACTION') {
+      message += `used ${format(isAmount ? used.amount : used.count)}, `;
+    }
+    message += `headroom ${format(headroom)}`;
+
+    return message;
+  }
+}
+
+module.exports = new LimitService();
@@ -0,0 +1,72 @@
+const accountProjectionRepository = require('../repositories/AccountProjectionRepository');
+const AccountProjection = require('../models/AccountProjection');
+const { logger } = require('../utils/logger');
+
+/**
+ * Overdraft Service
+ * Manages sanctioned overdraft limits and rates on account projections
+ */
+class OverdraftService {
+  /**
+   * Get an account's overdraft and how much of it is in use
+   * @param {number} accountId - Account ID
+   * @returns {Promise<Object>} Overdraft usage
+   */
+  async getOverdraft(accountId) {
+    const account = await accountProjectionRepository.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    return {
+      account_id: account.account_id,
+      current_balance: account.current_balance,
+      available_with_overdraft: account.getAvailableWithOverdraft(),
+      ...account.getOverdraftUsage()
+    };
+  }
+
+  /**
+   * Set an account's overdraft limit and/or interest rate
+   * Lowering the limit below what is already used is allowed; further debits are
+   * refused until the balance is back within the new limit
+   * @param {number} accountId - Account ID
+   * @param {Object} overdraftData - overdraft_limit and/or overdraft_interest_rate
+   * @returns {Promise<Object>} Overdraft usage after the change
+   */
+  async setOverdraft(accountId, overdraftData) {
+    const { overdraft_limit, overdraft_interest_rate } = overdraftData;
+
+    const account = await accountProjectionRepository.findById(accountId);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    const changes = {};
+    if (overdraft_limit !== undefined) {
+      changes.overdraft_limit = parseFloat(overdraft_limit);
+    }
+    if (overdraft_interest_rate !== undefined) {
+      changes.overdraft_interest_rate = parseFloat(overdraft_interest_rate);
+    }
+
+    const validation = new AccountProjection({ ...account, ...changes }).validate();
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const updated = await accountProjectionRepository.updateOverdraft(accountId, changes);
+
+    if (updated.getOverdraftUsed() > updated.overdraft_limit) {
+      logger.warn('Overdraft limit set below current usage', {
+        accountId,
+        overdraftLimit: updated.overdraft_limit,
+        overdraftUsed: updated.getOverdraftUsed()
+      });
+    }
+
+    return await this.getOverdraft(updated.account_id);
+  }
+}
+
+module.exports = new OverdraftService();
@@ -0,0 +1,230 @@
+const db = require('../database/connection');
+const reconciliationRepository = require('../repositories/ReconciliationRepository');
+const accountProjectionRepository = require('../repositories/AccountProjectionRepository');
+const { logger, logTransaction } = require('../utils/logger');
+
+/**
+ * Reconciliation Service
+ * Checks every account's projected balance against its opening balance plus the
+ * transactions posted to it, records the breaks, and optionally repairs them
+ */
+class ReconciliationService {
+  /**
+   * Run a reconciliation
+   * With auto_repair each break is repaired as it is found: the projected balance is
+   * set to the expected one and the repair recorded on the break
+   * @param {Object} options - Options (triggered_by SCHEDULE or ADMIN, auto_repair, account_id to check one account)
+   * @returns {Promise<Object>} Run summary with the breaks found
+   */
+  async run(options = {}) {
+    const { triggered_by = 'ADMIN', auto_repair = false, account_id = null } = options;
+
+    if (account_id) {
+      const account = await accountProjectionRepository.findById(account_id);
+      if (!account) {
+        throw new Error('Account not found');
+      }
+    }
+
+    const run = await reconciliationRepository.createRun({ triggered_by, auto_repair, account_id });
+
+    try {
+      const accountsChecked = await reconciliationRepository.countAccounts(account_id);
+      const mismatches = await reconciliationRepository.findMismatches(account_id);
+
+      const breaks = [];
+      let repaired = 0;
+      let resolved = 0;
+
+      for (const mismatch of mismatches) {
+        let reconciliationBreak = await reconciliationRepository.recordBreak(run.run_id, mismatch);
+
+        if (auto_repair) {
+          reconciliationBreak = await this.repair(reconciliationBreak, 'AUTO_REPAIR', run.run_id);
+          if (reconciliationBreak.status === 'REPAIRED') {
+            repaired++;
+          } else if (reconciliationBreak.status === 'RESOLVED') {
+            resolved++;
+          }
+        }
+
+        breaks.push(reconciliationBreak);
+      }
+
+      const closed = await reconciliationRepository.resolveOpenBreaks(
+        run.run_id,
+        mismatches.map(mismatch => mismatch.account_id),
+        account_id
+      );
+
+      if (breaks.length > 0) {
+        logger.warn('Balance reconciliation found breaks', {
+          runId: run.run_id,
+          breaks: breaks.map(({ account_id, difference }) => ({ account_id, difference }))
+        });
+      }
+
+      const completed = await reconciliationRepository.completeRun(run.run_id, {
+        accounts_checked: accountsChecked,
+        breaks_found: breaks.length,
+        breaks_repaired: repaired,
+        breaks_resolved: resolved + closed.length
+      });
+
+      return {
+        ...completed.toJSON(),
+        breaks: breaks.map(reconciliationBreak => reconciliationBreak.toJSON())
+      };
+    } catch (error) {
+      await reconciliationRepository.failRun(run.run_id, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Repair an open break on request
+   * @param {number} breakId - Break ID
+   * @returns {Promise<Object>} Closed break
+   */
+  async repairBreak(breakId) {
+    const reconciliationBreak = await this.getBreakModel(breakId);
+
+    if (!reconciliationBreak.isOpen()) {
+      throw new Error(`Repair failed: break is already ${reconciliationBreak.status}`);
+    }
+
+    const closed = await this.repair(reconciliationBreak, 'ADMIN');
+    return closed.toJSON();
+  }
+
+  /**
+   * Set an account's projected balance to its opening balance plus transactions
+   * The balance is recomputed with the account row locked, so a posting that landed
+   * since the break was found is neither lost nor counted twice. If the account
+   * reconciles by then the break is resolved without touching the balance
+   * @param {ReconciliationBreak} reconciliationBreak - Open break
+   * @param {string} repairedBy - AUTO_REPAIR or ADMIN
+   * @param {number} runId - Run making the repair (optional)
+   * @returns {Promise<ReconciliationBreak>} Closed break
+   */
+  async repair(reconciliationBreak, repairedBy, runId = null) {
+    const closed = await db.transaction(async (client) => {
+      await accountProjectionRepository.lockForUpdate(reconciliationBreak.account_id, client);
+      const balance = await reconciliationRepository.getBalance(reconciliationBreak.account_id, client);
+
+      if (balance.difference === 0) {
+        return await reconciliationRepository.closeBreak(reconciliationBreak.break_id, {
+          status: 'RESOLVED',
+          run_id: runId
+        }, client);
+      }
+
+      const repairedBreak = await reconciliationRepository.closeBreak(reconciliationBreak.break_id, {
+        status: 'REPAIRED',
+        run_id: runId,
+        repaired_by: repairedBy,
+        balance_before: balance.projected_balance,
+        balance_after: balance.expected_balance
+      }, client);
+
+      if (repairedBreak) {
+        await accountProjectionRepository.updateBalance(balance.account_id, balance.expected_balance, client);
+      }
+
+      return repairedBreak;
+    });
+
+    if (!closed) {
+      throw new Error('Repair failed: break was closed by another repair');
+    }
+
+    if (closed.status === 'REPAIRED') {
+      logTransaction('BALANCE_REPAIRED', closed.toJSON(), { repairedBy, runId });
+    }
+
+    return closed;
+  }
+
+  /**
+   * Get reconciliation run by ID
+   * @param {number} runId - Run ID
+   * @returns {Promise<Object>} Run
+   */
+  async getRun(runId) {
+    const run = await reconciliationRepository.findRunById(runId);
+    if (!run) {
+      throw new Error('Reconciliation run not found');
+    }
+
+    return run.toJSON();
+  }
+
+  /**
+   * List reconciliation runs
+   * @param {Object} options - Query options (page, limit)
+   * @returns {Promise<Object>} Runs
+   */
+  async listRuns(options = {}) {
+    const { page = 1, limit = 50 } = options;
+
+    const runs = await reconciliationRepository.findRuns({ limit, offset: (page - 1) * limit });
+
+    return {
+      runs: runs.map(run => run.toJSON()),
+      pagination: {
+        current_page: page,
+        page_size: limit
+      }
+    };
+  }
+
+  /**
+   * Get reconciliation break by ID
+   * @param {number} breakId - Break ID
+   * @returns {Promise<Object>} Break
+   */
+  async getBreak(breakId) {
+    const reconciliationBreak = await this.getBreakModel(breakId);
+    return reconciliationBreak.toJSON();
+  }
+
+  /**
+   * List reconciliation breaks
+   * @param {Object} options - Query options (status, account_id, page, limit)
+   * @returns {Promise<Object>} Breaks
+   */
+  async listBreaks(options = {}) {
+    const { status, account_id, page = 1, limit = 50 } = options;
+
+    const breaks = await reconciliationRepository.findBreaks({
+      status,
+      accountId: account_id,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      breaks: breaks.map(reconciliationBreak => reconciliationBreak.toJSON()),
+      pagination: {
+        current_page: page,
+        page_size: limit
+      }
+    };
+  }
+
+  /**
+   * Load a break or fail with not found
+   * @param {number} breakId - Break ID
+   * @returns {Promise<ReconciliationBreak>} Break
+   */
+  async getBreakModel(breakId) {
+    const reconciliationBreak = await reconciliationRepository.findBreakById(breakId);
+    if (!reconciliationBreak) {
+      throw new Error('Reconciliation break not found');
+    }
+
+    return reconciliationBreak;
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,236 @@
+const scheduledTransferRepository = require('../repositories/ScheduledTransferRepository');
+const accountProjectionRepository = require('../repositories/AccountProjectionRepository');
+const transactionService = require('./TransactionService');
+const { logger } = require('../utils/logger');
+
+// Publisher will be set by ConsumerManager
+let transactionPublisher = null;
+
+/**
+ * Set the transaction publisher instance
+ * @param {TransactionPublisher} publisher - The publisher instance
+ */
+function setTransactionPublisher(publisher) {
+  transactionPublisher = publisher;
+}
+
+// Delay before retrying a run that failed for insufficient balance
+const RETRY_DELAY_MS = parseInt(process.env.SCHEDULED_TRANSFER_RETRY_DELAY_MS) || 60 * 60 * 1000;
+
+/**
+ * Scheduled Transfer Service
+ * Handles future-dated transfers and their execution
+ */
+class ScheduledTransferService {
+  /**
+   * Schedule a transfer for future execution
+   * @param {Object} transferData - Transfer data including execute_at
+   * @returns {Promise<Object>} Created schedule
+   */
+  async scheduleTransfer(transferData) {
+    const { from_account_id, to_account_id, amount, description, execute_at } = transferData;
+
+    // Reject obviously invalid schedules up front; balance is checked at run time
+    const fromAccount = await accountProjectionRepository.findById(from_account_id);
+    if (!fromAccount) {
+      throw new Error('Source account not found');
+    }
+    if (!fromAccount.isActive()) {
+      throw new Error('Source account is not active');
+    }
+
+    const toAccount = await accountProjectionRepository.findById(to_account_id);
+    if (!toAccount) {
+      throw new Error('Destination account not found');
+    }
+
+    const schedule = await scheduledTransferRepository.create({
+      from_account_id,
+      to_account_id,
+      amount,
+      description,
+      execute_at: new Date(execute_at)
+    });
+
+    return schedule.toJSON();
+  }
+
+  /**
+   * List scheduled transfers
+   * @param {Object} options - Query options (page, limit, account_id, status)
+   * @returns {Promise<Object>} Schedules
+   */
+  async listSchedules(options = {}) {
+    const { page = 1, limit = 50, account_id, status } = options;
+    const offset = (page - 1) * limit;
+
+    const schedules = await scheduledTransferRepository.findAll({
+      accountId: account_id,
+      status,
+      limit,
+      offset
+    });
+
+    return {
+      schedules: schedules.map(schedule => schedule.toJSON()),
+      pagination: {
+        current_page: page,
+        page_size: limit
+      }
+    };
+  }
+
+  /**
+   * Get scheduled transfer by ID
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Schedule
+   */
+  async getSchedule(scheduleId) {
+    const schedule = await scheduledTransferRepository.findById(scheduleId);
+    if (!schedule) {
+      throw new Error('Scheduled transfer not found');
+    }
+
+    return schedule.toJSON();
+  }
+
+  /**
+   * Amend a pending scheduled transfer
+   * @param {number} scheduleId - Schedule ID
+   * @param {Object} updates - Fields to change (amount, description, execute_at)
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async amendSchedule(scheduleId, updates) {
+    const { amount, description, execute_at } = updates;
+
+    if (execute_at !== undefined && new Date(execute_at) <= new Date()) {
+      throw new Error('Schedule update failed: execute_at must be in the future');
+    }
+
+    const amended = await scheduledTransferRepository.amend(scheduleId, {
+      amount,
+      description,
+      execute_at: execute_at !== undefined ? new Date(execute_at) : undefined
+    });
+
+    if (!amended) {
+      const existing = await this.getSchedule(scheduleId);
+      throw new Error(`Schedule update failed: cannot amend a ${existing.status} schedule`);
+    }
+
+    return amended.toJSON();
+  }
+
+  /**
+   * Cancel a pending scheduled transfer
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Cancelled schedule
+   */
+  async cancelSchedule(scheduleId) {
+    const cancelled = await scheduledTransferRepository.cancel(scheduleId);
+
+    if (!cancelled) {
+      const existing = await this.getSchedule(scheduleId);
+      throw new Error(`Schedule update failed: cannot cancel a ${existing.status} schedule`);
+    }
+
+    return cancelled.toJSON();
+  }
+
+  /**
+   * Execute all schedules that have fallen due
+   * @param {number} limit - Maximum number of schedules to run in this pass
+   * @returns {Promise<Object>} Execution summary
+   */
+  async executeDue(limit = 10) {
+    const dueSchedules = await scheduledTransferRepository.claimDue(limit);
+    const summary = { processed: 0, completed: 0, retrying: 0, failed: 0 };
+
+    for (const schedule of dueSchedules) {
+      const updated = await this.executeSchedule(schedule);
+      summary.processed++;
+
+      if (updated.status === 'COMPLETED') {
+        summary.completed++;
+      } else if (updated.status === 'PENDING') {
+        summary.retrying++;
+      } else {
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run a single claimed schedule through the regular transfer path
+   * @param {ScheduledTransfer} schedule - Claimed schedule (status PROCESSING)
+   * @returns {Promise<ScheduledTransfer>} Updated schedule
+   */
+  async executeSchedule(schedule) {
+    try {
+      const result = await transactionService.processTransfer({
+        from_account_id: schedule.from_account_id,
+        to_account_id: schedule.to_account_id,
+        amount: schedule.amount,
+        description: schedule.description
+      }, schedule.getIdempotencyKey());
+
+      const completed = await scheduledTransferRepository.markCompleted(schedule.schedule_id, result);
+
+      logger.info('Scheduled transfer executed', {
+        scheduleId: schedule.schedule_id,
+        transferReference: result.transfer_reference
+      });
+
+      return completed;
+    } catch (error) {
+      let updated;
+
+      if (this.isRetryableError(error) && schedule.canRetry()) {
+        updated = await scheduledTransferRepository.markRetry(
+          schedule.schedule_id,
+          error.message,
+          new Date(Date.now() + RETRY_DELAY_MS)
+        );
+      } else {
+        updated = await scheduledTransferRepository.markFailed(schedule.schedule_id, error.message);
+      }
+
+      logger.warn('Scheduled transfer attempt failed', {
+        scheduleId: schedule.schedule_id,
+        attempt: schedule.attempts,
+        status: updated.status,
+        error: error.message
+      });
+
+      // Publish failure event (non-blocking)
+      setImmediate(async () => {
+        try {
+          if (!transactionPublisher) {
+            logger.warn('TransactionPublisher not available, skipping event publishing');
+            return;
+          }
+
+          await transactionPublisher.publishScheduledTransferFailed(updated.toJSON());
+        } catch (publishError) {
+          logger.error('Failed to publish scheduled transfer event:', publishError);
+        }
+      });
+
+      return updated;
+    }
+  }
+
+  /**
+   * Only a shortfall in funds is worth retrying; missing or closed accounts are not
+   * @param {Error} error - Error raised by processTransfer
+   * @returns {boolean} True if the run should be retried
+   */
+  isRetryableError(error) {
+    return error.message.includes('Insufficient balance');
+  }
+}
+
+module.exports = new ScheduledTransferService();
+module.exports.setTransactionPublisher = setTransactionPublisher;
@@ -0,0 +1,328 @@
+const standingInstructionRepository = require('../repositories/StandingInstructionRepository');
+const accountProjectionRepository = require('../repositories/AccountProjectionRepository');
+const transactionService = require('./TransactionService');
+const StandingInstruction = require('../models/StandingInstruction');
+const { today, toDateOnly, firstOccurrenceOnOrAfter } = require('../utils/recurrence');
+const { logger } = require('../utils/logger');
+const db = require('../database/connection');
+
+/**
+ * Standing Instruction Service
+ * Handles recurring transfers and their execution
+ */
+class StandingInstructionService {
+  /**
+   * Create a standing instruction
+   * @param {Object} instructionData - Instruction data
+   * @returns {Promise<Object>} Created instruction
+   */
+  async createInstruction(instructionData) {
+    const {
+      from_account_id,
+      to_account_id,
+      amount,
+      description,
+      frequency,
+      interval_count,
+      start_date,
+      end_date,
+      max_occurrences,
+      max_consecutive_failures
+    } = instructionData;
+
+    if (toDateOnly(start_date) < today()) {
+      throw new Error('Standing instruction update failed: start_date cannot be in the past');
+    }
+
+    const fromAccount = await accountProjectionRepository.findById(from_account_id);
+    if (!fromAccount) {
+      throw new Error('Source account not found');
+    }
+    if (!fromAccount.isActive()) {
+      throw new Error('Source account is not active');
+    }
+
+    const toAccount = await accountProjectionRepository.findById(to_account_id);
+    if (!toAccount) {
+      throw new Error('Destination account not found');
+    }
+
+    const instruction = await standingInstructionRepository.create({
+      from_account_id,
+      to_account_id,
+      amount,
+      description,
+      frequency,
+      interval_count,
+      start_date: toDateOnly(start_date),
+      end_date: toDateOnly(end_date),
+      max_occurrences: max_occurrences !== undefined ? max_occurrences : null,
+      max_consecutive_failures
+    });
+
+    return instruction.toJSON();
+  }
+
+  /**
+   * List standing instructions
+   * @param {Object} options - Query options (page, limit, account_id, status)
+   * @returns {Promise<Object>} Instructions
+   */
+  async listInstructions(options = {}) {
+    const { page = 1, limit = 50, account_id, status } = options;
+    const offset = (page - 1) * limit;
+
+    const instructions = await standingInstructionRepository.findAll({
+      accountId: account_id,
+      status,
+      limit,
+      offset
+    });
+
+    return {
+      instructions: instructions.map(instruction => instruction.toJSON()),
+      pagination: {
+        current_page: page,
+        page_size: limit
+      }
+    };
+  }
+
+  /**
+   * Get standing instruction by ID
+   * @param {number} instructionId - Instruction ID
+   * @returns {Promise<StandingInstruction>} Instruction
+   */
+  async findInstruction(instructionId) {
+    const instruction = await standingInstructionRepository.findById(instructionId);
+    if (!instruction) {
+      throw new Error('Standing instruction not found');
+    }
+    return instruction;
+  }
+
+  /**
+   * Get standing instruction details
+   * @param {number} instructionId - Instruction ID
+   * @returns {Promise<Object>} Instruction
+   */
+  async getInstruction(instructionId) {
+    const instruction = await this.findInstruction(instructionId);
+    return instruction.toJSON();
+  }
+
+  /**
+   * Update a standing instruction
+   * Setting status to SUSPENDED pauses it; setting ACTIVE resumes it from the
+   * next occurrence on or after today and clears the failure streak
+   * @param {number} instructionId - Instruction ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated instruction
+   */
+  async updateInstruction(instructionId, updates) {
+    const instruction = await this.findInstruction(instructionId);
+
+    if (!['ACTIVE', 'SUSPENDED'].includes(instruction.status)) {
+      throw new Error(`Standing instruction update failed: cannot update a ${instruction.status} instruction`);
+    }
+
+    const { amount, description, end_date, max_occurrences, max_consecutive_failures, status } = updates;
+    const changes = {
+      amount,
+      description,
+      end_date: end_date !== undefined ? toDateOnly(end_date) : undefined,
+      max_occurrences,
+      max_consecutive_failures,
+      status
+    };
+
+    if (status === 'ACTIVE' && instruction.status === 'SUSPENDED') {
+      changes.consecutive_failures = 0;
+      changes.next_occurrence_index = firstOccurrenceOnOrAfter(
+        instruction.start_date,
+        instruction.frequency,
+        instruction.interval_count,
+        today(),
+        instruction.next_occurrence_index
+      );
+      changes.next_run_date = instruction.getOccurrenceDate(changes.next_occurrence_index);
+    }
+
+    // Apply the changes to a copy to validate them and to detect completion
+    const merged = new StandingInstruction({
+      ...instruction,
+      ...Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined))
+    });
+
+    const validation = merged.validate();
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    if (!merged.hasOccurrence(merged.next_occurrence_index)) {
+      changes.status = 'COMPLETED';
+    }
+
+    const updated = await standingInstructionRepository.update(instructionId, changes);
+    return updated.toJSON();
+  }
+
+  /**
+   * Cancel a standing instruction
+   * @param {number} instructionId - Instruction ID
+   * @returns {Promise<Object>} Cancelled instruction
+   */
+  async cancelInstruction(instructionId) {
+    const instruction = await this.findInstruction(instructionId);
+
+    if (!['ACTIVE', 'SUSPENDED'].includes(instruction.status)) {
+      throw new Error(`Standing instruction update failed: cannot cancel a ${instruction.status} instruction`);
+    }
+
+    const cancelled = await standingInstructionRepository.update(instructionId, { status: 'CANCELLED' });
+    return cancelled.toJSON();
+  }
+
+  /**
+   * Get run history for a standing instruction
+   * @param {number} instructionId - Instruction ID
+   * @param {Object} options - Query options (page, limit)
+   * @returns {Promise<Object>} Run history
+   */
+  async getRunHistory(instructionId, options = {}) {
+    const { page = 1, limit = 50 } = options;
+    const offset = (page - 1) * limit;
+
+    const instruction = await this.findInstruction(instructionId);
+    const runs = await standingInstructionRepository.findRuns(instructionId, { limit, offset });
+    const totalCount = await standingInstructionRepository.countRuns(instructionId);
+
+    return {
+      instruction: instruction.toJSON(),
+      runs: runs.map(run => run.toJSON()),
+      pagination: {
+        current_page: page,
+        total_pages: Math.ceil(totalCount / limit),
+        total_count: totalCount,
+        page_size: limit
+      }
+    };
+  }
+
+  /**
+   * Execute the next occurrence of every due instruction
+   * Instructions that are behind catch up one occurrence per pass
+   * @param {number} limit - Maximum number of instructions to run in this pass
+   * @returns {Promise<Object>} Execution summary
+   */
+  async executeDue(limit = 50) {
+    const dueIds = await standingInstructionRepository.findDueIds(limit);
+    const summary = { processed: 0, succeeded: 0, failed: 0, suspended: 0, completed: 0 };
+
+    for (const instructionId of dueIds) {
+      try {
+        const outcome = await this.executeInstruction(instructionId);
+        if (!outcome) {
+          continue;
+        }
+
+        summary.processed++;
+        if (outcome.run.isSuccessful()) {
+          summary.succeeded++;
+        } else {
+          summary.failed++;
+        }
+        if (outcome.instruction.status === 'SUSPENDED') {
+          summary.suspended++;
+        } else if (outcome.instruction.status === 'COMPLETED') {
+          summary.completed++;
+        }
+      } catch (error) {
+        logger.error('Failed to execute standing instruction:', { instructionId, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Execute the next occurrence of one instruction
+   * The instruction row stays locked while its occurrence runs so parallel
+   * executors cannot run the same occurrence. The transfer posts on the same
+   * connection, in a savepoint, so it commits or rolls back together with its run
+   * record; it is also keyed by instruction and run date so a replay never pays again
+   * @param {number} instructionId - Instruction ID
+   * @returns {Promise<Object|null>} Updated instruction and run, or null if not due
+   */
+  async executeInstruction(instructionId) {
+    return await db.transaction(async (client) => {
+      const instruction = await standingInstructionRepository.lockDue(instructionId, client);
+      if (!instruction) {
+        return null;
+      }
+
+      const runDate = instruction.next_run_date;
+      const occurrenceIndex = instruction.next_occurrence_index;
+      const idempotencyKey = instruction.getIdempotencyKey(runDate);
+      const changes = {};
+      let run;
+
+      try {
+        const result = await transactionService.processTransfer({
+          from_account_id: instruction.from_account_id,
+          to_account_id: instruction.to_account_id,
+          amount: instruction.amount,
+          description: instruction.description
+        }, idempotencyKey, client);
+
+        run = await standingInstructionRepository.createRun({
+          instruction_id: instructionId,
+          run_date: runDate,
+          occurrence_index: occurrenceIndex,
+          status: 'SUCCEEDED',
+          idempotency_key: idempotencyKey,
+          transfer_reference: result.transfer_reference,
+          debit_txn_id: result.debit_transaction.txn_id,
+          credit_txn_id: result.credit_transaction.txn_id
+        }, client);
+
+        changes.successful_runs = instruction.successful_runs + 1;
+        changes.consecutive_failures = 0;
+        changes.last_error = null;
+      } catch (error) {
+        run = await standingInstructionRepository.createRun({
+          instruction_id: instructionId,
+          run_date: runDate,
+          occurrence_index: occurrenceIndex,
+          status: 'FAILED',
+          idempotency_key: idempotencyKey,
+          error: error.message
+        }, client);
+
+        changes.failed_runs = instruction.failed_runs + 1;
+        changes.consecutive_failures = instruction.consecutive_failures + 1;
+        changes.last_error = error.message;
+      }
+
+      const nextIndex = occurrenceIndex + 1;
+      changes.next_occurrence_index = nextIndex;
+      changes.next_run_date = instruction.getOccurrenceDate(nextIndex);
+
+      if (!instruction.hasOccurrence(nextIndex)) {
+        changes.status = 'COMPLETED';
+      } else if (changes.consecutive_failures >= instruction.max_consecutive_failures) {
+        changes.status = 'SUSPENDED';
+        logger.warn('Standing instruction suspended after consecutive failures', {
+          instructionId,
+          consecutiveFailures: changes.consecutive_failures
+        });
+      }
+
+      const updated = await standingInstructionRepository.update(instructionId, changes, client);
+
+      return { instruction: updated, run };
+    });
+  }
+}
+
+module.exports = new StandingInstructionService();
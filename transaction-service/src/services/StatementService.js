@@ -0,0 +1,121 @@
+const db = require('../database/connection');
+const transactionRepository = require('../repositories/TransactionRepository');
+const accountProjectionRepository = require('../repositories/AccountProjectionRepository');
+const customerProjectionRepository = require('../repositories/CustomerProjectionRepository');
+const { roundToMinorUnits } = require('../utils/currency');
+const { toDateOnly, today, occurrenceDate } = require('../utils/recurrence');
+
+/**
+ * Statement Service
+ * Assembles account statements: account and customer details, opening and closing
+ * balances, period totals and the transactions with a running balance
+ */
+class StatementService {
+  /**
+   * Read an account statement and hand it to a consumer
+   * Everything is read in one read-only, repeatable-read transaction, so the balances,
+   * totals and lines describe the same moment even while postings continue. The lines
+   * are streamed from a cursor and only readable until the consumer's promise settles.
+   * The transaction runs on the streaming pool, which ends it if the consumer stops reading
+   * @param {number} accountId - Account ID
+   * @param {Object} options - Options (from_date, to_date; defaults to the current month to date)
+   * @param {Function} consume - Async callback given the statement and an async iterable of lines
+   * @returns {Promise} Consumer result
+   */
+  async withStatement(accountId, options, consume) {
+    const to = toDateOnly(options.to_date) || today();
+    const from = toDateOnly(options.from_date) || `${to.slice(0, 8)}01`;
+
+    if (from > to) {
+      throw new Error('Validation failed: from_date must not be after to_date');
+    }
+
+    return await db.streamingTransaction(async (client) => {
+      await client.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY');
+
+      const account = await accountProjectionRepository.findById(accountId, client);
+      if (!account) {
+        throw new Error('Account not found');
+      }
+
+      const customer = await customerProjectionRepository.findById(account.customer_id, client);
+      const openingBalance = await transactionRepository.getEndOfDayBalance(
+        accountId,
+        occurrenceDate(from, 'DAILY', 1, -1),
+        client
+      );
+      const closingBalance = await transactionRepository.getEndOfDayBalance(accountId, to, client);
+      const summary = await transactionRepository.getAccountSummary(
+        accountId,
+        from,
+        `${to} 23:59:59.999999`,
+        null,
+        client
+      );
+
+      const statement = {
+        account: account.toJSON(),
+        customer: customer ? {
+          customer_id: customer.customer_id,
+          customer_number: customer.customer_number,
+          name: [customer.first_name, customer.last_name].filter(Boolean).join(' '),
+          email: customer.email,
+          phone: customer.phone
+        } : null,
+        period: { from, to },
+        currency: account.currency,
+        opening_balance: openingBalance,
+        closing_balance: closingBalance,
+        totals: {
+          total_transactions: summary.total_transactions,
+          credit_transactions: summary.credit_transactions,
+          debit_transactions: summary.debit_transactions,
+          total_credits: summary.total_credits,
+          total_debits: summary.total_debits,
+          net_amount: roundToMinorUnits(summary.net_amount, account.currency),
+          total_fees: summary.total_fees,
+          total_interest: summary.total_interest,
+          total_overdraft_interest: summary.total_overdraft_interest
+        },
+        generated_at: new Date()
+      };
+
+      const transactions = transactionRepository.streamPosted(accountId, from, to, client);
+
+      return await consume(statement, this.toLines(transactions, openingBalance, account.currency));
+    });
+  }
+
+  /**
+   * Turn posted transactions into statement lines carrying the running balance
+   * @param {AsyncIterable<Transaction>} transactions - Transactions in posting order
+   * @param {number} openingBalance - Balance before the first transaction
+   * @param {string} currency - Account currency
+   * @returns {AsyncGenerator<Object>} Statement lines
+   */
+  async *toLines(transactions, openingBalance, currency) {
+    let balance = openingBalance;
+
+    for await (const transaction of transactions) {
+      const credit = transaction.isCredit() ? transaction.amount : 0;
+      const debit = transaction.isDebit() ? transaction.amount : 0;
+      balance = roundToMinorUnits(balance + credit - debit, currency);
+
+      yield {
+        txn_id: transaction.txn_id,
+        date: toDateOnly(transaction.created_at),
+        posted_at: transaction.created_at,
+        txn_type: transaction.txn_type,
+        reversal: transaction.isReversal(),
+        reference: transaction.reference,
+        description: transaction.description || transaction.counterparty || transaction.txn_type,
+        counterparty: transaction.counterparty,
+        debit,
+        credit,
+        balance
+      };
+    }
+  }
+}
+
+module.exports = new StatementService();
@@ -2,10 +2,20 @@ const transactionRepository = require('../repositories/TransactionRepository');
 const accountProjectionRepository = require('../repositories/AccountProjectionRepository');
 const customerProjectionRepository = require('../repositories/CustomerProjectionRepository');
 const idempotencyKeyRepository = require('../repositories/IdempotencyKeyRepository');
+const holdRepository = require('../repositories/HoldRepository');
+const fxRateService = require('./FxRateService');
+const feeService = require('./FeeService');
+const limitService = require('./LimitService');
 const { generateReference } = require('../utils/referenceGenerator');
 const { logger } = require('../utils/logger');
+const { roundToMinorUnits } = require('../utils/currency');
+const { fingerprint } = require('../utils/requestFingerprint');
+const { encodeCursor, decodeCursor } = require('../utils/pageCursor');
 const db = require('../database/connection');
 
+// Age after which a transfer's claim on its idempotency key is considered abandoned
+const IDEMPOTENCY_LOCK_TIMEOUT_MS = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS) || 60000;
+
 // Publisher will be set by ConsumerManager
 let transactionPublisher = null;
 
@@ -25,39 +35,69 @@ class TransactionService {
   /**
    * Process a deposit transaction
    * @param {Object} depositData - Deposit transaction data
+   * @param {Object} client - Open transaction to post on (in a savepoint)
+   * @param {IdempotencyKey} idempotencyClaim - Request's claim on its idempotency key, which
+   *   records the deposit as it posts
    * @returns {Promise<Object>} Transaction result
    */
-  async processDeposit(depositData) {
+  async processDeposit(depositData, client = null, idempotencyClaim = null) {
     const { account_id, amount, counterparty, description } = depositData;
 
-    // Validate account exists and is active
-    const account = await accountProjectionRepository.findById(account_id);
+    // Validate account exists; later failures are recorded against it
+    const account = await accountProjectionRepository.findById(account_id, client);
     if (!account) {
       throw new Error('Account not found');
     }
 
-    if (!account.isActive()) {
-      throw new Error('Account is not active');
-    }
-
-    // Check if account can handle credit
-    const creditCheck = account.canCredit(amount);
-    if (!creditCheck.allowed) {
-      throw new Error(creditCheck.reason);
-    }
-
     // Generate unique reference
     const reference = generateReference();
 
-    // Create transaction
-    const transaction = await transactionRepository.create({
-      account_id,
-      amount,
-      txn_type: 'DEPOSIT',
-      counterparty,
-      reference,
-      description
-    });
+    let creditCheck;
+    let transaction;
+    let oldBalance;
+    try {
+      // Check and post under a row lock so concurrent postings see each other's balance
+      ({ creditCheck, transaction, oldBalance } = await db.transaction(async (transactionClient) => {
+        const locked = await accountProjectionRepository.lockForUpdate(account_id, transactionClient);
+
+        if (!locked.isActive()) {
+          throw new Error('Account is not active');
+        }
+
+        // Check if account can handle credit
+        const check = locked.canCredit(amount);
+        if (!check.allowed) {
+          throw new Error(check.reason);
+        }
+
+        await limitService.checkLimits(locked, 'DEPOSIT', amount, transactionClient);
+
+        // Create transaction
+        const created = await transactionRepository.create({
+          account_id,
+          amount,
+          txn_type: 'DEPOSIT',
+          counterparty,
+          reference,
+          description
+        }, transactionClient);
+
+        if (idempotencyClaim) {
+          await idempotencyKeyRepository.recordTransaction(idempotencyClaim, created.txn_id, transactionClient);
+        }
+
+        return { creditCheck: check, transaction: created, oldBalance: locked.current_balance };
+      }, client));
+    } catch (error) {
+      await this.recordFailedTransaction({
+        account_id,
+        amount,
+        txn_type: 'DEPOSIT',
+        counterparty,
+        description
+      }, error);
+      throw error;
+    }
 
     // Publish transaction event (non-blocking)
     setImmediate(async () => {
@@ -80,13 +120,13 @@ class TransactionService {
         });
         
         // Also publish balance update event
-        await transactionPublisher.publishBalanceUpdated({
-          accountId: account_id,
-          newBalance: creditCheck.newBalance,
-          transactionId: transaction.id,
-          changeAmount: amount, // Positive for deposit
-          timestamp: new Date().toISOString()
-        });
+        await transactionPublisher.publishBalanceUpdated(
+          account_id,
+          oldBalance,
+          creditCheck.newBalance,
+          transaction.txn_id,
+          'DEPOSIT'
+        );
       } catch (publishError) {
         logger.error('Failed to publish deposit event:', publishError);
         // Don't fail the transaction for publishing errors
@@ -103,39 +143,52 @@ class TransactionService {
   /**
    * Process a withdrawal transaction
    * @param {Object} withdrawalData - Withdrawal transaction data
+   * @param {Object} client - Open transaction to post on (in a savepoint)
+   * @param {IdempotencyKey} idempotencyClaim - Request's claim on its idempotency key, which
+   *   records the withdrawal as it posts
    * @returns {Promise<Object>} Transaction result
    */
-  async processWithdrawal(withdrawalData) {
+  async processWithdrawal(withdrawalData, client = null, idempotencyClaim = null) {
     const { account_id, amount, counterparty, description } = withdrawalData;
 
-    // Validate account exists and is active
-    const account = await accountProjectionRepository.findById(account_id);
+    // Validate account exists; later failures are recorded against it
+    const account = await accountProjectionRepository.findById(account_id, client);
     if (!account) {
       throw new Error('Account not found');
     }
 
-    if (!account.isActive()) {
-      throw new Error('Account is not active');
-    }
+    let debitCheck;
+    let transaction;
+    let fees;
+    let oldBalance;
+    try {
+      // Check and post under a row lock, so two withdrawals cannot both pass the balance
+      // check against the same balance
+      ({ debitCheck, transaction, fees, oldBalance } = await db.transaction(async (transactionClient) => {
+        const locked = await accountProjectionRepository.lockForUpdate(account_id, transactionClient);
 
-    // Check if account can handle debit
-    const debitCheck = account.canDebit(amount);
-    if (!debitCheck.allowed) {
-      throw new Error(debitCheck.reason);
-    }
+        if (!locked.isActive()) {
+          throw new Error('Account is not active');
+        }
 
-    // Generate unique reference
-    const reference = generateReference();
+        const posted = await this.postWithdrawal(locked, { amount, counterparty, description }, transactionClient);
 
-    // Create transaction
-    const transaction = await transactionRepository.create({
-      account_id,
-      amount,
-      txn_type: 'WITHDRAWAL',
-      counterparty,
-      reference,
-      description
-    });
+        if (idempotencyClaim) {
+          await idempotencyKeyRepository.recordTransaction(idempotencyClaim, posted.transaction.txn_id, transactionClient);
+        }
+
+        return { ...posted, oldBalance: locked.current_balance };
+      }, client));
+    } catch (error) {
+      await this.recordFailedTransaction({
+        account_id,
+        amount,
+        txn_type: 'WITHDRAWAL',
+        counterparty,
+        description
+      }, error);
+      throw error;
+    }
 
     // Publish withdrawal event (non-blocking)
     setImmediate(async () => {
@@ -150,21 +203,21 @@ class TransactionService {
           accountId: account_id,
           amount,
           type: 'WITHDRAWAL',
-          reference,
+          reference: transaction.reference,
           counterparty,
           description,
           newBalance: debitCheck.newBalance,
           timestamp: new Date().toISOString()
         });
         
-        // Also publish balance update event
-        await transactionPublisher.publishBalanceUpdated({
-          accountId: account_id,
-          newBalance: debitCheck.newBalance,
-          transactionId: transaction.id,
-          changeAmount: -amount, // Negative for withdrawal
-          timestamp: new Date().toISOString()
-        });
+        // Also publish balance update event; the new balance is net of any fees
+        await transactionPublisher.publishBalanceUpdated(
+          account_id,
+          oldBalance,
+          debitCheck.newBalance,
+          transaction.txn_id,
+          'WITHDRAWAL'
+        );
       } catch (publishError) {
         logger.error('Failed to publish withdrawal event:', publishError);
         // Don't fail the transaction for publishing errors
@@ -174,7 +227,8 @@ class TransactionService {
     return {
       success: true,
       transaction: transaction.toJSON(),
-      new_balance: debitCheck.newBalance
+      new_balance: debitCheck.newBalance,
+      ...(fees && { fees })
     };
   }
 
@@ -182,38 +236,54 @@ class TransactionService {
    * Process a transfer transaction with dual entry
    * @param {Object} transferData - Transfer transaction data
    * @param {string} idempotencyKey - Idempotency key for duplicate prevention
+   * @param {Object} client - Open transaction to post on (in a savepoint), so the key and the
+   *   transfer commit together with the caller's own writes
+   * @param {IdempotencyKey} idempotencyClaim - Request's claim on its idempotency key, already
+   *   taken by the idempotency middleware, which records the transfer as it posts
    * @returns {Promise<Object>} Transfer result
    */
-  async processTransfer(transferData, idempotencyKey = null) {
+  async processTransfer(transferData, idempotencyKey = null, client = null, idempotencyClaim = null) {
     const { from_account_id, to_account_id, amount, description } = transferData;
 
-    // Handle idempotency if key provided
+    // Handle idempotency if key provided: claim it so concurrent duplicates cannot both run
+    let claim = idempotencyClaim;
     if (idempotencyKey) {
-      const keyStatus = await idempotencyKeyRepository.checkKey(idempotencyKey);
-      
-      if (keyStatus.exists) {
-        if (keyStatus.expired) {
-          throw new Error('Idempotency key has expired');
+      const requestFingerprint = fingerprint({ body: transferData });
+      const { claimed, idempotencyKey: existingKey } = await idempotencyKeyRepository.claim({
+        key: idempotencyKey,
+        request_body: transferData,
+        request_fingerprint: requestFingerprint
+      }, IDEMPOTENCY_LOCK_TIMEOUT_MS, client);
+
+      if (!claimed) {
+        if (existingKey && !existingKey.matchesRequest(requestFingerprint)) {
+          throw new Error('Idempotency key reused for a different transfer');
         }
-        if (keyStatus.processed) {
+        if (existingKey && existingKey.isProcessed()) {
           // Return existing response
-          return keyStatus.response;
+          return existingKey.response_body;
         }
-      } else {
-        // Create new idempotency key
-        await idempotencyKeyRepository.create({
-          key: idempotencyKey,
-          request_body: transferData
-        });
+        throw new Error('Idempotency request in progress: a transfer with this key is still being processed');
       }
+      // Claimed: the returned key is ours and carries the claim's token
+      claim = existingKey;
     }
 
+    // Balances before the transfer, for the balance events
+    let oldBalances;
+
     try {
       // Process transfer in database transaction
-      const result = await db.transaction(async (client) => {
-        // Lock both accounts for update
-        const fromAccount = await accountProjectionRepository.lockForUpdate(from_account_id, client);
-        const toAccount = await accountProjectionRepository.lockForUpdate(to_account_id, client);
+      const result = await db.transaction(async (transactionClient) => {
+        // Lock both accounts in a stable order to avoid deadlocks between opposing transfers
+        const accountIds = [...new Set([from_account_id, to_account_id].map(String))]
+          .sort((a, b) => a - b);
+        const accounts = {};
+        for (const accountId of accountIds) {
+          accounts[accountId] = await accountProjectionRepository.lockForUpdate(accountId, transactionClient);
+        }
+        const fromAccount = accounts[String(from_account_id)];
+        const toAccount = accounts[String(to_account_id)];
 
         if (!fromAccount) {
           throw new Error('Source account not found');
@@ -229,64 +299,19 @@ class TransactionService {
           throw new Error('Destination account is not active');
         }
 
-        // Check if source account can handle debit
-        const debitCheck = fromAccount.canDebit(amount);
-        if (!debitCheck.allowed) {
-          throw new Error(`Transfer failed: ${debitCheck.reason}`);
-        }
+        oldBalances = { from: fromAccount.current_balance, to: toAccount.current_balance };
+        const posted = await this.postTransferLegs(fromAccount, toAccount, { amount, description }, transactionClient);
 
-        // Check if destination account can handle credit
-        const creditCheck = toAccount.canCredit(amount);
-        if (!creditCheck.allowed) {
-          throw new Error(`Transfer failed: ${creditCheck.reason}`);
+        // The key settles on the transfer's own transaction, so a crash can never leave
+        // the transfer posted with its key still open to be claimed again
+        if (idempotencyKey) {
+          await idempotencyKeyRepository.updateWithResult(claim, posted.debit_transaction.txn_id, posted, transactionClient);
+        } else if (claim) {
+          await idempotencyKeyRepository.recordTransaction(claim, posted.debit_transaction.txn_id, transactionClient);
         }
 
-        // Generate unique reference for this transfer
-        const reference = generateReference();
-
-        // Create both transaction entries
-        const debitTransaction = {
-          account_id: from_account_id,
-          amount,
-          txn_type: 'TRANSFER_OUT',
-          counterparty: `Transfer to ${toAccount.account_number}`,
-          reference: `${reference}-OUT`,
-          description
-        };
-
-        const creditTransaction = {
-          account_id: to_account_id,
-          amount,
-          txn_type: 'TRANSFER_IN',
-          counterparty: `Transfer from ${fromAccount.account_number}`,
-          reference: `${reference}-IN`,
-          description
-        };
-
-        // Execute both transactions
-        const transactions = await transactionRepository.createMultiple([
-          debitTransaction,
-          creditTransaction
-        ]);
-
-        return {
-          success: true,
-          transfer_reference: reference,
-          debit_transaction: transactions[0].toJSON(),
-          credit_transaction: transactions[1].toJSON(),
-          from_account_new_balance: debitCheck.newBalance,
-          to_account_new_balance: creditCheck.newBalance
-        };
-      });
-
-      // Update idempotency key with result if provided
-      if (idempotencyKey) {
-        await idempotencyKeyRepository.updateWithResult(
-          idempotencyKey,
-          result.debit_transaction.txn_id,
-          result
-        );
-      }
+        return posted;
+      }, client);
 
       // Publish transfer event (non-blocking)
       setImmediate(async () => {
@@ -306,25 +331,26 @@ class TransactionService {
             creditTransactionId: result.credit_transaction.txn_id,
             fromAccountNewBalance: result.from_account_new_balance,
             toAccountNewBalance: result.to_account_new_balance,
+            fx: result.fx || null,
             timestamp: new Date().toISOString()
           });
 
-          // Publish balance update events for both accounts
-          await transactionPublisher.publishBalanceUpdated({
-            accountId: from_account_id,
-            newBalance: result.from_account_new_balance,
-            transactionId: result.debit_transaction.txn_id,
-            changeAmount: -amount, // Negative for debit
-            timestamp: new Date().toISOString()
-          });
+          // Publish balance update events for both accounts; the source balance is net of any fees
+          await transactionPublisher.publishBalanceUpdated(
+            from_account_id,
+            oldBalances.from,
+            result.from_account_new_balance,
+            result.debit_transaction.txn_id,
+            'TRANSFER_OUT'
+          );
 
-          await transactionPublisher.publishBalanceUpdated({
-            accountId: to_account_id,
-            newBalance: result.to_account_new_balance,
-            transactionId: result.credit_transaction.txn_id,
-            changeAmount: amount, // Positive for credit
-            timestamp: new Date().toISOString()
-          });
+          await transactionPublisher.publishBalanceUpdated(
+            to_account_id,
+            oldBalances.to,
+            result.to_account_new_balance,
+            result.credit_transaction.txn_id,
+            'TRANSFER_IN'
+          );
         } catch (publishError) {
           logger.error('Failed to publish transfer event:', publishError);
           // Don't fail the transaction for publishing errors
@@ -334,23 +360,394 @@ class TransactionService {
       return result;
 
     } catch (error) {
-      // If idempotency key was created but transaction failed, clean it up
+      // If idempotency key was claimed but transaction failed, release it
       if (idempotencyKey) {
-        await idempotencyKeyRepository.delete(idempotencyKey);
+        await idempotencyKeyRepository.release(idempotencyKey, claim.claim_token, client);
       }
+
+      await this.recordFailedTransaction({
+        account_id: from_account_id,
+        amount,
+        txn_type: 'TRANSFER_OUT',
+        counterparty: `Transfer to account ${to_account_id}`,
+        description
+      }, error);
       throw error;
     }
   }
 
+  /**
+   * Persist a failed attempt with its reason so support can see why it failed
+   * Recording is best effort: the caller always gets the original error
+   * @param {Object} transactionData - Attempted transaction (account_id, amount, txn_type, counterparty, description)
+   * @param {Error} error - Error that failed the attempt
+   * @returns {Promise<Transaction|null>} Recorded failed transaction, or null if it could not be recorded
+   */
+  async recordFailedTransaction(transactionData, error) {
+    try {
+      return await transactionRepository.create({
+        ...transactionData,
+        reference: generateReference(),
+        status: 'FAILED',
+        failure_reason: error.message
+      });
+    } catch (recordError) {
+      // Unknown accounts cannot be referenced; anything else is worth a warning
+      if (recordError.code !== '23503') {
+        logger.warn('Failed to record failed transaction', {
+          accountId: transactionData.account_id,
+          txnType: transactionData.txn_type,
+          reason: error.message,
+          error: recordError.message
+        });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Post a withdrawal and its fees on an open database transaction
+   * The caller must already hold the account's row lock and have checked it is active
+   * @param {AccountProjection} account - Locked account
+   * @param {Object} withdrawalData - Withdrawal data (amount, counterparty, description)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Object>} { debitCheck, transaction, fees }
+   */
+  async postWithdrawal(account, withdrawalData, client) {
+    const { amount, counterparty, description } = withdrawalData;
+
+    await limitService.checkLimits(account, 'WITHDRAWAL', amount, client);
+
+    // The fee is charged on top of the withdrawal, so both must fit in the balance
+    const fee = await feeService.calculateFee(account, 'WITHDRAWAL', amount, client);
+    const debitCheck = account.canDebit(fee ? parseFloat(amount) + fee.total : amount);
+    if (!debitCheck.allowed) {
+      throw new Error(debitCheck.reason);
+    }
+
+    const transaction = await transactionRepository.create({
+      account_id: account.account_id,
+      amount,
+      txn_type: 'WITHDRAWAL',
+      counterparty,
+      reference: generateReference(),
+      description
+    }, client);
+
+    return {
+      debitCheck,
+      transaction,
+      fees: await feeService.postFees(fee, transaction, client)
+    };
+  }
+
+  /**
+   * Post both legs of a transfer on an open database transaction
+   * The caller must already hold row locks on both accounts and have checked they are active
+   * @param {AccountProjection} fromAccount - Locked source account
+   * @param {AccountProjection} toAccount - Locked destination account
+   * @param {Object} transferData - Transfer data (amount, description)
+   * @param {Object} client - Database client (for transactions)
+   * @returns {Promise<Object>} Transfer result
+   */
+  async postTransferLegs(fromAccount, toAccount, transferData, client) {
+    const { amount, description } = transferData;
+
+    // Limits apply to the instructed amount, in the source account's currency
+    await limitService.checkLimits(fromAccount, 'TRANSFER_OUT', amount, client);
+
+    // Convert the credit leg when the accounts hold different currencies
+    const fx = await fxRateService.convert(amount, fromAccount.currency, toAccount.currency, client);
+    const creditAmount = fx ? fx.converted_amount : amount;
+
+    // Any transfer fee is taken from the source account on top of the amount
+    const fee = await feeService.calculateFee(fromAccount, 'TRANSFER_OUT', amount, client);
+
+    // Check if source account can handle debit
+    const debitCheck = fromAccount.canDebit(fee ? parseFloat(amount) + fee.total : amount);
+    if (!debitCheck.allowed) {
+      throw new Error(`Transfer failed: ${debitCheck.reason}`);
+    }
+
+    // Check if destination account can handle credit
+    const creditCheck = toAccount.canCredit(creditAmount);
+    if (!creditCheck.allowed) {
+      throw new Error(`Transfer failed: ${creditCheck.reason}`);
+    }
+
+    // Generate unique reference for this transfer
+    const reference = generateReference();
+
+    // Both legs carry the same conversion details
+    const fxDetails = fx ? {
+      original_amount: fx.original_amount,
+      original_currency: fx.original_currency,
+      converted_amount: fx.converted_amount,
+      converted_currency: fx.converted_currency,
+      fx_rate: fx.applied_rate
+    } : {};
+
+    // Create both transaction entries
+    const debitTransaction = {
+      account_id: fromAccount.account_id,
+      amount,
+      txn_type: 'TRANSFER_OUT',
+      counterparty: `Transfer to ${toAccount.account_number}`,
+      reference: `${reference}-OUT`,
+      description,
+      ...fxDetails
+    };
+
+    const creditTransaction = {
+      account_id: toAccount.account_id,
+      amount: creditAmount,
+      txn_type: 'TRANSFER_IN',
+      counterparty: `Transfer from ${fromAccount.account_number}`,
+      reference: `${reference}-IN`,
+      description,
+      ...fxDetails
+    };
+
+    // Post both legs on the caller's connection so they stay under its locks
+    const debit = await transactionRepository.create(debitTransaction, client);
+    const credit = await transactionRepository.create(creditTransaction, client);
+    const fees = await feeService.postFees(fee, debit, client);
+
+    return {
+      success: true,
+      transfer_reference: reference,
+      debit_transaction: debit.toJSON(),
+      credit_transaction: credit.toJSON(),
+      from_account_new_balance: debitCheck.newBalance,
+      to_account_new_balance: creditCheck.newBalance,
+      ...(fx && { fx }),
+      ...(fees && { fees })
+    };
+  }
+
+  /**
+   * Reverse a transaction (fully or partially) with compensating entries
+   * Transfers are reversed on both legs atomically, and reversing the whole remaining
+   * amount also refunds the fees charged for the transaction
+   * @param {number} txnId - Original transaction ID
+   * @param {Object} reversalData - Reversal data (amount for partial refunds, reason)
+   * @param {Object} client - Open transaction to post on (in a savepoint)
+   * @returns {Promise<Object>} Reversal result
+   */
+  async reverseTransaction(txnId, reversalData = {}, client = null) {
+    const { amount, reason } = reversalData;
+
+    const result = await db.transaction(async (transactionClient) => {
+      const original = await transactionRepository.lockForUpdate(txnId, transactionClient);
+      if (!original) {
+        throw new Error('Transaction not found');
+      }
+
+      if (original.isReversal()) {
+        throw new Error('Reversal failed: reversal entries cannot be reversed');
+      }
+
+      if (!original.isPosted()) {
+        throw new Error(`Reversal failed: cannot reverse a ${original.status} transaction`);
+      }
+
+      const reversibleAmount = original.getReversibleAmount();
+      if (reversibleAmount <= 0) {
+        throw new Error('Reversal failed: transaction is already fully reversed');
+      }
+
+      const reverseAmount = amount !== undefined && amount !== null
+        ? Math.round(parseFloat(amount) * 100) / 100
+        : reversibleAmount;
+
+      if (reverseAmount > reversibleAmount) {
+        throw new Error(`Reversal failed: amount exceeds remaining reversible amount of ${reversibleAmount}`);
+      }
+
+      // Transfers are reversed on both legs
+      const legs = [original];
+      const legAmounts = [reverseAmount];
+      if (original.isTransfer()) {
+        const counterpart = await transactionRepository.findTransferCounterpart(original, transactionClient);
+        if (!counterpart) {
+          throw new Error('Reversal failed: transfer counterpart leg not found');
+        }
+
+        // Cross-currency legs are reversed in proportion at the rate originally applied;
+        // reversing the remainder clears the counterpart exactly so rounding never strands cents
+        let counterpartAmount = reverseAmount;
+        if (original.isCrossCurrency()) {
+          counterpartAmount = reverseAmount === reversibleAmount
+            ? counterpart.getReversibleAmount()
+            : roundToMinorUnits(
+              reverseAmount * counterpart.amount / original.amount,
+              original.txn_type === 'TRANSFER_OUT' ? original.converted_currency : original.original_currency
+            );
+        }
+
+        if (counterpartAmount <= 0 || counterpart.getReversibleAmount() < counterpartAmount) {
+          throw new Error('Reversal failed: transfer legs are out of sync');
+        }
+        legs.push(counterpart);
+        legAmounts.push(counterpartAmount);
+      }
+
+      // Reversing what is left also refunds the fees charged for it, so a reversed withdrawal
+      // or a rolled-back batch line does not still cost the customer its fee
+      if (reverseAmount === reversibleAmount) {
+        for (const leg of [...legs]) {
+          for (const fee of await transactionRepository.findFees(leg.txn_id, transactionClient)) {
+            const lockedFee = await transactionRepository.lockForUpdate(fee.txn_id, transactionClient);
+            if (lockedFee.getReversibleAmount() > 0) {
+              legs.push(lockedFee);
+              legAmounts.push(lockedFee.getReversibleAmount());
+            }
+          }
+        }
+      }
+
+      // Lock affected accounts in a stable order to avoid deadlocks
+      const accountIds = [...new Set(legs.map(leg => String(leg.account_id)))]
+        .sort((a, b) => a - b);
+      const accounts = {};
+      for (const accountId of accountIds) {
+        accounts[accountId] = await accountProjectionRepository.lockForUpdate(accountId, transactionClient);
+      }
+
+      // Validate every compensating entry before posting any of them
+      const entries = legs.map((leg, index) => {
+        const account = accounts[String(leg.account_id)];
+        const legAmount = legAmounts[index];
+        const txnType = leg.isCredit() ? 'REVERSAL_DEBIT' : 'REVERSAL_CREDIT';
+        const check = txnType === 'REVERSAL_DEBIT'
+          ? account.canDebit(legAmount)
+          : account.canCredit(legAmount);
+
+        if (!check.allowed) {
+          throw new Error(`Reversal failed: ${check.reason}`);
+        }
+
+        // Fee refunds post to the same account as the leg they were charged on
+        const oldBalance = account.current_balance;
+        account.current_balance = check.newBalance;
+
+        return {
+          leg,
+          amount: legAmount,
+          txnType,
+          oldBalance,
+          newBalance: check.newBalance
+        };
+      });
+
+      const reversalTransactions = [];
+      const originalTransactions = [];
+
+      for (const entry of entries) {
+        const reversal = await transactionRepository.create({
+          account_id: entry.leg.account_id,
+          amount: entry.amount,
+          txn_type: entry.txnType,
+          counterparty: `Reversal of ${entry.leg.reference}`,
+          reference: generateReference(),
+          description: reason || `Reversal of transaction ${entry.leg.txn_id}`,
+          reversal_of: entry.leg.txn_id
+        }, transactionClient);
+
+        const updatedOriginal = await transactionRepository.recordReversal(
+          entry.leg.txn_id,
+          entry.amount,
+          transactionClient
+        );
+
+        reversalTransactions.push(reversal);
+        originalTransactions.push(updatedOriginal);
+      }
+
+      return {
+        success: true,
+        reversal_reference: reversalTransactions[0].reference,
+        // Partial when something is left to reverse, so the reversal completing a chain is not
+        is_partial: reverseAmount < reversibleAmount,
+        reversed_amount: reverseAmount,
+        remaining_reversible_amount: originalTransactions[0].getReversibleAmount(),
+        original_transactions: originalTransactions.map(txn => txn.toJSON()),
+        reversal_transactions: reversalTransactions.map(txn => txn.toJSON()),
+        balances: entries.map(entry => ({
+          account_id: entry.leg.account_id,
+          old_balance: entry.oldBalance,
+          new_balance: entry.newBalance
+        }))
+      };
+    }, client);
+
+    // Publish reversal event (non-blocking)
+    setImmediate(async () => {
+      try {
+        if (!transactionPublisher) {
+          logger.warn('TransactionPublisher not available, skipping event publishing');
+          return;
+        }
+
+        await transactionPublisher.publishReversalCreated({
+          reversalReference: result.reversal_reference,
+          originalTransactionId: txnId,
+          originalType: result.original_transactions[0].txn_type,
+          amount: result.reversed_amount,
+          isPartial: result.is_partial,
+          reason,
+          entries: result.reversal_transactions
+        });
+
+        // Publish balance update events for every affected account
+        for (let i = 0; i < result.reversal_transactions.length; i++) {
+          const reversal = result.reversal_transactions[i];
+          const balance = result.balances[i];
+
+          await transactionPublisher.publishBalanceUpdated(
+            balance.account_id,
+            balance.old_balance,
+            balance.new_balance,
+            reversal.txn_id,
+            reversal.txn_type
+          );
+        }
+      } catch (publishError) {
+        logger.error('Failed to publish reversal event:', publishError);
+        // Don't fail the transaction for publishing errors
+      }
+    });
+
+    return result;
+  }
+
   /**
    * Get transaction history for an account
    * @param {number} accountId - Account ID
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options: filters (from_date, to_date, status, txn_type),
+   *   offset paging (page, limit) or keyset paging (paging 'cursor' or a cursor, limit),
+   *   include_holds, and mode 'statement' for balances (see getTransactionStatement)
    * @returns {Promise<Object>} Transaction history
    */
   async getTransactionHistory(accountId, options = {}) {
-    const { page = 1, limit = 50, from_date, to_date } = options;
-    const offset = (page - 1) * limit;
+    if (options.mode === 'statement') {
+      return await this.getTransactionStatement(accountId, options);
+    }
+
+    const {
+      page = 1,
+      limit = 50,
+      from_date,
+      to_date,
+      status,
+      txn_type,
+      include_holds = false,
+      paging = 'offset',
+      cursor
+    } = options;
+    const keyset = Boolean(cursor) || paging === 'cursor';
+    // A bad cursor is the caller's mistake whether or not the account exists
+    const position = cursor ? decodeCursor(cursor) : null;
 
     // Validate account exists
     const account = await accountProjectionRepository.findById(accountId);
@@ -358,21 +755,214 @@ class TransactionService {
       throw new Error('Account not found');
     }
 
-    // Get transactions
-    const transactions = await transactionRepository.findByAccountId(accountId, {
-      limit,
-      offset,
+    const filters = {
       fromDate: from_date,
-      toDate: to_date
-    });
+      toDate: to_date,
+      status,
+      txnType: txn_type
+    };
 
     // Get total count
-    const totalCount = await transactionRepository.getTransactionCount(accountId);
+    const totalCount = await transactionRepository.getTransactionCount(accountId, filters);
+
+    let transactions;
+    let pagination;
+    if (keyset) {
+      ({ transactions, pagination } = await this.getKeysetPage(accountId, filters, position, limit));
+      pagination.total_count = totalCount;
+    } else {
+      transactions = await transactionRepository.findByAccountId(accountId, {
+        ...filters,
+        limit,
+        offset: (page - 1) * limit
+      });
+      pagination = {
+        current_page: page,
+        total_pages: Math.ceil(totalCount / limit),
+        total_count: totalCount,
+        page_size: limit
+      };
+    }
+
+    // Open holds are not transactions but explain why available balance is lower
+    const openHolds = include_holds
+      ? await holdRepository.findActiveByAccountId(accountId)
+      : null;
 
     return {
       account_id: accountId,
       current_balance: account.current_balance,
+      held_amount: account.held_amount,
+      available_balance: account.getAvailableBalance(),
+      ...(openHolds && { open_holds: openHolds.map(hold => hold.toJSON()) }),
+      transactions: transactions.map(txn => txn.toJSON()),
+      pagination
+    };
+  }
+
+  /**
+   * Read one keyset page of account history, newest first
+   * Without a cursor this is the first page. Coming back from a next cursor there are
+   * always newer rows, and from a prev cursor always older ones: the row the cursor holds
+   * @param {number} accountId - Account ID
+   * @param {Object} filters - History filters (fromDate, toDate, status, txnType)
+   * @param {Object|null} cursor - Decoded cursor ({ position, direction }), null for the first page
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { transactions, pagination } with next_cursor and prev_cursor
+   */
+  async getKeysetPage(accountId, filters, cursor, limit) {
+    const direction = cursor ? cursor.direction : 'next';
+    const { rows, hasMore } = await transactionRepository.findPageByAccountId(accountId, {
+      ...filters,
+      limit,
+      after: cursor ? cursor.position : null,
+      direction
+    });
+
+    const hasOlder = direction === 'next' ? hasMore : true;
+    const hasNewer = direction === 'prev' ? hasMore : Boolean(cursor);
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+
+    return {
+      transactions: rows.map(row => row.transaction),
+      pagination: {
+        mode: 'cursor',
+        page_size: limit,
+        next_cursor: hasOlder && last ? encodeCursor(last.position, 'next') : null,
+        prev_cursor: hasNewer && first ? encodeCursor(first.position, 'prev') : null
+      }
+    };
+  }
+
+  /**
+   * Get a page of the posted transaction history of an account as a statement
+   * The opening balance is the balance just before from_date, each row carries the running
+   * balance after it in (created_at, txn_id) order, and the closing balance is the balance
+   * at to_date. Everything is read in one repeatable-read snapshot and the running balance
+   * is summed in that order, so neither concurrent postings nor rows inserted out of
+   * created_at order (whose balance_after reflects insertion order) can skew it
+   * @param {number} accountId - Account ID
+   * @param {Object} options - Query options (from_date required; to_date defaults to now,
+   *   a date without a time covers that whole day; page, limit)
+   * @returns {Promise<Object>} Statement page
+   */
+  async getTransactionStatement(accountId, options = {}) {
+    const { page = 1, limit = 50, from_date, to_date, status } = options;
+    const offset = (page - 1) * limit;
+
+    if (!from_date) {
+      throw new Error('Validation failed: from_date is required in statement mode');
+    }
+    if (status) {
+      throw new Error('Validation failed: status cannot be used in statement mode, which lists posted transactions');
+    }
+
+    const generatedAt = new Date();
+    let toDate = to_date || generatedAt;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to_date)) {
+      toDate = `${to_date} 23:59:59.999999`;
+    }
+
+    return await db.transaction(async (client) => {
+      await client.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY');
+
+      const account = await accountProjectionRepository.findById(accountId, client);
+      if (!account) {
+        throw new Error('Account not found');
+      }
+
+      const openingBalance = await transactionRepository.getBalanceBefore(accountId, from_date, client);
+      const summary = await transactionRepository.getAccountSummary(accountId, from_date, toDate, null, client);
+      const rows = await transactionRepository.findPostedWithMovement(accountId, {
+        fromDate: from_date,
+        toDate,
+        limit,
+        offset
+      }, client);
+
+      const balanceAfter = (movement) => roundToMinorUnits(openingBalance + movement, account.currency);
+
+      return {
+        account_id: accountId,
+        mode: 'statement',
+        currency: account.currency,
+        period: {
+          from: from_date,
+          to: to_date || generatedAt.toISOString()
+        },
+        opening_balance: openingBalance,
+        closing_balance: balanceAfter(summary.net_amount),
+        totals: {
+          total_transactions: summary.total_transactions,
+          total_credits: summary.total_credits,
+          total_debits: summary.total_debits,
+          net_amount: roundToMinorUnits(summary.net_amount, account.currency)
+        },
+        transactions: rows.map(({ transaction, movement }) => ({
+          ...transaction.toJSON(),
+          running_balance: balanceAfter(movement)
+        })),
+        pagination: {
+          current_page: page,
+          total_pages: Math.ceil(summary.total_transactions / limit),
+          total_count: summary.total_transactions,
+          page_size: limit
+        }
+      };
+    });
+  }
+
+  /**
+   * Search transactions, for one account or across the bank
+   * Text criteria are a reference prefix, a counterparty substring (case-insensitive) and
+   * description keywords (all of them, stemmed, in any order); the rest are the history
+   * filters and an amount range. A bank-wide search needs at least one criterion
+   * @param {Object} options - Criteria (account_id, reference, counterparty, description,
+   *   min_amount, max_amount, txn_type, status, from_date, to_date), sort, order, page, limit
+   * @returns {Promise<Object>} Matching transactions and pagination
+   */
+  async searchTransactions(options = {}) {
+    const { account_id, min_amount, max_amount, sort = 'created_at', order = 'desc', page = 1, limit = 50 } = options;
+
+    if (min_amount !== undefined && max_amount !== undefined && min_amount > max_amount) {
+      throw new Error('Validation failed: min_amount must not exceed max_amount');
+    }
+
+    const criteria = {
+      accountId: account_id,
+      reference: options.reference,
+      counterparty: options.counterparty,
+      description: options.description,
+      minAmount: min_amount,
+      maxAmount: max_amount,
+      txnType: options.txn_type,
+      status: options.status,
+      fromDate: options.from_date,
+      toDate: options.to_date
+    };
+
+    if (account_id) {
+      const account = await accountProjectionRepository.findById(account_id);
+      if (!account) {
+        throw new Error('Account not found');
+      }
+    } else if (Object.values(criteria).every(value => value === undefined || value === null || value === '')) {
+      throw new Error('Validation failed: a bank-wide search needs at least one filter');
+    }
+
+    const transactions = await transactionRepository.search(criteria, {
+      sort,
+      order,
+      limit,
+      offset: (page - 1) * limit
+    });
+    const totalCount = await transactionRepository.countSearch(criteria);
+
+    return {
+      ...(account_id && { account_id }),
       transactions: transactions.map(txn => txn.toJSON()),
+      sort: { field: sort, order },
       pagination: {
         current_page: page,
         total_pages: Math.ceil(totalCount / limit),
@@ -382,6 +972,38 @@ class TransactionService {
     };
   }
 
+  /**
+   * Stream the transaction history of an account to a consumer
+   * Rows are read from a cursor in a read-only transaction, so the export is one
+   * consistent snapshot and only readable until the consumer's promise settles. The
+   * transaction runs on the streaming pool, which ends it if the consumer stops reading
+   * @param {number} accountId - Account ID
+   * @param {Object} options - Filters (from_date, to_date, status, txn_type)
+   * @param {Function} consume - Async callback given the account and an async iterable of transactions
+   * @returns {Promise} Consumer result
+   */
+  async exportTransactionHistory(accountId, options, consume) {
+    const { from_date, to_date, status, txn_type } = options;
+
+    return await db.streamingTransaction(async (client) => {
+      await client.query('SET TRANSACTION READ ONLY');
+
+      const account = await accountProjectionRepository.findById(accountId, client);
+      if (!account) {
+        throw new Error('Account not found');
+      }
+
+      const transactions = transactionRepository.streamByAccountId(accountId, {
+        fromDate: from_date,
+        toDate: to_date,
+        status,
+        txnType: txn_type
+      }, client);
+
+      return await consume(account, transactions);
+    });
+  }
+
   /**
    * Get transaction details by ID
    * @param {number} txnId - Transaction ID
@@ -393,7 +1015,12 @@ class TransactionService {
       throw new Error('Transaction not found');
     }
 
-    return transaction.toJSON();
+    const reversals = await transactionRepository.findReversals(txnId);
+
+    return {
+      ...transaction.toJSON(),
+      reversals: reversals.map(reversal => reversal.toJSON())
+    };
   }
 
   /**
@@ -401,20 +1028,22 @@ class TransactionService {
    * @param {number} accountId - Account ID
    * @param {Date} fromDate - Start date
    * @param {Date} toDate - End date
+   * @param {string} status - Only this status; defaults to posted transactions
    * @returns {Promise<Object>} Transaction summary
    */
-  async getAccountSummary(accountId, fromDate, toDate) {
+  async getAccountSummary(accountId, fromDate, toDate, status = null) {
     // Validate account exists
     const account = await accountProjectionRepository.findById(accountId);
     if (!account) {
       throw new Error('Account not found');
     }
 
-    const summary = await transactionRepository.getAccountSummary(accountId, fromDate, toDate);
+    const summary = await transactionRepository.getAccountSummary(accountId, fromDate, toDate, status);
     
     return {
       ...summary,
       current_balance: account.current_balance,
+      overdraft: account.getOverdraftUsage(),
       account_details: {
         account_number: account.account_number,
         account_type: account.account_type,
@@ -448,10 +1077,6 @@ class TransactionService {
       errors.push('Amount must be positive');
     }
 
-    if (amount && amount > 1000000) {
-      errors.push('Amount exceeds maximum transfer limit');
-    }
-
     if (description && description.length > 255) {
       errors.push('Description must be less than 255 characters');
     }
@@ -87,11 +87,14 @@ class ApiResponse {
 
   /**
    * Conflict response
+   * @param {string} message - Conflict description
+   * @param {string} code - Machine-readable error code
    */
-  static conflict(message = 'Conflict') {
+  static conflict(message = 'Conflict', code = null) {
     return {
       success: false,
       message,
+      ...(code && { code }),
       timestamp: new Date().toISOString(),
       statusCode: 409
     };
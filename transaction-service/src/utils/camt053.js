@@ -0,0 +1,197 @@
+/**
+ * ISO 20022 camt.053 (BankToCustomerStatement, version 001.02) export
+ * Entries are written as they are read, so long statements are never held in memory.
+ * Text fields are cut to the lengths the schema allows
+ */
+const { finished } = require('stream/promises');
+const { getMinorUnits } = require('./currency');
+const { writeChunk } = require('./streams');
+const { escapeXml } = require('./xml');
+
+const NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:camt.053.001.02';
+
+// ISO bank transaction codes (domain, family, sub-family) per transaction type
+const BANK_TRANSACTION_CODES = {
+  DEPOSIT: ['PMNT', 'CNTR', 'CDPT'],
+  WITHDRAWAL: ['PMNT', 'CNTR', 'CWDL'],
+  TRANSFER_IN: ['PMNT', 'RCDT', 'BOOK'],
+  TRANSFER_OUT: ['PMNT', 'ICDT', 'BOOK'],
+  REVERSAL_CREDIT: ['ACMT', 'MCOP', 'ADJT'],
+  REVERSAL_DEBIT: ['ACMT', 'MDOP', 'ADJT'],
+  FEE: ['ACMT', 'MDOP', 'CHRG'],
+  FEE_TAX: ['ACMT', 'MDOP', 'TAXE'],
+  INTEREST: ['ACMT', 'MCOP', 'INTR'],
+  OVERDRAFT_INTEREST: ['ACMT', 'MDOP', 'INTR']
+};
+
+/**
+ * Format an amount with the currency's minor units; the sign goes in CdtDbtInd
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Unsigned decimal amount
+ */
+function formatAmount(amount, currency) {
+  return Math.abs(amount).toFixed(getMinorUnits(currency));
+}
+
+/**
+ * Credit/debit indicator for a signed amount
+ * @param {number} amount - Amount (negative for debit)
+ * @returns {string} CRDT or DBIT
+ */
+function indicator(amount) {
+  return amount < 0 ? 'DBIT' : 'CRDT';
+}
+
+/**
+ * Opening or closing booked balance
+ * @param {string} code - OPBD or CLBD
+ * @param {number} amount - Balance
+ * @param {string} date - Balance date (YYYY-MM-DD)
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Bal element
+ */
+function balance(code, amount, date, currency) {
+  return [
+    '      <Bal>',
+    `        <Tp><CdOrPrtry><Cd>${code}</Cd></CdOrPrtry></Tp>`,
+    `        <Amt Ccy="${currency}">${formatAmount(amount, currency)}</Amt>`,
+    `        <CdtDbtInd>${indicator(amount)}</CdtDbtInd>`,
+    `        <Dt><Dt>${date}</Dt></Dt>`,
+    '      </Bal>'
+  ].join('\n');
+}
+
+/**
+ * Document opening: group header, account, balances and totals
+ * @param {Object} statement - Statement header from StatementService
+ * @returns {string} XML up to the first entry
+ */
+function header(statement) {
+  const { account, customer, currency, period, totals } = statement;
+  const created = statement.generated_at.toISOString();
+  const net = totals.net_amount;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<Document xmlns="${NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`,
+    '  <BkToCstmrStmt>',
+    '    <GrpHdr>',
+    `      <MsgId>CAMT053-${created.replace(/\D/g, '').slice(0, 14)}-${account.account_id}</MsgId>`,
+    `      <CreDtTm>${created}</CreDtTm>`,
+    '    </GrpHdr>',
+    '    <Stmt>',
+    `      <Id>${account.account_id}-${period.from.replace(/-/g, '')}-${period.to.replace(/-/g, '')}</Id>`,
+    `      <CreDtTm>${created}</CreDtTm>`,
+    '      <FrToDt>',
+    `        <FrDtTm>${period.from}T00:00:00</FrDtTm>`,
+    `        <ToDtTm>${period.to}T23:59:59</ToDtTm>`,
+    '      </FrToDt>',
+    '      <Acct>',
+    `        <Id><Othr><Id>${escapeXml(account.account_number, 34)}</Id></Othr></Id>`,
+    `        <Tp><Prtry>${escapeXml(account.account_type, 35)}</Prtry></Tp>`,
+    `        <Ccy>${currency}</Ccy>`
+  ];
+
+  if (customer && customer.name) {
+    lines.push(`        <Ownr><Nm>${escapeXml(customer.name, 140)}</Nm></Ownr>`);
+  }
+
+  lines.push(
+    '      </Acct>',
+    balance('OPBD', statement.opening_balance, period.from, currency),
+    balance('CLBD', statement.closing_balance, period.to, currency),
+    '      <TxsSummry>',
+    '        <TtlNtries>',
+    `          <NbOfNtries>${totals.total_transactions}</NbOfNtries>`,
+    `          <Sum>${formatAmount(totals.total_credits + totals.total_debits, currency)}</Sum>`,
+    `          <TtlNetNtryAmt>${formatAmount(net, currency)}</TtlNetNtryAmt>`,
+    `          <CdtDbtInd>${indicator(net)}</CdtDbtInd>`,
+    '        </TtlNtries>',
+    '        <TtlCdtNtries>',
+    `          <NbOfNtries>${totals.credit_transactions}</NbOfNtries>`,
+    `          <Sum>${formatAmount(totals.total_credits, currency)}</Sum>`,
+    '        </TtlCdtNtries>',
+    '        <TtlDbtNtries>',
+    `          <NbOfNtries>${totals.debit_transactions}</NbOfNtries>`,
+    `          <Sum>${formatAmount(totals.total_debits, currency)}</Sum>`,
+    '        </TtlDbtNtries>',
+    '      </TxsSummry>'
+  );
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Booked entry for a statement line
+ * @param {Object} line - Statement line from StatementService
+ * @param {string} currency - Account currency
+ * @returns {string} Ntry element
+ */
+function entry(line, currency) {
+  const credit = line.credit > 0;
+  const [domain, family, subFamily] = BANK_TRANSACTION_CODES[line.txn_type];
+  const bookedAt = line.posted_at instanceof Date ? line.posted_at.toISOString() : `${line.date}T00:00:00`;
+
+  const lines = [
+    '      <Ntry>',
+    `        <NtryRef>${escapeXml(line.reference, 35)}</NtryRef>`,
+    `        <Amt Ccy="${currency}">${formatAmount(credit ? line.credit : line.debit, currency)}</Amt>`,
+    `        <CdtDbtInd>${credit ? 'CRDT' : 'DBIT'}</CdtDbtInd>`
+  ];
+
+  if (line.reversal) {
+    lines.push('        <RvslInd>true</RvslInd>');
+  }
+
+  lines.push(
+    '        <Sts>BOOK</Sts>',
+    `        <BookgDt><DtTm>${bookedAt}</DtTm></BookgDt>`,
+    `        <ValDt><Dt>${line.date}</Dt></ValDt>`,
+    `        <AcctSvcrRef>${line.txn_id}</AcctSvcrRef>`,
+    '        <BkTxCd>',
+    `          <Domn><Cd>${domain}</Cd><Fmly><Cd>${family}</Cd><SubFmlyCd>${subFamily}</SubFmlyCd></Fmly></Domn>`,
+    `          <Prtry><Cd>${line.txn_type}</Cd></Prtry>`,
+    '        </BkTxCd>',
+    '        <NtryDtls>',
+    '          <TxDtls>'
+  );
+
+  if (line.counterparty) {
+    const party = credit ? 'Dbtr' : 'Cdtr';
+    lines.push(`            <RltdPties><${party}><Nm>${escapeXml(line.counterparty, 140)}</Nm></${party}></RltdPties>`);
+  }
+
+  lines.push(
+    `            <RmtInf><Ustrd>${escapeXml(line.description, 140)}</Ustrd></RmtInf>`,
+    '          </TxDtls>',
+    '        </NtryDtls>',
+    `        <AddtlNtryInf>${escapeXml(line.description, 500)}</AddtlNtryInf>`,
+    '      </Ntry>'
+  );
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write an account statement as a camt.053 document
+ * @param {Object} statement - Statement header from StatementService
+ * @param {AsyncIterable<Object>} lines - Statement lines in posting order
+ * @param {Writable} output - Stream to write to; ended when the document is complete
+ * @returns {Promise} Resolves once the whole document has been written
+ */
+async function writeCamt053(statement, lines, output) {
+  await writeChunk(output, header(statement));
+
+  for await (const line of lines) {
+    await writeChunk(output, entry(line, statement.currency));
+  }
+
+  output.end('    </Stmt>\n  </BkToCstmrStmt>\n</Document>\n');
+  await finished(output);
+}
+
+module.exports = {
+  writeCamt053,
+  BANK_TRANSACTION_CODES
+};
@@ -0,0 +1,123 @@
+/**
+ * Minimal RFC 4180 CSV helpers
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * Supports quoted fields, escaped quotes ("") and CRLF/LF line endings
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows (blank lines are skipped)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Validation failed: unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by header name
+ * @param {string} text - CSV text
+ * @returns {Object} { headers, records } where records keep their 1-based line_number
+ */
+function parseCsvWithHeader(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[0].map(header => header.trim().toLowerCase());
+  const records = rows.slice(1).map((fields, index) => {
+    const record = { line_number: index + 1 };
+    headers.forEach((header, column) => {
+      const value = fields[column] !== undefined ? fields[column].trim() : '';
+      if (value !== '') {
+        record[header] = value;
+      }
+    });
+    return record;
+  });
+
+  return { headers, records };
+}
+
+/**
+ * Escape a single CSV field
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV line from values
+ * @param {Array} values - Field values
+ * @returns {string} CSV line terminated with CRLF
+ */
+function toCsvLine(values) {
+  return `${values.map(escapeCsvField).join(',')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvWithHeader,
+  escapeCsvField,
+  toCsvLine
+};
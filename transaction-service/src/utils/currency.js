@@ -0,0 +1,83 @@
+/**
+ * Currency helpers
+ * Minor units follow ISO 4217. Money columns are DECIMAL(15,2), so only
+ * currencies with at most two minor units are supported.
+ */
+
+// Accounts may hold currencies not listed below; amounts in them are kept to the column's two decimals
+const DEFAULT_MINOR_UNITS = 2;
+
+const MINOR_UNITS = {
+  INR: 2,
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  AUD: 2,
+  CAD: 2,
+  CHF: 2,
+  CNY: 2,
+  HKD: 2,
+  SGD: 2,
+  AED: 2,
+  SAR: 2,
+  ZAR: 2,
+  NZD: 2,
+  SEK: 2,
+  NOK: 2,
+  DKK: 2,
+  JPY: 0,
+  KRW: 0
+};
+
+/**
+ * Check if a currency code is supported
+ * @param {string} currency - ISO 4217 code
+ * @returns {boolean} True if supported
+ */
+function isSupportedCurrency(currency) {
+  return Object.prototype.hasOwnProperty.call(MINOR_UNITS, currency);
+}
+
+/**
+ * Number of minor units (decimal places) for a currency
+ * Currencies not in the table fall back to two, so postings and statements on an
+ * account in any currency never fail here; FX rates and journals check support themselves
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Minor units
+ */
+function getMinorUnits(currency) {
+  return isSupportedCurrency(currency) ? MINOR_UNITS[currency] : DEFAULT_MINOR_UNITS;
+}
+
+/**
+ * Round an amount to the currency's minor units (half away from zero)
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Rounded amount
+ */
+function roundToMinorUnits(amount, currency) {
+  const factor = Math.pow(10, getMinorUnits(currency));
+  const scaled = Math.abs(amount) * factor;
+  // Nudge by epsilon so values like 1.005 don't round down because of binary floats
+  const rounded = Math.round(scaled + Number.EPSILON * scaled) / factor;
+  return amount < 0 ? -rounded : rounded;
+}
+
+/**
+ * Check that an amount has no more decimals than the currency allows
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {boolean} True if the amount is representable
+ */
+function hasValidPrecision(amount, currency) {
+  return roundToMinorUnits(amount, currency) === Number(amount);
+}
+
+module.exports = {
+  MINOR_UNITS,
+  DEFAULT_MINOR_UNITS,
+  isSupportedCurrency,
+  getMinorUnits,
+  roundToMinorUnits,
+  hasValidPrecision
+};
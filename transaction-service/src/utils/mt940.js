@@ -0,0 +1,195 @@
+/**
+ * SWIFT MT940 (customer statement) export
+ * Field contents are restricted to the SWIFT X character set and cut to their field
+ * lengths. A statement that does not fit in one 2000-character message continues in
+ * further messages (:28C: sequence numbers), linked by intermediate :62M:/:60M: balances.
+ * Statement numbers are not tracked, so every export is statement 1
+ */
+const { finished } = require('stream/promises');
+const { getMinorUnits } = require('./currency');
+const { writeChunk } = require('./streams');
+
+const CRLF = '\r\n';
+const MAX_MESSAGE_LENGTH = 2000;
+const NARRATIVE_LINE_LENGTH = 65;
+const NARRATIVE_LINES = 6;
+// Room kept in every message for the closing balance field and the terminator
+const CLOSING_RESERVE = 40;
+
+// SWIFT transaction type identification codes per transaction type
+const TRANSACTION_TYPE_CODES = {
+  DEPOSIT: 'MSC',
+  WITHDRAWAL: 'MSC',
+  TRANSFER_IN: 'TRF',
+  TRANSFER_OUT: 'TRF',
+  REVERSAL_CREDIT: 'MSC',
+  REVERSAL_DEBIT: 'MSC',
+  FEE: 'CHG',
+  FEE_TAX: 'TAX',
+  INTEREST: 'INT',
+  OVERDRAFT_INTEREST: 'INT'
+};
+
+/**
+ * Restrict text to the SWIFT X character set
+ * @param {*} value - Text
+ * @returns {string} Text with unsupported characters replaced and whitespace collapsed
+ */
+function swiftText(value) {
+  return String(value || '')
+    .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, '.')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Format a calendar date as YYMMDD
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} YYMMDD
+ */
+function swiftDate(date) {
+  return date.slice(2, 10).replace(/-/g, '');
+}
+
+/**
+ * Format an amount with a decimal comma and the currency's minor units
+ * @param {number} amount - Amount; the sign is carried by the D/C mark
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Amount, e.g. 1500,00
+ */
+function swiftAmount(amount, currency) {
+  const digits = getMinorUnits(currency);
+  const formatted = Math.abs(amount).toFixed(digits).replace('.', ',');
+  return digits === 0 ? `${formatted},` : formatted;
+}
+
+/**
+ * Balance field (:60F:, :60M:, :62M:, :62F:)
+ * @param {string} tag - Field tag
+ * @param {number} amount - Balance
+ * @param {string} date - Balance date (YYYY-MM-DD)
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Field
+ */
+function balanceField(tag, amount, date, currency) {
+  return `:${tag}:${amount < 0 ? 'D' : 'C'}${swiftDate(date)}${currency}${swiftAmount(amount, currency)}`;
+}
+
+/**
+ * Wrap narrative text into at most six lines of 65 characters
+ * @param {string} value - Text in the X character set
+ * @returns {Array<string>} Lines
+ */
+function narrative(value) {
+  const lines = [];
+  let rest = value;
+
+  while (rest.length > 0 && lines.length < NARRATIVE_LINES) {
+    let line = rest.slice(0, NARRATIVE_LINE_LENGTH);
+    if (rest.length > NARRATIVE_LINE_LENGTH && line.lastIndexOf(' ') > 0) {
+      line = line.slice(0, line.lastIndexOf(' '));
+    }
+    rest = rest.slice(line.length).trim();
+
+    // A continuation line must not look like the start of a field or the end of the message
+    if (lines.length > 0 && /^[:-]/.test(line)) {
+      line = `.${line.slice(0, NARRATIVE_LINE_LENGTH - 1)}`;
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Statement line (:61:) and its information to account owner (:86:)
+ * @param {Object} line - Statement line from StatementService
+ * @param {string} currency - Account currency
+ * @returns {string} Fields, CRLF-terminated
+ */
+function entry(line, currency) {
+  const credit = line.credit > 0;
+  let mark = credit ? 'C' : 'D';
+  if (line.reversal) {
+    // RC reverses a credit (so is a debit), RD reverses a debit
+    mark = credit ? 'RD' : 'RC';
+  }
+
+  // The reference for the account owner holds 16 characters; longer references go in the
+  // supplementary details (34 characters) and in full in the :86: narrative
+  const reference = swiftText(line.reference);
+  const fitsField = reference.length > 0 && reference.length <= 16 && !reference.includes('//');
+  const date = swiftDate(line.date);
+
+  const fields = [
+    `:61:${date}${date.slice(2)}${mark}${swiftAmount(credit ? line.credit : line.debit, currency)}` +
+      `N${TRANSACTION_TYPE_CODES[line.txn_type]}${fitsField ? reference : 'NONREF'}//${line.txn_id}`
+  ];
+  if (!fitsField && reference.length > 0) {
+    fields.push(reference.slice(0, 34).replace(/^[:-]/, '.'));
+  }
+
+  const details = [reference, swiftText(line.description)];
+  if (line.counterparty && line.counterparty !== line.description) {
+    details.push(swiftText(line.counterparty));
+  }
+  const [first, ...rest] = narrative(details.filter(Boolean).join(' '));
+  fields.push(`:86:${first}`, ...rest);
+
+  return fields.map(field => `${field}${CRLF}`).join('');
+}
+
+/**
+ * Write an account statement as MT940 messages
+ * @param {Object} statement - Statement header from StatementService
+ * @param {AsyncIterable<Object>} lines - Statement lines in posting order
+ * @param {Writable} output - Stream to write to; ended when the statement is complete
+ * @returns {Promise} Resolves once the whole statement has been written
+ */
+async function writeMt940(statement, lines, output) {
+  const { account, currency, period } = statement;
+  const transactionReference = `ST${swiftDate(period.from)}${swiftDate(period.to)}`;
+  const accountIdentification = swiftText(account.account_number).slice(0, 35);
+
+  let page = 1;
+  let messageLength = 0;
+  let balance = statement.opening_balance;
+  let balanceDate = period.from;
+
+  const openMessage = async (tag) => {
+    const fields = [
+      `:20:${transactionReference}`,
+      `:25:${accountIdentification}`,
+      `:28C:1/${page}`,
+      balanceField(tag, balance, balanceDate, currency)
+    ].map(field => `${field}${CRLF}`).join('');
+
+    messageLength = fields.length;
+    await writeChunk(output, fields);
+  };
+
+  await openMessage('60F');
+
+  for await (const line of lines) {
+    const fields = entry(line, currency);
+
+    if (messageLength + fields.length + CLOSING_RESERVE > MAX_MESSAGE_LENGTH) {
+      await writeChunk(output, `${balanceField('62M', balance, balanceDate, currency)}${CRLF}-${CRLF}`);
+      page++;
+      await openMessage('60M');
+    }
+
+    messageLength += fields.length;
+    balance = line.balance;
+    balanceDate = line.date;
+    await writeChunk(output, fields);
+  }
+
+  output.end(`${balanceField('62F', statement.closing_balance, period.to, currency)}${CRLF}-${CRLF}`);
+  await finished(output);
+}
+
+module.exports = {
+  writeMt940,
+  TRANSACTION_TYPE_CODES
+};
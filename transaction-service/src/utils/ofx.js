@@ -0,0 +1,207 @@
+/**
+ * OFX 2.2 bank statement export, with a QFX (Quicken) variant
+ * FITIDs combine the transaction ID and reference, both immutable, so importing an
+ * overlapping period again matches the transactions already imported. Times are in UTC
+ */
+const { finished } = require('stream/promises');
+const { getMinorUnits } = require('./currency');
+const { writeChunk } = require('./streams');
+const { escapeXml } = require('./xml');
+
+const BANK_ID = process.env.OFX_BANK_ID || '000000000';
+const FI_ORG = process.env.OFX_FI_ORG || 'Transaction Service';
+const FI_ID = process.env.OFX_FI_ID || '0000';
+const INTU_BID = process.env.QFX_INTU_BID || '3000';
+
+// OFX TRNTYPE per transaction type
+const TRNTYPES = {
+  DEPOSIT: 'DEP',
+  WITHDRAWAL: 'CASH',
+  TRANSFER_IN: 'XFER',
+  TRANSFER_OUT: 'XFER',
+  REVERSAL_CREDIT: 'CREDIT',
+  REVERSAL_DEBIT: 'DEBIT',
+  FEE: 'FEE',
+  FEE_TAX: 'FEE',
+  INTEREST: 'INT',
+  OVERDRAFT_INTEREST: 'INT'
+};
+
+// OFX ACCTTYPE per account type; salary accounts are savings accounts
+const ACCTTYPES = {
+  SAVINGS: 'SAVINGS',
+  SALARY: 'SAVINGS',
+  CURRENT: 'CHECKING'
+};
+
+/**
+ * Format a time as an OFX datetime in UTC
+ * @param {Date} date - Time
+ * @returns {string} YYYYMMDDHHMMSS.XXX[0:GMT]
+ */
+function ofxDateTime(date) {
+  const iso = date.toISOString();
+  return `${iso.slice(0, 19).replace(/\D/g, '')}.${iso.slice(20, 23)}[0:GMT]`;
+}
+
+/**
+ * Start of a calendar day in server time
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add
+ * @returns {Date} Midnight
+ */
+function startOfDay(date, days = 0) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day + days);
+}
+
+/**
+ * Format a signed amount with the currency's minor units
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Amount
+ */
+function ofxAmount(amount, currency) {
+  return amount.toFixed(getMinorUnits(currency));
+}
+
+/**
+ * Stable financial institution transaction ID for a statement line
+ * @param {Object} line - Statement line
+ * @returns {string} FITID
+ */
+function fitId(line) {
+  return escapeXml(`${line.txn_id}-${line.reference}`, 255);
+}
+
+/**
+ * Document opening: signon response, account and transaction list start
+ * @param {Object} statement - Statement header from StatementService
+ * @param {boolean} quicken - Add the Intuit bank ID for Quicken (QFX)
+ * @returns {string} OFX up to the first transaction
+ */
+function header(statement, quicken) {
+  const { account, currency, period } = statement;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '  <SIGNONMSGSRSV1>',
+    '    <SONRS>',
+    '      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `      <DTSERVER>${ofxDateTime(statement.generated_at)}</DTSERVER>`,
+    '      <LANGUAGE>ENG</LANGUAGE>',
+    `      <FI><ORG>${escapeXml(FI_ORG, 32)}</ORG><FID>${escapeXml(FI_ID, 32)}</FID></FI>`
+  ];
+
+  if (quicken) {
+    lines.push(`      <INTU.BID>${escapeXml(INTU_BID, 32)}</INTU.BID>`);
+  }
+
+  lines.push(
+    '    </SONRS>',
+    '  </SIGNONMSGSRSV1>',
+    '  <BANKMSGSRSV1>',
+    '    <STMTTRNRS>',
+    '      <TRNUID>0</TRNUID>',
+    '      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    '      <STMTRS>',
+    `        <CURDEF>${currency}</CURDEF>`,
+    '        <BANKACCTFROM>',
+    `          <BANKID>${escapeXml(BANK_ID, 9)}</BANKID>`,
+    `          <ACCTID>${escapeXml(account.account_number, 22)}</ACCTID>`,
+    `          <ACCTTYPE>${ACCTTYPES[account.account_type] || 'CHECKING'}</ACCTTYPE>`,
+    '        </BANKACCTFROM>',
+    '        <BANKTRANLIST>',
+    `          <DTSTART>${ofxDateTime(startOfDay(period.from))}</DTSTART>`,
+    `          <DTEND>${ofxDateTime(startOfDay(period.to, 1))}</DTEND>`
+  );
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Statement transaction for a statement line
+ * @param {Object} line - Statement line from StatementService
+ * @param {string} currency - Account currency
+ * @returns {string} STMTTRN element
+ */
+function transaction(line, currency) {
+  const postedAt = line.posted_at instanceof Date ? line.posted_at : startOfDay(line.date);
+  const lines = [
+    '          <STMTTRN>',
+    `            <TRNTYPE>${TRNTYPES[line.txn_type]}</TRNTYPE>`,
+    `            <DTPOSTED>${ofxDateTime(postedAt)}</DTPOSTED>`,
+    `            <TRNAMT>${ofxAmount(line.credit - line.debit, currency)}</TRNAMT>`,
+    `            <FITID>${fitId(line)}</FITID>`
+  ];
+
+  if (line.reference.length <= 32) {
+    lines.push(`            <REFNUM>${escapeXml(line.reference)}</REFNUM>`);
+  }
+
+  lines.push(
+    `            <NAME>${escapeXml(line.counterparty || line.description, 32)}</NAME>`,
+    `            <MEMO>${escapeXml(`${line.description} (${line.reference})`, 255)}</MEMO>`,
+    '          </STMTTRN>'
+  );
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Document closing: ledger balance at the end of the period
+ * @param {Object} statement - Statement header from StatementService
+ * @returns {string} Rest of the OFX document
+ */
+function footer(statement) {
+  return [
+    '        </BANKTRANLIST>',
+    '        <LEDGERBAL>',
+    `          <BALAMT>${ofxAmount(statement.closing_balance, statement.currency)}</BALAMT>`,
+    `          <DTASOF>${ofxDateTime(startOfDay(statement.period.to, 1))}</DTASOF>`,
+    '        </LEDGERBAL>',
+    '      </STMTRS>',
+    '    </STMTTRNRS>',
+    '  </BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write an account statement as an OFX 2.2 document
+ * @param {Object} statement - Statement header from StatementService
+ * @param {AsyncIterable<Object>} lines - Statement lines in posting order
+ * @param {Writable} output - Stream to write to; ended when the document is complete
+ * @param {Object} options - Options (quicken to write the QFX variant)
+ * @returns {Promise} Resolves once the whole document has been written
+ */
+async function writeOfx(statement, lines, output, options = {}) {
+  await writeChunk(output, header(statement, Boolean(options.quicken)));
+
+  for await (const line of lines) {
+    await writeChunk(output, transaction(line, statement.currency));
+  }
+
+  output.end(footer(statement));
+  await finished(output);
+}
+
+/**
+ * Write an account statement as a QFX document for Quicken
+ * @param {Object} statement - Statement header from StatementService
+ * @param {AsyncIterable<Object>} lines - Statement lines in posting order
+ * @param {Writable} output - Stream to write to; ended when the document is complete
+ * @returns {Promise} Resolves once the whole document has been written
+ */
+async function writeQfx(statement, lines, output) {
+  await writeOfx(statement, lines, output, { quicken: true });
+}
+
+module.exports = {
+  writeOfx,
+  writeQfx,
+  TRNTYPES
+};
@@ -0,0 +1,53 @@
+/**
+ * Opaque cursor tokens for keyset pagination
+ * A token holds the (created_at, txn_id) position of the row a page starts after and the
+ * direction to read in. created_at is kept as the database's own text, which has
+ * microsecond precision that a JavaScript Date would lose
+ */
+
+const DIRECTIONS = ['next', 'prev'];
+
+/**
+ * Encode a position and direction as a cursor token
+ * @param {Object} position - { created_at, txn_id } of the row to continue from
+ * @param {string} direction - next (older rows) or prev (newer rows)
+ * @returns {string} URL-safe token
+ */
+function encodeCursor(position, direction) {
+  const payload = JSON.stringify({ c: position.created_at, i: position.txn_id, d: direction });
+  return Buffer.from(payload, 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a cursor token
+ * @param {string} token - Token from encodeCursor
+ * @returns {Object} { position: { created_at, txn_id }, direction }
+ */
+function decodeCursor(token) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    payload = null;
+  }
+
+  if (
+    !payload ||
+    typeof payload.c !== 'string' ||
+    Number.isNaN(Date.parse(payload.c.replace(' ', 'T'))) ||
+    !Number.isInteger(payload.i) ||
+    !DIRECTIONS.includes(payload.d)
+  ) {
+    throw new Error('Validation failed: cursor is not a valid page cursor');
+  }
+
+  return {
+    position: { created_at: payload.c, txn_id: payload.i },
+    direction: payload.d
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,95 @@
+/**
+ * Recurrence helpers for standing instructions
+ * Dates are handled as calendar dates in YYYY-MM-DD form
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+/**
+ * Normalise a date value to YYYY-MM-DD
+ * pg returns DATE columns as local-midnight Date objects, so local parts are used
+ * @param {Date|string|null} value - Date value
+ * @returns {string|null} Calendar date or null
+ */
+function toDateOnly(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (value instanceof Date) {
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Today's calendar date
+ * @returns {string} YYYY-MM-DD
+ */
+function today() {
+  return toDateOnly(new Date());
+}
+
+/**
+ * Date of the nth occurrence of a recurrence (0 = start date)
+ * Monthly occurrences keep the start day of month, clamped to the month end,
+ * and are computed from the start date so short months never cause drift
+ * @param {string} startDate - First occurrence (YYYY-MM-DD)
+ * @param {string} frequency - DAILY, WEEKLY or MONTHLY
+ * @param {number} intervalCount - Every N days/weeks/months
+ * @param {number} index - Occurrence index
+ * @returns {string} Occurrence date (YYYY-MM-DD)
+ */
+function occurrenceDate(startDate, frequency, intervalCount, index) {
+  const [year, month, day] = toDateOnly(startDate).split('-').map(Number);
+  const step = index * (intervalCount || 1);
+  let date;
+
+  switch (frequency) {
+    case 'DAILY':
+      date = new Date(Date.UTC(year, month - 1, day + step));
+      break;
+    case 'WEEKLY':
+      date = new Date(Date.UTC(year, month - 1, day + step * 7));
+      break;
+    case 'MONTHLY': {
+      const targetMonth = month - 1 + step;
+      const lastDayOfMonth = new Date(Date.UTC(year, targetMonth + 1, 0)).getUTCDate();
+      date = new Date(Date.UTC(year, targetMonth, Math.min(day, lastDayOfMonth)));
+      break;
+    }
+    default:
+      throw new Error(`Unsupported frequency: ${frequency}`);
+  }
+
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Index of the first occurrence on or after a given date
+ * @param {string} startDate - First occurrence (YYYY-MM-DD)
+ * @param {string} frequency - DAILY, WEEKLY or MONTHLY
+ * @param {number} intervalCount - Every N days/weeks/months
+ * @param {string} onOrAfter - Lower bound (YYYY-MM-DD)
+ * @param {number} fromIndex - Index to start searching from
+ * @returns {number} Occurrence index
+ */
+function firstOccurrenceOnOrAfter(startDate, frequency, intervalCount, onOrAfter, fromIndex = 0) {
+  let index = fromIndex;
+  while (occurrenceDate(startDate, frequency, intervalCount, index) < onOrAfter) {
+    index++;
+  }
+  return index;
+}
+
+module.exports = {
+  FREQUENCIES,
+  toDateOnly,
+  today,
+  occurrenceDate,
+  firstOccurrenceOnOrAfter
+};
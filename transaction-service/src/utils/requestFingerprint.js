@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level, so the same
+ * request always serializes the same way whatever order its fields arrived in
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Fingerprint a request as the SHA-256 of its canonical form
+ * The idempotency_key field is left out: it names the request rather than describing it.
+ * Text bodies (CSV uploads) are fingerprinted as they are
+ * @param {Object} request - Relevant request fields (e.g. method, path, body)
+ * @returns {string} Hex-encoded fingerprint
+ */
+function fingerprint(request) {
+  let body = {};
+  if (typeof request.body === 'string') {
+    body = request.body;
+  } else if (request.body && typeof request.body === 'object') {
+    const { idempotency_key, ...fields } = request.body;
+    body = fields;
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(canonicalize({ ...request, body }))
+    .digest('hex');
+}
+
+module.exports = {
+  canonicalize,
+  fingerprint
+};
@@ -0,0 +1,227 @@
+/**
+ * Account statement PDF rendering
+ * Uses PDFKit's built-in fonts so documents are generated without network or font files.
+ * Pages are written to the output as they fill up, so memory use does not grow with the
+ * length of the statement
+ */
+const PDFDocument = require('pdfkit');
+const { finished } = require('stream/promises');
+const { getMinorUnits } = require('./currency');
+const { drained } = require('./streams');
+
+const MARGIN = 50;
+const ROW_HEIGHT = 14;
+const FOOTER_HEIGHT = 20;
+
+const COLUMNS = [
+  { key: 'date', label: 'Date', width: 58 },
+  { key: 'reference', label: 'Reference', width: 92 },
+  { key: 'description', label: 'Description', width: 147 },
+  { key: 'debit', label: 'Debit', width: 64, align: 'right' },
+  { key: 'credit', label: 'Credit', width: 64, align: 'right' },
+  { key: 'balance', label: 'Balance', width: 70, align: 'right' }
+];
+
+/**
+ * Format an amount with grouping and the currency's minor units
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount, currency) {
+  const digits = getMinorUnits(currency);
+  return amount.toLocaleString('en-US', {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  });
+}
+
+/**
+ * Shorten text to fit a width in the current font, ending it with an ellipsis
+ * @param {PDFDocument} doc - Document
+ * @param {string} text - Text
+ * @param {number} width - Available width in points
+ * @returns {string} Text that fits
+ */
+function fitText(doc, text, width) {
+  let value = String(text || '');
+  if (doc.widthOfString(value) <= width) {
+    return value;
+  }
+
+  while (value.length > 0 && doc.widthOfString(`${value}...`) > width) {
+    value = value.slice(0, -1);
+  }
+  return `${value}...`;
+}
+
+/**
+ * Render an account statement as PDF into a writable stream
+ * Lines are pulled one at a time and the output's backpressure is respected, so a slow
+ * reader pauses the line source rather than letting pages pile up in memory
+ * @param {Object} statement - Statement header from StatementService
+ * @param {AsyncIterable<Object>} lines - Statement lines with running balance
+ * @param {Writable} output - Stream to write the document to (e.g. an HTTP response)
+ * @param {Object} options - PDFKit document options to override (e.g. compress)
+ * @returns {Promise} Resolves once the whole document has been written
+ */
+async function renderStatementPdf(statement, lines, output, options = {}) {
+  const { account, customer, currency, period } = statement;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    info: {
+      Title: `Account statement ${account.account_number} ${period.from} to ${period.to}`,
+      Subject: 'Account statement',
+      CreationDate: statement.generated_at
+    },
+    ...options
+  });
+
+  const written = finished(doc.pipe(output));
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  let pageNumber = 1;
+
+  const drawFooter = () => {
+    const { bottom } = doc.page.margins;
+    const y = doc.y;
+
+    // Footer sits in the bottom margin, which PDFKit would otherwise treat as overflow
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(7).fillColor('#666666').text(
+      `Account ${account.account_number} | ${period.from} to ${period.to} | Page ${pageNumber}`,
+      left,
+      doc.page.height - bottom + FOOTER_HEIGHT / 2,
+      { width: right - left, align: 'center', lineBreak: false }
+    );
+    doc.fillColor('black');
+    doc.page.margins.bottom = bottom;
+    doc.y = y;
+  };
+
+  const drawLabelValue = (label, value, x, y, width) => {
+    doc.font('Helvetica').fontSize(8).fillColor('#666666').text(label, x, y, { width, lineBreak: false });
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('black')
+      .text(fitText(doc, value, width), x, y + 10, { width, lineBreak: false });
+  };
+
+  const drawRow = (values, bold = false) => {
+    const y = doc.y;
+    let x = left;
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    for (const column of COLUMNS) {
+      const text = fitText(doc, values[column.key], column.width - 4);
+      doc.text(text, x + 2, y + 3, { width: column.width - 4, align: column.align || 'left', lineBreak: false });
+      x += column.width;
+    }
+
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  const drawTableHeader = () => {
+    doc.rect(left, doc.y, right - left, ROW_HEIGHT).fill('#e8e8e8');
+    doc.fillColor('black');
+    drawRow(Object.fromEntries(COLUMNS.map(column => [column.key, column.label])), true);
+  };
+
+  const ensureSpace = (height, withTableHeader = false) => {
+    if (doc.y + height <= doc.page.height - doc.page.margins.bottom) {
+      return;
+    }
+
+    doc.addPage();
+    pageNumber++;
+    drawFooter();
+    if (withTableHeader) {
+      drawTableHeader();
+    }
+  };
+
+  drawFooter();
+
+  // Heading
+  doc.font('Helvetica-Bold').fontSize(18).text('Account Statement', left, MARGIN);
+  doc.font('Helvetica').fontSize(9).fillColor('#444444')
+    .text(`Statement period: ${period.from} to ${period.to}`)
+    .text(`Generated: ${statement.generated_at.toISOString()}`);
+  doc.fillColor('black');
+  doc.moveDown();
+
+  // Account and customer details
+  const detailWidth = (right - left) / 3;
+  const details = [
+    ['Account holder', customer ? customer.name : '-'],
+    ['Customer number', customer ? customer.customer_number : '-'],
+    ['Account number', account.account_number],
+    ['Account type', account.account_type],
+    ['Currency', currency],
+    ['Account status', account.status]
+  ];
+  let y = doc.y;
+  details.forEach(([label, value], index) => {
+    drawLabelValue(label, value, left + (index % 3) * detailWidth, y + Math.floor(index / 3) * 26, detailWidth - 8);
+  });
+  y += 60;
+
+  // Balances
+  doc.rect(left, y, right - left, 34).fill('#f4f4f4');
+  doc.fillColor('black');
+  drawLabelValue(`Opening balance (${currency})`, formatAmount(statement.opening_balance, currency), left + 8, y + 7, detailWidth - 8);
+  drawLabelValue(`Closing balance (${currency})`, formatAmount(statement.closing_balance, currency), left + 8 + detailWidth, y + 7, detailWidth - 8);
+  drawLabelValue('Transactions', String(statement.totals.total_transactions), left + 8 + detailWidth * 2, y + 7, detailWidth - 16);
+  doc.y = y + 50;
+
+  // Transactions with running balance
+  drawTableHeader();
+  drawRow({ date: period.from, description: 'Opening balance', balance: formatAmount(statement.opening_balance, currency) });
+
+  for await (const line of lines) {
+    ensureSpace(ROW_HEIGHT, true);
+    drawRow({
+      date: line.date,
+      reference: line.reference,
+      description: line.description,
+      debit: line.debit ? formatAmount(line.debit, currency) : '',
+      credit: line.credit ? formatAmount(line.credit, currency) : '',
+      balance: formatAmount(line.balance, currency)
+    });
+
+    if (output.writableNeedDrain) {
+      await drained(output);
+    }
+  }
+
+  ensureSpace(ROW_HEIGHT, true);
+  drawRow({ date: period.to, description: 'Closing balance', balance: formatAmount(statement.closing_balance, currency) }, true);
+
+  // Period totals
+  const totals = [
+    ['Total credits', statement.totals.total_credits],
+    ['Total debits', statement.totals.total_debits],
+    ['Net change', statement.totals.net_amount],
+    ['Fees and taxes', statement.totals.total_fees],
+    ['Interest credited', statement.totals.total_interest],
+    ['Overdraft interest', statement.totals.total_overdraft_interest]
+  ];
+
+  ensureSpace(30 + totals.length * ROW_HEIGHT);
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(11).text(`Summary (${currency})`, left);
+  doc.moveDown(0.3);
+  for (const [label, amount] of totals) {
+    y = doc.y;
+    doc.font('Helvetica').fontSize(9).text(label, left, y, { width: 150, lineBreak: false });
+    doc.text(formatAmount(amount, currency), left + 150, y, { width: 100, align: 'right', lineBreak: false });
+    doc.y = y + ROW_HEIGHT;
+  }
+
+  doc.end();
+  await written;
+}
+
+module.exports = {
+  renderStatementPdf,
+  formatAmount
+};
@@ -0,0 +1,46 @@
+/**
+ * Writable stream helpers for documents generated while they are being sent
+ */
+
+/**
+ * Resolve once the output has drained, or fail if it is closed first
+ * @param {Writable} output - Output stream
+ * @returns {Promise} Drain
+ */
+function drained(output) {
+  return new Promise((resolve, reject) => {
+    if (output.destroyed) {
+      reject(new Error('Output closed before the document was written'));
+      return;
+    }
+
+    const onDrain = () => {
+      output.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      output.off('drain', onDrain);
+      reject(new Error('Output closed before the document was written'));
+    };
+
+    output.once('drain', onDrain);
+    output.once('close', onClose);
+  });
+}
+
+/**
+ * Write a chunk, waiting for the output to drain when its buffer is full
+ * @param {Writable} output - Output stream
+ * @param {string|Buffer} chunk - Chunk to write
+ * @returns {Promise} Resolves when more can be written
+ */
+async function writeChunk(output, chunk) {
+  if (!output.write(chunk)) {
+    await drained(output);
+  }
+}
+
+module.exports = {
+  drained,
+  writeChunk
+};
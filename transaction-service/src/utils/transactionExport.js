@@ -0,0 +1,103 @@
+/**
+ * Transaction history export as CSV or NDJSON
+ * Rows are written as they are read, waiting whenever the client falls behind, so an
+ * export of any length is never held in memory
+ */
+const { finished } = require('stream/promises');
+const { toCsvLine } = require('./csv');
+const { writeChunk } = require('./streams');
+
+// Columns that can be exported, in their default order
+const EXPORT_COLUMNS = [
+  'txn_id',
+  'account_id',
+  'created_at',
+  'txn_type',
+  'status',
+  'amount',
+  'balance_after',
+  'reference',
+  'description',
+  'counterparty',
+  'failure_reason',
+  'reversal_of',
+  'reversed_amount',
+  'reversed_at',
+  'related_txn_id',
+  'original_amount',
+  'original_currency',
+  'converted_amount',
+  'converted_currency',
+  'fx_rate',
+  'updated_at'
+];
+
+/**
+ * Parse a comma-separated column selection
+ * @param {string} value - Column names, e.g. "txn_id,amount"; all columns when empty
+ * @returns {Array<string>} Column names in the requested order
+ */
+function parseColumns(value) {
+  if (!value) {
+    return EXPORT_COLUMNS;
+  }
+
+  return [...new Set(value.split(',').map(column => column.trim()).filter(Boolean))];
+}
+
+/**
+ * Pick the selected columns of a transaction
+ * @param {Transaction} transaction - Transaction
+ * @param {Array<string>} columns - Column names
+ * @returns {Object} Selected fields
+ */
+function pick(transaction, columns) {
+  const json = transaction.toJSON();
+  const record = {};
+  for (const column of columns) {
+    record[column] = json[column] === undefined ? null : json[column];
+  }
+  return record;
+}
+
+/**
+ * Write transactions as CSV with a header row (RFC 4180, CRLF line endings)
+ * @param {AsyncIterable<Transaction>} transactions - Transactions to export
+ * @param {Array<string>} columns - Column names
+ * @param {Writable} output - Stream to write to; ended when the export is complete
+ * @returns {Promise} Resolves once every row has been written
+ */
+async function writeCsv(transactions, columns, output) {
+  await writeChunk(output, toCsvLine(columns));
+
+  for await (const transaction of transactions) {
+    const record = pick(transaction, columns);
+    await writeChunk(output, toCsvLine(columns.map(column => record[column])));
+  }
+
+  output.end();
+  await finished(output);
+}
+
+/**
+ * Write transactions as newline-delimited JSON, one object per line
+ * @param {AsyncIterable<Transaction>} transactions - Transactions to export
+ * @param {Array<string>} columns - Column names
+ * @param {Writable} output - Stream to write to; ended when the export is complete
+ * @returns {Promise} Resolves once every row has been written
+ */
+async function writeNdjson(transactions, columns, output) {
+  for await (const transaction of transactions) {
+    await writeChunk(output, `${JSON.stringify(pick(transaction, columns))}\n`);
+  }
+
+  output.end();
+  await finished(output);
+}
+
+module.exports = {
+  writeCsv,
+  writeNdjson,
+  parseColumns,
+  EXPORT_COLUMNS
+};
@@ -0,0 +1,28 @@
+/**
+ * XML text helpers for generated documents
+ */
+
+/**
+ * Escape text for XML element content or attributes, dropping characters XML 1.0 cannot carry
+ * @param {*} value - Text
+ * @param {number} maxLength - Longest value the element allows (optional)
+ * @returns {string} Escaped text
+ */
+function escapeXml(value, maxLength = null) {
+  // eslint-disable-next-line no-control-regex
+  let result = String(value).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '');
+  if (maxLength) {
+    result = result.slice(0, maxLength);
+  }
+
+  return result
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  escapeXml
+};
@@ -0,0 +1,77 @@
+jest.mock('../src/messaging/connection', () => {
+  const channel = { ack: jest.fn(), nack: jest.fn() };
+
+  return {
+    channel,
+    getChannel: jest.fn(() => channel)
+  };
+});
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  upsert: jest.fn(),
+  updateDetails: jest.fn(),
+  updateStatus: jest.fn(),
+  updateBalance: jest.fn(),
+  updateOverdraft: jest.fn()
+}));
+
+const rabbitMQConnection = require('../src/messaging/connection');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const AccountConsumer = require('../src/messaging/consumers/AccountConsumer');
+
+const message = (routingKey, data) => ({
+  fields: { routingKey },
+  properties: { headers: {} },
+  content: Buffer.from(JSON.stringify({ messageId: 'msg-1', data }))
+});
+
+describe('AccountConsumer', () => {
+  const consumer = new AccountConsumer();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('stores the overdraft of a newly created account in its projection', async () => {
+    const created = message('account.created', {
+      accountId: 1,
+      customerId: 7,
+      accountNumber: '100000000001',
+      accountType: 'CURRENT',
+      initialBalance: 500,
+      currency: 'INR',
+      overdraftLimit: 1000,
+      overdraftInterestRate: 12
+    });
+
+    await consumer.processMessage(created);
+
+    expect(accountProjectionRepository.upsert).toHaveBeenCalledWith({
+      account_id: 1,
+      customer_id: 7,
+      account_number: '100000000001',
+      account_type: 'CURRENT',
+      current_balance: 500,
+      currency: 'INR',
+      status: 'ACTIVE',
+      overdraft_limit: 1000,
+      overdraft_interest_rate: 12
+    });
+    expect(rabbitMQConnection.channel.ack).toHaveBeenCalledWith(created);
+  });
+
+  test('applies updates through the projection repository', async () => {
+    await consumer.processMessage(message('account.updated', { accountId: 1, accountType: 'SAVINGS' }));
+    await consumer.processMessage(message('account.status.changed', { accountId: 1, newStatus: 'FROZEN' }));
+    await consumer.processMessage(message('account.balance.updated', { accountId: 1, newBalance: 250 }));
+    await consumer.processMessage(message('account.overdraft.updated', { accountId: 1, overdraftLimit: 2000 }));
+
+    expect(accountProjectionRepository.updateDetails)
+      .toHaveBeenCalledWith(1, { account_type: 'SAVINGS', currency: undefined });
+    expect(accountProjectionRepository.updateStatus).toHaveBeenCalledWith(1, 'FROZEN');
+    expect(accountProjectionRepository.updateBalance).toHaveBeenCalledWith(1, 250);
+    expect(accountProjectionRepository.updateOverdraft)
+      .toHaveBeenCalledWith(1, { overdraft_limit: 2000, overdraft_interest_rate: undefined });
+    expect(rabbitMQConnection.channel.ack).toHaveBeenCalledTimes(4);
+    expect(rabbitMQConnection.channel.nack).not.toHaveBeenCalled();
+  });
+});
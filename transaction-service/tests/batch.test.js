@@ -0,0 +1,179 @@
+jest.mock('../src/database/connection', () => {
+  const client = { query: jest.fn() };
+
+  return {
+    client,
+    transaction: jest.fn(async (callback) => await callback(client))
+  };
+});
+
+// In-memory batch lines; the batch row itself only matters for its final status
+jest.mock('../src/repositories/TransactionBatchRepository', () => {
+  const TransactionBatch = require('../src/models/TransactionBatch');
+  const TransactionBatchLine = require('../src/models/TransactionBatchLine');
+  const lines = new Map();
+
+  const count = (status) => [...lines.values()].filter(line => line.status === status).length;
+
+  return {
+    lines,
+    findLines: jest.fn(async (batchId, { status } = {}) => [...lines.values()]
+      .filter(line => !status || line.status === status)
+      .sort((a, b) => a.line_number - b.line_number)
+      .map(line => new TransactionBatchLine({ ...line }))),
+    updateLine: jest.fn(async (lineId, outcome) => {
+      const line = lines.get(lineId);
+      Object.assign(line, {
+        status: outcome.status,
+        result: outcome.result || line.result,
+        error: outcome.error || null
+      });
+      return new TransactionBatchLine({ ...line });
+    }),
+    skipPendingLines: jest.fn(async () => {
+      lines.forEach(line => {
+        if (line.status === 'PENDING') {
+          line.status = 'SKIPPED';
+        }
+      });
+    }),
+    refreshProgress: jest.fn(async (batchId, completion = {}) => new TransactionBatch({
+      batch_id: batchId,
+      mode: 'ALL_OR_NOTHING',
+      status: completion.status || 'PROCESSING',
+      error: completion.error || null,
+      succeeded_lines: count('SUCCEEDED'),
+      failed_lines: count('FAILED')
+    }))
+  };
+});
+
+jest.mock('../src/services/TransactionService', () => ({
+  processDeposit: jest.fn(),
+  processWithdrawal: jest.fn(),
+  processTransfer: jest.fn(),
+  reverseTransaction: jest.fn()
+}));
+
+const db = require('../src/database/connection');
+const transactionBatchRepository = require('../src/repositories/TransactionBatchRepository');
+const transactionService = require('../src/services/TransactionService');
+const batchService = require('../src/services/BatchService');
+const TransactionBatch = require('../src/models/TransactionBatch');
+
+const addLines = (...lines) => {
+  lines.forEach((line, index) => {
+    transactionBatchRepository.lines.set(index + 1, {
+      line_id: index + 1,
+      batch_id: 3,
+      line_number: index + 1,
+      status: 'PENDING',
+      ...line
+    });
+  });
+};
+
+const lineStatuses = () => [...transactionBatchRepository.lines.values()].map(line => line.status);
+
+const posted = (txnId) => ({ transaction: { txn_id: txnId, reference: `REF20260301-00000${txnId}` }, new_balance: 100 });
+
+describe('BatchService.processBatch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transactionBatchRepository.lines.clear();
+    transactionService.processDeposit.mockResolvedValue(posted(1));
+    transactionService.processWithdrawal.mockResolvedValue(posted(2));
+    transactionService.processTransfer.mockResolvedValue({
+      transfer_reference: 'REF20260301-XFER01',
+      debit_transaction: { txn_id: 3 },
+      credit_transaction: { txn_id: 4 }
+    });
+    transactionService.reverseTransaction.mockResolvedValue({});
+  });
+
+  test('posts every line on the same transaction as its status', async () => {
+    addLines(
+      { txn_type: 'DEPOSIT', payload: { account_id: '1', amount: '100.00' } },
+      { txn_type: 'WITHDRAWAL', payload: { account_id: '1', amount: '40' } },
+      { txn_type: 'TRANSFER', payload: { from_account_id: '1', to_account_id: '2', amount: '10' } }
+    );
+
+    const finished = await batchService.processBatch(new TransactionBatch({ batch_id: 3, mode: 'BEST_EFFORT' }));
+
+    expect(finished.status).toBe('COMPLETED');
+    expect(transactionService.processDeposit).toHaveBeenCalledWith({ account_id: 1, amount: 100 }, db.client);
+    expect(transactionService.processWithdrawal).toHaveBeenCalledWith({ account_id: 1, amount: 40 }, db.client);
+    expect(transactionService.processTransfer).toHaveBeenCalledWith(
+      { from_account_id: 1, to_account_id: 2, amount: 10 },
+      'internal:batch-3-line-3',
+      db.client
+    );
+    expect(transactionBatchRepository.updateLine.mock.calls.map(([lineId, outcome, client]) => [lineId, outcome.status, client]))
+      .toEqual([[1, 'SUCCEEDED', db.client], [2, 'SUCCEEDED', db.client], [3, 'SUCCEEDED', db.client]]);
+  });
+
+  test('keeps going past failed lines in best-effort mode', async () => {
+    addLines(
+      { txn_type: 'WITHDRAWAL', payload: { account_id: '1', amount: '40' } },
+      { txn_type: 'DEPOSIT', payload: { account_id: '1', amount: '100' } }
+    );
+    transactionService.processWithdrawal.mockRejectedValue(new Error('Insufficient balance'));
+
+    const finished = await batchService.processBatch(new TransactionBatch({ batch_id: 3, mode: 'BEST_EFFORT' }));
+
+    expect(finished.status).toBe('COMPLETED_WITH_ERRORS');
+    expect(lineStatuses()).toEqual(['FAILED', 'SUCCEEDED']);
+    expect(transactionService.reverseTransaction).not.toHaveBeenCalled();
+  });
+
+  test('reverses posted lines and skips the rest when an all-or-nothing line fails', async () => {
+    addLines(
+      { txn_type: 'DEPOSIT', payload: { account_id: '1', amount: '100' } },
+      { txn_type: 'WITHDRAWAL', payload: { account_id: '1', amount: '900' } },
+      { txn_type: 'DEPOSIT', payload: { account_id: '2', amount: '5' } }
+    );
+    transactionService.processWithdrawal.mockRejectedValue(new Error('Insufficient balance'));
+
+    const finished = await batchService.processBatch(new TransactionBatch({ batch_id: 3, mode: 'ALL_OR_NOTHING' }));
+
+    expect(finished).toMatchObject({ status: 'ROLLED_BACK', error: 'Line 2 failed: Insufficient balance' });
+    expect(lineStatuses()).toEqual(['ROLLED_BACK', 'FAILED', 'SKIPPED']);
+    expect(transactionService.reverseTransaction).toHaveBeenCalledWith(1, {
+      reason: 'Rollback of batch 3 line 1'
+    }, db.client);
+    expect(transactionService.processDeposit).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves the batch for manual repair when a posted line cannot be reversed', async () => {
+    addLines(
+      { txn_type: 'DEPOSIT', status: 'SUCCEEDED', payload: { account_id: '1', amount: '100' }, result: { txn_id: 1 } },
+      { txn_type: 'DEPOSIT', status: 'SUCCEEDED', payload: { account_id: '2', amount: '100' }, result: { txn_id: 7 } },
+      { txn_type: 'WITHDRAWAL', payload: { account_id: '1', amount: '900' } }
+    );
+    transactionService.processWithdrawal.mockRejectedValue(new Error('Insufficient balance'));
+    transactionService.reverseTransaction
+      .mockRejectedValueOnce(new Error('Account is not active'))
+      .mockResolvedValueOnce({});
+
+    const finished = await batchService.processBatch(new TransactionBatch({ batch_id: 3, mode: 'ALL_OR_NOTHING' }));
+
+    expect(finished.status).toBe('NEEDS_REPAIR');
+    expect(finished.isFinished()).toBe(true);
+    expect(finished.error).toBe('Line 3 failed: Insufficient balance; rollback incomplete (line 1: Account is not active)');
+    expect(lineStatuses()).toEqual(['SUCCEEDED', 'ROLLED_BACK', 'FAILED']);
+  });
+
+  test('finishes an interrupted rollback instead of posting the remaining lines', async () => {
+    addLines(
+      { txn_type: 'DEPOSIT', status: 'SUCCEEDED', payload: { account_id: '1', amount: '100' }, result: { txn_id: 1 } },
+      { txn_type: 'WITHDRAWAL', status: 'FAILED', payload: { account_id: '1', amount: '900' }, error: 'Insufficient balance' },
+      { txn_type: 'DEPOSIT', payload: { account_id: '2', amount: '5' } }
+    );
+
+    const finished = await batchService.processBatch(new TransactionBatch({ batch_id: 3, mode: 'ALL_OR_NOTHING' }));
+
+    expect(finished.status).toBe('ROLLED_BACK');
+    expect(lineStatuses()).toEqual(['ROLLED_BACK', 'FAILED', 'SKIPPED']);
+    expect(transactionService.processDeposit).not.toHaveBeenCalled();
+  });
+});
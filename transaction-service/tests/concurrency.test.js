@@ -0,0 +1,245 @@
+// In-memory stand-in for the database. Like Postgres, a row lock taken inside a transaction
+// is held until it commits or rolls back, postings made inside a transaction only become
+// visible to other connections at commit, and reads outside a transaction take no lock
+jest.mock('../src/database/connection', () => {
+  const state = { accounts: new Map(), ledger: [], locks: new Map() };
+
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  const acquire = async (accountId) => {
+    const key = String(accountId);
+    while (state.locks.has(key)) {
+      await state.locks.get(key).released;
+    }
+    let release;
+    state.locks.set(key, { released: new Promise(resolve => { release = resolve; }) });
+    return () => {
+      state.locks.delete(key);
+      release();
+    };
+  };
+
+  const post = (entry) => {
+    const account = state.accounts.get(String(entry.account_id));
+    const sign = ['DEPOSIT', 'TRANSFER_IN'].includes(entry.txn_type) ? 1 : -1;
+    account.current_balance = Math.round((account.current_balance + sign * entry.amount) * 100) / 100;
+    state.ledger.push(entry);
+  };
+
+  return {
+    state,
+    tick,
+    acquire,
+    post,
+    query: jest.fn(),
+    transaction: async (callback) => {
+      const client = { releases: [], postings: [] };
+      try {
+        const result = await callback(client);
+        await tick();
+        client.postings.forEach(post);
+        return result;
+      } finally {
+        client.releases.forEach(release => release());
+      }
+    }
+  };
+});
+
+jest.mock('../src/repositories/AccountProjectionRepository', () => {
+  const AccountProjection = require('../src/models/AccountProjection');
+  const db = require('../src/database/connection');
+
+  return {
+    async findById(accountId) {
+      await db.tick();
+      const row = db.state.accounts.get(String(accountId));
+      return row ? new AccountProjection({ ...row }) : null;
+    },
+    lockForUpdate: jest.fn(async (accountId, client) => {
+      client.releases.push(await db.acquire(accountId));
+      await db.tick();
+      const row = db.state.accounts.get(String(accountId));
+      return row ? new AccountProjection({ ...row }) : null;
+    })
+  };
+});
+
+jest.mock('../src/repositories/TransactionRepository', () => {
+  const Transaction = require('../src/models/Transaction');
+  const db = require('../src/database/connection');
+
+  return {
+    async create(data, client = null) {
+      await db.tick();
+      if (data.status === 'FAILED') {
+        return new Transaction(data);
+      }
+      const entry = { ...data, amount: parseFloat(data.amount), id: db.state.ledger.length + 1 };
+      if (client) {
+        client.postings.push(entry);
+      } else {
+        db.post(entry);
+      }
+      return new Transaction(entry);
+    }
+  };
+});
+
+jest.mock('../src/services/LimitService', () => ({
+  checkLimits: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../src/services/FeeService', () => ({
+  calculateFee: jest.fn().mockResolvedValue(null),
+  postFees: jest.fn().mockResolvedValue(null)
+}));
+
+const db = require('../src/database/connection');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const transactionService = require('../src/services/TransactionService');
+
+const ACCOUNT_ID = 1;
+
+const openAccount = (balance, overdraftLimit = 0) => {
+  db.state.accounts.set(String(ACCOUNT_ID), {
+    account_id: ACCOUNT_ID,
+    customer_id: 1,
+    account_number: 'ACC0000001',
+    account_type: 'SAVINGS',
+    current_balance: balance,
+    currency: 'INR',
+    status: 'ACTIVE',
+    overdraft_limit: overdraftLimit
+  });
+};
+
+const balance = () => db.state.accounts.get(String(ACCOUNT_ID)).current_balance;
+
+const settle = (promises) => Promise.allSettled(promises);
+
+const withdraw = (amount) => transactionService.processWithdrawal({
+  account_id: ACCOUNT_ID,
+  amount,
+  description: 'Concurrent withdrawal'
+});
+
+const deposit = (amount) => transactionService.processDeposit({
+  account_id: ACCOUNT_ID,
+  amount,
+  description: 'Concurrent deposit'
+});
+
+describe('Concurrent postings to one account', () => {
+  beforeEach(() => {
+    db.state.accounts.clear();
+    db.state.ledger.length = 0;
+    db.state.locks.clear();
+  });
+
+  it('never overdraws a SAVINGS account under parallel withdrawals', async () => {
+    openAccount(1000);
+
+    const results = await settle(Array.from({ length: 25 }, () => withdraw(100)));
+
+    const succeeded = results.filter(result => result.status === 'fulfilled');
+    const failed = results.filter(result => result.status === 'rejected');
+    expect(succeeded).toHaveLength(10);
+    expect(failed).toHaveLength(15);
+    failed.forEach(result => expect(result.reason.message).toMatch(/Insufficient balance/));
+    expect(balance()).toBe(0);
+    expect(db.state.ledger).toHaveLength(10);
+  });
+
+  it('reports the balance each withdrawal actually left behind', async () => {
+    openAccount(500);
+
+    const results = await settle(Array.from({ length: 5 }, () => withdraw(100)));
+
+    const newBalances = results.map(result => result.value.new_balance).sort((a, b) => a - b);
+    expect(newBalances).toEqual([0, 100, 200, 300, 400]);
+  });
+
+  it('stays within the overdraft limit', async () => {
+    openAccount(200, 300);
+
+    await settle(Array.from({ length: 20 }, () => withdraw(75)));
+
+    expect(balance()).toBe(-250);
+    expect(db.state.ledger).toHaveLength(6);
+  });
+
+  it('keeps the balance consistent with the ledger under mixed deposits and withdrawals', async () => {
+    openAccount(300);
+
+    const amounts = Array.from({ length: 40 }, (_, index) => (index % 3 === 0 ? 50 : 120));
+    await settle(amounts.map((amount, index) => (index % 3 === 0 ? deposit(amount) : withdraw(amount))));
+
+    const net = db.state.ledger.reduce(
+      (sum, entry) => sum + (entry.txn_type === 'DEPOSIT' ? entry.amount : -entry.amount),
+      0
+    );
+    expect(balance()).toBeGreaterThanOrEqual(0);
+    expect(balance()).toBe(300 + net);
+  });
+});
+
+describe('Concurrent transfers between two accounts', () => {
+  const openAccounts = (...accountIds) => {
+    accountIds.forEach(accountId => db.state.accounts.set(String(accountId), {
+      account_id: accountId,
+      customer_id: 1,
+      account_number: `ACC000000${accountId}`,
+      account_type: 'SAVINGS',
+      current_balance: 1000,
+      currency: 'INR',
+      status: 'ACTIVE',
+      overdraft_limit: 0
+    }));
+  };
+
+  const transfer = (from_account_id, to_account_id, amount) => transactionService.processTransfer({
+    from_account_id,
+    to_account_id,
+    amount,
+    description: 'Concurrent transfer'
+  });
+
+  // Account ids each transfer locked, in the order it locked them
+  const lockOrders = () => {
+    const orders = new Map();
+    accountProjectionRepository.lockForUpdate.mock.calls.forEach(([accountId, client]) => {
+      orders.set(client, [...(orders.get(client) || []), accountId]);
+    });
+    return [...orders.values()];
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.state.accounts.clear();
+    db.state.ledger.length = 0;
+    db.state.locks.clear();
+  });
+
+  it('locks the lower account id first whichever way the money moves', async () => {
+    openAccounts(2, 10);
+
+    await transfer(10, 2, 100);
+    await transfer(2, 10, 50);
+
+    expect(lockOrders()).toEqual([['2', '10'], ['2', '10']]);
+  });
+
+  it('completes opposing transfers without deadlocking', async () => {
+    openAccounts(2, 10);
+
+    const results = await settle(Array.from({ length: 10 }, (_, index) => (
+      index % 2 === 0 ? transfer(2, 10, 30) : transfer(10, 2, 20)
+    )));
+
+    results.forEach(result => expect(result.status).toBe('fulfilled'));
+    expect(db.state.accounts.get('2').current_balance).toBe(950);
+    expect(db.state.accounts.get('10').current_balance).toBe(1050);
+    lockOrders().forEach(order => expect(order).toEqual(['2', '10']));
+  });
+});
@@ -0,0 +1,168 @@
+jest.mock('../src/database/connection', () => ({
+  transaction: jest.fn(async (callback) => await callback({}))
+}));
+jest.mock('../src/repositories/FeeScheduleRepository', () => ({
+  findApplicable: jest.fn()
+}));
+jest.mock('../src/repositories/TransactionRepository', () => ({
+  countPostedThisMonth: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  findById: jest.fn(),
+  lockForUpdate: jest.fn()
+}));
+jest.mock('../src/services/LimitService', () => ({
+  checkLimits: jest.fn()
+}));
+
+const feeScheduleRepository = require('../src/repositories/FeeScheduleRepository');
+const transactionRepository = require('../src/repositories/TransactionRepository');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const feeService = require('../src/services/FeeService');
+const transactionService = require('../src/services/TransactionService');
+const AccountProjection = require('../src/models/AccountProjection');
+const FeeSchedule = require('../src/models/FeeSchedule');
+const Transaction = require('../src/models/Transaction');
+
+const account = (fields = {}) => new AccountProjection({
+  account_id: 1,
+  account_number: 'ACC0001',
+  account_type: 'SAVINGS',
+  current_balance: 1000,
+  currency: 'INR',
+  status: 'ACTIVE',
+  ...fields
+});
+
+const schedule = (fields = {}) => new FeeSchedule({
+  fee_schedule_id: 2,
+  txn_type: 'WITHDRAWAL',
+  flat_fee: 5,
+  percent_fee: 0.5,
+  gst_percent: 18,
+  ...fields
+});
+
+describe('FeeService.calculateFee', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('charges flat plus percentage fee with GST, rounded to the account currency', async () => {
+    feeScheduleRepository.findApplicable.mockResolvedValue(schedule());
+
+    const fee = await feeService.calculateFee(account(), 'WITHDRAWAL', 1234.5, 'client');
+
+    expect(feeScheduleRepository.findApplicable).toHaveBeenCalledWith('SAVINGS', 'WITHDRAWAL', 'client');
+    expect(fee).toMatchObject({ base_fee: 11.17, gst: 2.01, total: 13.18, free_tier: { applied: false } });
+  });
+
+  test('clamps the fee to the schedule\'s minimum and maximum', async () => {
+    feeScheduleRepository.findApplicable.mockResolvedValue(schedule({ min_fee: 10, max_fee: 25 }));
+
+    expect((await feeService.calculateFee(account(), 'WITHDRAWAL', 100)).base_fee).toBe(10);
+    expect((await feeService.calculateFee(account(), 'WITHDRAWAL', 100000)).base_fee).toBe(25);
+  });
+
+  test('waives the fee within the monthly free allowance only', async () => {
+    feeScheduleRepository.findApplicable.mockResolvedValue(schedule({ free_per_month: 3 }));
+
+    transactionRepository.countPostedThisMonth.mockResolvedValueOnce(2);
+    expect(await feeService.calculateFee(account(), 'WITHDRAWAL', 100)).toMatchObject({
+      base_fee: 0,
+      gst: 0,
+      total: 0,
+      free_tier: { allowance: 3, used_this_month: 2, applied: true }
+    });
+
+    transactionRepository.countPostedThisMonth.mockResolvedValueOnce(3);
+    expect((await feeService.calculateFee(account(), 'WITHDRAWAL', 100)).total).toBe(6.49);
+  });
+
+  test('rounds fees to two decimals for account currencies missing from the currency table', async () => {
+    feeScheduleRepository.findApplicable.mockResolvedValue(schedule());
+
+    expect(await feeService.calculateFee(account({ currency: 'BRL' }), 'WITHDRAWAL', 1234.5))
+      .toMatchObject({ currency: 'BRL', base_fee: 11.17, gst: 2.01, total: 13.18 });
+  });
+
+  test('charges nothing when no schedule applies', async () => {
+    feeScheduleRepository.findApplicable.mockResolvedValue(null);
+
+    expect(await feeService.calculateFee(account(), 'TRANSFER_OUT', 100)).toBeNull();
+  });
+});
+
+describe('FeeService.postFees', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transactionRepository.create.mockImplementation(async (data) => new Transaction({ txn_id: 50, ...data }));
+  });
+
+  test('posts the fee and its GST as separate entries linked to the charged transaction', async () => {
+    const charged = new Transaction({ txn_id: 40, account_id: 1, reference: 'REF20260301-000040' });
+
+    const fees = await feeService.postFees({ base_fee: 10, gst: 1.8, total: 11.8 }, charged, 'client');
+
+    expect(transactionRepository.create.mock.calls.map(([data, client]) => [data.txn_type, data.amount, data.related_txn_id, client]))
+      .toEqual([['FEE', 10, 40, 'client'], ['FEE_TAX', 1.8, 40, 'client']]);
+    expect(fees.transactions).toHaveLength(2);
+  });
+
+  test('posts nothing for a waived fee', async () => {
+    const charged = new Transaction({ txn_id: 40, account_id: 1 });
+
+    expect((await feeService.postFees({ base_fee: 0, gst: 0, total: 0 }, charged)).transactions).toEqual([]);
+    expect(await feeService.postFees(null, charged)).toBeNull();
+    expect(transactionRepository.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Fees in balance events', () => {
+  const publisher = {
+    publishTransactionCompleted: jest.fn(),
+    publishTransferCreated: jest.fn(),
+    publishBalanceUpdated: jest.fn()
+  };
+
+  beforeAll(() => {
+    transactionService.setTransactionPublisher(publisher);
+  });
+
+  afterAll(() => {
+    transactionService.setTransactionPublisher(null);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const lookup = async (accountId) => account({
+      account_id: Number(accountId),
+      account_number: `ACC000${accountId}`
+    });
+    accountProjectionRepository.findById.mockImplementation(lookup);
+    accountProjectionRepository.lockForUpdate.mockImplementation(lookup);
+    let txnId = 60;
+    transactionRepository.create.mockImplementation(async (data) => new Transaction({ txn_id: txnId++, ...data }));
+    feeScheduleRepository.findApplicable.mockResolvedValue(schedule({ flat_fee: 10, percent_fee: 0 }));
+  });
+
+  test('debit the fee on top of a transfer and show it in the source balance event', async () => {
+    const result = await transactionService.processTransfer({ from_account_id: 1, to_account_id: 2, amount: 200 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(result).toMatchObject({ from_account_new_balance: 788.2, fees: { total: 11.8 } });
+    expect(publisher.publishBalanceUpdated.mock.calls).toEqual([
+      [1, 1000, 788.2, 60, 'TRANSFER_OUT'],
+      [2, 1000, 1200, 61, 'TRANSFER_IN']
+    ]);
+  });
+
+  test('debit the fee on top of a withdrawal and show it in the balance event', async () => {
+    const result = await transactionService.processWithdrawal({ account_id: 1, amount: 200 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(result).toMatchObject({ new_balance: 788.2, fees: { total: 11.8 } });
+    expect(publisher.publishBalanceUpdated.mock.calls).toEqual([[1, 1000, 788.2, 60, 'WITHDRAWAL']]);
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../src/repositories/FxRateRepository', () => ({
+  findEffectiveRate: jest.fn()
+}));
+
+const fxRateRepository = require('../src/repositories/FxRateRepository');
+const fxRateService = require('../src/services/FxRateService');
+const FxRate = require('../src/models/FxRate');
+const { roundToMinorUnits, hasValidPrecision } = require('../src/utils/currency');
+
+describe('Currency rounding', () => {
+  test('rounds half away from zero to the currency\'s minor units', () => {
+    expect(roundToMinorUnits(1.005, 'USD')).toBe(1.01);
+    expect(roundToMinorUnits(-2.675, 'EUR')).toBe(-2.68);
+    expect(roundToMinorUnits(149.5, 'JPY')).toBe(150);
+  });
+
+  test('keeps two minor units for currencies missing from the table', () => {
+    expect(roundToMinorUnits(1.005, 'BRL')).toBe(1.01);
+    expect(hasValidPrecision(10.255, 'BRL')).toBe(false);
+  });
+
+  test('accepts only amounts the currency can represent', () => {
+    expect(hasValidPrecision(10.25, 'INR')).toBe(true);
+    expect(hasValidPrecision(10.255, 'INR')).toBe(false);
+    expect(hasValidPrecision(10.5, 'JPY')).toBe(false);
+  });
+});
+
+describe('FxRateService.convert', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('converts at the effective rate less its spread and rounds to the destination currency', async () => {
+    fxRateRepository.findEffectiveRate.mockResolvedValue(new FxRate({
+      rate_id: 5,
+      base_currency: 'INR',
+      quote_currency: 'USD',
+      rate: 0.012,
+      spread_percent: 1
+    }));
+
+    const conversion = await fxRateService.convert(1234.56, 'INR', 'USD', 'client');
+
+    expect(fxRateRepository.findEffectiveRate).toHaveBeenCalledWith('INR', 'USD', 'client');
+    expect(conversion).toEqual({
+      rate_id: 5,
+      original_amount: 1234.56,
+      original_currency: 'INR',
+      converted_amount: 14.67,
+      converted_currency: 'USD',
+      rate: 0.012,
+      spread_percent: 1,
+      applied_rate: 0.01188
+    });
+  });
+
+  test('rounds to whole units for zero-decimal currencies', async () => {
+    fxRateRepository.findEffectiveRate.mockResolvedValue(new FxRate({
+      rate_id: 6,
+      base_currency: 'USD',
+      quote_currency: 'JPY',
+      rate: 149.87
+    }));
+
+    const conversion = await fxRateService.convert(10.01, 'USD', 'JPY');
+
+    expect(conversion.converted_amount).toBe(1500);
+  });
+
+  test('needs no conversion within one currency', async () => {
+    expect(await fxRateService.convert(100, 'INR', 'INR')).toBeNull();
+    expect(fxRateRepository.findEffectiveRate).not.toHaveBeenCalled();
+  });
+
+  test('rejects unsupported pairs, over-precise amounts, missing rates and amounts too small to convert', async () => {
+    await expect(fxRateService.convert(100, 'INR', 'XYZ'))
+      .rejects.toThrow('Transfer failed: unsupported currency pair INR/XYZ');
+    await expect(fxRateService.convert(10.5, 'JPY', 'USD'))
+      .rejects.toThrow('Transfer failed: amount has more decimal places than JPY allows');
+
+    fxRateRepository.findEffectiveRate.mockResolvedValueOnce(null);
+    await expect(fxRateService.convert(100, 'INR', 'USD'))
+      .rejects.toThrow('Transfer failed: no valid FX rate for INR/USD');
+
+    fxRateRepository.findEffectiveRate.mockResolvedValueOnce(new FxRate({
+      base_currency: 'INR',
+      quote_currency: 'USD',
+      rate: 0.012
+    }));
+    await expect(fxRateService.convert(0.1, 'INR', 'USD'))
+      .rejects.toThrow('Transfer failed: amount is too small to convert to USD');
+  });
+});
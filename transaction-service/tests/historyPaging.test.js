@@ -0,0 +1,178 @@
+jest.mock('../src/database/connection', () => ({
+  transaction: jest.fn()
+}));
+jest.mock('../src/repositories/TransactionRepository', () => ({
+  findByAccountId: jest.fn(),
+  findPageByAccountId: jest.fn(),
+  getTransactionCount: jest.fn()
+}));
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  findById: jest.fn()
+}));
+
+const transactionRepository = require('../src/repositories/TransactionRepository');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const transactionService = require('../src/services/TransactionService');
+const transactionController = require('../src/controllers/TransactionController');
+const { encodeCursor, decodeCursor } = require('../src/utils/pageCursor');
+const AccountProjection = require('../src/models/AccountProjection');
+const Transaction = require('../src/models/Transaction');
+
+const row = (txnId, createdAt) => ({
+  transaction: new Transaction({ txn_id: txnId, account_id: 1, txn_type: 'DEPOSIT', amount: 10 }),
+  position: { created_at: createdAt, txn_id: txnId }
+});
+
+describe('Page cursors', () => {
+  test('round-trip a position with microsecond precision', () => {
+    const token = encodeCursor({ created_at: '2026-03-02 09:00:00.123456', txn_id: 42 }, 'next');
+
+    expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(token)).toEqual({
+      position: { created_at: '2026-03-02 09:00:00.123456', txn_id: 42 },
+      direction: 'next'
+    });
+  });
+
+  test('reject tokens that were not issued as cursors', () => {
+    const forged = Buffer.from(JSON.stringify({ c: "1' OR 1=1", i: 1, d: 'next' })).toString('base64url');
+
+    for (const token of ['not-a-cursor', forged, encodeCursor({ created_at: '2026-03-02', txn_id: 1 }, 'sideways')]) {
+      expect(() => decodeCursor(token)).toThrow('Validation failed: cursor is not a valid page cursor');
+    }
+  });
+});
+
+describe('TransactionService keyset history', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    accountProjectionRepository.findById.mockResolvedValue(new AccountProjection({
+      account_id: 1,
+      account_number: 'ACC0001',
+      current_balance: 500,
+      status: 'ACTIVE'
+    }));
+    transactionRepository.getTransactionCount.mockResolvedValue(5);
+  });
+
+  test('counts only the rows matching the filters in offset mode', async () => {
+    transactionRepository.findByAccountId.mockResolvedValue([]);
+
+    const result = await transactionService.getTransactionHistory(1, {
+      page: 2,
+      limit: 2,
+      from_date: '2026-03-01',
+      txn_type: 'DEPOSIT'
+    });
+
+    const filters = { fromDate: '2026-03-01', toDate: undefined, status: undefined, txnType: 'DEPOSIT' };
+    expect(transactionRepository.getTransactionCount).toHaveBeenCalledWith(1, filters);
+    expect(transactionRepository.findByAccountId).toHaveBeenCalledWith(1, { ...filters, limit: 2, offset: 2 });
+    expect(result.pagination).toEqual({ current_page: 2, total_pages: 3, total_count: 5, page_size: 2 });
+  });
+
+  test('starts at the newest row and only offers a next cursor on the first page', async () => {
+    transactionRepository.findPageByAccountId.mockResolvedValue({
+      rows: [row(5, '2026-03-05 10:00:00.000002'), row(4, '2026-03-05 10:00:00.000001')],
+      hasMore: true
+    });
+
+    const result = await transactionService.getTransactionHistory(1, { paging: 'cursor', limit: 2 });
+
+    expect(transactionRepository.findPageByAccountId).toHaveBeenCalledWith(1, expect.objectContaining({
+      limit: 2,
+      after: null,
+      direction: 'next'
+    }));
+    expect(result.transactions.map(txn => txn.txn_id)).toEqual([5, 4]);
+    expect(result.pagination).toMatchObject({ mode: 'cursor', page_size: 2, total_count: 5, prev_cursor: null });
+    expect(decodeCursor(result.pagination.next_cursor)).toEqual({
+      position: { created_at: '2026-03-05 10:00:00.000001', txn_id: 4 },
+      direction: 'next'
+    });
+  });
+
+  test('continues from a cursor and links back to the newer rows', async () => {
+    transactionRepository.findPageByAccountId.mockResolvedValue({
+      rows: [row(3, '2026-03-04 08:00:00'), row(2, '2026-03-03 08:00:00')],
+      hasMore: false
+    });
+    const cursor = encodeCursor({ created_at: '2026-03-05 10:00:00.000001', txn_id: 4 }, 'next');
+
+    const result = await transactionService.getTransactionHistory(1, { cursor, limit: 2 });
+
+    expect(transactionRepository.findPageByAccountId).toHaveBeenCalledWith(1, expect.objectContaining({
+      after: { created_at: '2026-03-05 10:00:00.000001', txn_id: 4 },
+      direction: 'next'
+    }));
+    expect(result.pagination.next_cursor).toBeNull();
+    expect(decodeCursor(result.pagination.prev_cursor)).toEqual({
+      position: { created_at: '2026-03-04 08:00:00', txn_id: 3 },
+      direction: 'prev'
+    });
+  });
+
+  test('rejects a bad cursor before reading anything', async () => {
+    await expect(transactionService.getTransactionHistory(1, { cursor: 'garbage' }))
+      .rejects.toThrow('Validation failed');
+    expect(accountProjectionRepository.findById).not.toHaveBeenCalled();
+  });
+
+  test('adds next and prev links that keep the filters', async () => {
+    transactionRepository.findPageByAccountId.mockResolvedValue({
+      rows: [row(3, '2026-03-04 08:00:00')],
+      hasMore: true
+    });
+    const cursor = encodeCursor({ created_at: '2026-03-05 10:00:00', txn_id: 4 }, 'next');
+    const req = {
+      params: { accountId: '1' },
+      query: { cursor, limit: '1', txn_type: 'DEPOSIT', page: '3' },
+      originalUrl: `/api/v1/transactions/account/1?limit=1&txn_type=DEPOSIT&page=3&cursor=${cursor}`
+    };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await transactionController.getTransactionHistory(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    const { pagination } = res.json.mock.calls[0][0].data;
+    expect(pagination.links).toEqual({
+      next: `/api/v1/transactions/account/1?limit=1&txn_type=DEPOSIT&cursor=${pagination.next_cursor}`,
+      prev: `/api/v1/transactions/account/1?limit=1&txn_type=DEPOSIT&cursor=${pagination.prev_cursor}`
+    });
+  });
+});
+
+describe('TransactionRepository.findPageByAccountId', () => {
+  const repository = jest.requireActual('../src/repositories/TransactionRepository');
+
+  test('reads newer rows in ascending order and returns them newest first', async () => {
+    const client = {
+      query: jest.fn().mockResolvedValue({
+        rows: [
+          { txn_id: 5, position_created_at: '2026-03-05 10:00:00' },
+          { txn_id: 6, position_created_at: '2026-03-06 10:00:00' },
+          { txn_id: 7, position_created_at: '2026-03-07 10:00:00' }
+        ]
+      })
+    };
+
+    const page = await repository.findPageByAccountId(1, {
+      status: 'COMPLETED',
+      limit: 2,
+      after: { created_at: '2026-03-04 10:00:00', txn_id: 4 },
+      direction: 'prev'
+    }, client);
+
+    const [query, values] = client.query.mock.calls[0];
+    expect(query).toContain('account_id = $1 AND status = $2 AND (created_at, txn_id) > ($3::timestamp, $4)');
+    expect(query).toContain('ORDER BY created_at ASC, txn_id ASC');
+    expect(values).toEqual([1, 'COMPLETED', '2026-03-04 10:00:00', 4, 3]);
+    expect(page.hasMore).toBe(true);
+    expect(page.rows.map(entry => entry.position)).toEqual([
+      { created_at: '2026-03-06 10:00:00', txn_id: 6 },
+      { created_at: '2026-03-05 10:00:00', txn_id: 5 }
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+jest.mock('../src/database/connection', () => ({
+  transaction: jest.fn()
+}));
+jest.mock('../src/repositories/TransactionRepository', () => ({
+  getBalanceBefore: jest.fn(),
+  getAccountSummary: jest.fn(),
+  findPostedWithMovement: jest.fn(),
+  findByAccountId: jest.fn()
+}));
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  findById: jest.fn()
+}));
+
+const db = require('../src/database/connection');
+const transactionRepository = require('../src/repositories/TransactionRepository');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const transactionService = require('../src/services/TransactionService');
+const AccountProjection = require('../src/models/AccountProjection');
+const Transaction = require('../src/models/Transaction');
+
+const client = { query: jest.fn() };
+
+describe('TransactionService statement mode', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    db.transaction.mockImplementation(async (callback) => await callback(client));
+    accountProjectionRepository.findById.mockResolvedValue(new AccountProjection({
+      account_id: 1,
+      account_number: 'ACC0001',
+      account_type: 'SAVINGS',
+      currency: 'INR',
+      current_balance: 2000,
+      status: 'ACTIVE'
+    }));
+    transactionRepository.getBalanceBefore.mockResolvedValue(1000.1);
+    transactionRepository.getAccountSummary.mockResolvedValue({
+      total_transactions: 3,
+      total_credits: 500,
+      total_debits: 50.2,
+      net_amount: 449.8
+    });
+    // balance_after reflects insertion order: txn 3 was backdated before txn 2
+    transactionRepository.findPostedWithMovement.mockResolvedValue([
+      { transaction: new Transaction({ txn_id: 3, txn_type: 'WITHDRAWAL', amount: 50, balance_after: 1450.1 }), movement: 450 },
+      { transaction: new Transaction({ txn_id: 2, txn_type: 'FEE', amount: 0.2, balance_after: 1499.9 }), movement: 449.8 }
+    ]);
+  });
+
+  test('returns opening, closing and running balances from one read-only snapshot', async () => {
+    const result = await transactionService.getTransactionHistory(1, {
+      mode: 'statement',
+      from_date: '2026-03-01',
+      to_date: '2026-03-31',
+      page: 2,
+      limit: 1
+    });
+
+    expect(client.query).toHaveBeenCalledWith('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY');
+    expect(transactionRepository.getBalanceBefore).toHaveBeenCalledWith(1, '2026-03-01', client);
+    expect(transactionRepository.getAccountSummary)
+      .toHaveBeenCalledWith(1, '2026-03-01', '2026-03-31 23:59:59.999999', null, client);
+    expect(transactionRepository.findPostedWithMovement).toHaveBeenCalledWith(1, {
+      fromDate: '2026-03-01',
+      toDate: '2026-03-31 23:59:59.999999',
+      limit: 1,
+      offset: 1
+    }, client);
+    expect(transactionRepository.findByAccountId).not.toHaveBeenCalled();
+
+    expect(result).toMatchObject({
+      mode: 'statement',
+      currency: 'INR',
+      period: { from: '2026-03-01', to: '2026-03-31' },
+      opening_balance: 1000.1,
+      closing_balance: 1449.9,
+      totals: { total_transactions: 3, net_amount: 449.8 },
+      pagination: { current_page: 2, total_pages: 3, total_count: 3, page_size: 1 }
+    });
+    expect(result.transactions.map(txn => [txn.txn_id, txn.running_balance])).toEqual([
+      [3, 1450.1],
+      [2, 1449.9]
+    ]);
+  });
+
+  test('keeps a to_date with a time as given', async () => {
+    await transactionService.getTransactionStatement(1, {
+      from_date: '2026-03-01T00:00:00Z',
+      to_date: '2026-03-15T12:00:00Z'
+    });
+
+    expect(transactionRepository.getAccountSummary)
+      .toHaveBeenCalledWith(1, '2026-03-01T00:00:00Z', '2026-03-15T12:00:00Z', null, client);
+  });
+
+  test('rounds balances to two decimals for account currencies missing from the currency table', async () => {
+    accountProjectionRepository.findById.mockResolvedValue(new AccountProjection({
+      account_id: 1,
+      account_type: 'SAVINGS',
+      currency: 'BRL',
+      current_balance: 2000,
+      status: 'ACTIVE'
+    }));
+
+    const result = await transactionService.getTransactionStatement(1, { from_date: '2026-03-01', to_date: '2026-03-31' });
+
+    expect(result).toMatchObject({ currency: 'BRL', opening_balance: 1000.1, closing_balance: 1449.9 });
+    expect(result.transactions.map(txn => txn.running_balance)).toEqual([1450.1, 1449.9]);
+  });
+
+  test('requires from_date and rejects a status filter', async () => {
+    await expect(transactionService.getTransactionStatement(1, {}))
+      .rejects.toThrow('Validation failed: from_date is required in statement mode');
+    await expect(transactionService.getTransactionStatement(1, { from_date: '2026-03-01', status: 'FAILED' }))
+      .rejects.toThrow('Validation failed: status cannot be used in statement mode');
+    expect(db.transaction).not.toHaveBeenCalled();
+  });
+
+  test('fails for an unknown account', async () => {
+    accountProjectionRepository.findById.mockResolvedValue(null);
+
+    await expect(transactionService.getTransactionStatement(99, { from_date: '2026-03-01' }))
+      .rejects.toThrow('Account not found');
+  });
+});
@@ -0,0 +1,160 @@
+jest.mock('../src/database/connection', () => {
+  const client = { query: jest.fn() };
+
+  return {
+    client,
+    transaction: jest.fn(async (callback) => await callback(client))
+  };
+});
+jest.mock('../src/repositories/HoldRepository', () => ({
+  create: jest.fn(),
+  lockForUpdate: jest.fn(),
+  markCaptured: jest.fn(),
+  markReleased: jest.fn()
+}));
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  lockForUpdate: jest.fn(),
+  adjustHeldAmount: jest.fn()
+}));
+jest.mock('../src/repositories/TransactionRepository', () => ({
+  create: jest.fn()
+}));
+jest.mock('../src/services/LimitService', () => ({
+  checkLimits: jest.fn()
+}));
+jest.mock('../src/services/FeeService', () => ({
+  calculateFee: jest.fn(),
+  postFees: jest.fn()
+}));
+
+const db = require('../src/database/connection');
+const holdRepository = require('../src/repositories/HoldRepository');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const transactionRepository = require('../src/repositories/TransactionRepository');
+const limitService = require('../src/services/LimitService');
+const feeService = require('../src/services/FeeService');
+const holdService = require('../src/services/HoldService');
+const AccountProjection = require('../src/models/AccountProjection');
+const Hold = require('../src/models/Hold');
+const Transaction = require('../src/models/Transaction');
+
+const account = (fields = {}) => new AccountProjection({
+  account_id: 1,
+  account_number: 'ACC0001',
+  account_type: 'SAVINGS',
+  current_balance: 1000,
+  held_amount: 300,
+  currency: 'INR',
+  status: 'ACTIVE',
+  ...fields
+});
+
+const hold = (fields = {}) => new Hold({
+  hold_id: 8,
+  account_id: 1,
+  amount: 300,
+  counterparty: 'Grand Hotel',
+  description: 'Room deposit',
+  expires_at: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields
+});
+
+const FEE = { base_fee: 10, gst: 1.8, total: 11.8 };
+
+describe('HoldService.createHold', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    holdRepository.create.mockImplementation(async (data) => hold(data));
+    accountProjectionRepository.adjustHeldAmount.mockResolvedValue(account({ held_amount: 500 }));
+  });
+
+  test('reserves funds on an active account within its withdrawal limits', async () => {
+    accountProjectionRepository.lockForUpdate.mockResolvedValue(account());
+
+    const result = await holdService.createHold({ account_id: 1, amount: 200 });
+
+    expect(limitService.checkLimits).toHaveBeenCalledWith(expect.objectContaining({ account_id: 1 }), 'WITHDRAWAL', 200, db.client);
+    expect(accountProjectionRepository.adjustHeldAmount).toHaveBeenCalledWith(1, 200, db.client);
+    expect(result.available_balance).toBe(500);
+  });
+
+  test('fails for an unknown account, over a limit or beyond the available balance', async () => {
+    accountProjectionRepository.lockForUpdate.mockResolvedValue(null);
+    await expect(holdService.createHold({ account_id: 99, amount: 200 })).rejects.toThrow('Account not found');
+
+    accountProjectionRepository.lockForUpdate.mockResolvedValue(account());
+    limitService.checkLimits.mockRejectedValueOnce(new Error('Limit exceeded: per-transaction withdrawal limit'));
+    await expect(holdService.createHold({ account_id: 1, amount: 200 })).rejects.toThrow('Limit exceeded');
+
+    await expect(holdService.createHold({ account_id: 1, amount: 800 })).rejects.toThrow('Hold failed: Insufficient');
+    expect(holdRepository.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('HoldService.captureHold', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    holdRepository.lockForUpdate.mockResolvedValue(hold());
+    holdRepository.markCaptured.mockImplementation(async (holdId, capture) => hold({ status: 'CAPTURED', ...capture }));
+    transactionRepository.create.mockImplementation(async (data) => new Transaction({ txn_id: 40, ...data }));
+    feeService.calculateFee.mockResolvedValue(FEE);
+    feeService.postFees.mockImplementation(async (fee) => ({ ...fee, transactions: [] }));
+  });
+
+  test('captures part of a hold as a withdrawal with limits and fees, releasing the rest', async () => {
+    accountProjectionRepository.lockForUpdate.mockResolvedValue(account());
+
+    const result = await holdService.captureHold(8, { amount: 250 });
+
+    expect(accountProjectionRepository.adjustHeldAmount).toHaveBeenCalledWith(1, -300, db.client);
+    expect(limitService.checkLimits).toHaveBeenCalledWith(expect.objectContaining({ account_id: 1 }), 'WITHDRAWAL', 250, db.client);
+    expect(transactionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      account_id: 1,
+      amount: 250,
+      txn_type: 'WITHDRAWAL',
+      counterparty: 'Grand Hotel'
+    }), db.client);
+    expect(result).toMatchObject({
+      captured_amount: 250,
+      released_amount: 50,
+      new_balance: 738.2,
+      fees: { total: 11.8 },
+      hold: { status: 'CAPTURED', capture_txn_id: 40 }
+    });
+  });
+
+  test('records a capture the balance cannot cover as a failed withdrawal', async () => {
+    accountProjectionRepository.lockForUpdate.mockResolvedValue(account({ current_balance: 305 }));
+
+    await expect(holdService.captureHold(8)).rejects.toThrow('Insufficient');
+
+    expect(holdRepository.markCaptured).not.toHaveBeenCalled();
+    expect(transactionRepository.create).toHaveBeenCalledTimes(1);
+    expect(transactionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      account_id: 1,
+      amount: 300,
+      txn_type: 'WITHDRAWAL',
+      status: 'FAILED'
+    }));
+  });
+
+  test('fails cleanly when the destination account does not exist', async () => {
+    accountProjectionRepository.lockForUpdate.mockImplementation(async (accountId) => (
+      String(accountId) === '1' ? account() : null
+    ));
+
+    await expect(holdService.captureHold(8, { to_account_id: 99 })).rejects.toThrow('Destination account not found');
+    expect(transactionRepository.create).not.toHaveBeenCalled();
+  });
+
+  test('only captures active, unexpired holds once', async () => {
+    holdRepository.lockForUpdate.mockResolvedValueOnce(hold({ status: 'CAPTURED' }));
+    await expect(holdService.captureHold(8)).rejects.toThrow('Hold failed: cannot capture a CAPTURED hold');
+
+    holdRepository.lockForUpdate.mockResolvedValueOnce(hold({ expires_at: new Date(Date.now() - 1000) }));
+    await expect(holdService.captureHold(8)).rejects.toThrow('Hold failed: hold has expired');
+
+    await expect(holdService.captureHold(8, { amount: 301 }))
+      .rejects.toThrow('Hold failed: capture amount exceeds held amount of 300');
+  });
+});
@@ -0,0 +1,364 @@
+const request = require('supertest');
+const express = require('express');
+
+// In-memory stand-in for idempotency_keys. claim() makes its check-and-insert in one
+// synchronous step, as the INSERT ... ON CONFLICT DO UPDATE ... WHERE does under the row lock
+jest.mock('../src/repositories/IdempotencyKeyRepository', () => {
+  const IdempotencyKey = require('../src/models/IdempotencyKey');
+  const rows = new Map();
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  let claims = 0;
+
+  return {
+    rows,
+    async claim(data, lockTimeoutMs) {
+      await tick();
+      const now = Date.now();
+      const existing = rows.get(data.key);
+      const takeover = existing && (
+        new Date(existing.expires_at).getTime() < now ||
+        (existing.status === 'IN_PROGRESS' &&
+          !existing.txn_id &&
+          new Date(existing.locked_at).getTime() < now - lockTimeoutMs &&
+          (!existing.request_fingerprint || existing.request_fingerprint === data.request_fingerprint))
+      );
+
+      if (!existing || takeover) {
+        rows.set(data.key, {
+          key: data.key,
+          request_body: data.request_body,
+          request_fingerprint: data.request_fingerprint,
+          status: 'IN_PROGRESS',
+          claim_token: `claim-${++claims}`,
+          locked_at: new Date(now),
+          expires_at: IdempotencyKey.createExpiryDate(),
+          response_status: null,
+          response_body: null
+        });
+        return { claimed: true, idempotencyKey: new IdempotencyKey(rows.get(data.key)) };
+      }
+
+      await tick();
+      const current = rows.get(data.key);
+      return { claimed: false, idempotencyKey: current ? new IdempotencyKey(current) : null };
+    },
+    async saveResponse(key, claimToken, statusCode, body) {
+      await tick();
+      Object.assign(rows.get(key), { status: 'COMPLETED', response_status: statusCode, response_body: body });
+      return true;
+    },
+    async release(key, claimToken) {
+      await tick();
+      const row = rows.get(key);
+      if (row && row.status === 'IN_PROGRESS' && row.claim_token === claimToken && !row.txn_id) {
+        rows.delete(key);
+        return true;
+      }
+      return false;
+    }
+  };
+});
+
+jest.mock('../src/services/TransactionService', () => ({
+  processDeposit: jest.fn()
+}));
+jest.mock('../src/services/ScheduledTransferService', () => ({}));
+jest.mock('../src/services/BatchService', () => ({
+  validateBatchFile: jest.fn(async (csvText) => ({ isValid: true, lines: csvText.split('\n').slice(1) })),
+  createBatch: jest.fn()
+}));
+jest.mock('../src/jobs/BatchProcessor', () => ({
+  runOnce: jest.fn()
+}));
+
+const idempotencyKeyRepository = require('../src/repositories/IdempotencyKeyRepository');
+const transactionService = require('../src/services/TransactionService');
+const batchService = require('../src/services/BatchService');
+const { fingerprint } = require('../src/utils/requestFingerprint');
+
+const DEPOSIT = { account_id: 1, amount: 500, description: 'Concurrent deposit' };
+
+/**
+ * Build an app with the idempotency middleware in front of the deposit route, reading
+ * the middleware's timeouts from the given environment
+ */
+const buildApp = (env) => {
+  let app;
+  process.env.IDEMPOTENCY_WAIT_MS = String(env.waitMs);
+  process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS = String(env.lockTimeoutMs || 60000);
+
+  jest.isolateModules(() => {
+    const idempotency = require('../src/middleware/idempotency');
+    const errorHandler = require('../src/middleware/errorHandler');
+    const batchRoutes = require('../src/routes/batches');
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/transactions/batches', batchRoutes.csvBody);
+    app.use('/api/v1', idempotency);
+    app.use('/api/v1/transactions/batches', batchRoutes);
+    app.use('/api/v1/transactions', require('../src/routes/transactions'));
+    app.use(errorHandler);
+  });
+
+  return app;
+};
+
+const sendDeposits = (app, count, key, body = DEPOSIT) => Promise.all(
+  Array.from({ length: count }, () => request(app)
+    .post('/api/v1/transactions/deposit')
+    .set('X-Idempotency-Key', key)
+    .send(body))
+);
+
+describe('Idempotency middleware', () => {
+  let ledger;
+
+  beforeEach(() => {
+    idempotencyKeyRepository.rows.clear();
+    ledger = [];
+    transactionService.processDeposit.mockReset();
+    transactionService.processDeposit.mockImplementation(async (data) => {
+      await new Promise(resolve => setTimeout(resolve, 150));
+      const entry = { txn_id: ledger.length + 1, ...data };
+      ledger.push(entry);
+      return entry;
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.IDEMPOTENCY_WAIT_MS;
+    delete process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS;
+  });
+
+  it('creates one ledger entry for parallel requests sharing a key and replays it to the rest', async () => {
+    const app = buildApp({ waitMs: 5000 });
+
+    const responses = await sendDeposits(app, 10, 'parallel-deposit-1');
+
+    expect(ledger).toHaveLength(1);
+    expect(transactionService.processDeposit).toHaveBeenCalledTimes(1);
+    responses.forEach(response => {
+      expect(response.status).toBe(201);
+      expect(response.body.data.txn_id).toBe(1);
+    });
+    expect(responses.filter(response => response.headers['idempotent-replayed'] === 'true')).toHaveLength(9);
+  });
+
+  it('answers 409 with Retry-After when the first request outlasts the wait', async () => {
+    const app = buildApp({ waitMs: 1 });
+
+    const responses = await sendDeposits(app, 5, 'parallel-deposit-2');
+
+    expect(ledger).toHaveLength(1);
+    const created = responses.filter(response => response.status === 201);
+    const inProgress = responses.filter(response => response.status === 409);
+    expect(created).toHaveLength(1);
+    expect(inProgress).toHaveLength(4);
+    inProgress.forEach(response => {
+      expect(response.body.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+      expect(response.headers['retry-after']).toBe('1');
+    });
+  });
+
+  it('rejects a concurrent request reusing the key with a different body', async () => {
+    const app = buildApp({ waitMs: 5000 });
+
+    const [first, second] = await Promise.all([
+      request(app).post('/api/v1/transactions/deposit').set('X-Idempotency-Key', 'parallel-deposit-3').send(DEPOSIT),
+      request(app).post('/api/v1/transactions/deposit').set('X-Idempotency-Key', 'parallel-deposit-3').send({ ...DEPOSIT, amount: 900 })
+    ]);
+
+    expect(ledger).toHaveLength(1);
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(409);
+    expect(second.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('takes over a key left in progress past the lock timeout', async () => {
+    const app = buildApp({ waitMs: 1, lockTimeoutMs: 1000 });
+    idempotencyKeyRepository.rows.set('crashed-deposit', {
+      key: 'crashed-deposit',
+      request_body: DEPOSIT,
+      request_fingerprint: fingerprint({ method: 'POST', url: '/api/v1/transactions/deposit', body: DEPOSIT }),
+      status: 'IN_PROGRESS',
+      locked_at: new Date(Date.now() - 5000),
+      expires_at: new Date(Date.now() + 60000)
+    });
+
+    const responses = await sendDeposits(app, 3, 'crashed-deposit');
+
+    expect(ledger).toHaveLength(1);
+    expect(responses.filter(response => response.status === 201)).toHaveLength(1);
+    expect(idempotencyKeyRepository.rows.get('crashed-deposit').status).toBe('COMPLETED');
+  });
+
+  it('never runs again a key whose crashed request posted a transaction', async () => {
+    const app = buildApp({ waitMs: 1, lockTimeoutMs: 1000 });
+    idempotencyKeyRepository.rows.set('posted-deposit', {
+      key: 'posted-deposit',
+      request_body: DEPOSIT,
+      request_fingerprint: fingerprint({ method: 'POST', url: '/api/v1/transactions/deposit', body: DEPOSIT }),
+      status: 'IN_PROGRESS',
+      claim_token: 'crashed-claim',
+      txn_id: 42,
+      locked_at: new Date(Date.now() - 5000),
+      expires_at: new Date(Date.now() + 60000)
+    });
+
+    const [response] = await sendDeposits(app, 1, 'posted-deposit');
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('IDEMPOTENCY_RESPONSE_LOST');
+    expect(response.body.message).toContain('transaction 42');
+    expect(ledger).toHaveLength(0);
+    expect(idempotencyKeyRepository.rows.get('posted-deposit').claim_token).toBe('crashed-claim');
+  });
+
+  it('hands the claim to the deposit so it is recorded as it posts', async () => {
+    const app = buildApp({ waitMs: 5000 });
+
+    await sendDeposits(app, 1, 'claimed-deposit');
+
+    expect(transactionService.processDeposit).toHaveBeenCalledWith(
+      DEPOSIT,
+      null,
+      expect.objectContaining({ key: 'claimed-deposit', claim_token: expect.any(String) })
+    );
+  });
+
+  it('releases the key when the request fails so it can be retried', async () => {
+    const app = buildApp({ waitMs: 5000 });
+    transactionService.processDeposit.mockRejectedValueOnce(new Error('Account not found'));
+
+    const failed = await sendDeposits(app, 1, 'retry-deposit');
+    const retried = await sendDeposits(app, 1, 'retry-deposit');
+
+    expect(failed[0].status).toBe(404);
+    expect(retried[0].status).toBe(201);
+    expect(ledger).toHaveLength(1);
+  });
+
+  it('rejects client keys in the namespace reserved for internal retries', async () => {
+    const app = buildApp({ waitMs: 5000 });
+
+    const [response] = await sendDeposits(app, 1, 'internal:scheduled-transfer-7');
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].field).toBe('X-Idempotency-Key');
+    expect(idempotencyKeyRepository.rows.size).toBe(0);
+    expect(ledger).toHaveLength(0);
+  });
+});
+
+describe('Idempotency key handling', () => {
+  const app = buildApp({ waitMs: 5000 });
+  let ledger;
+
+  beforeEach(() => {
+    idempotencyKeyRepository.rows.clear();
+    ledger = [];
+    transactionService.processDeposit.mockReset();
+    transactionService.processDeposit.mockImplementation(async (data) => {
+      const entry = { txn_id: ledger.length + 1, ...data };
+      ledger.push(entry);
+      return entry;
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.IDEMPOTENCY_WAIT_MS;
+    delete process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS;
+  });
+
+  it('replays the stored status and body to a retry after the first request completed', async () => {
+    const [first] = await sendDeposits(app, 1, 'retry-after-success');
+    const [retry] = await sendDeposits(app, 1, 'retry-after-success');
+
+    expect(ledger).toHaveLength(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(idempotencyKeyRepository.rows.get('retry-after-success')).toMatchObject({
+      status: 'COMPLETED',
+      response_status: 201
+    });
+  });
+
+  it('reads the key from an idempotency_key body field when there is no header', async () => {
+    const send = () => request(app)
+      .post('/api/v1/transactions/deposit')
+      .send({ ...DEPOSIT, idempotency_key: 'body-key-1' });
+
+    await send();
+    const retry = await send();
+
+    expect(ledger).toHaveLength(1);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('processes every request that carries no key', async () => {
+    await Promise.all([
+      request(app).post('/api/v1/transactions/deposit').send(DEPOSIT),
+      request(app).post('/api/v1/transactions/deposit').send(DEPOSIT)
+    ]);
+
+    expect(ledger).toHaveLength(2);
+    expect(idempotencyKeyRepository.rows.size).toBe(0);
+  });
+
+  it('rejects a retry that reuses the key for a different body or route', async () => {
+    await sendDeposits(app, 1, 'reused-key');
+
+    const [otherBody] = await sendDeposits(app, 1, 'reused-key', { ...DEPOSIT, amount: 900 });
+    const otherRoute = await request(app)
+      .post('/api/v1/transactions/withdraw')
+      .set('X-Idempotency-Key', 'reused-key')
+      .send(DEPOSIT);
+
+    [otherBody, otherRoute].forEach(response => {
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    });
+    expect(ledger).toHaveLength(1);
+  });
+
+  it('replays a retry whose body only differs in field order', async () => {
+    await sendDeposits(app, 1, 'reordered-key', { account_id: 1, amount: 500, description: 'Rent' });
+    const [retry] = await sendDeposits(app, 1, 'reordered-key', { description: 'Rent', amount: 500, account_id: 1 });
+
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(ledger).toHaveLength(1);
+  });
+
+  it('fingerprints the uploaded CSV so a key reused with a different file is refused', async () => {
+    let batchId = 0;
+    batchService.createBatch.mockImplementation(async (lines) => ({ batch_id: ++batchId, total_lines: lines.length }));
+    const upload = (csv) => request(app)
+      .post('/api/v1/transactions/batches')
+      .set('X-Idempotency-Key', 'batch-upload-1')
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+    const csv = 'type,account_id,amount\nDEPOSIT,1,100';
+
+    const first = await upload(csv);
+    const retry = await upload(csv);
+    const otherFile = await upload(`${csv}\nDEPOSIT,2,250`);
+
+    expect(first.status).toBe(202);
+    expect(retry.status).toBe(202);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(otherFile.status).toBe(409);
+    expect(otherFile.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(batchService.createBatch).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects keys longer than 255 characters', async () => {
+    const [response] = await sendDeposits(app, 1, 'k'.repeat(256));
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].message).toBe('Idempotency key must be between 1 and 255 characters');
+    expect(ledger).toHaveLength(0);
+  });
+});
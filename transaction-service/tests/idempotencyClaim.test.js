@@ -0,0 +1,260 @@
+const request = require('supertest');
+const express = require('express');
+
+// The real repository runs its SQL through this mock, so the tests see every statement the
+// middleware issues and answer them as Postgres would for the case at hand
+jest.mock('../src/database/connection', () => ({
+  query: jest.fn()
+}));
+jest.mock('../src/services/TransactionService', () => ({
+  processDeposit: jest.fn()
+}));
+jest.mock('../src/services/ScheduledTransferService', () => ({}));
+jest.mock('../src/services/BatchService', () => ({
+  validateBatchFile: jest.fn(async (csvText) => ({ isValid: true, lines: csvText.split('\n').slice(1) })),
+  createBatch: jest.fn(async (lines) => ({ batch_id: 1, total_lines: lines.length }))
+}));
+jest.mock('../src/jobs/BatchProcessor', () => ({
+  runOnce: jest.fn()
+}));
+
+const db = require('../src/database/connection');
+const transactionService = require('../src/services/TransactionService');
+const batchService = require('../src/services/BatchService');
+const idempotencyKeyRepository = require('../src/repositories/IdempotencyKeyRepository');
+const { fingerprint } = require('../src/utils/requestFingerprint');
+
+const DEPOSIT = { account_id: 1, amount: 500 };
+const DEPOSIT_URL = '/api/v1/transactions/deposit';
+const BATCH_URL = '/api/v1/transactions/batches';
+const CSV = 'type,account_id,amount\nDEPOSIT,1,100';
+
+const sql = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Statements the middleware ran, as [normalized SQL, values]
+const statements = () => db.query.mock.calls.map(([text, values]) => [sql(text), values]);
+const statementsLike = (prefix) => statements().filter(([text]) => text.startsWith(prefix));
+
+/**
+ * Answer the claim INSERT with the given row (claimed) or none (conflict not taken over),
+ * the holder SELECT with the given row, and updates and deletes as matching one row
+ */
+const answer = ({ claimedRow = null, heldRow = null } = {}) => {
+  db.query.mockImplementation(async (text, values) => {
+    const statement = sql(text);
+    if (statement.startsWith('INSERT INTO idempotency_keys')) {
+      return { rows: claimedRow ? [{ ...claimedRow, claim_token: values[5] }] : [] };
+    }
+    if (statement.startsWith('SELECT * FROM idempotency_keys')) {
+      return { rows: heldRow ? [heldRow] : [] };
+    }
+    if (statement.startsWith('UPDATE idempotency_keys')) {
+      return { rows: [{ key: values[2], status: 'COMPLETED', response_body: values[1] }] };
+    }
+    return { rows: [], rowCount: 1 };
+  });
+};
+
+const row = (fields = {}) => ({
+  key: 'key-1',
+  request_body: DEPOSIT,
+  request_fingerprint: fingerprint({ method: 'POST', url: DEPOSIT_URL, body: DEPOSIT }),
+  status: 'IN_PROGRESS',
+  claim_token: 'held-claim',
+  txn_id: null,
+  locked_at: new Date(),
+  response_status: null,
+  response_body: null,
+  expires_at: new Date(Date.now() + 60000),
+  ...fields
+});
+
+const buildApp = () => {
+  let app;
+  process.env.IDEMPOTENCY_WAIT_MS = '1';
+  process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS = '30000';
+
+  jest.isolateModules(() => {
+    const idempotency = require('../src/middleware/idempotency');
+    const errorHandler = require('../src/middleware/errorHandler');
+    const batchRoutes = require('../src/routes/batches');
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/transactions/batches', batchRoutes.csvBody);
+    app.use('/api/v1', idempotency);
+    app.use('/api/v1/transactions/batches', batchRoutes);
+    app.use('/api/v1/transactions', require('../src/routes/transactions'));
+    app.use(errorHandler);
+  });
+
+  return app;
+};
+
+// Let the response's fire-and-forget settle statement run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Idempotency claims in SQL', () => {
+  const app = buildApp();
+  const deposit = (key = 'key-1', body = DEPOSIT) => request(app).post(DEPOSIT_URL).set('X-Idempotency-Key', key).send(body);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transactionService.processDeposit.mockResolvedValue({ txn_id: 7 });
+  });
+
+  afterAll(() => {
+    delete process.env.IDEMPOTENCY_WAIT_MS;
+    delete process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS;
+  });
+
+  test('claims with one INSERT ... ON CONFLICT that only takes over expired or abandoned, unposted claims', async () => {
+    answer({ claimedRow: row() });
+
+    await deposit();
+
+    const [[text, values]] = statementsLike('INSERT INTO idempotency_keys');
+    expect(text).toContain('VALUES ($1, $2, $3, \'IN_PROGRESS\', $6, CURRENT_TIMESTAMP, $4) ON CONFLICT (key) DO UPDATE');
+    expect(text).toContain('claim_token = EXCLUDED.claim_token, locked_at = CURRENT_TIMESTAMP');
+    expect(text).toContain(
+      'WHERE idempotency_keys.expires_at < CURRENT_TIMESTAMP ' +
+      'OR (idempotency_keys.status = \'IN_PROGRESS\' ' +
+      'AND idempotency_keys.txn_id IS NULL ' +
+      'AND idempotency_keys.locked_at < CURRENT_TIMESTAMP - ($5 || \' milliseconds\')::interval ' +
+      'AND (idempotency_keys.request_fingerprint IS NULL ' +
+      'OR idempotency_keys.request_fingerprint = EXCLUDED.request_fingerprint)) RETURNING *'
+    );
+    expect(values).toEqual([
+      'key-1',
+      JSON.stringify(DEPOSIT),
+      fingerprint({ method: 'POST', url: DEPOSIT_URL, body: DEPOSIT }),
+      expect.any(Date),
+      '30000',
+      expect.stringMatching(/^[0-9a-f-]{36}$/)
+    ]);
+  });
+
+  test('stores the response under the claim\'s token, only while the claim is still in progress', async () => {
+    answer({ claimedRow: row() });
+
+    const response = await deposit();
+    await settle();
+
+    const [, , , , , claimToken] = statementsLike('INSERT INTO idempotency_keys')[0][1];
+    const [[text, values]] = statementsLike('UPDATE idempotency_keys');
+    expect(text).toContain('SET response_status = $1, response_body = $2, status = \'COMPLETED\'');
+    expect(text).toContain('WHERE key = $3 AND claim_token = $4 AND status = \'IN_PROGRESS\'');
+    expect(values).toEqual([201, JSON.stringify(response.body), 'key-1', claimToken]);
+    expect(transactionService.processDeposit).toHaveBeenCalledWith(DEPOSIT, null, expect.objectContaining({ claim_token: claimToken }));
+  });
+
+  test('gives every claim a new token', async () => {
+    answer({ claimedRow: row() });
+
+    await deposit('key-1');
+    await deposit('key-2');
+
+    const tokens = statementsLike('INSERT INTO idempotency_keys').map(([, values]) => values[5]);
+    expect(new Set(tokens).size).toBe(2);
+  });
+
+  test('releases a failed request\'s claim by its token, never a posted or completed one', async () => {
+    answer({ claimedRow: row() });
+    transactionService.processDeposit.mockRejectedValue(new Error('Account not found'));
+
+    const response = await deposit();
+    await settle();
+
+    expect(response.status).toBe(404);
+    const claimToken = statementsLike('INSERT INTO idempotency_keys')[0][1][5];
+    const [[text, values]] = statementsLike('DELETE FROM idempotency_keys');
+    expect(text).toBe('DELETE FROM idempotency_keys WHERE key = $1 AND claim_token = $2 AND status = \'IN_PROGRESS\' AND txn_id IS NULL');
+    expect(values).toEqual(['key-1', claimToken]);
+  });
+
+  test('reads the holder when the INSERT does not take the key, and refuses a different request', async () => {
+    answer({ heldRow: row({ request_fingerprint: fingerprint({ method: 'POST', url: DEPOSIT_URL, body: { ...DEPOSIT, amount: 900 } }) }) });
+
+    const response = await deposit();
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(statementsLike('SELECT * FROM idempotency_keys')).toEqual([['SELECT * FROM idempotency_keys WHERE key = $1', ['key-1']]]);
+    expect(transactionService.processDeposit).not.toHaveBeenCalled();
+    expect(statementsLike('UPDATE')).toEqual([]);
+    expect(statementsLike('DELETE')).toEqual([]);
+  });
+
+  test('replays a completed holder\'s stored response', async () => {
+    answer({ heldRow: row({ status: 'COMPLETED', response_status: 201, response_body: { success: true, data: { txn_id: 3 } } }) });
+
+    const response = await deposit();
+
+    expect(response.status).toBe(201);
+    expect(response.headers['idempotent-replayed']).toBe('true');
+    expect(response.body.data.txn_id).toBe(3);
+    expect(transactionService.processDeposit).not.toHaveBeenCalled();
+  });
+
+  test('answers 409 for a holder still within the lock timeout', async () => {
+    answer({ heldRow: row({ locked_at: new Date(Date.now() - 1000) }) });
+
+    const response = await deposit();
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    expect(transactionService.processDeposit).not.toHaveBeenCalled();
+  });
+
+  test('answers 409 naming the transaction for an abandoned holder that posted', async () => {
+    answer({ heldRow: row({ txn_id: 42, locked_at: new Date(Date.now() - 60000) }) });
+
+    const response = await deposit();
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('IDEMPOTENCY_RESPONSE_LOST');
+    expect(response.body.message).toContain('transaction 42');
+    expect(transactionService.processDeposit).not.toHaveBeenCalled();
+  });
+
+  test('fingerprints the CSV file of a batch upload and refuses the key for another file', async () => {
+    const upload = (csv) => request(app).post(BATCH_URL).set('X-Idempotency-Key', 'batch-1').set('Content-Type', 'text/csv').send(csv);
+    const csvFingerprint = fingerprint({ method: 'POST', url: BATCH_URL, body: CSV });
+
+    answer({ claimedRow: row({ key: 'batch-1' }) });
+    expect((await upload(CSV)).status).toBe(202);
+    const [[, values]] = statementsLike('INSERT INTO idempotency_keys');
+    expect(values.slice(0, 3)).toEqual(['batch-1', 'null', csvFingerprint]);
+
+    answer({ heldRow: row({ key: 'batch-1', request_body: null, request_fingerprint: csvFingerprint, status: 'COMPLETED', response_status: 202, response_body: {} }) });
+    const otherFile = await upload(`${CSV}\nDEPOSIT,2,250`);
+    expect(otherFile.status).toBe(409);
+    expect(otherFile.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(batchService.createBatch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('IdempotencyKeyRepository.recordTransaction', () => {
+  const client = { query: jest.fn() };
+  const claim = { key: 'key-1', claim_token: 'claim-1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('tags the claim with the posted transaction on the posting\'s client', async () => {
+    client.query.mockResolvedValue({ rows: [row({ claim_token: 'claim-1', txn_id: 7 })] });
+
+    expect((await idempotencyKeyRepository.recordTransaction(claim, 7, client)).txn_id).toBe(7);
+    const [[text, values]] = client.query.mock.calls;
+    expect(sql(text)).toBe('UPDATE idempotency_keys SET txn_id = $1 WHERE key = $2 AND claim_token = $3 AND status = \'IN_PROGRESS\' RETURNING *');
+    expect(values).toEqual([7, 'key-1', 'claim-1']);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('fails the posting when a retry has taken the claim over', async () => {
+    client.query.mockResolvedValue({ rows: [] });
+
+    await expect(idempotencyKeyRepository.recordTransaction(claim, 7, client))
+      .rejects.toThrow('Idempotency request in progress: the claim on this key was taken over by a retry');
+  });
+});
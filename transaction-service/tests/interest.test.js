@@ -0,0 +1,173 @@
+jest.mock('../src/database/connection', () => {
+  const client = { query: jest.fn() };
+
+  return {
+    client,
+    transaction: jest.fn(async (callback) => await callback(client))
+  };
+});
+jest.mock('../src/repositories/InterestRateSlabRepository', () => ({
+  create: jest.fn(),
+  findOverlapping: jest.fn(),
+  findEffective: jest.fn()
+}));
+jest.mock('../src/repositories/InterestAccrualRepository', () => ({
+  create: jest.fn(),
+  findLastAccrualDate: jest.fn(),
+  lockUncredited: jest.fn(),
+  markCredited: jest.fn(),
+  lockUncharged: jest.fn(),
+  markCharged: jest.fn()
+}));
+jest.mock('../src/repositories/TransactionRepository', () => ({
+  getEndOfDayBalance: jest.fn(),
+  create: jest.fn()
+}));
+
+const db = require('../src/database/connection');
+const interestRateSlabRepository = require('../src/repositories/InterestRateSlabRepository');
+const interestAccrualRepository = require('../src/repositories/InterestAccrualRepository');
+const transactionRepository = require('../src/repositories/TransactionRepository');
+const interestService = require('../src/services/InterestService');
+const AccountProjection = require('../src/models/AccountProjection');
+const InterestAccrual = require('../src/models/InterestAccrual');
+const InterestRateSlab = require('../src/models/InterestRateSlab');
+const Transaction = require('../src/models/Transaction');
+
+const account = (fields = {}) => new AccountProjection({
+  account_id: 1,
+  account_type: 'SAVINGS',
+  currency: 'INR',
+  status: 'ACTIVE',
+  overdraft_interest_rate: 10,
+  ...fields
+});
+
+// 3.65% on the first 1,00,000 and 7.3% above it: 10.00 a day on each full band
+const SLABS = [
+  new InterestRateSlab({ slab_id: 1, account_type: 'SAVINGS', min_balance: 0, max_balance: 100000, annual_rate_percent: 3.65 }),
+  new InterestRateSlab({ slab_id: 2, account_type: 'SAVINGS', min_balance: 100000, annual_rate_percent: 7.3 })
+];
+
+const accrual = (fields = {}) => new InterestAccrual({ account_id: 1, balance: 1000, ...fields });
+
+describe('Interest rate slabs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('each slab earns its own rate on the part of the balance within it', () => {
+    expect(SLABS.map(slab => slab.getPortion(150000))).toEqual([100000, 50000]);
+    expect(SLABS.map(slab => slab.calculateDailyInterest(150000))).toEqual([10, 10]);
+    expect(SLABS[1].getPortion(40000)).toBe(0);
+  });
+
+  test('may not overlap another slab of the same account type', async () => {
+    interestRateSlabRepository.findOverlapping.mockResolvedValue([SLABS[1]]);
+
+    await expect(interestService.createSlab({ account_type: 'SAVINGS', min_balance: 50000, annual_rate_percent: 5 }))
+      .rejects.toThrow('Validation failed: balance band overlaps SAVINGS slab(s) 2; expire them first');
+    expect(interestRateSlabRepository.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('InterestService.accrueDay', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    interestRateSlabRepository.findEffective.mockResolvedValue(SLABS);
+    interestAccrualRepository.create.mockImplementation(async (data) => accrual(data));
+  });
+
+  test('accrues interest across slabs on a positive end-of-day balance', async () => {
+    transactionRepository.getEndOfDayBalance.mockResolvedValue(150000);
+
+    const accrued = await interestService.accrueDay(account(), '2026-03-10');
+
+    expect(transactionRepository.getEndOfDayBalance).toHaveBeenCalledWith(1, '2026-03-10');
+    expect(accrued).toMatchObject({ accrual_date: '2026-03-10', accrued_amount: 20, overdraft_interest: 0 });
+  });
+
+  test('accrues overdraft interest instead on a negative balance', async () => {
+    transactionRepository.getEndOfDayBalance.mockResolvedValue(-36500);
+
+    expect(await interestService.accrueDay(account(), '2026-03-10'))
+      .toMatchObject({ accrued_amount: 0, overdraft_interest: 10 });
+  });
+});
+
+describe('Interest crediting', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transactionRepository.create.mockImplementation(async (data) => new Transaction({ txn_id: 70, ...data }));
+  });
+
+  test('settles on the last day of each month', () => {
+    expect(['2026-01-30', '2026-01-31', '2026-02-28', '2028-02-28', '2028-02-29'].map(date => interestService.isCreditDate(date)))
+      .toEqual([false, true, true, false, true]);
+  });
+
+  test('pays out the period\'s accruals as one rounded INTEREST transaction', async () => {
+    interestAccrualRepository.lockUncredited.mockResolvedValue([
+      accrual({ accrual_id: 1, accrual_date: '2026-03-30', accrued_amount: 1.234567 }),
+      accrual({ accrual_id: 2, accrual_date: '2026-03-31', accrued_amount: 1.234567 })
+    ]);
+
+    const credit = await interestService.creditAccrued(account(), '2026-03-31');
+
+    expect(credit).toMatchObject({ amount: 2.47, txn_type: 'INTEREST', description: 'Interest for 2026-03-30 to 2026-03-31' });
+    expect(interestAccrualRepository.markCredited).toHaveBeenCalledWith([1, 2], 70, db.client);
+  });
+
+  test('carries less than one minor unit into the next period', async () => {
+    interestAccrualRepository.lockUncredited.mockResolvedValue([accrual({ accrual_id: 1, accrued_amount: 0.004 })]);
+    interestAccrualRepository.lockUncharged.mockResolvedValue([accrual({ accrual_id: 1, overdraft_interest: 0.004 })]);
+
+    expect(await interestService.creditAccrued(account(), '2026-03-31')).toBeNull();
+    expect(await interestService.chargeOverdraftInterest(account(), '2026-03-31')).toBeNull();
+    expect(transactionRepository.create).not.toHaveBeenCalled();
+    expect(interestAccrualRepository.markCredited).not.toHaveBeenCalled();
+  });
+
+  test('charges accrued overdraft interest as an OVERDRAFT_INTEREST transaction', async () => {
+    interestAccrualRepository.lockUncharged.mockResolvedValue([
+      accrual({ accrual_id: 4, accrual_date: '2026-03-31', balance: -36500, overdraft_interest: 10 })
+    ]);
+
+    const charge = await interestService.chargeOverdraftInterest(account(), '2026-03-31');
+
+    expect(charge).toMatchObject({ amount: 10, txn_type: 'OVERDRAFT_INTEREST' });
+    expect(interestAccrualRepository.markCharged).toHaveBeenCalledWith([4], 70, db.client);
+  });
+});
+
+describe('InterestService.accrueAccount', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(interestService, 'accrueDay').mockImplementation(async (account, date) => accrual({ accrual_date: date }));
+    jest.spyOn(interestService, 'creditAccrued').mockResolvedValue(new Transaction({ txn_id: 70 }));
+    jest.spyOn(interestService, 'chargeOverdraftInterest').mockResolvedValue(null);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('catches up from the day after the last accrual, settling at each month end', async () => {
+    interestAccrualRepository.findLastAccrualDate.mockResolvedValue('2026-03-29');
+
+    const result = await interestService.accrueAccount(account(), '2026-04-02');
+
+    expect(interestService.accrueDay.mock.calls.map(([, date]) => date))
+      .toEqual(['2026-03-30', '2026-03-31', '2026-04-01', '2026-04-02']);
+    expect(interestService.creditAccrued).toHaveBeenCalledWith(expect.any(AccountProjection), '2026-03-31');
+    expect(result).toEqual({ accrued_days: 4, credited: 1, charged: 0 });
+  });
+
+  test('catches up at most maxDays per run and starts new accounts at the through date', async () => {
+    interestAccrualRepository.findLastAccrualDate.mockResolvedValueOnce('2026-01-01');
+    expect((await interestService.accrueAccount(account(), '2026-04-02', 5)).accrued_days).toBe(5);
+
+    interestAccrualRepository.findLastAccrualDate.mockResolvedValueOnce(null);
+    expect((await interestService.accrueAccount(account(), '2026-04-02')).accrued_days).toBe(1);
+  });
+});
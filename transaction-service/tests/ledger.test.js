@@ -0,0 +1,163 @@
+jest.mock('../src/repositories/LedgerAccountRepository', () => ({
+  findByCode: jest.fn(),
+  findByCodes: jest.fn()
+}));
+jest.mock('../src/repositories/JournalEntryRepository', () => ({
+  create: jest.fn(),
+  getTrialBalance: jest.fn(),
+  getNetBefore: jest.fn(),
+  findPostings: jest.fn()
+}));
+
+const ledgerAccountRepository = require('../src/repositories/LedgerAccountRepository');
+const journalEntryRepository = require('../src/repositories/JournalEntryRepository');
+const ledgerService = require('../src/services/LedgerService');
+const LedgerAccount = require('../src/models/LedgerAccount');
+const JournalEntry = require('../src/models/JournalEntry');
+const Transaction = require('../src/models/Transaction');
+const fs = require('fs');
+const path = require('path');
+
+const account = (code, account_type, ledger_account_id) => new LedgerAccount({
+  ledger_account_id,
+  code,
+  name: code,
+  account_type
+});
+
+describe('JournalEntry', () => {
+  test('accepts a journal whose debits equal its credits in every currency', () => {
+    const journal = new JournalEntry({
+      description: 'Clear suspense',
+      postings: [
+        { ledger_account_code: 'SUSPENSE', currency: 'INR', debit: 100.1 },
+        { ledger_account_code: 'CASH', currency: 'INR', credit: 100.1 },
+        { ledger_account_code: 'SUSPENSE', currency: 'USD', credit: 5 },
+        { ledger_account_code: 'CASH', currency: 'USD', debit: 5 }
+      ]
+    });
+
+    expect(journal.validate()).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('rejects a journal that does not balance in one currency', () => {
+    const journal = new JournalEntry({
+      description: 'Unbalanced',
+      postings: [
+        { ledger_account_code: 'SUSPENSE', currency: 'INR', debit: 100 },
+        { ledger_account_code: 'CASH', currency: 'USD', credit: 100 }
+      ]
+    });
+
+    const { isValid, errors } = journal.validate();
+    expect(isValid).toBe(false);
+    expect(errors[0]).toMatch(/does not balance: INR debits exceed by 100.00, USD credits exceed by 100.00/);
+  });
+
+  test('shows signed amounts as debit and credit columns', () => {
+    const journal = new JournalEntry({
+      description: 'Deposit',
+      postings: [
+        { ledger_account_code: 'CASH', currency: 'INR', amount: '250.00' },
+        { ledger_account_code: 'CUSTOMER_DEPOSITS', account_id: 1, currency: 'INR', amount: '-250.00' }
+      ]
+    });
+
+    expect(journal.toJSON().postings.map(({ debit, credit }) => [debit, credit])).toEqual([[250, 0], [0, 250]]);
+  });
+});
+
+describe('LedgerService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('refuses manual journals to customer deposits', async () => {
+    await expect(ledgerService.postManualJournal({
+      description: 'Adjust balance',
+      postings: [
+        { ledger_account_code: 'CUSTOMER_DEPOSITS', currency: 'INR', credit: 10 },
+        { ledger_account_code: 'SUSPENSE', currency: 'INR', debit: 10 }
+      ]
+    })).rejects.toThrow('Validation failed: manual journals cannot post to CUSTOMER_DEPOSITS');
+
+    expect(journalEntryRepository.create).not.toHaveBeenCalled();
+  });
+
+  test('resolves ledger account codes before posting a manual journal', async () => {
+    ledgerAccountRepository.findByCodes.mockResolvedValue([account('SUSPENSE', 'ASSET', 3)]);
+
+    await expect(ledgerService.postManualJournal({
+      description: 'Write off',
+      postings: [
+        { ledger_account_code: 'SUSPENSE', currency: 'INR', credit: 10 },
+        { ledger_account_code: 'BAD_DEBTS', currency: 'INR', debit: 10 }
+      ]
+    })).rejects.toThrow('Validation failed: unknown ledger account BAD_DEBTS');
+  });
+
+  test('trial balance puts each account in the column of its sign', async () => {
+    journalEntryRepository.getTrialBalance.mockResolvedValue([
+      { code: 'CASH', name: 'Cash', account_type: 'ASSET', currency: 'INR', total_debits: 1000, total_credits: 200 },
+      { code: 'CUSTOMER_DEPOSITS', name: 'Customer deposits', account_type: 'LIABILITY', currency: 'INR', total_debits: 200, total_credits: 1000 }
+    ]);
+
+    const trialBalance = await ledgerService.getTrialBalance('2026-01-31');
+
+    expect(trialBalance.accounts.map(({ debit_balance, credit_balance }) => [debit_balance, credit_balance]))
+      .toEqual([[800, 0], [0, 800]]);
+    expect(trialBalance.totals).toEqual([expect.objectContaining({ currency: 'INR', debit_balances: 800, credit_balances: 800, balanced: true })]);
+    expect(trialBalance.balanced).toBe(true);
+  });
+
+  test('ledger statement runs the balance on the normal side from the opening balance', async () => {
+    ledgerAccountRepository.findByCode.mockResolvedValue(account('CUSTOMER_DEPOSITS', 'LIABILITY', 4));
+    journalEntryRepository.getNetBefore.mockResolvedValue({ INR: -500 });
+    journalEntryRepository.findPostings.mockResolvedValue([
+      { posting_id: 1, journal_id: 1, currency: 'INR', amount: -250 },
+      { posting_id: 2, journal_id: 2, currency: 'INR', amount: 100 }
+    ]);
+
+    const statement = await ledgerService.getAccountStatement('CUSTOMER_DEPOSITS', {
+      from_date: '2026-01-01',
+      to_date: '2026-01-31',
+      account_id: 1
+    });
+
+    expect(statement.postings.map(({ debit, credit, balance }) => [debit, credit, balance]))
+      .toEqual([[0, 250, 750], [100, 0, 650]]);
+    expect(statement.balances).toEqual([{
+      currency: 'INR',
+      opening_balance: 500,
+      total_debits: 100,
+      total_credits: 250,
+      closing_balance: 650
+    }]);
+    expect(journalEntryRepository.getNetBefore).toHaveBeenCalledWith(4, '2026-01-01', { accountId: 1, currency: undefined });
+  });
+
+  test('ledger statement range is capped', async () => {
+    ledgerAccountRepository.findByCode.mockResolvedValue(account('CASH', 'ASSET', 1));
+
+    await expect(ledgerService.getAccountStatement('CASH', { from_date: '2025-01-01', to_date: '2026-06-30' }))
+      .rejects.toThrow('Validation failed: statement range cannot exceed 366 days');
+  });
+});
+
+describe('Credit transaction types', () => {
+  test('are the same in the database as in the application', () => {
+    const schema = fs.readFileSync(path.join(__dirname, '../src/database/schema.sql'), 'utf8');
+    const [, list] = schema.match(/FUNCTION is_credit_type[\s\S]*?SELECT txn IN \(([^)]*)\)/);
+
+    expect(list.split(',').map(type => type.trim().replace(/'/g, ''))).toEqual(Transaction.CREDIT_TYPES);
+  });
+
+  test('split every transaction type into credits and debits', () => {
+    Transaction.TYPES.forEach(txn_type => {
+      const transaction = new Transaction({ txn_type });
+      expect(transaction.isCredit()).toBe(!transaction.isDebit());
+    });
+    expect(Transaction.TYPES.filter(txn_type => new Transaction({ txn_type }).isDebit()))
+      .toEqual(['WITHDRAWAL', 'TRANSFER_OUT', 'REVERSAL_DEBIT', 'FEE', 'FEE_TAX', 'OVERDRAFT_INTEREST']);
+  });
+});
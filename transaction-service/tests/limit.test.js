@@ -0,0 +1,122 @@
+jest.mock('../src/database/connection', () => ({
+  transaction: jest.fn(async (callback) => await callback({}))
+}));
+
+// Limits on SAVINGS withdrawals: a tighter per-transaction cap for BASIC KYC, and daily caps for everyone
+jest.mock('../src/repositories/TransactionLimitRepository', () => {
+  const TransactionLimit = require('../src/models/TransactionLimit');
+  const limits = [
+    new TransactionLimit({ limit_id: 1, account_type: 'SAVINGS', kyc_tier: 'BASIC', txn_type: 'WITHDRAWAL', period: 'PER_TRANSACTION', max_amount: 10000 }),
+    new TransactionLimit({ limit_id: 2, account_type: 'SAVINGS', kyc_tier: 'FULL', txn_type: 'WITHDRAWAL', period: 'PER_TRANSACTION', max_amount: 200000 }),
+    new TransactionLimit({ limit_id: 3, txn_type: 'WITHDRAWAL', period: 'DAILY', max_amount: 250000, max_count: 5 }),
+    new TransactionLimit({ limit_id: 4, kyc_tier: 'BASIC', txn_type: 'TRANSFER_OUT', period: 'PER_TRANSACTION', max_amount: 25000 })
+  ];
+
+  return {
+    findApplicable: jest.fn(async (accountType, kycTier, txnType) => limits.filter(limit =>
+      limit.txn_type === txnType &&
+      [null, accountType].includes(limit.account_type) &&
+      [null, kycTier].includes(limit.kyc_tier)))
+  };
+});
+jest.mock('../src/repositories/TransactionRepository', () => ({
+  getUsageForPeriod: jest.fn()
+}));
+jest.mock('../src/repositories/CustomerProjectionRepository', () => ({
+  findKycTier: jest.fn()
+}));
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  findById: jest.fn()
+}));
+
+const transactionRepository = require('../src/repositories/TransactionRepository');
+const customerProjectionRepository = require('../src/repositories/CustomerProjectionRepository');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const limitService = require('../src/services/LimitService');
+const batchService = require('../src/services/BatchService');
+const AccountProjection = require('../src/models/AccountProjection');
+
+const account = (fields = {}) => new AccountProjection({
+  account_id: 1,
+  customer_id: 7,
+  account_type: 'SAVINGS',
+  current_balance: 500000,
+  currency: 'INR',
+  status: 'ACTIVE',
+  ...fields
+});
+
+describe('LimitService.checkLimits', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    customerProjectionRepository.findKycTier.mockResolvedValue('BASIC');
+    transactionRepository.getUsageForPeriod.mockResolvedValue({ amount: 0, count: 0 });
+  });
+
+  test('applies the per-transaction cap for the holder\'s KYC tier', async () => {
+    await expect(limitService.checkLimits(account(), 'WITHDRAWAL', 10000)).resolves.toBeUndefined();
+    await expect(limitService.checkLimits(account(), 'WITHDRAWAL', 10000.01)).rejects.toThrow(
+      'Limit exceeded: per-transaction withdrawal limit of 10000.00 for SAVINGS accounts, BASIC KYC (limit 1); headroom 10000.00'
+    );
+
+    customerProjectionRepository.findKycTier.mockResolvedValue('FULL');
+    await expect(limitService.checkLimits(account(), 'WITHDRAWAL', 150000)).resolves.toBeUndefined();
+  });
+
+  test('treats customers not yet projected as the lowest KYC tier', async () => {
+    customerProjectionRepository.findKycTier.mockResolvedValue(null);
+
+    expect(await limitService.getKycTier(account())).toBe('BASIC');
+    await expect(limitService.checkLimits(account(), 'WITHDRAWAL', 20000)).rejects.toThrow('(limit 1)');
+  });
+
+  test('counts what was already used in the period against amount and count caps', async () => {
+    customerProjectionRepository.findKycTier.mockResolvedValue('FULL');
+
+    transactionRepository.getUsageForPeriod.mockResolvedValue({ amount: 200000, count: 2 });
+    await expect(limitService.checkLimits(account(), 'WITHDRAWAL', 60000)).rejects.toThrow(
+      'Limit exceeded: daily withdrawal amount limit of 250000.00 for all accounts, any KYC tier (limit 3); used 200000.00, headroom 50000.00'
+    );
+    expect(transactionRepository.getUsageForPeriod).toHaveBeenCalledWith(1, 'WITHDRAWAL', 'DAILY', null);
+
+    transactionRepository.getUsageForPeriod.mockResolvedValue({ amount: 1000, count: 5 });
+    await expect(limitService.checkLimits(account(), 'WITHDRAWAL', 1)).rejects.toThrow(
+      'Limit exceeded: daily withdrawal count limit of 5 for all accounts, any KYC tier (limit 3); used 5, headroom 0'
+    );
+  });
+
+  test('checks per-transaction limits without looking at usage', async () => {
+    await expect(limitService.checkPerTransactionLimits(account(), 'WITHDRAWAL', 10001)).rejects.toThrow('(limit 1)');
+    await expect(limitService.checkPerTransactionLimits(account(), 'WITHDRAWAL', 9000)).resolves.toBeUndefined();
+    expect(transactionRepository.getUsageForPeriod).not.toHaveBeenCalled();
+  });
+});
+
+describe('BatchService.validateBatchFile limits', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    customerProjectionRepository.findKycTier.mockResolvedValue('BASIC');
+    accountProjectionRepository.findById.mockImplementation(async (accountId) => (
+      Number(accountId) === 99 ? null : account({ account_id: Number(accountId) })
+    ));
+  });
+
+  test('rejects lines over a per-transaction limit before the batch starts', async () => {
+    const result = await batchService.validateBatchFile([
+      'type,account_id,from_account_id,to_account_id,amount',
+      'DEPOSIT,1,,,50000',
+      'WITHDRAWAL,1,,,9000',
+      'WITHDRAWAL,1,,,12000',
+      'TRANSFER,,1,2,30000',
+      'WITHDRAWAL,99,,,12000'
+    ].join('\n'));
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      { line: 3, field: 'amount', message: expect.stringContaining('per-transaction withdrawal limit of 10000.00'), value: '12000' },
+      { line: 4, field: 'amount', message: expect.stringContaining('per-transaction transfer limit of 25000.00'), value: '30000' },
+      { line: 5, message: 'Account not found', value: '99' }
+    ]);
+    expect(transactionRepository.getUsageForPeriod).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  findById: jest.fn(),
+  updateOverdraft: jest.fn()
+}));
+
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const overdraftService = require('../src/services/OverdraftService');
+const AccountProjection = require('../src/models/AccountProjection');
+
+const account = (fields = {}) => new AccountProjection({
+  account_id: 1,
+  customer_id: 7,
+  account_number: '100000000001',
+  account_type: 'CURRENT',
+  current_balance: 500,
+  held_amount: 0,
+  overdraft_limit: 1000,
+  overdraft_interest_rate: 12,
+  currency: 'INR',
+  status: 'ACTIVE',
+  ...fields
+});
+
+describe('AccountProjection.canDebit', () => {
+  test('lets the balance go below zero by at most the overdraft limit', () => {
+    expect(account().canDebit(1500)).toEqual({ allowed: true, newBalance: -1000 });
+    expect(account().canDebit(1500.01)).toEqual({
+      allowed: false,
+      reason: 'Insufficient balance - exceeds overdraft limit of 1000'
+    });
+  });
+
+  test('keeps funds reserved by holds out of reach, overdraft or not', () => {
+    expect(account({ held_amount: 200 }).canDebit(1400).allowed).toBe(false);
+    expect(account({ held_amount: 200 }).canDebit(1300).allowed).toBe(true);
+  });
+
+  test('refuses any overdraw without a sanctioned overdraft', () => {
+    expect(account({ overdraft_limit: 0 }).canDebit(500).allowed).toBe(true);
+    expect(account({ overdraft_limit: 0 }).canDebit(500.01)).toEqual({
+      allowed: false,
+      reason: 'Insufficient balance - no overdraft allowed for this account'
+    });
+  });
+
+  test('refuses further debits once usage exceeds a lowered limit', () => {
+    const overdrawn = account({ current_balance: -800, overdraft_limit: 500 });
+
+    expect(overdrawn.canDebit(1).allowed).toBe(false);
+    expect(overdrawn.getOverdraftUsage()).toMatchObject({ used: 800, available: 0, utilisation_percent: 160 });
+  });
+
+  test('refuses debits on inactive accounts', () => {
+    expect(account({ status: 'FROZEN' }).canDebit(1)).toEqual({ allowed: false, reason: 'Account is not active' });
+  });
+});
+
+describe('OverdraftService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('reports how much of the overdraft is in use', async () => {
+    accountProjectionRepository.findById.mockResolvedValue(account({ current_balance: -250 }));
+
+    expect(await overdraftService.getOverdraft(1)).toEqual({
+      account_id: 1,
+      current_balance: -250,
+      available_with_overdraft: 750,
+      limit: 1000,
+      interest_rate: 12,
+      used: 250,
+      available: 750,
+      utilisation_percent: 25
+    });
+  });
+
+  test('changes the limit and rate after validating them', async () => {
+    accountProjectionRepository.findById.mockResolvedValue(account());
+    accountProjectionRepository.updateOverdraft.mockImplementation(async (accountId, changes) => account(changes));
+
+    await overdraftService.setOverdraft(1, { overdraft_limit: '2500' });
+    expect(accountProjectionRepository.updateOverdraft).toHaveBeenCalledWith(1, { overdraft_limit: 2500 });
+
+    await expect(overdraftService.setOverdraft(1, { overdraft_interest_rate: 120 }))
+      .rejects.toThrow('Validation failed: Overdraft interest rate must be between 0 and 100 percent');
+    await expect(overdraftService.setOverdraft(1, { overdraft_limit: -1 }))
+      .rejects.toThrow('Validation failed: Overdraft limit must not be negative');
+    expect(accountProjectionRepository.updateOverdraft).toHaveBeenCalledTimes(1);
+  });
+
+  test('fails for an unknown account', async () => {
+    accountProjectionRepository.findById.mockResolvedValue(null);
+
+    await expect(overdraftService.setOverdraft(99, { overdraft_limit: 100 })).rejects.toThrow('Account not found');
+  });
+});
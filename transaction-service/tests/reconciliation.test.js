@@ -0,0 +1,149 @@
+jest.mock('../src/database/connection', () => ({
+  transaction: jest.fn(async (callback) => await callback({ name: 'unit-of-work' }))
+}));
+jest.mock('../src/repositories/ReconciliationRepository', () => ({
+  createRun: jest.fn(),
+  completeRun: jest.fn(),
+  failRun: jest.fn(),
+  countAccounts: jest.fn(),
+  findMismatches: jest.fn(),
+  getBalance: jest.fn(),
+  recordBreak: jest.fn(),
+  resolveOpenBreaks: jest.fn(),
+  closeBreak: jest.fn(),
+  findBreakById: jest.fn()
+}));
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  findById: jest.fn(),
+  lockForUpdate: jest.fn(),
+  updateBalance: jest.fn()
+}));
+
+const reconciliationRepository = require('../src/repositories/ReconciliationRepository');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const reconciliationService = require('../src/services/ReconciliationService');
+const ReconciliationRun = require('../src/models/ReconciliationRun');
+const ReconciliationBreak = require('../src/models/ReconciliationBreak');
+
+const balance = (account_id, expected, projected) => ({
+  account_id,
+  currency: 'INR',
+  opening_balance: 1000,
+  transaction_total: expected - 1000,
+  expected_balance: expected,
+  projected_balance: projected,
+  difference: Math.round((projected - expected) * 100) / 100
+});
+
+const openBreak = (break_id, row) => new ReconciliationBreak({
+  ...row,
+  break_id,
+  detected_run_id: 1,
+  last_run_id: 1
+});
+
+describe('ReconciliationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    reconciliationRepository.createRun.mockImplementation(async (data) => new ReconciliationRun({ ...data, run_id: 1 }));
+    reconciliationRepository.completeRun.mockImplementation(async (runId, counts) => new ReconciliationRun({
+      run_id: runId,
+      status: 'COMPLETED',
+      ...counts
+    }));
+    reconciliationRepository.recordBreak.mockImplementation(async (runId, row) => openBreak(row.account_id * 10, row));
+    reconciliationRepository.resolveOpenBreaks.mockResolvedValue([]);
+    reconciliationRepository.closeBreak.mockImplementation(async (breakId, closure) => new ReconciliationBreak({
+      ...balance(1, 1500, 1600),
+      break_id: breakId,
+      detected_run_id: 1,
+      last_run_id: closure.run_id || 1,
+      ...closure
+    }));
+  });
+
+  test('records breaks and closes the ones that no longer appear without touching balances', async () => {
+    reconciliationRepository.countAccounts.mockResolvedValue(3);
+    reconciliationRepository.findMismatches.mockResolvedValue([balance(1, 1500, 1600), balance(2, 900, 850)]);
+    reconciliationRepository.resolveOpenBreaks.mockResolvedValue([openBreak(30, balance(3, 1000, 1000))]);
+
+    const run = await reconciliationService.run({ triggered_by: 'SCHEDULE' });
+
+    expect(run).toMatchObject({
+      status: 'COMPLETED',
+      accounts_checked: 3,
+      breaks_found: 2,
+      breaks_repaired: 0,
+      breaks_resolved: 1
+    });
+    expect(run.breaks.map(({ account_id, difference, status }) => [account_id, difference, status]))
+      .toEqual([[1, 100, 'OPEN'], [2, -50, 'OPEN']]);
+    expect(reconciliationRepository.resolveOpenBreaks).toHaveBeenCalledWith(1, [1, 2], null);
+    expect(accountProjectionRepository.updateBalance).not.toHaveBeenCalled();
+  });
+
+  test('auto-repair recomputes the balance under the account lock and records the repair', async () => {
+    reconciliationRepository.countAccounts.mockResolvedValue(1);
+    reconciliationRepository.findMismatches.mockResolvedValue([balance(1, 1500, 1600)]);
+    // A deposit of 200 posted between the scan and the lock
+    reconciliationRepository.getBalance.mockResolvedValue(balance(1, 1700, 1800));
+
+    const run = await reconciliationService.run({ auto_repair: true });
+
+    const client = { name: 'unit-of-work' };
+    expect(accountProjectionRepository.lockForUpdate).toHaveBeenCalledWith(1, client);
+    expect(reconciliationRepository.getBalance).toHaveBeenCalledWith(1, client);
+    expect(accountProjectionRepository.updateBalance).toHaveBeenCalledWith(1, 1700, client);
+    expect(reconciliationRepository.closeBreak).toHaveBeenCalledWith(10, {
+      status: 'REPAIRED',
+      run_id: 1,
+      repaired_by: 'AUTO_REPAIR',
+      balance_before: 1800,
+      balance_after: 1700
+    }, client);
+    expect(run).toMatchObject({ breaks_found: 1, breaks_repaired: 1, breaks_resolved: 0 });
+    expect(run.breaks[0]).toMatchObject({ status: 'REPAIRED', balance_before: 1800, balance_after: 1700 });
+  });
+
+  test('a break that reconciles by the time it is locked is resolved, not repaired', async () => {
+    reconciliationRepository.findBreakById.mockResolvedValue(openBreak(10, balance(1, 1500, 1600)));
+    reconciliationRepository.getBalance.mockResolvedValue(balance(1, 1500, 1500));
+
+    const closed = await reconciliationService.repairBreak(10);
+
+    expect(closed.status).toBe('RESOLVED');
+    expect(reconciliationRepository.closeBreak).toHaveBeenCalledWith(10, { status: 'RESOLVED', run_id: null }, expect.anything());
+    expect(accountProjectionRepository.updateBalance).not.toHaveBeenCalled();
+  });
+
+  test('refuses to repair a closed break', async () => {
+    reconciliationRepository.findBreakById.mockResolvedValue(new ReconciliationBreak({
+      ...balance(1, 1500, 1600),
+      break_id: 10,
+      status: 'REPAIRED',
+      repaired_by: 'ADMIN',
+      balance_before: 1600,
+      balance_after: 1500
+    }));
+
+    await expect(reconciliationService.repairBreak(10)).rejects.toThrow('Repair failed: break is already REPAIRED');
+    expect(accountProjectionRepository.lockForUpdate).not.toHaveBeenCalled();
+  });
+
+  test('marks the run FAILED when it cannot finish', async () => {
+    reconciliationRepository.countAccounts.mockResolvedValue(1);
+    reconciliationRepository.findMismatches.mockRejectedValue(new Error('connection lost'));
+
+    await expect(reconciliationService.run()).rejects.toThrow('connection lost');
+    expect(reconciliationRepository.failRun).toHaveBeenCalledWith(1, 'connection lost');
+    expect(reconciliationRepository.completeRun).not.toHaveBeenCalled();
+  });
+
+  test('rejects a run for an unknown account before starting it', async () => {
+    accountProjectionRepository.findById.mockResolvedValue(null);
+
+    await expect(reconciliationService.run({ account_id: 99 })).rejects.toThrow('Account not found');
+    expect(reconciliationRepository.createRun).not.toHaveBeenCalled();
+  });
+});
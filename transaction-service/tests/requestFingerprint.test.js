@@ -0,0 +1,137 @@
+jest.mock('../src/database/connection', () => ({
+  transaction: jest.fn()
+}));
+jest.mock('../src/repositories/IdempotencyKeyRepository', () => ({
+  claim: jest.fn(),
+  updateWithResult: jest.fn(),
+  recordTransaction: jest.fn()
+}));
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  lockForUpdate: jest.fn()
+}));
+
+const db = require('../src/database/connection');
+const idempotencyKeyRepository = require('../src/repositories/IdempotencyKeyRepository');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const transactionService = require('../src/services/TransactionService');
+const AccountProjection = require('../src/models/AccountProjection');
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+const { canonicalize, fingerprint } = require('../src/utils/requestFingerprint');
+
+const TRANSFER = { from_account_id: 1, to_account_id: 2, amount: 250, description: 'Rent' };
+
+describe('Request fingerprints', () => {
+  test('serialize objects with their keys sorted at every level', () => {
+    expect(canonicalize({ b: 1, a: { d: [2, { f: 3, e: null }], c: 'x' }, skipped: undefined }))
+      .toBe('{"a":{"c":"x","d":[2,{"e":null,"f":3}]},"b":1}');
+  });
+
+  test('match for the same request whatever its field order or idempotency_key', () => {
+    const request = { method: 'POST', url: '/api/v1/transactions/deposit', body: { account_id: 1, amount: 500 } };
+
+    expect(fingerprint(request)).toMatch(/^[0-9a-f]{64}$/);
+    expect(fingerprint({ ...request, body: { amount: 500, account_id: 1, idempotency_key: 'abc' } }))
+      .toBe(fingerprint(request));
+  });
+
+  test('differ when the method, URL or any body value differs', () => {
+    const request = { method: 'POST', url: '/api/v1/transactions/deposit', body: { account_id: 1, amount: 500 } };
+    const variants = [
+      { ...request, method: 'PUT' },
+      { ...request, url: '/api/v1/transactions/withdraw' },
+      { ...request, body: { account_id: 1, amount: '500' } },
+      { ...request, body: { account_id: 1, amount: 500, description: 'Rent' } }
+    ];
+
+    variants.forEach(variant => expect(fingerprint(variant)).not.toBe(fingerprint(request)));
+  });
+
+  test('cover text bodies such as CSV uploads', () => {
+    const upload = { method: 'POST', url: '/api/v1/transactions/batches', body: 'type,account_id,amount\nDEPOSIT,1,100' };
+
+    expect(fingerprint({ ...upload })).toBe(fingerprint(upload));
+    expect(fingerprint({ ...upload, body: `${upload.body}\nDEPOSIT,2,250` })).not.toBe(fingerprint(upload));
+    expect(fingerprint({ ...upload, body: '' })).not.toBe(fingerprint(upload));
+  });
+});
+
+describe('TransactionService.processTransfer idempotency', () => {
+  const heldKey = (fields = {}) => new IdempotencyKey({
+    key: 'transfer-key-1',
+    request_body: TRANSFER,
+    request_fingerprint: fingerprint({ body: TRANSFER }),
+    status: 'COMPLETED',
+    response_body: { transfer_reference: 'REF20260301-XFER01' },
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('returns the stored result for a retry of the same transfer', async () => {
+    idempotencyKeyRepository.claim.mockResolvedValue({ claimed: false, idempotencyKey: heldKey() });
+
+    const result = await transactionService.processTransfer({ ...TRANSFER }, 'transfer-key-1');
+
+    expect(result).toEqual({ transfer_reference: 'REF20260301-XFER01' });
+    expect(db.transaction).not.toHaveBeenCalled();
+  });
+
+  test('refuses a key reused for a different transfer', async () => {
+    idempotencyKeyRepository.claim.mockResolvedValue({ claimed: false, idempotencyKey: heldKey() });
+
+    await expect(transactionService.processTransfer({ ...TRANSFER, amount: 2500 }, 'transfer-key-1'))
+      .rejects.toThrow('Idempotency key reused for a different transfer');
+    expect(db.transaction).not.toHaveBeenCalled();
+  });
+
+  test('refuses a retry while the first transfer is still being processed', async () => {
+    idempotencyKeyRepository.claim.mockResolvedValue({
+      claimed: false,
+      idempotencyKey: heldKey({ status: 'IN_PROGRESS', response_body: null })
+    });
+
+    await expect(transactionService.processTransfer({ ...TRANSFER }, 'transfer-key-1'))
+      .rejects.toThrow('Idempotency request in progress');
+  });
+
+  describe('when the transfer posts', () => {
+    const transactionClient = { query: jest.fn() };
+    const posted = { transfer_reference: 'REF20260301-XFER01', debit_transaction: { txn_id: 60 }, credit_transaction: { txn_id: 61 } };
+
+    beforeEach(() => {
+      db.transaction.mockImplementation(async (callback) => await callback(transactionClient));
+      accountProjectionRepository.lockForUpdate.mockImplementation(async (accountId) => new AccountProjection({
+        account_id: accountId,
+        current_balance: 1000,
+        currency: 'INR',
+        status: 'ACTIVE'
+      }));
+      jest.spyOn(transactionService, 'postTransferLegs').mockResolvedValue(posted);
+    });
+
+    afterAll(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('completes its own key on the transfer\'s database transaction', async () => {
+      const claimedKey = heldKey({ status: 'IN_PROGRESS', claim_token: 'claim-1', response_body: null });
+      idempotencyKeyRepository.claim.mockResolvedValue({ claimed: true, idempotencyKey: claimedKey });
+
+      await transactionService.processTransfer({ ...TRANSFER }, 'transfer-key-1');
+
+      expect(idempotencyKeyRepository.updateWithResult).toHaveBeenCalledWith(claimedKey, 60, posted, transactionClient);
+      expect(idempotencyKeyRepository.recordTransaction).not.toHaveBeenCalled();
+    });
+
+    test('records itself on a request\'s claim on the transfer\'s database transaction', async () => {
+      const requestClaim = heldKey({ key: 'client-key-1', status: 'IN_PROGRESS', claim_token: 'claim-2', response_body: null });
+
+      await transactionService.processTransfer({ ...TRANSFER }, null, null, requestClaim);
+
+      expect(idempotencyKeyRepository.claim).not.toHaveBeenCalled();
+      expect(idempotencyKeyRepository.recordTransaction).toHaveBeenCalledWith(requestClaim, 60, transactionClient);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+jest.mock('../src/database/connection', () => ({
+  transaction: jest.fn(async (callback) => await callback({}))
+}));
+
+// In-memory transactions table: reversals are created, originals track what was reversed
+jest.mock('../src/repositories/TransactionRepository', () => {
+  const Transaction = require('../src/models/Transaction');
+  const rows = new Map();
+
+  return {
+    rows,
+    lockForUpdate: jest.fn(async (txnId) => (rows.has(txnId) ? new Transaction({ ...rows.get(txnId) }) : null)),
+    findTransferCounterpart: jest.fn(async (transaction) => {
+      const suffix = transaction.txn_type === 'TRANSFER_OUT' ? ['-OUT', '-IN'] : ['-IN', '-OUT'];
+      const reference = transaction.reference.replace(suffix[0], suffix[1]);
+      const row = [...rows.values()].find(candidate => candidate.reference === reference);
+      return row ? new Transaction({ ...row }) : null;
+    }),
+    findFees: jest.fn(async (txnId) => [...rows.values()]
+      .filter(row => row.related_txn_id === txnId && ['FEE', 'FEE_TAX'].includes(row.txn_type))
+      .map(row => new Transaction({ ...row }))),
+    create: jest.fn(async (data) => new Transaction({ ...data, txn_id: 100 + rows.size })),
+    recordReversal: jest.fn(async (txnId, amount) => {
+      const row = rows.get(txnId);
+      row.reversed_amount = Math.round(((row.reversed_amount || 0) + amount) * 100) / 100;
+      if (row.reversed_amount >= row.amount) {
+        row.status = 'REVERSED';
+      }
+      return new Transaction({ ...row });
+    })
+  };
+});
+
+jest.mock('../src/repositories/AccountProjectionRepository', () => {
+  const AccountProjection = require('../src/models/AccountProjection');
+
+  return {
+    lockForUpdate: jest.fn(async (accountId) => new AccountProjection({
+      account_id: Number(accountId),
+      current_balance: 1000,
+      currency: Number(accountId) === 2 ? 'USD' : 'INR',
+      status: 'ACTIVE'
+    }))
+  };
+});
+
+const transactionRepository = require('../src/repositories/TransactionRepository');
+const transactionService = require('../src/services/TransactionService');
+
+const addTransaction = (row) => {
+  transactionRepository.rows.set(row.txn_id, {
+    account_id: 1,
+    status: 'COMPLETED',
+    reversed_amount: 0,
+    reference: `REF20260301-00000${row.txn_id}`,
+    ...row
+  });
+};
+
+describe('TransactionService.reverseTransaction', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transactionRepository.rows.clear();
+  });
+
+  test('reverses a deposit in full with a compensating debit', async () => {
+    addTransaction({ txn_id: 1, txn_type: 'DEPOSIT', amount: 500 });
+
+    const result = await transactionService.reverseTransaction(1, { reason: 'Duplicate' });
+
+    expect(result).toMatchObject({
+      is_partial: false,
+      reversed_amount: 500,
+      remaining_reversible_amount: 0,
+      balances: [{ account_id: 1, old_balance: 1000, new_balance: 500 }]
+    });
+    expect(result.reversal_transactions[0]).toMatchObject({
+      txn_type: 'REVERSAL_DEBIT',
+      amount: 500,
+      reversal_of: 1,
+      description: 'Duplicate'
+    });
+    expect(transactionRepository.rows.get(1).status).toBe('REVERSED');
+  });
+
+  test('refunds part of a withdrawal and reports the final refund as complete', async () => {
+    addTransaction({ txn_id: 1, txn_type: 'WITHDRAWAL', amount: 100 });
+
+    const first = await transactionService.reverseTransaction(1, { amount: 30 });
+    expect(first).toMatchObject({ is_partial: true, reversed_amount: 30, remaining_reversible_amount: 70 });
+    expect(first.reversal_transactions[0].txn_type).toBe('REVERSAL_CREDIT');
+
+    const last = await transactionService.reverseTransaction(1, { amount: 70 });
+    expect(last).toMatchObject({ is_partial: false, reversed_amount: 70, remaining_reversible_amount: 0 });
+  });
+
+  test('rejects refunds beyond what is left and reversals of reversals', async () => {
+    addTransaction({ txn_id: 1, txn_type: 'WITHDRAWAL', amount: 100, reversed_amount: 80 });
+    addTransaction({ txn_id: 2, txn_type: 'REVERSAL_CREDIT', amount: 20 });
+    addTransaction({ txn_id: 3, txn_type: 'DEPOSIT', amount: 50, status: 'FAILED' });
+
+    await expect(transactionService.reverseTransaction(1, { amount: 25 }))
+      .rejects.toThrow('Reversal failed: amount exceeds remaining reversible amount of 20');
+    await expect(transactionService.reverseTransaction(2))
+      .rejects.toThrow('Reversal failed: reversal entries cannot be reversed');
+    await expect(transactionService.reverseTransaction(3))
+      .rejects.toThrow('Reversal failed: cannot reverse a FAILED transaction');
+    await expect(transactionService.reverseTransaction(99)).rejects.toThrow('Transaction not found');
+    expect(transactionRepository.create).not.toHaveBeenCalled();
+  });
+
+  test('reverses both legs of a cross-currency transfer at the original rate', async () => {
+    const fx = { original_currency: 'INR', converted_currency: 'USD', fx_rate: 0.012 };
+    addTransaction({
+      txn_id: 1,
+      txn_type: 'TRANSFER_OUT',
+      amount: 1000,
+      reference: 'REF20260301-XFER01-OUT',
+      ...fx
+    });
+    addTransaction({
+      txn_id: 2,
+      account_id: 2,
+      txn_type: 'TRANSFER_IN',
+      amount: 12,
+      reference: 'REF20260301-XFER01-IN',
+      ...fx
+    });
+
+    const partial = await transactionService.reverseTransaction(1, { amount: 333 });
+    expect(partial.reversal_transactions.map(txn => [txn.account_id, txn.txn_type, txn.amount])).toEqual([
+      [1, 'REVERSAL_CREDIT', 333],
+      [2, 'REVERSAL_DEBIT', 4]
+    ]);
+
+    // The remainder clears the counterpart exactly, leaving no rounding residue
+    const rest = await transactionService.reverseTransaction(1);
+    expect(rest.reversal_transactions.map(txn => txn.amount)).toEqual([667, 8]);
+    expect(rest.is_partial).toBe(false);
+    expect(transactionRepository.rows.get(2)).toMatchObject({ status: 'REVERSED', reversed_amount: 12 });
+  });
+
+  test('refunds the fees charged for a transaction once it is reversed in full', async () => {
+    addTransaction({ txn_id: 1, txn_type: 'WITHDRAWAL', amount: 100 });
+    addTransaction({ txn_id: 2, txn_type: 'FEE', amount: 10, related_txn_id: 1 });
+    addTransaction({ txn_id: 3, txn_type: 'FEE_TAX', amount: 1.8, related_txn_id: 1 });
+
+    const partial = await transactionService.reverseTransaction(1, { amount: 40 });
+    expect(partial.reversal_transactions).toHaveLength(1);
+
+    const rest = await transactionService.reverseTransaction(1);
+    expect(rest.reversal_transactions.map(txn => [txn.txn_type, txn.amount, txn.reversal_of])).toEqual([
+      ['REVERSAL_CREDIT', 60, 1],
+      ['REVERSAL_CREDIT', 10, 2],
+      ['REVERSAL_CREDIT', 1.8, 3]
+    ]);
+    expect(rest.balances.map(balance => [balance.old_balance, balance.new_balance])).toEqual([
+      [1000, 1060],
+      [1060, 1070],
+      [1070, 1071.8]
+    ]);
+    expect(transactionRepository.rows.get(2).status).toBe('REVERSED');
+    expect(transactionRepository.rows.get(3).status).toBe('REVERSED');
+  });
+});
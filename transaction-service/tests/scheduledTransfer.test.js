@@ -0,0 +1,133 @@
+jest.mock('../src/repositories/ScheduledTransferRepository', () => ({
+  create: jest.fn(),
+  claimDue: jest.fn(),
+  markCompleted: jest.fn(),
+  markRetry: jest.fn(),
+  markFailed: jest.fn()
+}));
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../src/services/TransactionService', () => ({
+  processTransfer: jest.fn()
+}));
+
+const scheduledTransferRepository = require('../src/repositories/ScheduledTransferRepository');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const transactionService = require('../src/services/TransactionService');
+const scheduledTransferService = require('../src/services/ScheduledTransferService');
+const ScheduledTransfer = require('../src/models/ScheduledTransfer');
+const AccountProjection = require('../src/models/AccountProjection');
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+
+const schedule = (fields = {}) => new ScheduledTransfer({
+  schedule_id: 7,
+  from_account_id: 1,
+  to_account_id: 2,
+  amount: 250,
+  description: 'Rent',
+  status: 'PROCESSING',
+  attempts: 1,
+  max_attempts: 3,
+  ...fields
+});
+
+// The repository's status updates return the schedule as it is after the update
+const withStatus = (status) => jest.fn(async (scheduleId) => schedule({ schedule_id: scheduleId, status }));
+
+describe('ScheduledTransferService.scheduleTransfer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scheduledTransferRepository.create.mockImplementation(async (data) => schedule({ ...data, status: 'PENDING' }));
+  });
+
+  test('stores a pending schedule for active accounts', async () => {
+    accountProjectionRepository.findById.mockImplementation(async (accountId) => new AccountProjection({
+      account_id: accountId,
+      status: 'ACTIVE'
+    }));
+
+    const result = await scheduledTransferService.scheduleTransfer({
+      from_account_id: 1,
+      to_account_id: 2,
+      amount: 250,
+      execute_at: '2026-11-01T09:00:00.000Z'
+    });
+
+    expect(scheduledTransferRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 250,
+      execute_at: new Date('2026-11-01T09:00:00.000Z')
+    }));
+    expect(result.status).toBe('PENDING');
+  });
+
+  test('rejects an inactive source or an unknown destination', async () => {
+    accountProjectionRepository.findById.mockResolvedValueOnce(new AccountProjection({ account_id: 1, status: 'FROZEN' }));
+    await expect(scheduledTransferService.scheduleTransfer({ from_account_id: 1, to_account_id: 2 }))
+      .rejects.toThrow('Source account is not active');
+
+    accountProjectionRepository.findById
+      .mockResolvedValueOnce(new AccountProjection({ account_id: 1, status: 'ACTIVE' }))
+      .mockResolvedValueOnce(null);
+    await expect(scheduledTransferService.scheduleTransfer({ from_account_id: 1, to_account_id: 99 }))
+      .rejects.toThrow('Destination account not found');
+
+    expect(scheduledTransferRepository.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('ScheduledTransferService.executeDue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scheduledTransferRepository.markCompleted.mockImplementation(withStatus('COMPLETED'));
+    scheduledTransferRepository.markRetry.mockImplementation(withStatus('PENDING'));
+    scheduledTransferRepository.markFailed.mockImplementation(withStatus('FAILED'));
+  });
+
+  test('runs each due schedule through the transfer path under an internal key', async () => {
+    scheduledTransferRepository.claimDue.mockResolvedValue([schedule()]);
+    transactionService.processTransfer.mockResolvedValue({ transfer_reference: 'REF20261101-XFER01' });
+
+    const summary = await scheduledTransferService.executeDue();
+
+    expect(transactionService.processTransfer).toHaveBeenCalledWith({
+      from_account_id: 1,
+      to_account_id: 2,
+      amount: 250,
+      description: 'Rent'
+    }, 'internal:scheduled-transfer-7');
+    expect(scheduledTransferRepository.markCompleted).toHaveBeenCalledWith(7, { transfer_reference: 'REF20261101-XFER01' });
+    expect(summary).toEqual({ processed: 1, completed: 1, retrying: 0, failed: 0 });
+  });
+
+  test('retries a shortfall until the attempts run out, and fails anything else at once', async () => {
+    scheduledTransferRepository.claimDue.mockResolvedValue([
+      schedule({ schedule_id: 1, attempts: 1 }),
+      schedule({ schedule_id: 2, attempts: 3 }),
+      schedule({ schedule_id: 3, attempts: 1 })
+    ]);
+    transactionService.processTransfer
+      .mockRejectedValueOnce(new Error('Insufficient balance'))
+      .mockRejectedValueOnce(new Error('Insufficient balance'))
+      .mockRejectedValueOnce(new Error('Destination account is not active'));
+
+    const summary = await scheduledTransferService.executeDue();
+
+    expect(scheduledTransferRepository.markRetry).toHaveBeenCalledWith(1, 'Insufficient balance', expect.any(Date));
+    expect(scheduledTransferRepository.markFailed.mock.calls).toEqual([
+      [2, 'Insufficient balance'],
+      [3, 'Destination account is not active']
+    ]);
+    expect(summary).toEqual({ processed: 3, completed: 0, retrying: 1, failed: 2 });
+  });
+});
+
+describe('ScheduledTransfer idempotency key', () => {
+  test('lives in the namespace clients cannot use', () => {
+    const key = schedule().getIdempotencyKey();
+
+    expect(key).toBe('internal:scheduled-transfer-7');
+    expect(IdempotencyKey.isInternal(key)).toBe(true);
+    expect(IdempotencyKey.isInternal('scheduled-transfer-7')).toBe(false);
+  });
+});
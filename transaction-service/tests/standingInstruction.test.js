@@ -0,0 +1,177 @@
+jest.mock('../src/database/connection', () => {
+  const client = { query: jest.fn() };
+
+  return {
+    client,
+    transaction: jest.fn(async (callback) => await callback(client))
+  };
+});
+jest.mock('../src/repositories/StandingInstructionRepository', () => ({
+  findDueIds: jest.fn(),
+  lockDue: jest.fn(),
+  createRun: jest.fn(),
+  update: jest.fn()
+}));
+jest.mock('../src/services/TransactionService', () => ({
+  processTransfer: jest.fn()
+}));
+
+const db = require('../src/database/connection');
+const standingInstructionRepository = require('../src/repositories/StandingInstructionRepository');
+const transactionService = require('../src/services/TransactionService');
+const standingInstructionService = require('../src/services/StandingInstructionService');
+const StandingInstruction = require('../src/models/StandingInstruction');
+const StandingInstructionRun = require('../src/models/StandingInstructionRun');
+const { occurrenceDate } = require('../src/utils/recurrence');
+
+const instruction = (fields = {}) => new StandingInstruction({
+  instruction_id: 4,
+  from_account_id: 1,
+  to_account_id: 2,
+  amount: 1200,
+  description: 'Rent',
+  frequency: 'MONTHLY',
+  start_date: '2026-01-31',
+  next_occurrence_index: 1,
+  next_run_date: '2026-02-28',
+  successful_runs: 1,
+  ...fields
+});
+
+const TRANSFER = {
+  transfer_reference: 'REF20260228-XFER01',
+  debit_transaction: { txn_id: 10 },
+  credit_transaction: { txn_id: 11 }
+};
+
+describe('Monthly recurrence', () => {
+  test('keeps the start day, clamped to short months, without drifting', () => {
+    const dates = [0, 1, 2, 3, 13].map(index => occurrenceDate('2026-01-31', 'MONTHLY', 1, index));
+
+    expect(dates).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2027-02-28']);
+  });
+});
+
+describe('StandingInstructionService.executeInstruction', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    standingInstructionRepository.createRun.mockImplementation(async (data) => new StandingInstructionRun(data));
+    standingInstructionRepository.update.mockImplementation(async (instructionId, changes) => ({ instruction_id: instructionId, ...changes }));
+  });
+
+  test('posts the occurrence on the instruction\'s own transaction under an internal key', async () => {
+    standingInstructionRepository.lockDue.mockResolvedValue(instruction());
+    transactionService.processTransfer.mockResolvedValue(TRANSFER);
+
+    const { instruction: updated, run } = await standingInstructionService.executeInstruction(4);
+
+    expect(transactionService.processTransfer).toHaveBeenCalledWith({
+      from_account_id: 1,
+      to_account_id: 2,
+      amount: 1200,
+      description: 'Rent'
+    }, 'internal:standing-instruction-4-2026-02-28', db.client);
+    expect(run).toMatchObject({
+      status: 'SUCCEEDED',
+      run_date: '2026-02-28',
+      occurrence_index: 1,
+      debit_txn_id: 10,
+      credit_txn_id: 11
+    });
+    expect(standingInstructionRepository.createRun).toHaveBeenCalledWith(expect.any(Object), db.client);
+    expect(updated).toMatchObject({
+      successful_runs: 2,
+      consecutive_failures: 0,
+      next_occurrence_index: 2,
+      next_run_date: '2026-03-31'
+    });
+  });
+
+  test('records a failed run and suspends after too many failures in a row', async () => {
+    standingInstructionRepository.lockDue.mockResolvedValue(instruction({
+      consecutive_failures: 2,
+      max_consecutive_failures: 3
+    }));
+    transactionService.processTransfer.mockRejectedValue(new Error('Insufficient balance'));
+
+    const { instruction: updated, run } = await standingInstructionService.executeInstruction(4);
+
+    expect(run).toMatchObject({ status: 'FAILED', error: 'Insufficient balance' });
+    expect(updated).toMatchObject({
+      failed_runs: 1,
+      consecutive_failures: 3,
+      last_error: 'Insufficient balance',
+      status: 'SUSPENDED'
+    });
+  });
+
+  test('completes the instruction after its last occurrence', async () => {
+    standingInstructionRepository.lockDue.mockResolvedValue(instruction({ max_occurrences: 2 }));
+    transactionService.processTransfer.mockResolvedValue(TRANSFER);
+
+    const { instruction: updated } = await standingInstructionService.executeInstruction(4);
+
+    expect(updated.status).toBe('COMPLETED');
+  });
+
+  test('skips an instruction another executor already ran', async () => {
+    standingInstructionRepository.lockDue.mockResolvedValue(null);
+
+    expect(await standingInstructionService.executeInstruction(4)).toBeNull();
+    expect(transactionService.processTransfer).not.toHaveBeenCalled();
+  });
+});
+
+describe('StandingInstructionService.executeDue', () => {
+  test('summarises runs and carries on past an instruction that throws', async () => {
+    jest.clearAllMocks();
+    standingInstructionRepository.findDueIds.mockResolvedValue([4, 5, 6]);
+    jest.spyOn(standingInstructionService, 'executeInstruction')
+      .mockResolvedValueOnce({ instruction: { status: 'ACTIVE' }, run: new StandingInstructionRun({ status: 'SUCCEEDED' }) })
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValueOnce({ instruction: { status: 'SUSPENDED' }, run: new StandingInstructionRun({ status: 'FAILED' }) });
+
+    const summary = await standingInstructionService.executeDue();
+
+    expect(summary).toEqual({ processed: 2, succeeded: 1, failed: 1, suspended: 1, completed: 0 });
+  });
+});
+
+describe('TransactionService.processTransfer on a caller\'s transaction', () => {
+  const actualTransactionService = jest.requireActual('../src/services/TransactionService');
+  const idempotencyKeyRepository = require('../src/repositories/IdempotencyKeyRepository');
+  const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+  const transactionRepository = require('../src/repositories/TransactionRepository');
+  const IdempotencyKey = require('../src/models/IdempotencyKey');
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('claims and releases the key on the caller\'s client and posts in a savepoint there', async () => {
+    jest.clearAllMocks();
+    jest.spyOn(idempotencyKeyRepository, 'claim').mockResolvedValue({
+      claimed: true,
+      idempotencyKey: new IdempotencyKey({ key: 'internal:standing-instruction-4-2026-02-28', claim_token: 'claim-1' })
+    });
+    jest.spyOn(idempotencyKeyRepository, 'release').mockResolvedValue(true);
+    jest.spyOn(accountProjectionRepository, 'lockForUpdate').mockResolvedValue(null);
+    jest.spyOn(transactionRepository, 'create').mockResolvedValue(null);
+
+    await expect(actualTransactionService.processTransfer(
+      { from_account_id: 1, to_account_id: 2, amount: 1200 },
+      'internal:standing-instruction-4-2026-02-28',
+      db.client
+    )).rejects.toThrow('Source account not found');
+
+    expect(idempotencyKeyRepository.claim).toHaveBeenCalledWith(
+      expect.objectContaining({ key: 'internal:standing-instruction-4-2026-02-28' }),
+      expect.any(Number),
+      db.client
+    );
+    expect(db.transaction).toHaveBeenCalledWith(expect.any(Function), db.client);
+    expect(accountProjectionRepository.lockForUpdate).toHaveBeenCalledWith('1', db.client);
+    expect(idempotencyKeyRepository.release)
+      .toHaveBeenCalledWith('internal:standing-instruction-4-2026-02-28', 'claim-1', db.client);
+  });
+});
@@ -0,0 +1,174 @@
+jest.mock('../src/database/connection', () => ({
+  streamingTransaction: jest.fn()
+}));
+jest.mock('../src/repositories/TransactionRepository', () => ({
+  getEndOfDayBalance: jest.fn(),
+  getAccountSummary: jest.fn(),
+  streamPosted: jest.fn()
+}));
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../src/repositories/CustomerProjectionRepository', () => ({
+  findById: jest.fn()
+}));
+
+const { PassThrough } = require('stream');
+const db = require('../src/database/connection');
+const transactionRepository = require('../src/repositories/TransactionRepository');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const customerProjectionRepository = require('../src/repositories/CustomerProjectionRepository');
+const statementService = require('../src/services/StatementService');
+const { renderStatementPdf } = require('../src/utils/statementPdf');
+const AccountProjection = require('../src/models/AccountProjection');
+const Transaction = require('../src/models/Transaction');
+
+const client = { query: jest.fn() };
+
+async function* posted(rows) {
+  for (const row of rows) {
+    yield new Transaction({ account_id: 1, status: 'COMPLETED', ...row });
+  }
+}
+
+const collect = async (lines) => {
+  const collected = [];
+  for await (const line of lines) {
+    collected.push(line);
+  }
+  return collected;
+};
+
+describe('StatementService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    db.streamingTransaction.mockImplementation(async (callback) => await callback(client));
+    accountProjectionRepository.findById.mockResolvedValue(new AccountProjection({
+      account_id: 1,
+      customer_id: 7,
+      account_number: 'ACC0001',
+      account_type: 'SAVINGS',
+      current_balance: 1450,
+      status: 'ACTIVE'
+    }));
+    customerProjectionRepository.findById.mockResolvedValue({
+      customer_id: 7,
+      customer_number: 'CUST0007',
+      first_name: 'Asha',
+      last_name: 'Rao'
+    });
+    transactionRepository.getEndOfDayBalance.mockImplementation(async (accountId, date) => (
+      date === '2026-02-28' ? 1000 : 1450
+    ));
+    transactionRepository.getAccountSummary.mockResolvedValue({
+      total_transactions: 3,
+      total_credits: 500,
+      total_debits: 50.1,
+      net_amount: 449.9,
+      total_fees: 0.1,
+      total_interest: 0,
+      total_overdraft_interest: 0
+    });
+    transactionRepository.streamPosted.mockImplementation(() => posted([
+      { txn_id: 1, txn_type: 'DEPOSIT', amount: 500, reference: 'DEP1', created_at: new Date(2026, 2, 2) },
+      { txn_id: 2, txn_type: 'WITHDRAWAL', amount: 50, reference: 'WDL1', description: 'ATM', created_at: new Date(2026, 2, 3) },
+      { txn_id: 3, txn_type: 'FEE', amount: 0.1, reference: 'FEE1', created_at: new Date(2026, 2, 3) }
+    ]));
+  });
+
+  test('reads the statement in one read-only snapshot with a running balance', async () => {
+    const { statement, lines } = await statementService.withStatement(1, {
+      from_date: '2026-03-01',
+      to_date: '2026-03-31'
+    }, async (statement, lines) => ({ statement, lines: await collect(lines) }));
+
+    expect(client.query).toHaveBeenCalledWith('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY');
+    expect(transactionRepository.getEndOfDayBalance).toHaveBeenCalledWith(1, '2026-02-28', client);
+    expect(transactionRepository.streamPosted).toHaveBeenCalledWith(1, '2026-03-01', '2026-03-31', client);
+    expect(statement).toMatchObject({
+      customer: { name: 'Asha Rao', customer_number: 'CUST0007' },
+      period: { from: '2026-03-01', to: '2026-03-31' },
+      opening_balance: 1000,
+      closing_balance: 1450,
+      totals: { total_transactions: 3, net_amount: 449.9 }
+    });
+    expect(lines.map(({ date, debit, credit, balance }) => [date, debit, credit, balance])).toEqual([
+      ['2026-03-02', 0, 500, 1500],
+      ['2026-03-03', 50, 0, 1450],
+      ['2026-03-03', 0.1, 0, 1449.9]
+    ]);
+    expect(lines[0].description).toBe('DEPOSIT');
+    expect(lines[1].description).toBe('ATM');
+  });
+
+  test('rejects a period that ends before it starts', async () => {
+    await expect(statementService.withStatement(1, { from_date: '2026-03-10', to_date: '2026-03-01' }, jest.fn()))
+      .rejects.toThrow('Validation failed');
+    expect(db.streamingTransaction).not.toHaveBeenCalled();
+  });
+
+  test('fails with not found for an unknown account', async () => {
+    accountProjectionRepository.findById.mockResolvedValue(null);
+    const consume = jest.fn();
+
+    await expect(statementService.withStatement(99, {}, consume)).rejects.toThrow('Account not found');
+    expect(consume).not.toHaveBeenCalled();
+  });
+});
+
+describe('renderStatementPdf', () => {
+  const statement = {
+    account: { account_number: 'ACC0001', account_type: 'SAVINGS', status: 'ACTIVE' },
+    customer: { name: 'Asha Rao', customer_number: 'CUST0007' },
+    currency: 'INR',
+    period: { from: '2026-03-01', to: '2026-03-31' },
+    opening_balance: 1000,
+    closing_balance: 1000 + 300 * 10,
+    totals: {
+      total_transactions: 300,
+      total_credits: 3000,
+      total_debits: 0,
+      net_amount: 3000,
+      total_fees: 0,
+      total_interest: 0,
+      total_overdraft_interest: 0
+    },
+    generated_at: new Date('2026-04-01T00:00:00Z')
+  };
+
+  // Yields to the event loop between batches, as the database cursor does
+  async function* lines(count) {
+    for (let i = 1; i <= count; i++) {
+      if (i % 50 === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      yield { date: '2026-03-02', reference: `DEP${i}`, description: 'Deposit', debit: 0, credit: 10, balance: 1000 + i * 10 };
+    }
+  }
+
+  test('streams a multi-page document while the lines are still being read', async () => {
+    const output = new PassThrough();
+    const chunks = [];
+    let bytesBeforeLastLine = 0;
+
+    output.on('data', chunk => chunks.push(chunk));
+
+    async function* tracked() {
+      for await (const line of lines(300)) {
+        if (line.reference === 'DEP300') {
+          bytesBeforeLastLine = chunks.reduce((total, chunk) => total + chunk.length, 0);
+        }
+        yield line;
+      }
+    }
+
+    await renderStatementPdf(statement, tracked(), output, { compress: false });
+    const pdf = Buffer.concat(chunks).toString('latin1');
+
+    expect(pdf.startsWith('%PDF')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(Number(pdf.match(/\/Count (\d+)/)[1])).toBeGreaterThan(1);
+    expect(bytesBeforeLastLine).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,459 @@
+jest.mock('../src/database/connection', () => ({
+  transaction: jest.fn()
+}));
+
+const { PassThrough } = require('stream');
+const statementService = require('../src/services/StatementService');
+const { writeCamt053 } = require('../src/utils/camt053');
+const { writeMt940 } = require('../src/utils/mt940');
+const { writeOfx, writeQfx } = require('../src/utils/ofx');
+const Transaction = require('../src/models/Transaction');
+
+const statement = {
+  account: { account_id: 1, account_number: 'ACC0001', account_type: 'CURRENT', status: 'ACTIVE' },
+  customer: { name: 'Asha Rao & Co', customer_number: 'CUST0007' },
+  currency: 'INR',
+  period: { from: '2026-03-01', to: '2026-03-31' },
+  opening_balance: 1000,
+  closing_balance: 849.5,
+  totals: {
+    total_transactions: 6,
+    credit_transactions: 3,
+    debit_transactions: 3,
+    total_credits: 702.5,
+    total_debits: 853,
+    net_amount: -150.5,
+    total_fees: 3,
+    total_interest: 2.5,
+    total_overdraft_interest: 0
+  },
+  generated_at: new Date('2026-04-01T06:30:00Z')
+};
+
+const transactions = [
+  { txn_id: 11, txn_type: 'DEPOSIT', amount: 500, reference: 'REF20260302-AB12CD', counterparty: 'Cash', created_at: new Date(2026, 2, 2, 10) },
+  { txn_id: 12, txn_type: 'TRANSFER_OUT', amount: 850, reference: 'REF20260303-EF34GH-OUT', counterparty: 'ACME <Supplies> & Sons', description: 'Invoice 42: "March" rent', created_at: new Date(2026, 2, 3, 9) },
+  { txn_id: 13, txn_type: 'FEE', amount: 2.5, reference: 'FEE0013', description: 'Transfer fee', created_at: new Date(2026, 2, 3, 9) },
+  { txn_id: 14, txn_type: 'FEE_TAX', amount: 0.5, reference: 'FEETAX0014', description: 'GST on transfer fee', created_at: new Date(2026, 2, 3, 9) },
+  { txn_id: 15, txn_type: 'REVERSAL_CREDIT', amount: 200, reference: 'REF20260310-IJ56KL', description: 'Refund of card dispute', created_at: new Date(2026, 2, 10, 12) },
+  { txn_id: 16, txn_type: 'INTEREST', amount: 2.5, reference: 'REF20260331-MN78OP', description: 'Interest for March', created_at: new Date(2026, 2, 31, 23) }
+];
+
+async function* posted(rows) {
+  for (const row of rows) {
+    yield new Transaction({ account_id: 1, status: 'COMPLETED', ...row });
+  }
+}
+
+const lines = (rows = transactions) => statementService.toLines(posted(rows), statement.opening_balance, 'INR');
+
+const render = async (write, statementData, statementLines) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  await write(statementData, statementLines, output);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Minimal XML reader for checking the generated documents: fails on anything that is
+ * not well-formed, decodes the predefined entities and keeps element order
+ */
+function parseXml(xml) {
+  const decode = value => value
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&amp;/g, '&');
+  const root = { name: '#document', children: [] };
+  const stack = [root];
+  const pattern = /<\?[^>]*\?>|<(\/?)([A-Za-z][\w:.-]*)((?:\s+[\w:.-]+="[^"<]*")*)\s*(\/?)>|([^<]+)/g;
+  let consumed = 0;
+  let match;
+
+  while ((match = pattern.exec(xml))) {
+    if (match.index !== consumed) {
+      throw new Error(`Unexpected markup at ${consumed}`);
+    }
+    consumed = pattern.lastIndex;
+
+    const [, closing, name, attributes, selfClosing, content] = match;
+    if (content !== undefined) {
+      if (/&(?!(amp|lt|gt|quot|apos);)/.test(content)) {
+        throw new Error(`Unescaped ampersand in ${content}`);
+      }
+      if (content.trim()) {
+        stack[stack.length - 1].text = decode(content);
+      }
+    } else if (closing) {
+      const open = stack.pop();
+      if (open.name !== name) {
+        throw new Error(`</${name}> closes <${open.name}>`);
+      }
+    } else if (name) {
+      const node = {
+        name,
+        attributes: Object.fromEntries([...attributes.matchAll(/([\w:.-]+)="([^"]*)"/g)].map(([, key, value]) => [key, value])),
+        children: [],
+        text: ''
+      };
+      stack[stack.length - 1].children.push(node);
+      if (!selfClosing) {
+        stack.push(node);
+      }
+    }
+  }
+
+  if (consumed !== xml.length || stack.length !== 1 || root.children.length !== 1) {
+    throw new Error('Document is not well-formed');
+  }
+  return root.children[0];
+}
+
+const child = (node, name) => node.children.find(element => element.name === name);
+const children = (node, name) => node.children.filter(element => element.name === name);
+const path = (node, ...names) => names.reduce((current, name) => current && child(current, name), node);
+
+// Element sequences and required elements from the camt.053.001.02 and OFX 2.2 schemas
+const SEQUENCES = {
+  BkToCstmrStmt: { order: ['GrpHdr', 'Stmt'], required: ['GrpHdr', 'Stmt'] },
+  GrpHdr: { order: ['MsgId', 'CreDtTm', 'MsgRcpt', 'MsgPgntn', 'AddtlInf'], required: ['MsgId', 'CreDtTm'] },
+  Stmt: {
+    order: ['Id', 'ElctrncSeqNb', 'LglSeqNb', 'CreDtTm', 'FrToDt', 'CpyDplctInd', 'RptgSrc', 'Acct', 'RltdAcct',
+      'Intrst', 'Bal', 'TxsSummry', 'Ntry', 'AddtlStmtInf'],
+    required: ['Id', 'CreDtTm', 'Acct', 'Bal']
+  },
+  Acct: { order: ['Id', 'Tp', 'Ccy', 'Nm', 'Ownr', 'Svcr'], required: ['Id'] },
+  Bal: { order: ['Tp', 'CdtLine', 'Amt', 'CdtDbtInd', 'Dt', 'Avlbty'], required: ['Tp', 'Amt', 'CdtDbtInd', 'Dt'] },
+  TxsSummry: { order: ['TtlNtries', 'TtlCdtNtries', 'TtlDbtNtries', 'TtlNtriesPerBkTxCd'], required: [] },
+  TtlNtries: { order: ['NbOfNtries', 'Sum', 'TtlNetNtryAmt', 'CdtDbtInd'], required: [] },
+  Ntry: {
+    order: ['NtryRef', 'Amt', 'CdtDbtInd', 'RvslInd', 'Sts', 'BookgDt', 'ValDt', 'AcctSvcrRef', 'Avlbty', 'BkTxCd',
+      'ComssnWvrInd', 'AddtlInfInd', 'AmtDtls', 'Chrgs', 'TechInptChanl', 'Intrst', 'NtryDtls', 'AddtlNtryInf'],
+    required: ['Amt', 'CdtDbtInd', 'Sts', 'BkTxCd']
+  },
+  BkTxCd: { order: ['Domn', 'Prtry'], required: [] },
+  SONRS: {
+    order: ['STATUS', 'DTSERVER', 'USERKEY', 'TSKEYEXPIRE', 'LANGUAGE', 'DTPROFUP', 'DTACCTUP', 'FI', 'INTU.BID',
+      'SESSCOOKIE', 'ACCESSKEY'],
+    required: ['STATUS', 'DTSERVER', 'LANGUAGE']
+  },
+  STMTTRNRS: { order: ['TRNUID', 'STATUS', 'STMTRS'], required: ['TRNUID', 'STATUS'] },
+  STMTRS: {
+    order: ['CURDEF', 'BANKACCTFROM', 'BANKTRANLIST', 'LEDGERBAL', 'AVAILBAL', 'BALLIST', 'MKTGINFO'],
+    required: ['CURDEF', 'BANKACCTFROM', 'LEDGERBAL']
+  },
+  BANKACCTFROM: { order: ['BANKID', 'BRANCHID', 'ACCTID', 'ACCTTYPE', 'ACCTKEY'], required: ['BANKID', 'ACCTID', 'ACCTTYPE'] },
+  BANKTRANLIST: { order: ['DTSTART', 'DTEND', 'STMTTRN'], required: ['DTSTART', 'DTEND'] },
+  STMTTRN: {
+    order: ['TRNTYPE', 'DTPOSTED', 'DTUSER', 'DTAVAIL', 'TRNAMT', 'FITID', 'CORRECTFITID', 'CORRECTACTION', 'SRVRTID',
+      'CHECKNUM', 'REFNUM', 'SIC', 'PAYEEID', 'NAME', 'PAYEE', 'BANKACCTTO', 'CCACCTTO', 'MEMO', 'IMAGEDATA',
+      'CURRENCY', 'ORIGCURRENCY', 'INV401KSOURCE'],
+    required: ['TRNTYPE', 'DTPOSTED', 'TRNAMT', 'FITID']
+  },
+  LEDGERBAL: { order: ['BALAMT', 'DTASOF'], required: ['BALAMT', 'DTASOF'] },
+  TxDtls: {
+    order: ['Refs', 'AmtDtls', 'Avlbty', 'BkTxCd', 'Chrgs', 'Intrst', 'RltdPties', 'RltdAgts', 'Purp', 'RltdRmtInf',
+      'RmtInf', 'RltdDts', 'RltdPric', 'RltdQties', 'FinInstrmId', 'Tax', 'RtrInf', 'CorpActn', 'SfkpgAcct', 'AddtlTxInf'],
+    required: []
+  }
+};
+
+const expectSequence = (node) => {
+  const sequence = SEQUENCES[node.name];
+  if (sequence) {
+    const positions = node.children.map(element => sequence.order.indexOf(element.name));
+    expect(positions).not.toContain(-1);
+    expect(positions).toEqual([...positions].sort((a, b) => a - b));
+    sequence.required.forEach(name => expect(child(node, name)).toBeDefined());
+  }
+  node.children.forEach(expectSequence);
+};
+
+const AMOUNT = /^\d{1,13}(\.\d{1,5})?$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+
+const signed = (amountNode, indicatorNode) => (indicatorNode.text === 'DBIT' ? -1 : 1) * parseFloat(amountNode.text);
+
+describe('camt.053 export', () => {
+  let document;
+
+  beforeAll(async () => {
+    document = parseXml(await render(writeCamt053, statement, lines()));
+  });
+
+  test('is a camt.053.001.02 document with elements in schema order', () => {
+    expect(document.name).toBe('Document');
+    expect(document.attributes.xmlns).toBe('urn:iso:std:iso:20022:tech:xsd:camt.053.001.02');
+    expectSequence(child(document, 'BkToCstmrStmt'));
+
+    const groupHeader = path(document, 'BkToCstmrStmt', 'GrpHdr');
+    const stmt = path(document, 'BkToCstmrStmt', 'Stmt');
+    [child(groupHeader, 'MsgId'), child(stmt, 'Id')].forEach(({ text }) => expect(text.length).toBeLessThanOrEqual(35));
+    expect(child(groupHeader, 'CreDtTm').text).toMatch(ISO_DATE_TIME);
+    expect(path(stmt, 'Acct', 'Id', 'Othr', 'Id').text).toBe('ACC0001');
+    expect(path(stmt, 'Acct', 'Ownr', 'Nm').text).toBe('Asha Rao & Co');
+  });
+
+  test('carries booked opening and closing balances that the entries reconcile', () => {
+    const stmt = path(document, 'BkToCstmrStmt', 'Stmt');
+    const balances = Object.fromEntries(children(stmt, 'Bal').map(bal => [path(bal, 'Tp', 'CdOrPrtry', 'Cd').text, bal]));
+
+    expect(Object.keys(balances)).toEqual(['OPBD', 'CLBD']);
+    Object.values(balances).forEach(bal => {
+      expect(child(bal, 'Amt').text).toMatch(AMOUNT);
+      expect(child(bal, 'Amt').attributes.Ccy).toBe('INR');
+      expect(['CRDT', 'DBIT']).toContain(child(bal, 'CdtDbtInd').text);
+      expect(path(bal, 'Dt', 'Dt').text).toMatch(ISO_DATE);
+    });
+
+    const opening = signed(child(balances.OPBD, 'Amt'), child(balances.OPBD, 'CdtDbtInd'));
+    const closing = signed(child(balances.CLBD, 'Amt'), child(balances.CLBD, 'CdtDbtInd'));
+    const net = children(stmt, 'Ntry').reduce((total, ntry) => total + signed(child(ntry, 'Amt'), child(ntry, 'CdtDbtInd')), 0);
+
+    expect(opening).toBe(1000);
+    expect(closing).toBe(849.5);
+    expect(Math.round((opening + net) * 100) / 100).toBe(closing);
+
+    const summary = child(stmt, 'TxsSummry');
+    expect(path(summary, 'TtlNtries', 'NbOfNtries').text).toBe('6');
+    expect(path(summary, 'TtlNtries', 'CdtDbtInd').text).toBe('DBIT');
+    expect(path(summary, 'TtlCdtNtries', 'Sum').text).toBe('702.50');
+    expect(path(summary, 'TtlDbtNtries', 'NbOfNtries').text).toBe('3');
+  });
+
+  test('books one entry per transaction with its reference and credit/debit indicator', () => {
+    const entries = children(path(document, 'BkToCstmrStmt', 'Stmt'), 'Ntry');
+
+    expect(entries).toHaveLength(transactions.length);
+    entries.forEach((ntry, index) => {
+      const transaction = new Transaction(transactions[index]);
+
+      expect(child(ntry, 'NtryRef').text).toBe(transaction.reference);
+      expect(child(ntry, 'NtryRef').text.length).toBeLessThanOrEqual(35);
+      expect(child(ntry, 'CdtDbtInd').text).toBe(transaction.isCredit() ? 'CRDT' : 'DBIT');
+      expect(transaction.isDebit()).toBe(!transaction.isCredit());
+      expect(child(ntry, 'Amt').text).toMatch(AMOUNT);
+      expect(child(ntry, 'Sts').text).toBe('BOOK');
+      expect(path(ntry, 'BookgDt', 'DtTm').text).toMatch(ISO_DATE_TIME);
+      expect(path(ntry, 'ValDt', 'Dt').text).toMatch(ISO_DATE);
+      expect(child(ntry, 'AcctSvcrRef').text).toBe(String(transaction.txn_id));
+      expect(path(ntry, 'BkTxCd', 'Domn', 'Fmly', 'SubFmlyCd').text).toMatch(/^[A-Z]{4}$/);
+      expect(path(ntry, 'BkTxCd', 'Prtry', 'Cd').text).toBe(transaction.txn_type);
+    });
+
+    const transfer = entries[1];
+    expect(path(transfer, 'NtryDtls', 'TxDtls', 'RltdPties', 'Cdtr', 'Nm').text).toBe('ACME <Supplies> & Sons');
+    expect(path(transfer, 'NtryDtls', 'TxDtls', 'RmtInf', 'Ustrd').text).toBe('Invoice 42: "March" rent');
+    expect(child(entries[4], 'RvslInd').text).toBe('true');
+    expect(child(entries[0], 'RvslInd')).toBeUndefined();
+  });
+});
+
+const SWIFT_X = /^[A-Za-z0-9/\-?:().,'+ ]*$/;
+const BALANCE_FIELD = /^:(60F|60M|62M|62F):([CD])(\d{6})([A-Z]{3})(\d{1,12},\d{0,2})$/;
+const STATEMENT_LINE = /^:61:(\d{6})(\d{4})?(C|D|RC|RD)(\d{1,12},\d{0,2})N([A-Z0-9]{3})((?:(?!\/\/).){1,16})(?:\/\/(.{1,16}))?$/;
+
+// D and RC (reversal of a credit) are debits
+const swiftAmount = (mark, amount) => (['D', 'RC'].includes(mark) ? -1 : 1) * parseFloat(amount.replace(',', '.'));
+
+/**
+ * Split an MT940 export into messages of fields, checking the general field rules
+ */
+function parseMt940(text) {
+  expect(text.endsWith('\r\n')).toBe(true);
+  const messages = text.split('\r\n-\r\n').filter(Boolean);
+
+  return messages.map(message => {
+    expect(message.length + 3).toBeLessThanOrEqual(2000);
+
+    const fields = [];
+    for (const line of message.split('\r\n')) {
+      expect(line).toMatch(SWIFT_X);
+      if (line.startsWith(':')) {
+        fields.push({ tag: line.slice(1, line.indexOf(':', 1)), lines: [line] });
+      } else {
+        expect(line).not.toMatch(/^-/);
+        fields[fields.length - 1].lines.push(line);
+      }
+    }
+    return fields;
+  });
+}
+
+describe('MT940 export', () => {
+  test('writes the statement lines between the opening and closing booked balances', async () => {
+    const [fields] = parseMt940(await render(writeMt940, statement, lines()));
+
+    expect(fields.map(field => field.tag)).toEqual([
+      '20', '25', '28C', '60F',
+      ...transactions.flatMap(() => ['61', '86']),
+      '62F'
+    ]);
+    expect(fields[0].lines[0]).toMatch(/^:20:[A-Za-z0-9]{1,16}$/);
+    expect(fields[1].lines[0]).toBe(':25:ACC0001');
+    expect(fields[2].lines[0]).toMatch(/^:28C:\d{1,5}(\/\d{1,5})?$/);
+
+    const opening = fields[3].lines[0].match(BALANCE_FIELD);
+    const closing = fields[fields.length - 1].lines[0].match(BALANCE_FIELD);
+    expect(opening.slice(2)).toEqual(['C', '260301', 'INR', '1000,00']);
+    expect(closing.slice(2)).toEqual(['C', '260331', 'INR', '849,50']);
+
+    const statementLines = fields.filter(field => field.tag === '61');
+    let balance = 1000;
+    statementLines.forEach((field, index) => {
+      const transaction = new Transaction(transactions[index]);
+      const [, valueDate, entryDate, mark, amount, typeCode, customerReference, bankReference] = field.lines[0].match(STATEMENT_LINE);
+
+      expect(entryDate).toBe(valueDate.slice(2));
+      expect(mark.slice(-1)).toBe(
+        transaction.isReversal() ? (transaction.isCredit() ? 'D' : 'C') : (transaction.isCredit() ? 'C' : 'D')
+      );
+      expect(typeCode).toMatch(/^(MSC|TRF|CHG|TAX|INT)$/);
+      expect(bankReference).toBe(String(transaction.txn_id));
+      if (transaction.reference.length <= 16) {
+        expect(customerReference).toBe(transaction.reference);
+        expect(field.lines).toHaveLength(1);
+      } else {
+        expect(customerReference).toBe('NONREF');
+        expect(field.lines[1]).toBe(transaction.reference);
+      }
+
+      balance += transaction.isCredit() ? transaction.amount : -transaction.amount;
+    });
+    expect(Math.round(balance * 100) / 100).toBe(849.5);
+
+    fields.filter(field => field.tag === '86').forEach((field, index) => {
+      expect(field.lines.length).toBeLessThanOrEqual(6);
+      expect(field.lines[0].slice(4)).toMatch(/^\S/);
+      field.lines.forEach((line, lineIndex) => expect(line.length).toBeLessThanOrEqual(lineIndex === 0 ? 69 : 65));
+      expect(field.lines.join(' ')).toContain(transactions[index].reference);
+    });
+  });
+
+  test('marks reversals RC/RD and signs balances with D when overdrawn', async () => {
+    const overdrawn = { ...statement, opening_balance: -250, closing_balance: -450 };
+    const reversal = [
+      { txn_id: 21, txn_type: 'REVERSAL_DEBIT', amount: 200, reference: 'REV21', created_at: new Date(2026, 2, 5) }
+    ];
+
+    const [fields] = parseMt940(await render(writeMt940, overdrawn, statementService.toLines(posted(reversal), -250, 'INR')));
+
+    expect(fields.find(field => field.tag === '60F').lines[0]).toBe(':60F:D260301INR250,00');
+    expect(fields.find(field => field.tag === '61').lines[0]).toBe(':61:2603050305RC200,00NMSCREV21//21');
+    expect(fields.find(field => field.tag === '62F').lines[0]).toBe(':62F:D260331INR450,00');
+  });
+
+  test('continues long statements in further messages linked by intermediate balances', async () => {
+    const many = Array.from({ length: 60 }, (_, index) => ({
+      txn_id: 100 + index,
+      txn_type: 'DEPOSIT',
+      amount: 10,
+      reference: `REF20260315-${String(index).padStart(6, '0')}`,
+      description: 'Branch cash deposit with a fairly long narrative to fill the information field',
+      created_at: new Date(2026, 2, 15)
+    }));
+    const longStatement = { ...statement, closing_balance: 1600 };
+
+    const messages = parseMt940(await render(writeMt940, longStatement, lines(many)));
+
+    expect(messages.length).toBeGreaterThan(1);
+    messages.forEach((fields, index) => {
+      expect(fields.find(field => field.tag === '28C').lines[0]).toBe(`:28C:1/${index + 1}`);
+      expect(fields[3].tag).toBe(index === 0 ? '60F' : '60M');
+      expect(fields[fields.length - 1].tag).toBe(index === messages.length - 1 ? '62F' : '62M');
+
+      if (index > 0) {
+        const previousClosing = messages[index - 1][messages[index - 1].length - 1].lines[0].match(BALANCE_FIELD);
+        const opening = fields[3].lines[0].match(BALANCE_FIELD);
+        expect(opening.slice(2)).toEqual(previousClosing.slice(2));
+      }
+    });
+
+    const entries = messages.flat().filter(field => field.tag === '61');
+    expect(entries).toHaveLength(60);
+    const total = entries.reduce((sum, field) => {
+      const [, , , mark, amount] = field.lines[0].match(STATEMENT_LINE);
+      return sum + swiftAmount(mark, amount);
+    }, 1000);
+    expect(total).toBe(1600);
+  });
+});
+
+const OFX_TRNTYPES = ['CREDIT', 'DEBIT', 'INT', 'DIV', 'FEE', 'SRVCHG', 'DEP', 'ATM', 'POS', 'XFER', 'CHECK', 'PAYMENT',
+  'CASH', 'DIRECTDEP', 'DIRECTDEBIT', 'REPEATPMT', 'HOLD', 'OTHER'];
+const OFX_DATE_TIME = /^\d{14}\.\d{3}\[0:GMT\]$/;
+
+describe('OFX export', () => {
+  let xml;
+  let document;
+
+  beforeAll(async () => {
+    xml = await render(writeOfx, statement, lines());
+    document = parseXml(xml);
+  });
+
+  test('is an OFX 2.2 bank statement with elements in schema order', () => {
+    expect(xml).toMatch(/^<\?xml version="1\.0"[^>]*\?>\n<\?OFX OFXHEADER="200" VERSION="220"[^>]*\?>\n<OFX>/);
+    expect(document.name).toBe('OFX');
+    expectSequence(document);
+
+    const sonrs = path(document, 'SIGNONMSGSRSV1', 'SONRS');
+    expect(path(sonrs, 'STATUS', 'CODE').text).toBe('0');
+    expect(child(sonrs, 'DTSERVER').text).toMatch(OFX_DATE_TIME);
+    expect(child(sonrs, 'INTU.BID')).toBeUndefined();
+
+    const stmtrs = path(document, 'BANKMSGSRSV1', 'STMTTRNRS', 'STMTRS');
+    expect(child(stmtrs, 'CURDEF').text).toBe('INR');
+    expect(path(stmtrs, 'BANKACCTFROM', 'BANKID').text.length).toBeLessThanOrEqual(9);
+    expect(path(stmtrs, 'BANKACCTFROM', 'ACCTID').text).toBe('ACC0001');
+    expect(path(stmtrs, 'BANKACCTFROM', 'ACCTTYPE').text).toBe('CHECKING');
+    expect(path(stmtrs, 'BANKTRANLIST', 'DTSTART').text).toMatch(OFX_DATE_TIME);
+    expect(path(stmtrs, 'BANKTRANLIST', 'DTEND').text).toMatch(OFX_DATE_TIME);
+  });
+
+  test('maps transaction types and signs amounts by credit or debit', () => {
+    const stmtrs = path(document, 'BANKMSGSRSV1', 'STMTTRNRS', 'STMTRS');
+    const entries = children(child(stmtrs, 'BANKTRANLIST'), 'STMTTRN');
+
+    expect(entries.map(entry => child(entry, 'TRNTYPE').text)).toEqual(['DEP', 'XFER', 'FEE', 'FEE', 'CREDIT', 'INT']);
+    entries.forEach((entry, index) => {
+      const transaction = new Transaction(transactions[index]);
+      const amount = parseFloat(child(entry, 'TRNAMT').text);
+
+      expect(OFX_TRNTYPES).toContain(child(entry, 'TRNTYPE').text);
+      expect(child(entry, 'DTPOSTED').text).toMatch(OFX_DATE_TIME);
+      expect(child(entry, 'TRNAMT').text).toMatch(/^-?\d+\.\d{2}$/);
+      expect(amount).toBe(transaction.isCredit() ? transaction.amount : -transaction.amount);
+      expect(child(entry, 'NAME').text.length).toBeLessThanOrEqual(32);
+      expect(child(entry, 'MEMO').text).toContain(transaction.reference);
+    });
+    expect(child(entries[1], 'NAME').text).toBe('ACME <Supplies> & Sons');
+
+    const ledgerBalance = child(stmtrs, 'LEDGERBAL');
+    expect(child(ledgerBalance, 'BALAMT').text).toBe('849.50');
+    expect(child(ledgerBalance, 'DTASOF').text).toBe(path(stmtrs, 'BANKTRANLIST', 'DTEND').text);
+  });
+
+  test('gives each transaction a FITID that stays the same across exports', async () => {
+    const fitIds = (root) => children(path(root, 'BANKMSGSRSV1', 'STMTTRNRS', 'STMTRS', 'BANKTRANLIST'), 'STMTTRN')
+      .map(entry => child(entry, 'FITID').text);
+
+    const first = fitIds(document);
+    expect(new Set(first).size).toBe(transactions.length);
+    first.forEach(id => expect(id.length).toBeLessThanOrEqual(255));
+
+    // A later export over an overlapping period
+    const laterStatement = { ...statement, period: { from: '2026-03-03', to: '2026-04-30' }, generated_at: new Date() };
+    const later = fitIds(parseXml(await render(writeOfx, laterStatement, lines(transactions.slice(1)))));
+
+    expect(later).toEqual(first.slice(1));
+  });
+
+  test('QFX adds the Intuit bank ID to the signon response', async () => {
+    const qfx = parseXml(await render(writeQfx, statement, lines()));
+    const sonrs = path(qfx, 'SIGNONMSGSRSV1', 'SONRS');
+
+    expectSequence(qfx);
+    expect(child(sonrs, 'INTU.BID').text).toMatch(/^\d+$/);
+  });
+});
@@ -0,0 +1,158 @@
+const { PassThrough } = require('stream');
+const { validationResult } = require('express-validator');
+const db = require('../src/database/connection');
+const transactionRepository = require('../src/repositories/TransactionRepository');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const transactionService = require('../src/services/TransactionService');
+const AccountProjection = require('../src/models/AccountProjection');
+const { validationRules } = require('../src/middleware/validation');
+const { writeCsv, writeNdjson, parseColumns, EXPORT_COLUMNS } = require('../src/utils/transactionExport');
+const Transaction = require('../src/models/Transaction');
+
+async function* transactions(rows) {
+  for (const row of rows) {
+    yield new Transaction({ account_id: 1, status: 'COMPLETED', ...row });
+  }
+}
+
+const capture = (output) => {
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  return () => Buffer.concat(chunks).toString('utf8');
+};
+
+const rows = [
+  {
+    txn_id: 1,
+    txn_type: 'DEPOSIT',
+    amount: 500,
+    reference: 'REF20260302-ABC123',
+    description: 'Salary, March',
+    created_at: new Date('2026-03-02T09:00:00.000Z')
+  },
+  {
+    txn_id: 2,
+    txn_type: 'WITHDRAWAL',
+    amount: 50,
+    reference: 'REF20260303-DEF456',
+    description: 'ATM "Main St"',
+    created_at: new Date('2026-03-03T10:30:00.000Z')
+  }
+];
+
+describe('Transaction history export writers', () => {
+  test('writes CSV with a header row and escaped fields', async () => {
+    const output = new PassThrough();
+    const text = capture(output);
+
+    await writeCsv(transactions(rows), ['txn_id', 'created_at', 'amount', 'description', 'reversal_of'], output);
+
+    expect(text().split('\r\n')).toEqual([
+      'txn_id,created_at,amount,description,reversal_of',
+      '1,2026-03-02T09:00:00.000Z,500,"Salary, March",',
+      '2,2026-03-03T10:30:00.000Z,50,"ATM ""Main St""",',
+      ''
+    ]);
+  });
+
+  test('writes one JSON object per line with only the selected columns', async () => {
+    const output = new PassThrough();
+    const text = capture(output);
+
+    await writeNdjson(transactions(rows), ['reference', 'amount', 'failure_reason'], output);
+
+    const lines = text().split('\n');
+    expect(lines.pop()).toBe('');
+    expect(lines.map(line => JSON.parse(line))).toEqual([
+      { reference: 'REF20260302-ABC123', amount: 500, failure_reason: null },
+      { reference: 'REF20260303-DEF456', amount: 50, failure_reason: null }
+    ]);
+  });
+
+  test('exports every column by default and ignores repeated ones', () => {
+    expect(parseColumns(undefined)).toEqual(EXPORT_COLUMNS);
+    expect(parseColumns('amount, txn_id,amount')).toEqual(['amount', 'txn_id']);
+    expect(EXPORT_COLUMNS.every(column => column in new Transaction({}).toJSON())).toBe(true);
+  });
+});
+
+describe('Transaction history export validation', () => {
+  const check = async (query) => {
+    const req = { query };
+    const validations = [...validationRules.exportValidation, validationRules.transactionType];
+    await Promise.all(validations.map(validation => validation.run(req)));
+    return validationResult(req).array().map(error => error.path);
+  };
+
+  test('requires a supported format', async () => {
+    expect(await check({ format: 'csv' })).toEqual([]);
+    expect(await check({ format: 'ndjson', txn_type: 'FEE', columns: 'txn_id,amount' })).toEqual([]);
+    expect(await check({})).toEqual(['format']);
+    expect(await check({ format: 'xlsx' })).toEqual(['format']);
+  });
+
+  test('rejects unknown columns and transaction types', async () => {
+    expect(await check({ format: 'csv', columns: 'txn_id,password' })).toEqual(['columns']);
+    expect(await check({ format: 'csv', columns: ' , ' })).toEqual(['columns']);
+    expect(await check({ format: 'csv', txn_type: 'LOAN' })).toEqual(['txn_type']);
+  });
+});
+
+describe('TransactionRepository.streamByAccountId', () => {
+  test('reads the filtered history through a cursor in batches and closes it', async () => {
+    const fetched = [[{ txn_id: 1 }, { txn_id: 2 }], [{ txn_id: 3 }]];
+    const client = {
+      query: jest.fn(async (text) => ({ rows: text.startsWith('FETCH') ? fetched.shift() : [] }))
+    };
+
+    const stream = transactionRepository.streamByAccountId(1, {
+      fromDate: '2026-03-01',
+      status: 'COMPLETED',
+      txnType: 'DEPOSIT'
+    }, client, 2);
+
+    const ids = [];
+    for await (const transaction of stream) {
+      ids.push(transaction.txn_id);
+    }
+
+    expect(ids).toEqual([1, 2, 3]);
+
+    const [declare, values] = client.query.mock.calls[0];
+    expect(declare).toMatch(/^DECLARE account_transactions NO SCROLL CURSOR FOR SELECT/);
+    expect(declare).toContain('account_id = $1 AND status = $2 AND txn_type = $3 AND created_at >= $4');
+    expect(declare).toContain('ORDER BY created_at ASC, txn_id ASC');
+    expect(values).toEqual([1, 'COMPLETED', 'DEPOSIT', '2026-03-01']);
+    expect(client.query.mock.calls.map(([text]) => text).slice(1)).toEqual([
+      'FETCH 2 FROM account_transactions',
+      'FETCH 2 FROM account_transactions',
+      'CLOSE account_transactions'
+    ]);
+  });
+});
+
+describe('TransactionService.exportTransactionHistory', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('streams from a read-only transaction on the streaming pool', async () => {
+    const client = { query: jest.fn(async () => ({ rows: [] })) };
+    jest.spyOn(db, 'streamingTransaction').mockImplementation(async (callback) => await callback(client));
+    jest.spyOn(db, 'transaction');
+    jest.spyOn(accountProjectionRepository, 'findById').mockResolvedValue(new AccountProjection({ account_id: 1 }));
+
+    const exported = await transactionService.exportTransactionHistory(1, {}, async (account, transactions) => {
+      const ids = [];
+      for await (const transaction of transactions) {
+        ids.push(transaction.txn_id);
+      }
+      return { account_id: account.account_id, ids };
+    });
+
+    expect(exported).toEqual({ account_id: 1, ids: [] });
+    expect(client.query.mock.calls[0][0]).toBe('SET TRANSACTION READ ONLY');
+    expect(accountProjectionRepository.findById).toHaveBeenCalledWith(1, client);
+    expect(db.transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock('../src/database/connection', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  findById: jest.fn()
+}));
+
+const db = require('../src/database/connection');
+const transactionRepository = require('../src/repositories/TransactionRepository');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const transactionService = require('../src/services/TransactionService');
+const AccountProjection = require('../src/models/AccountProjection');
+
+describe('TransactionRepository.search', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockResolvedValue({ rows: [{ txn_id: 9, account_id: 1, txn_type: 'DEPOSIT', amount: '150.00', count: '1' }] });
+  });
+
+  test('builds one index-backed condition per criterion', async () => {
+    const transactions = await transactionRepository.search({
+      accountId: 1,
+      reference: 'REF2026_03%',
+      counterparty: 'acme',
+      description: 'salary march',
+      minAmount: 100,
+      maxAmount: 0,
+      txnType: 'DEPOSIT',
+      fromDate: '2026-03-01'
+    }, { sort: 'amount', order: 'asc', limit: 20, offset: 40 });
+
+    const [query, values] = db.query.mock.calls[0];
+    expect(query).toContain('account_id = $1');
+    expect(query).toContain("reference LIKE $2 ESCAPE '\\'");
+    expect(query).toContain("counterparty ILIKE $3 ESCAPE '\\'");
+    expect(query).toContain("to_tsvector('english', COALESCE(description, '')) @@ plainto_tsquery('english', $4)");
+    expect(query).toContain('amount >= $5 AND amount <= $6 AND txn_type = $7 AND created_at >= $8');
+    expect(query).toContain('ORDER BY amount ASC, txn_id ASC');
+    expect(query).toContain('LIMIT $9 OFFSET $10');
+    expect(values).toEqual([1, 'REF2026\\_03\\%%', '%acme%', 'salary march', 100, 0, 'DEPOSIT', '2026-03-01', 20, 40]);
+    expect(transactions[0].amount).toBe(150);
+  });
+
+  test('counts with the same conditions', async () => {
+    const count = await transactionRepository.countSearch({ counterparty: 'acme', status: 'FAILED' });
+
+    expect(db.query).toHaveBeenCalledWith(
+      'SELECT COUNT(*) as count FROM transactions WHERE counterparty ILIKE $1 ESCAPE \'\\\' AND status = $2',
+      ['%acme%', 'FAILED']
+    );
+    expect(count).toBe(1);
+  });
+
+  test('only sorts by whitelisted fields', async () => {
+    await expect(transactionRepository.search({}, { sort: 'amount; DROP TABLE transactions' }))
+      .rejects.toThrow('Validation failed: sort must be one of created_at, amount, reference');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('TransactionService.searchTransactions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(transactionRepository, 'search').mockResolvedValue([]);
+    jest.spyOn(transactionRepository, 'countSearch').mockResolvedValue(45);
+    accountProjectionRepository.findById.mockResolvedValue(new AccountProjection({ account_id: 1, status: 'ACTIVE' }));
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('searches one account with pagination over every match', async () => {
+    const result = await transactionService.searchTransactions({
+      account_id: 1,
+      reference: 'REF2026',
+      page: 3,
+      limit: 20
+    });
+
+    expect(transactionRepository.search).toHaveBeenCalledWith(
+      expect.objectContaining({ accountId: 1, reference: 'REF2026' }),
+      { sort: 'created_at', order: 'desc', limit: 20, offset: 40 }
+    );
+    expect(result).toMatchObject({
+      account_id: 1,
+      sort: { field: 'created_at', order: 'desc' },
+      pagination: { current_page: 3, total_pages: 3, total_count: 45, page_size: 20 }
+    });
+  });
+
+  test('fails for an unknown account', async () => {
+    accountProjectionRepository.findById.mockResolvedValue(null);
+
+    await expect(transactionService.searchTransactions({ account_id: 99 })).rejects.toThrow('Account not found');
+    expect(transactionRepository.search).not.toHaveBeenCalled();
+  });
+
+  test('needs a filter for a bank-wide search and a sensible amount range', async () => {
+    await expect(transactionService.searchTransactions({ sort: 'amount' }))
+      .rejects.toThrow('Validation failed: a bank-wide search needs at least one filter');
+    await expect(transactionService.searchTransactions({ min_amount: 500, max_amount: 100 }))
+      .rejects.toThrow('Validation failed: min_amount must not exceed max_amount');
+
+    const result = await transactionService.searchTransactions({ counterparty: 'acme' });
+    expect(result.account_id).toBeUndefined();
+    expect(accountProjectionRepository.findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,120 @@
+jest.mock('../src/database/connection', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+jest.mock('../src/repositories/AccountProjectionRepository', () => ({
+  findById: jest.fn(),
+  lockForUpdate: jest.fn()
+}));
+
+const db = require('../src/database/connection');
+const transactionRepository = require('../src/repositories/TransactionRepository');
+const accountProjectionRepository = require('../src/repositories/AccountProjectionRepository');
+const transactionService = require('../src/services/TransactionService');
+const AccountProjection = require('../src/models/AccountProjection');
+const Transaction = require('../src/models/Transaction');
+
+const transaction = (fields = {}) => new Transaction({
+  account_id: 1,
+  amount: 100,
+  txn_type: 'DEPOSIT',
+  reference: 'REF20260301-ABC123',
+  ...fields
+});
+
+// A client answering the row lock with the given row and echoing the update
+const clientWith = (row) => ({
+  query: jest.fn(async (text, values) => {
+    if (text.includes('FOR UPDATE')) {
+      return { rows: row ? [row] : [] };
+    }
+    return { rows: [{ ...row, status: values[0], failure_reason: values[1] }] };
+  })
+});
+
+describe('Transaction status lifecycle', () => {
+  test('allows only the documented transitions', () => {
+    const allowed = Transaction.STATUSES.flatMap(from => Transaction.STATUSES
+      .filter(to => transaction({ status: from }).canTransitionTo(to))
+      .map(to => `${from}->${to}`));
+
+    expect(allowed).toEqual(['PENDING->COMPLETED', 'PENDING->FAILED', 'COMPLETED->REVERSED']);
+  });
+
+  test('creates rows only in an initial status, with a failure reason exactly when FAILED', () => {
+    expect(transaction({ status: 'FAILED', failure_reason: 'Insufficient balance' }).validate().isValid).toBe(true);
+    expect(transaction({ status: 'FAILED' }).validate().errors)
+      .toContain('Failure reason is required for failed transactions');
+    expect(transaction({ failure_reason: 'Insufficient balance' }).validate().errors)
+      .toContain('Failure reason is only allowed on failed transactions');
+    expect(transaction({ status: 'REVERSED' }).validate().errors)
+      .toContain('Transaction must be created as one of PENDING, COMPLETED, FAILED');
+  });
+
+  test('counts only completed and reversed transactions as posted', () => {
+    expect(Transaction.STATUSES.filter(status => transaction({ status }).isPosted())).toEqual(['COMPLETED', 'REVERSED']);
+    expect(transaction({ status: 'FAILED' }).getReversibleAmount()).toBe(0);
+  });
+});
+
+describe('TransactionRepository.updateStatus', () => {
+  test('moves a pending transaction on and stores the failure reason', async () => {
+    const client = clientWith({ txn_id: 5, status: 'PENDING', amount: 100 });
+
+    const failed = await transactionRepository.updateStatus(5, 'FAILED', 'Card declined', client);
+
+    expect(failed).toMatchObject({ status: 'FAILED', failure_reason: 'Card declined' });
+    expect(client.query.mock.calls[1][1]).toEqual(['FAILED', 'Card declined', 5, 'PENDING']);
+  });
+
+  test('rejects transitions the lifecycle does not allow', async () => {
+    await expect(transactionRepository.updateStatus(5, 'COMPLETED', null, clientWith({ txn_id: 5, status: 'FAILED' })))
+      .rejects.toThrow('Transaction status update failed: cannot move from FAILED to COMPLETED');
+    await expect(transactionRepository.updateStatus(5, 'FAILED', null, clientWith({ txn_id: 5, status: 'PENDING' })))
+      .rejects.toThrow('Validation failed: Failure reason is required for failed transactions');
+    await expect(transactionRepository.updateStatus(5, 'COMPLETED', null, clientWith(null)))
+      .rejects.toThrow('Transaction not found');
+  });
+});
+
+describe('Failed attempts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.query.mockImplementation(async (text, values) => ({
+      rows: [{ txn_id: 9, account_id: values[0], amount: values[1], txn_type: values[2], status: values[13], failure_reason: values[14] }]
+    }));
+    db.transaction.mockImplementation(async (callback) => await callback({}));
+  });
+
+  test('are kept as FAILED rows with the reason the posting was rejected', async () => {
+    accountProjectionRepository.findById.mockResolvedValue(new AccountProjection({ account_id: 1, status: 'ACTIVE' }));
+    accountProjectionRepository.lockForUpdate.mockResolvedValue(new AccountProjection({ account_id: 1, status: 'FROZEN' }));
+
+    await expect(transactionService.processDeposit({ account_id: 1, amount: 100 }))
+      .rejects.toThrow('Account is not active');
+
+    const [query, values] = db.query.mock.calls[0];
+    expect(query).toContain('INSERT INTO transactions');
+    expect(values.slice(0, 3)).toEqual([1, 100, 'DEPOSIT']);
+    expect(values.slice(13)).toEqual(['FAILED', 'Account is not active']);
+  });
+
+  test('are not recorded against accounts that do not exist', async () => {
+    accountProjectionRepository.findById.mockResolvedValue(null);
+
+    await expect(transactionService.processDeposit({ account_id: 99, amount: 100 }))
+      .rejects.toThrow('Account not found');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('are never reversed', async () => {
+    const client = {
+      query: jest.fn(async (text) => ({
+        rows: text.includes('FOR UPDATE') ? [{ txn_id: 9, status: 'FAILED' }] : []
+      }))
+    };
+
+    await expect(transactionRepository.recordReversal(9, 50, client))
+      .rejects.toThrow('Reversal failed: cannot reverse a FAILED transaction');
+  });
+});
@@ -0,0 +1,170 @@
+// A pool handing out one recording client, so tests can see which statements ran on it
+jest.mock('pg', () => {
+  const statements = [];
+  let nextTxnId = 1;
+
+  const client = {
+    query: jest.fn(async (text, values = []) => {
+      statements.push(text.trim().split(/\s+/).slice(0, 3).join(' '));
+      if (text.includes('INSERT INTO transactions')) {
+        if (values[1] > 1000) {
+          throw Object.assign(new Error('new row violates check constraint'), { code: '23514' });
+        }
+        return { rows: [{ txn_id: nextTxnId++, account_id: values[0], amount: values[1], txn_type: values[2], reference: values[4] }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+
+  const pool = {
+    connect: jest.fn(async () => client),
+    query: jest.fn(async () => { throw new Error('Statement ran outside the unit of work'); }),
+    on: jest.fn(),
+    end: jest.fn(async () => {})
+  };
+
+  return { Pool: jest.fn(() => pool), pool, client, statements };
+});
+
+// tests/setup.js has already loaded the real connection module
+jest.resetModules();
+
+const pg = require('pg');
+const db = require('../src/database/connection');
+const transactionRepository = require('../src/repositories/TransactionRepository');
+
+const entry = (amount) => ({
+  account_id: 1,
+  amount,
+  txn_type: 'DEPOSIT',
+  reference: 'REF20260101-ABC123',
+  description: 'Unit of work'
+});
+
+describe('Unit of work', () => {
+  beforeEach(() => {
+    pg.statements.length = 0;
+    pg.pool.connect.mockClear();
+    pg.client.release.mockClear();
+  });
+
+  it('runs a top-level unit in its own transaction', async () => {
+    const result = await db.transaction(async () => 'done');
+
+    expect(result).toBe('done');
+    expect(pg.statements).toEqual(['BEGIN', 'COMMIT']);
+    expect(pg.client.release).toHaveBeenCalledTimes(1);
+  });
+
+  it('nests units given the enclosing client in savepoints on the same connection', async () => {
+    await db.transaction(async (client) => {
+      await db.transaction(async (inner) => {
+        expect(inner).toBe(client);
+        await db.transaction(async () => {}, inner);
+      }, client);
+    });
+
+    expect(pg.pool.connect).toHaveBeenCalledTimes(1);
+    expect(pg.statements).toEqual([
+      'BEGIN',
+      'SAVEPOINT unit_of_work_1',
+      'SAVEPOINT unit_of_work_2',
+      'RELEASE SAVEPOINT unit_of_work_2',
+      'RELEASE SAVEPOINT unit_of_work_1',
+      'COMMIT'
+    ]);
+  });
+
+  it('rolls a failed inner unit back to its savepoint and lets the outer unit carry on', async () => {
+    const result = await db.transaction(async (client) => {
+      await expect(db.transaction(async () => {
+        throw new Error('Inner failure');
+      }, client)).rejects.toThrow('Inner failure');
+
+      return 'outer committed';
+    });
+
+    expect(result).toBe('outer committed');
+    expect(pg.statements).toEqual([
+      'BEGIN',
+      'SAVEPOINT unit_of_work_1',
+      'ROLLBACK TO SAVEPOINT',
+      'COMMIT'
+    ]);
+  });
+
+  it('creates multiple transactions on the caller\'s connection', async () => {
+    const created = await db.transaction(async (client) => (
+      transactionRepository.createMultiple([entry(100), entry(200)], client)
+    ));
+
+    expect(created.map(transaction => transaction.amount)).toEqual([100, 200]);
+    expect(pg.pool.connect).toHaveBeenCalledTimes(1);
+    expect(pg.statements).toEqual([
+      'BEGIN',
+      'SAVEPOINT unit_of_work_1',
+      'INSERT INTO transactions',
+      'INSERT INTO transactions',
+      'RELEASE SAVEPOINT unit_of_work_1',
+      'COMMIT'
+    ]);
+  });
+
+  it('rolls back every insert of createMultiple when one fails', async () => {
+    await expect(transactionRepository.createMultiple([entry(100), entry(5000)]))
+      .rejects.toThrow('check constraint');
+
+    expect(pg.statements).toEqual([
+      'BEGIN',
+      'INSERT INTO transactions',
+      'INSERT INTO transactions',
+      'ROLLBACK'
+    ]);
+  });
+});
+
+describe('Streaming transactions', () => {
+  beforeEach(() => {
+    pg.statements.length = 0;
+    pg.client.release.mockClear();
+  });
+
+  afterEach(() => {
+    delete pg.pool.totalCount;
+    delete pg.pool.idleCount;
+  });
+
+  it('run on a pool of their own with statement and idle timeouts', async () => {
+    const result = await db.streamingTransaction(async () => 'streamed');
+
+    expect(result).toBe('streamed');
+    expect(pg.Pool.mock.calls.map(([config]) => config.max)).toEqual([20, 5]);
+    expect(pg.statements).toEqual([
+      'BEGIN',
+      'SET LOCAL statement_timeout',
+      'SET LOCAL idle_in_transaction_session_timeout',
+      'COMMIT'
+    ]);
+    expect(pg.client.release).toHaveBeenCalledWith();
+  });
+
+  it('discard a connection the server ended instead of pooling it again', async () => {
+    const ended = new Error('terminating connection due to idle-in-transaction timeout');
+
+    await expect(db.streamingTransaction(async () => {
+      pg.client.query.mockRejectedValueOnce(ended);
+      throw new Error('Connection terminated unexpectedly');
+    })).rejects.toThrow('Connection terminated unexpectedly');
+
+    expect(pg.client.release).toHaveBeenCalledWith(ended);
+  });
+
+  it('are refused while every streaming connection is in use', async () => {
+    Object.assign(pg.pool, { totalCount: 5, idleCount: 0 });
+
+    await expect(db.streamingTransaction(async () => 'streamed'))
+      .rejects.toThrow('Download unavailable: too many downloads in progress');
+    expect(pg.statements).toEqual([]);
+  });
+});